@@ -0,0 +1,418 @@
+// index.cjs
+// research-tool: End-to-end research assistant using OpenRouter only
+// - one-stop: search, summarize, chat (over full-text PDFs), find gaps, devil's advocate, review
+// - uses Semantic Scholar API and OpenRouter REST via axios
+// - configure via .env (OPENROUTER_API_KEY, optional S2_API_KEY)
+// - responses are cached on disk; see CACHE_FLAGS for the cache modes
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { createResilientCaller, consoleLogger } = require('./src/utils/resilience.cjs');
+const { createResponseCache } = require('./src/utils/responseCache.cjs');
+const paperSearch = require('./src/research/paperSearch.cjs');
+const citationGraph = require('./src/research/citationGraph.cjs');
+const literatureReview = require('./src/research/review.cjs');
+const reviewRenderers = require('./src/research/reviewRenderers.cjs');
+const bibliography = require('./src/research/bibliography.cjs');
+const paperChat = require('./src/research/paperChat.cjs');
+
+const { toReference, toBibTeX } = bibliography;
+
+// Cache flags accepted anywhere on the command line, mapped to cache modes
+const CACHE_FLAGS = {
+  '--no-cache': 'off',
+  '--refresh': 'refresh',
+  '--replay': 'replay'
+};
+
+// Splits the cache options off the command-line arguments
+function parseCacheArgs(argv) {
+  const args = [];
+  let mode = process.env.RESEARCH_CACHE_MODE || 'use';
+  let dir = process.env.RESEARCH_CACHE_DIR;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (CACHE_FLAGS[argv[i]]) {
+      mode = CACHE_FLAGS[argv[i]];
+    } else if (argv[i] === '--cache-dir') {
+      dir = argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, cacheOptions: { mode, dir } };
+}
+
+const { args: CLI_ARGS, cacheOptions } = parseCacheArgs(process.argv.slice(2));
+const cache = createResponseCache(cacheOptions);
+
+// Load and verify OpenRouter API key (not needed when replaying cached responses)
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+if (!OPENROUTER_API_KEY && cache.mode !== 'replay') {
+  console.error('⚠️  Missing OPENROUTER_API_KEY in .env');
+  process.exit(1);
+}
+
+// Load Semantic Scholar API key (optional for higher rate limits)
+const S2_API_KEY = process.env.S2_API_KEY || '';
+if (!S2_API_KEY) {
+  console.warn('ℹ️ No Semantic Scholar API key set; using public rate-limited endpoints.');
+}
+const S2_HEADERS = S2_API_KEY ? { 'x-api-key': S2_API_KEY } : {};
+
+// OpenRouter chat endpoint
+const CHAT_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+// Retries, per-host concurrency and circuit breaking for every outbound call.
+// The public Semantic Scholar endpoints are heavily rate limited, so go slower there.
+const callWithResilience = createResilientCaller({
+  hosts: {
+    'api.semanticscholar.org': { concurrency: S2_API_KEY ? 2 : 1, retries: 5, baseDelayMs: 2000 }
+  }
+});
+
+// Helper: send a Chat request to OpenRouter
+async function openRouterChat(messages, model = 'gpt-3.5-turbo', max_tokens = 200) {
+  const payload = { model, messages, max_tokens };
+  const headers = {
+    'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
+    'Content-Type':  'application/json'
+  };
+  const content = await cache.wrap('openrouter', payload, async () => {
+    const resp = await callWithResilience(
+      new URL(CHAT_URL).host,
+      () => axios.post(CHAT_URL, payload, { headers }),
+      `chat ${model}`
+    );
+    return resp.data.choices[0].message.content;
+  });
+  return content.trim();
+}
+
+// Helper: chat with the default model, for steps that build on other calls
+const chat = (messages, maxTokens) => openRouterChat(messages, 'gpt-3.5-turbo', maxTokens);
+
+// Semantic Scholar API base URL
+const S2_URL = 'https://api.semanticscholar.org/graph/v1';
+
+// Helper: GET a Semantic Scholar endpoint and return the response body
+async function s2Get(path, params) {
+  return cache.wrap('s2', { endpoint: path, params }, async () => {
+    const res = await callWithResilience(
+      new URL(S2_URL).host,
+      () => axios.get(`${S2_URL}${path}`, { params, headers: S2_HEADERS }),
+      `GET ${path}`
+    );
+    return res.data;
+  });
+}
+
+// 1. Search papers by keyword; options take filters and an offset (see paperSearch.cjs)
+async function searchPapers(query, limit = 5, options = {}) {
+  return paperSearch.searchPapers(s2Get, query, limit, options);
+}
+
+// 2. Summarize an abstract
+async function summarizeAbstract(abstract) {
+  const prompt = `Summarize the following abstract in 3 sentences:\n${abstract}`;
+  return openRouterChat([{ role: 'user', content: prompt }], 'gpt-3.5-turbo', 150);
+}
+
+// 3. Chat with a paper: a local PDF, a paper id with an open-access PDF, or abstract text.
+// Full text is searched for passages relevant to the question (see paperChat.cjs) and the
+// answer cites their sections and pages.
+async function chatWithPaper(source, question) {
+  return paperChat.answerFromPaper(chat, await loadPaper(source), question);
+}
+
+// 3b. Text of a paper to chat with; extracted PDF pages are cached like API responses
+async function loadPaper(source) {
+  if (/\.pdf$/i.test(source)) {
+    const buffer = fs.readFileSync(source);
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    return { title: path.basename(source), pages: await cache.wrap('pdf', { sha256 }, () => paperChat.extractPdfPages(buffer)) };
+  }
+  if (!paperChat.isPaperId(source)) return { abstract: source };
+
+  const details = await s2Get(`/paper/${encodeURIComponent(source)}`, { fields: 'title,abstract,openAccessPdf' });
+  const url = details.openAccessPdf && details.openAccessPdf.url;
+  if (!url) {
+    consoleLogger.warn('No open-access PDF; answering from the abstract', { paperId: source });
+    return { title: details.title, abstract: details.abstract };
+  }
+  const pages = await cache.wrap('pdf', { url }, async () => {
+    const res = await callWithResilience(
+      new URL(url).host,
+      () => axios.get(url, { responseType: 'arraybuffer' }),
+      `GET ${url}`
+    );
+    return paperChat.extractPdfPages(Buffer.from(res.data));
+  });
+  return { title: details.title, pages };
+}
+
+// Answer followed by the locations of the passages it cites
+function formatAnswer({ answer, citations }) {
+  if (citations.length === 0) return answer;
+  return `${answer}\n\nSources:\n${citations.map(citation => `  [${citation.ref}] ${citation.location}`).join('\n')}`;
+}
+
+// 4. Discover gaps among papers, each tied to the papers supporting it
+async function discoverGaps(papers) {
+  const { gaps } = await literatureReview.discoverGaps(chat, papers.map(toReference));
+  return gaps;
+}
+
+// 5. Devil's advocate: opposing-viewpoint papers with the viewpoint they stand for
+async function devilAdvocate(topic, limit = 3) {
+  return literatureReview.findOpposingViews(chat, searchPapers, topic, limit);
+}
+
+// 6. Get paper details by ID
+async function getPaperDetails(paperId) {
+  return s2Get(`/paper/${encodeURIComponent(paperId)}`, {
+    fields: 'title,abstract,authors,year,venue,externalIds,referenceCount,citationCount,fieldsOfStudy,url'
+  });
+}
+
+// 6b. Find the paper best matching a title (rejects with a 404 when nothing matches)
+async function matchTitle(title) {
+  const data = await s2Get('/paper/search/match', { query: title, fields: paperSearch.SEARCH_FIELDS });
+  return data.data[0];
+}
+
+// 7. Fetch the papers citing a paper
+async function getCitations(paperId, limit = 5) {
+  return citationGraph.fetchPaperLinks(s2Get, paperId, 'citations', limit);
+}
+
+// 7b. Fetch the papers a paper references
+async function getReferences(paperId, limit = 5) {
+  return citationGraph.fetchPaperLinks(s2Get, paperId, 'references', limit);
+}
+
+// 7c. Snowball a citation graph from seed papers (see citationGraph.cjs for options)
+async function exploreCitationGraph(seedIds, options = {}) {
+  return citationGraph.buildCitationGraph({ getPaperDetails, getCitations, getReferences }, seedIds, options);
+}
+
+// 8. Generate a structured literature review (see review.cjs); render it with reviewRenderers.
+// Given papers (e.g. an imported library) are reviewed instead of searching the topic.
+async function generateReview(topic, limit = 5, papers = null) {
+  return literatureReview.buildReview({ searchPapers, summarizeAbstract, chat }, topic, { limit, papers });
+}
+
+// 9. Read a .bib/.ris library and resolve its entries to Semantic Scholar papers by DOI or title
+async function importLibrary(file) {
+  const entries = bibliography.parseLibrary(fs.readFileSync(file, 'utf8'), file);
+  return bibliography.resolveEntries({ getPaperDetails, matchTitle }, entries);
+}
+
+// Splits command flags off the positional arguments; flags maps each flag to
+// [option name, whether it takes a value]
+function parseFlags(args, flags) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = flags[args[i]];
+    if (!flag) {
+      positional.push(args[i]);
+      continue;
+    }
+    const [name, takesValue] = flag;
+    if (takesValue && (i + 1 >= args.length || args[i + 1].startsWith('--'))) {
+      throw new Error(`Missing value for ${args[i]}`);
+    }
+    options[name] = takesValue ? args[++i] : true;
+  }
+  return { positional, options };
+}
+
+// Search command options
+const SEARCH_FLAGS = {
+  '--limit': ['limit', true],
+  '--offset': ['offset', true],
+  '--year': ['year', true],
+  '--fields-of-study': ['fieldsOfStudy', true],
+  '--venue': ['venue', true],
+  '--open-access': ['openAccess', false],
+  '--min-citations': ['minCitations', true],
+  '--format': ['format', true]
+};
+
+// Graph command options
+const GRAPH_FLAGS = {
+  '--hops': ['hops', true],
+  '--direction': ['direction', true],
+  '--limit': ['perPaperLimit', true],
+  '--max-nodes': ['maxNodes', true],
+  '--rank': ['rank', true],
+  '--top': ['top', true],
+  '--format': ['format', true]
+};
+
+// Review command options
+const REVIEW_FLAGS = {
+  '--limit': ['limit', true],
+  '--format': ['format', true],
+  '--bib': ['bib', true]
+};
+
+// Import command options
+const IMPORT_FLAGS = {
+  '--summarize': ['summarize', false],
+  '--gaps': ['gaps', false],
+  '--review': ['review', false],
+  '--topic': ['topic', true],
+  '--format': ['format', true],
+  '--bib': ['bib', true]
+};
+
+// Fails on an unknown review format before any requests are spent
+function checkReviewFormat(format) {
+  if (!reviewRenderers.listFormats().includes(format)) {
+    throw new Error(`Unknown review format "${format}" (expected one of ${reviewRenderers.listFormats().join(', ')})`);
+  }
+}
+
+// Prints a rendered review and optionally writes its BibTeX bibliography
+function outputReview(review, format, bib) {
+  if (bib) fs.writeFileSync(bib, `${toBibTeX(review.papers)}\n`);
+  console.log(reviewRenderers.renderReview(review, format));
+}
+
+// Ranked papers of a graph as a plain-text list
+function formatRanking(ranked) {
+  return ranked
+    .map((node, index) => `${String(index + 1).padStart(3)}. ${node.title || node.paperId}${node.year ? ` (${node.year})` : ''}\n` +
+      `     ${node.paperId} · cited in graph ${node.inDegree} · co-cited with seeds ${node.coCitation} · PageRank ${node.pageRank}`)
+    .join('\n');
+}
+
+// Main CLI
+async function main() {
+  const [action, ...rest] = CLI_ARGS;
+  switch (action) {
+    case 'search': {
+      const { positional, options: { limit = 5, format = 'json', ...filters } } = parseFlags(rest, SEARCH_FLAGS);
+      // Check the format before spending requests on the search
+      paperSearch.formatPapers([], format);
+      console.log(paperSearch.formatPapers(await searchPapers(positional.join(' '), Number(limit), filters), format));
+      break;
+    }
+    case 'summarize':
+      console.log(await summarizeAbstract(rest.join(' ')));
+      break;
+    case 'chat': {
+      const [source, ...q] = rest;
+      console.log(formatAnswer(await chatWithPaper(source, q.join(' '))));
+      break;
+    }
+    case 'gaps':
+      console.log(JSON.stringify(await discoverGaps(await searchPapers(rest.join(' '))), null, 2));
+      break;
+    case 'devil':
+      console.log(JSON.stringify(await devilAdvocate(rest.join(' ')), null, 2));
+      break;
+    case 'details':
+      console.log(JSON.stringify(await getPaperDetails(rest[0]), null, 2));
+      break;
+    case 'citations':
+      console.log(JSON.stringify(await getCitations(rest[0]), null, 2));
+      break;
+    case 'graph': {
+      const { positional, options } = parseFlags(rest, GRAPH_FLAGS);
+      const { rank, top = 20, format, ...graphOptions } = options;
+      ['hops', 'perPaperLimit', 'maxNodes'].forEach(name => {
+        if (graphOptions[name] != null) graphOptions[name] = Number(graphOptions[name]);
+      });
+      // Check the output options before spending requests on the graph
+      const empty = { seeds: [], nodes: [], edges: [] };
+      if (format) citationGraph.exportGraph(empty, format);
+      else citationGraph.rankNodes(empty, { by: rank });
+
+      const graph = await exploreCitationGraph(positional, graphOptions);
+      console.log(format
+        ? citationGraph.exportGraph(graph, format)
+        : formatRanking(citationGraph.rankNodes(graph, { by: rank, limit: Number(top) })));
+      break;
+    }
+    case 'review': {
+      const { positional, options: { limit = 5, format = 'markdown', bib } } = parseFlags(rest, REVIEW_FLAGS);
+      checkReviewFormat(format);
+      outputReview(await generateReview(positional.join(' '), Number(limit)), format, bib);
+      break;
+    }
+    case 'export': {
+      const [source, ...args] = rest;
+      // Export takes the search options; --format picks the bibliography format
+      const { positional, options: { limit = 5, format = 'bibtex', ...filters } } = parseFlags(args, SEARCH_FLAGS);
+      // Check the format before spending requests on the export
+      bibliography.exportPapers([], format);
+
+      let papers;
+      if (source === 'search') {
+        papers = await searchPapers(positional.join(' '), Number(limit), filters);
+      } else if (source === 'details') {
+        papers = [];
+        for (const paperId of positional) papers.push(await getPaperDetails(paperId));
+      } else if (source === 'citations') {
+        papers = await getCitations(positional[0], Number(limit));
+      } else {
+        throw new Error('Export needs a source: search <keywords>, details <paperId...> or citations <paperId>');
+      }
+      console.log(bibliography.exportPapers(papers, format));
+      break;
+    }
+    case 'import': {
+      const { positional: [file], options } = parseFlags(rest, IMPORT_FLAGS);
+      if (!file) throw new Error('Import needs a .bib or .ris file');
+      if (options.review) {
+        if (!options.topic) throw new Error('Reviewing a library needs --topic <topic> for the opposing viewpoints');
+        checkReviewFormat(options.format || 'markdown');
+      }
+
+      const resolved = await importLibrary(file);
+      const unresolved = resolved.filter(item => !item.paper);
+      if (unresolved.length > 0) {
+        consoleLogger.warn('Library entries not found on Semantic Scholar', {
+          file: path.basename(file),
+          entries: unresolved.map(({ entry }) => entry.key || entry.title)
+        });
+      }
+      const papers = [...new Map(resolved.filter(item => item.paper).map(item => [item.paper.paperId, item.paper])).values()];
+
+      if (options.summarize) {
+        const summaries = [];
+        for (const paper of papers) {
+          summaries.push({
+            paperId: paper.paperId,
+            title: paper.title,
+            summary: paper.abstract ? await summarizeAbstract(paper.abstract) : null
+          });
+        }
+        console.log(JSON.stringify(summaries, null, 2));
+      } else if (options.gaps) {
+        console.log(JSON.stringify(await discoverGaps(papers), null, 2));
+      } else if (options.review) {
+        outputReview(await generateReview(options.topic, papers.length, papers), options.format || 'markdown', options.bib);
+      } else {
+        console.log(JSON.stringify(resolved.map(({ entry, paper, resolvedBy }) => ({
+          key: entry.key,
+          title: entry.title,
+          paperId: paper ? paper.paperId : null,
+          resolvedBy
+        })), null, 2));
+      }
+      break;
+    }
+    default:
+      console.log(`Usage:\n  node index.cjs search <keywords> [--limit n] [--offset n] [--year 2019-2023] [--fields-of-study list]\n      [--venue list] [--open-access] [--min-citations n] [--format json|jsonl|table]\n  node index.cjs summarize <abstract>\n  node index.cjs chat <paper.pdf|paperId|abstract> <question>\n  node index.cjs gaps <topic>\n  node index.cjs devil <topic>\n  node index.cjs details <paperId>\n  node index.cjs citations <paperId>\n  node index.cjs graph <paperId...> [--hops n] [--direction backward|forward|both] [--limit n per paper]\n      [--max-nodes n] [--rank pagerank|in-degree|co-citation] [--top n] [--format json|graphml|dot]\n  node index.cjs review <topic> [--limit n] [--format markdown|html|json|latex] [--bib refs.bib]\n  node index.cjs export search <keywords> [search options] [--format bibtex|ris|csl-json]\n  node index.cjs export details <paperId...> [--format bibtex|ris|csl-json]\n  node index.cjs export citations <paperId> [--limit n] [--format bibtex|ris|csl-json]\n  node index.cjs import <library.bib|library.ris> [--summarize | --gaps | --review --topic <topic> [--format f] [--bib refs.bib]]\n\nCache options (any command):\n  --no-cache        bypass the response cache\n  --refresh         call the APIs and overwrite cached responses; with\n                    --cache-dir, captures fixtures for --replay\n  --replay          serve cached responses only, fully offline\n  --cache-dir <dir> cache location (default .cache/research)`);
+  }
+}
+
+main().catch(err => console.error(err));
\ No newline at end of file
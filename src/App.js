@@ -1,10 +1,11 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import {
   Container,
   Typography,
   Box,
   Alert,
-  CircularProgress,
+  Button,
+  LinearProgress,
   Paper,
   Tabs,
   Tab,
@@ -12,10 +13,13 @@ import {
   createTheme,
   CssBaseline
 } from '@mui/material';
-// Remove these imports for now since components don't exist yet
-// import FileUpload from './components/FileUpload';
-// import AnalysisDashboard from './components/AnalysisDashboard';
-// import DataVisualization from './components/DataVisualization';
+import { Cancel } from '@mui/icons-material';
+import axios from 'axios';
+import FileUpload from './config/components/FileUpload.js';
+import AnalysisDashboard from './config/components/AnalysisDashboard.js';
+import AnalysisHistory from './config/components/AnalysisHistory.js';
+import ComparisonDashboard from './config/components/ComparisonDashboard.js';
+// import DataVisualization from './config/components/DataVisualization';
 
 const theme = createTheme({
   palette: {
@@ -28,6 +32,24 @@ const theme = createTheme({
   },
 });
 
+const STAGE_LABELS = {
+  parsing: 'Parsing',
+  validation: 'Validation',
+  'chunk-analysis': 'Chunk analysis',
+  merge: 'Merging results'
+};
+
+// Applies one "partial" event of a job's progress stream to the result so far
+const applyPartialEvent = (result, event) => {
+  switch (event.type) {
+    case 'snapshot': return event.result;
+    case 'reset': return {};
+    case 'section': return { ...result, [event.key]: event.value };
+    case 'text': return { ...result, [event.key]: (result?.[event.key] || '') + event.delta };
+    default: return result;
+  }
+};
+
 function TabPanel({ children, value, index, ...other }) {
   return (
     <div
@@ -52,11 +74,78 @@ function App() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [uploadedData, setUploadedData] = useState(null);
+  const [comparisonData, setComparisonData] = useState(null);
+  const [job, setJob] = useState(null);
+  // Result of the running analysis as it streams in; kept if the stream breaks off
+  const [partialAnalysis, setPartialAnalysis] = useState(null);
+  const hasPartial = Boolean(partialAnalysis);
+
+  // Show the dashboard as soon as the first sections arrive
+  useEffect(() => {
+    if (hasPartial && loading) {
+      setTabValue(1);
+    }
+  }, [hasPartial, loading]);
 
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
   };
 
+  const handleAnalysisStart = () => {
+    setLoading(true);
+    setError(null);
+    setJob(null);
+    setPartialAnalysis(null);
+  };
+
+  const handleAnalysisComplete = (data) => {
+    setAnalysisData(data);
+    setPartialAnalysis(null);
+    setLoading(false);
+    setJob(null);
+    setTabValue(1);
+  };
+
+  const handleAnalysisCancelled = () => {
+    setLoading(false);
+    setJob(null);
+    setPartialAnalysis(null);
+  };
+
+  const handlePartial = useCallback((event) => {
+    setPartialAnalysis(previous => applyPartialEvent(previous, event));
+  }, []);
+
+  const handleError = useCallback((message) => {
+    setError(message);
+    setLoading(false);
+    setJob(null);
+  }, []);
+
+  const handleCancel = async () => {
+    try {
+      // The job's progress stream reports the cancellation
+      await axios.post(`/api/jobs/${job.id}/cancel`);
+    } catch (cancelError) {
+      handleError(cancelError.response?.data?.message || 'Failed to cancel the analysis');
+    }
+  };
+
+  // Re-opens a stored analysis without calling the model again
+  const handleOpenAnalysis = (data) => {
+    setAnalysisData(data);
+    setPartialAnalysis(null);
+    setUploadedData(data.parsedData);
+    setError(null);
+    setTabValue(1);
+  };
+
+  const handleCompare = (comparison) => {
+    setComparisonData(comparison);
+    setError(null);
+    setTabValue(4);
+  };
+
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
@@ -76,12 +165,30 @@ function App() {
         )}
 
         {loading && (
-          <Box display="flex" justifyContent="center" my={4}>
-            <CircularProgress size={60} />
-            <Typography variant="h6" sx={{ ml: 2, alignSelf: 'center' }}>
-              Analyzing your data...
-            </Typography>
-          </Box>
+          <Paper variant="outlined" sx={{ p: 2, my: 3 }}>
+            <Box display="flex" alignItems="center" justifyContent="space-between" mb={1}>
+              <Typography variant="h6">
+                {job?.message || 'Analyzing your data...'}
+              </Typography>
+              <Button
+                color="inherit"
+                startIcon={<Cancel />}
+                onClick={handleCancel}
+                disabled={!job?.id}
+              >
+                Cancel
+              </Button>
+            </Box>
+            <LinearProgress
+              variant={job ? 'determinate' : 'indeterminate'}
+              value={job?.progress || 0}
+            />
+            {job && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                {STAGE_LABELS[job.stage] || job.stage} · {job.progress}%
+              </Typography>
+            )}
+          </Paper>
         )}
 
         <Paper sx={{ width: '100%', mt: 3 }}>
@@ -93,24 +200,50 @@ function App() {
             variant="fullWidth"
           >
             <Tab label="Upload Data" />
-            <Tab label="Analysis Dashboard" disabled={!analysisData} />
+            <Tab label="Analysis Dashboard" disabled={!analysisData && !hasPartial} />
             <Tab label="Data Visualization" disabled={!uploadedData} />
+            <Tab label="History" />
+            <Tab label="Comparison" disabled={!comparisonData} />
           </Tabs>
 
           <TabPanel value={tabValue} index={0}>
-            <Typography variant="h6">File Upload Component Coming Soon</Typography>
-            <Typography>This will contain the file upload functionality.</Typography>
+            <FileUpload
+              onAnalysisStart={handleAnalysisStart}
+              onAnalysisComplete={handleAnalysisComplete}
+              onAnalysisCancelled={handleAnalysisCancelled}
+              onProgress={setJob}
+              onPartial={handlePartial}
+              onDataUpload={setUploadedData}
+              onError={handleError}
+              loading={loading}
+            />
           </TabPanel>
 
           <TabPanel value={tabValue} index={1}>
-            <Typography variant="h6">Analysis Dashboard Coming Soon</Typography>
-            <Typography>This will display AI analysis results.</Typography>
+            {hasPartial ? (
+              <AnalysisDashboard
+                data={{ analysis: partialAnalysis, metadata: {} }}
+                records={uploadedData}
+                streaming={loading}
+                interrupted={!loading}
+              />
+            ) : (
+              <AnalysisDashboard data={analysisData} records={uploadedData} />
+            )}
           </TabPanel>
 
           <TabPanel value={tabValue} index={2}>
             <Typography variant="h6">Data Visualization Coming Soon</Typography>
             <Typography>This will show charts and graphs.</Typography>
           </TabPanel>
+
+          <TabPanel value={tabValue} index={3}>
+            <AnalysisHistory onOpen={handleOpenAnalysis} onCompare={handleCompare} onError={handleError} />
+          </TabPanel>
+
+          <TabPanel value={tabValue} index={4}>
+            <ComparisonDashboard comparison={comparisonData} />
+          </TabPanel>
         </Paper>
       </Container>
     </ThemeProvider>
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Button,
+  Chip,
+  Tooltip,
+  Alert,
+  LinearProgress
+} from '@mui/material';
+import { Send } from '@mui/icons-material';
+import axios from 'axios';
+
+const SUGGESTED_QUESTIONS = [
+  'Why is DSO at this level?',
+  'Which vendors drove the largest outflows?',
+  'Which customers have overdue invoices?'
+];
+
+// Short description of a cited record for its tooltip
+const describeRecord = ({ collection, record }) => [
+  collection,
+  record.date,
+  record.vendor || record.customer || record.account || record.description,
+  record.amount ?? record.balance
+].filter(value => value != null && value !== '').join(' · ');
+
+const AnalysisChat = ({ analysisId }) => {
+  const [turns, setTurns] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!analysisId) {
+    return (
+      <Alert severity="info">
+        Follow-up questions need a stored analysis. Enable the analysis history (ANALYSIS_HISTORY) on the server and run the analysis again.
+      </Alert>
+    );
+  }
+
+  const ask = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    setAsking(true);
+    setError(null);
+    try {
+      const { data } = await axios.post(`/api/analyses/${analysisId}/chat`, {
+        question: trimmed,
+        history: turns.map(turn => ({
+          question: turn.question,
+          answer: turn.answer,
+          citations: turn.citations.map(citation => citation.recordId)
+        }))
+      });
+      setTurns(previous => [...previous, { question: trimmed, ...data }]);
+      setQuestion('');
+    } catch (chatError) {
+      console.error('Chat error:', chatError);
+      setError(chatError.response?.data?.message || 'Failed to answer the question');
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    ask(question);
+  };
+
+  return (
+    <Box>
+      {turns.length === 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          {SUGGESTED_QUESTIONS.map(suggestion => (
+            <Chip
+              key={suggestion}
+              label={suggestion}
+              variant="outlined"
+              onClick={() => ask(suggestion)}
+              disabled={asking}
+            />
+          ))}
+        </Box>
+      )}
+
+      {turns.map((turn, index) => (
+        <Box key={index} sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" color="primary" gutterBottom>
+            {turn.question}
+          </Typography>
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
+              {turn.answer}
+            </Typography>
+            {turn.citations.length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                {turn.citations.map(citation => (
+                  <Tooltip key={citation.recordId} title={describeRecord(citation)}>
+                    <Chip size="small" label={citation.recordId} />
+                  </Tooltip>
+                ))}
+              </Box>
+            )}
+            {(turn.toolCalls.length > 0 || turn.unknownCitations.length > 0) && (
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                {turn.toolCalls.length > 0 && `Computed with ${turn.toolCalls.length} local calculation(s). `}
+                {turn.unknownCitations.length > 0 &&
+                  `Ignored citations not found in the data: ${turn.unknownCitations.join(', ')}`}
+              </Typography>
+            )}
+          </Paper>
+        </Box>
+      ))}
+
+      {asking && <LinearProgress sx={{ mb: 2 }} />}
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', gap: 1 }}>
+        <TextField
+          fullWidth
+          size="small"
+          label="Ask about this analysis"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          disabled={asking}
+        />
+        <Button type="submit" variant="contained" endIcon={<Send />} disabled={asking || !question.trim()}>
+          Ask
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default AnalysisChat;
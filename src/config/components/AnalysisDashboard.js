@@ -4,25 +4,122 @@ import {
   Typography,
   Paper,
   Grid,
-  Card,
-  CardContent,
   Chip,
   Divider,
+  Alert,
+  LinearProgress,
   List,
   ListItem,
-  ListItemIcon,
-  ListItemText
+  ListItemText,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
 } from '@mui/material';
-import {
-  TrendingUp,
-  TrendingDown,
-  Assessment,
-  Warning,
-  CheckCircle,
-  Info
-} from '@mui/icons-material';
-
-const AnalysisDashboard = ({ data }) => {
+import AnalysisChat from './AnalysisChat.js';
+import KPICards from './KPICards.js';
+import CashFlowForecast from './CashFlowForecast.js';
+import AnomalyTable from './AnomalyTable.js';
+import ProcurementSuggestions from './ProcurementSuggestions.js';
+import DataQualityGauge from './DataQualityGauge.js';
+import { labelFromKey, severityColor } from './formatting.js';
+
+// Result fields rendered by a dedicated widget or only used as context
+const WIDGET_FIELDS = new Set([
+  'summary',
+  'kpis',
+  'kpiPeriod',
+  'kpiNotes',
+  'kpiDiscrepancies',
+  'cashFlowForecast',
+  'anomalies',
+  'anomalyExplanations',
+  'procurementSuggestions',
+  'costReductions',
+  'dataQuality',
+  'reportingCurrency',
+  'analysisType',
+  'promptTemplate',
+  'promptStrategy'
+]);
+
+const Section = ({ title, children, ...props }) => (
+  <Paper sx={{ p: 3, mb: 3 }} {...props}>
+    <Typography variant="h5" gutterBottom>
+      {title}
+    </Typography>
+    <Divider sx={{ mb: 2 }} />
+    {children}
+  </Paper>
+);
+
+const formatCell = (field, value) => {
+  if (field === 'severity' || field === 'effect' || field === 'direction') {
+    const color = field === 'severity'
+      ? severityColor(value)
+      : ['positive', 'up'].includes(value) ? 'success' : ['negative', 'down'].includes(value) ? 'error' : 'default';
+    return <Chip size="small" label={value} color={color} />;
+  }
+  if (value == null) return '—';
+  return typeof value === 'object' ? Object.values(value).join(', ') : String(value);
+};
+
+/**
+ * Commentary fields of the analysis types (cash-flow risks, margin drivers,
+ * trends, custom findings): text as paragraphs, lists of objects as tables
+ */
+const NarrativeField = ({ value }) => {
+  if (typeof value === 'string') {
+    return <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>{value}</Typography>;
+  }
+
+  if (Array.isArray(value) && value.length === 0) {
+    return <Typography variant="body2" color="text.secondary">None reported.</Typography>;
+  }
+
+  if (Array.isArray(value) && value.every(item => item && typeof item === 'object')) {
+    const fields = [...new Set(value.flatMap(item => Object.keys(item)))];
+    return (
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {fields.map(field => <TableCell key={field}>{labelFromKey(field)}</TableCell>)}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {value.map((item, index) => (
+            <TableRow key={index}>
+              {fields.map(field => <TableCell key={field}>{formatCell(field, item[field])}</TableCell>)}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return (
+      <List dense>
+        {value.map((item, index) => (
+          <ListItem key={index} sx={{ px: 0 }}>
+            <ListItemText primary={String(item)} />
+          </ListItem>
+        ))}
+      </List>
+    );
+  }
+
+  return <Typography variant="body1">{String(value)}</Typography>;
+};
+
+/**
+ * Shows an analysis result. While the result streams in (`streaming`) sections
+ * appear as they complete and the summary grows as it is written; `interrupted`
+ * marks a result whose stream broke off. `records` is the analyzed data, used to
+ * open the source records of anomalies.
+ */
+const AnalysisDashboard = ({ data, records, streaming = false, interrupted = false }) => {
   if (!data) {
     return (
       <Box textAlign="center" py={4}>
@@ -33,32 +130,27 @@ const AnalysisDashboard = ({ data }) => {
     );
   }
 
-  const { analysis, insights, recommendations, summary } = data;
-
-  const getSeverityColor = (severity) => {
-    switch (severity?.toLowerCase()) {
-      case 'high': return 'error';
-      case 'medium': return 'warning';
-      case 'low': return 'success';
-      default: return 'info';
-    }
-  };
-
-  const getSeverityIcon = (severity) => {
-    switch (severity?.toLowerCase()) {
-      case 'high': return <Warning />;
-      case 'medium': return <Info />;
-      case 'low': return <CheckCircle />;
-      default: return <Assessment />;
-    }
-  };
+  const { analysis, metadata } = data;
+  const result = analysis && typeof analysis === 'object' ? analysis : {};
+  const summary = data.summary || result.summary;
+  const currency = result.reportingCurrency;
+  const savings = result.procurementSuggestions || result.costReductions;
+  const narrative = Object.entries(result).filter(([key]) => !WIDGET_FIELDS.has(key));
 
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
         Financial Analysis Results
+        {streaming && <Chip label="Generating..." color="primary" size="small" sx={{ ml: 2, verticalAlign: 'middle' }} />}
       </Typography>
 
+      {streaming && <LinearProgress sx={{ mb: 3 }} />}
+      {interrupted && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          The analysis was interrupted before it finished. The sections below are incomplete; run the analysis again for the full result.
+        </Alert>
+      )}
+
       {/* Summary Section */}
       {summary && (
         <Paper sx={{ p: 3, mb: 3 }}>
@@ -71,103 +163,73 @@ const AnalysisDashboard = ({ data }) => {
         </Paper>
       )}
 
+      {typeof analysis === 'string' && (
+        <Section title="Detailed Analysis">
+          <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
+            {analysis}
+          </Typography>
+        </Section>
+      )}
+
+      {result.kpis && (
+        <Section title="Key Performance Indicators">
+          <KPICards
+            kpis={result.kpis}
+            period={result.kpiPeriod}
+            notes={result.kpiNotes}
+            discrepancies={result.kpiDiscrepancies}
+            currency={currency}
+          />
+        </Section>
+      )}
+
+      {result.cashFlowForecast && (
+        <Section title="Cash-Flow Forecast">
+          <CashFlowForecast forecast={result.cashFlowForecast} currency={currency} />
+        </Section>
+      )}
+
+      {result.anomalies && (
+        <Section title="Anomalies">
+          <AnomalyTable anomalies={result.anomalies} records={records} />
+        </Section>
+      )}
+
+      {narrative.map(([key, value]) => (
+        <Section key={key} title={labelFromKey(key)}>
+          <NarrativeField value={value} />
+        </Section>
+      ))}
+
       <Grid container spacing={3}>
-        {/* Main Analysis */}
-        <Grid item xs={12} md={8}>
-          <Paper sx={{ p: 3, height: 'fit-content' }}>
-            <Typography variant="h5" gutterBottom>
-              Detailed Analysis
-            </Typography>
-            <Divider sx={{ mb: 2 }} />
-            
-            {typeof analysis === 'string' ? (
-              <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
-                {analysis}
-              </Typography>
-            ) : (
-              <Box>
-                {Object.entries(analysis || {}).map(([key, value]) => (
-                  <Box key={key} sx={{ mb: 2 }}>
-                    <Typography variant="h6" color="primary" gutterBottom>
-                      {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-                    </Typography>
-                    <Typography variant="body1">
-                      {typeof value === 'object' ? JSON.stringify(value, null, 2) : value}
-                    </Typography>
-                  </Box>
-                ))}
-              </Box>
-            )}
-          </Paper>
-        </Grid>
-
-        {/* Insights & Recommendations */}
-        <Grid item xs={12} md={4}>
-          {/* Key Insights */}
-          {insights && insights.length > 0 && (
-            <Card sx={{ mb: 3 }}>
-              <CardContent>
-                <Typography variant="h6" gutterBottom color="primary">
-                  Key Insights
-                </Typography>
-                <List dense>
-                  {insights.map((insight, index) => (
-                    <ListItem key={index} sx={{ px: 0 }}>
-                      <ListItemIcon>
-                        {getSeverityIcon(insight.severity)}
-                      </ListItemIcon>
-                      <ListItemText
-                        primary={insight.title || insight.text || insight}
-                        secondary={insight.description}
-                      />
-                      {insight.severity && (
-                        <Chip
-                          label={insight.severity}
-                          color={getSeverityColor(insight.severity)}
-                          size="small"
-                        />
-                      )}
-                    </ListItem>
-                  ))}
-                </List>
-              </CardContent>
-            </Card>
-          )}
-
-          {/* Recommendations */}
-          {recommendations && recommendations.length > 0 && (
-            <Card>
-              <CardContent>
-                <Typography variant="h6" gutterBottom color="primary">
-                  Recommendations
-                </Typography>
-                <List dense>
-                  {recommendations.map((rec, index) => (
-                    <ListItem key={index} sx={{ px: 0 }}>
-                      <ListItemIcon>
-                        <TrendingUp color="success" />
-                      </ListItemIcon>
-                      <ListItemText
-                        primary={rec.title || rec.text || rec}
-                        secondary={rec.description}
-                      />
-                      {rec.priority && (
-                        <Chip
-                          label={rec.priority}
-                          color={getSeverityColor(rec.priority)}
-                          size="small"
-                        />
-                      )}
-                    </ListItem>
-                  ))}
-                </List>
-              </CardContent>
-            </Card>
-          )}
-        </Grid>
+        {savings && (
+          <Grid item xs={12} md={result.dataQuality ? 7 : 12}>
+            <Section title={result.costReductions && !result.procurementSuggestions ? 'Cost Reductions' : 'Procurement Suggestions'} sx={{ p: 3, height: '100%' }}>
+              <ProcurementSuggestions suggestions={savings} currency={currency} />
+            </Section>
+          </Grid>
+        )}
+        {result.dataQuality && (
+          <Grid item xs={12} md={savings ? 5 : 12}>
+            <Section title="Data Quality" sx={{ p: 3, height: '100%' }}>
+              <DataQualityGauge dataQuality={result.dataQuality} />
+            </Section>
+          </Grid>
+        )}
       </Grid>
+
+      {!streaming && !interrupted && (
+        <Paper sx={{ p: 3, mt: 3 }}>
+          <Typography variant="h5" gutterBottom>
+            Ask About This Analysis
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          {/* A new analysis starts a new conversation */}
+          <AnalysisChat key={metadata?.analysisId || 'unsaved'} analysisId={metadata?.analysisId} />
+        </Paper>
+      )}
     </Box>
   );
 };
 
-export default AnalysisDashboard;
\ No newline at end of file
+export default AnalysisDashboard;
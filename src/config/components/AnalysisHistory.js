@@ -0,0 +1,210 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Button,
+  IconButton,
+  Chip,
+  Checkbox,
+  CircularProgress
+} from '@mui/material';
+import { CompareArrows, Delete, OpenInNew, Refresh } from '@mui/icons-material';
+import axios from 'axios';
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+const formatDuration = (timings) => {
+  const ms = (timings?.ingestionMs || 0) + (timings?.analysisMs || 0);
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+};
+
+/**
+ * Lists stored analyses so a past run can be re-opened in the dashboard without
+ * calling the model again, or two runs compared period over period
+ */
+const AnalysisHistory = ({ onOpen, onCompare, onError }) => {
+  const [analyses, setAnalyses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [openingId, setOpeningId] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [comparing, setComparing] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/analyses');
+      setAnalyses(response.data.analyses);
+    } catch (error) {
+      console.error('History load error:', error);
+      onError(error.response?.data?.message || 'Failed to load analysis history');
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleOpen = async (id) => {
+    setOpeningId(id);
+    try {
+      const { analysis } = (await axios.get(`/api/analyses/${id}`)).data;
+      // Same shape as a fresh /api/analyze response
+      onOpen({
+        success: true,
+        analysis: analysis.result,
+        metadata: {
+          analysisId: analysis.id,
+          processedAt: analysis.createdAt,
+          recordsProcessed: analysis.recordCount,
+          reportingCurrency: analysis.reportingCurrency,
+          promptVersion: analysis.promptVersion,
+          fx: analysis.data?.metadata?.fx
+        },
+        parsedData: analysis.data
+      });
+    } catch (error) {
+      console.error('History open error:', error);
+      onError(error.response?.data?.message || 'Failed to open analysis');
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    // Keep the two most recent picks
+    setSelected(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id].slice(-2)));
+  };
+
+  const handleCompare = async () => {
+    // The older analysis is the base period
+    const [base, current] = analyses
+      .filter(analysis => selected.includes(analysis.id))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    setComparing(true);
+    try {
+      const response = await axios.post('/api/compare', {
+        base: { analysisId: base.id },
+        current: { analysisId: current.id }
+      });
+      onCompare(response.data.comparison);
+    } catch (error) {
+      console.error('Comparison error:', error);
+      onError(error.response?.data?.message || 'Failed to compare analyses');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`/api/analyses/${id}`);
+      setAnalyses(prev => prev.filter(analysis => analysis.id !== id));
+      setSelected(prev => prev.filter(item => item !== id));
+    } catch (error) {
+      console.error('History delete error:', error);
+      onError(error.response?.data?.message || 'Failed to delete analysis');
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" alignItems="center" justifyContent="space-between">
+        <Typography variant="h6">
+          Analysis History
+        </Typography>
+        <Box>
+          <Button
+            startIcon={<CompareArrows />}
+            onClick={handleCompare}
+            disabled={selected.length !== 2 || comparing}
+          >
+            Compare Selected
+          </Button>
+          <Button startIcon={<Refresh />} onClick={loadHistory} disabled={loading}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {loading && (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {!loading && analyses.length === 0 && (
+        <Typography color="text.secondary" sx={{ mt: 2 }}>
+          No stored analyses yet. Completed analyses appear here.
+        </Typography>
+      )}
+
+      {!loading && analyses.length > 0 && (
+        <Paper variant="outlined" sx={{ mt: 2, overflowX: 'auto' }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>Date</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell align="right">Records</TableCell>
+                <TableCell>Currency</TableCell>
+                <TableCell>Model</TableCell>
+                <TableCell>Duration</TableCell>
+                <TableCell>Summary</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {analyses.map(analysis => (
+                <TableRow key={analysis.id} hover selected={selected.includes(analysis.id)}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={selected.includes(analysis.id)}
+                      onChange={() => toggleSelected(analysis.id)}
+                    />
+                  </TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(analysis.createdAt)}</TableCell>
+                  <TableCell>{analysis.request?.fileName || analysis.request?.source || '—'}</TableCell>
+                  <TableCell align="right">{analysis.recordCount ?? '—'}</TableCell>
+                  <TableCell>{analysis.reportingCurrency || '—'}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={`${analysis.model.name} · ${analysis.promptVersion}`} />
+                  </TableCell>
+                  <TableCell>{formatDuration(analysis.timings)}</TableCell>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography variant="body2" noWrap title={analysis.summary}>
+                      {analysis.summary || '—'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                    <IconButton
+                      title="Open in dashboard"
+                      onClick={() => handleOpen(analysis.id)}
+                      disabled={openingId === analysis.id}
+                    >
+                      <OpenInNew />
+                    </IconButton>
+                    <IconButton title="Delete" onClick={() => handleDelete(analysis.id)}>
+                      <Delete />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default AnalysisHistory;
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableSortLabel,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button
+} from '@mui/material';
+import { severityColor } from './formatting.js';
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const TYPE_LABELS = {
+  duplicate: 'Duplicate',
+  outlier: 'Outlier',
+  fraud_risk: 'Fraud risk'
+};
+
+const COLUMNS = [
+  { key: 'severity', label: 'Severity' },
+  { key: 'type', label: 'Type' },
+  { key: 'entryId', label: 'Records' },
+  { key: 'issue', label: 'Issue', sortable: false }
+];
+
+// Source records by the entry id the anomaly detection assigns
+const RECORD_CATEGORIES = ['invoices', 'expenses', 'payments'];
+
+const indexRecords = (records) => {
+  const index = new Map();
+  RECORD_CATEGORIES.forEach(category => (records?.[category] || []).forEach((record, position) => {
+    index.set(record.id != null ? String(record.id) : `${category}[${position}]`, { category, record });
+  }));
+  return index;
+};
+
+const compare = (key) => (a, b) => {
+  if (key === 'severity') return (SEVERITY_RANK[a.severity] ?? 3) - (SEVERITY_RANK[b.severity] ?? 3);
+  return String(a[key] ?? '').localeCompare(String(b[key] ?? ''));
+};
+
+const entryIdsOf = (anomaly) => [
+  ...(anomaly.entryIds || (anomaly.entryId ? [anomaly.entryId] : [])),
+  ...(anomaly.relatedEntryId ? [anomaly.relatedEntryId] : [])
+];
+
+/**
+ * Detected anomalies, sortable by column. Record chips open the source record
+ * when the uploaded data is available.
+ */
+const AnomalyTable = ({ anomalies, records }) => {
+  const [sort, setSort] = useState({ key: 'severity', direction: 'asc' });
+  const [selected, setSelected] = useState(null);
+  const recordIndex = useMemo(() => indexRecords(records), [records]);
+
+  const sorted = useMemo(() => {
+    const rows = [...(anomalies || [])].sort(compare(sort.key));
+    return sort.direction === 'asc' ? rows : rows.reverse();
+  }, [anomalies, sort]);
+
+  if (!anomalies || anomalies.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No anomalies detected.
+      </Typography>
+    );
+  }
+
+  const toggleSort = (key) => setSort(previous => ({
+    key,
+    direction: previous.key === key && previous.direction === 'asc' ? 'desc' : 'asc'
+  }));
+
+  return (
+    <Box>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {COLUMNS.map(column => (
+              <TableCell key={column.key}>
+                {column.sortable === false ? column.label : (
+                  <TableSortLabel
+                    active={sort.key === column.key}
+                    direction={sort.key === column.key ? sort.direction : 'asc'}
+                    onClick={() => toggleSort(column.key)}
+                  >
+                    {column.label}
+                  </TableSortLabel>
+                )}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {sorted.map(anomaly => (
+            <TableRow key={anomaly.anomalyId || `${anomaly.type}-${anomaly.entryId}-${anomaly.issue}`}>
+              <TableCell>
+                <Chip size="small" label={anomaly.severity} color={severityColor(anomaly.severity)} />
+              </TableCell>
+              <TableCell>
+                {TYPE_LABELS[anomaly.type] || anomaly.type}
+                {anomaly.rule && (
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {anomaly.rule}
+                  </Typography>
+                )}
+              </TableCell>
+              <TableCell>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {entryIdsOf(anomaly).map(entryId => (
+                    <Chip
+                      key={entryId}
+                      size="small"
+                      variant="outlined"
+                      label={entryId}
+                      onClick={recordIndex.has(entryId) ? () => setSelected({ entryId, ...recordIndex.get(entryId) }) : undefined}
+                    />
+                  ))}
+                </Box>
+              </TableCell>
+              <TableCell>
+                <Typography variant="body2">{anomaly.issue}</Typography>
+                {anomaly.explanation && (
+                  <Typography variant="caption" color="text.secondary">
+                    {anomaly.explanation}
+                  </Typography>
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{selected?.entryId}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            From {selected?.category}
+          </Typography>
+          <Table size="small">
+            <TableBody>
+              {Object.entries(selected?.record || {}).map(([field, value]) => (
+                <TableRow key={field}>
+                  <TableCell component="th">{field}</TableCell>
+                  <TableCell>{value == null ? '—' : String(value)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AnomalyTable;
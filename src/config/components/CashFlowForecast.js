@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert
+} from '@mui/material';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { formatCurrency, formatNumber } from './formatting.js';
+
+/**
+ * Monthly rows of the forecast. Older results only carry month1..month3 totals
+ * without dates or a confidence band.
+ */
+const monthlyRows = (forecast) => {
+  if (Array.isArray(forecast.monthly) && forecast.monthly.length > 0) return forecast.monthly;
+  return ['month1', 'month2', 'month3']
+    .filter(key => forecast[key])
+    .map((key, index) => ({ month: index + 1, ...forecast[key] }));
+};
+
+/**
+ * Projected balance chart with its confidence band, and a table of monthly flows
+ */
+const CashFlowForecast = ({ forecast, currency }) => {
+  const [resolution, setResolution] = useState('weekly');
+
+  if (!forecast) return null;
+
+  const rows = monthlyRows(forecast);
+  const series = (forecast[resolution]?.length ? forecast[resolution] : rows).map(point => ({
+    label: point.date || point.end || `Month ${point.month}`,
+    balance: point.cumulativeBalance,
+    band: point.low != null && point.high != null ? [point.low, point.high] : null
+  }));
+  const money = value => formatCurrency(value, currency);
+
+  if (rows.length === 0) {
+    return (
+      <Alert severity="info">
+        {forecast.notes?.[0] || 'Not enough dated records to forecast cash flow.'}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="body2" color="text.secondary">
+          {forecast.asOf
+            ? `From ${forecast.asOf} with an opening balance of ${money(forecast.openingBalance)}`
+            : 'Projected balance'}
+        </Typography>
+        {forecast.daily?.length > 0 && (
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={resolution}
+            onChange={(event, value) => value && setResolution(value)}
+          >
+            <ToggleButton value="daily">Daily</ToggleButton>
+            <ToggleButton value="weekly">Weekly</ToggleButton>
+          </ToggleButtonGroup>
+        )}
+      </Box>
+
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={series}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis tickFormatter={formatNumber} />
+          <Tooltip formatter={value => (Array.isArray(value) ? value.map(money).join(' – ') : money(value))} />
+          <Legend />
+          <Area type="monotone" dataKey="band" name="Confidence band" stroke="none" fill="#1976d2" fillOpacity={0.15} />
+          <Line type="monotone" dataKey="balance" name="Projected balance" stroke="#1976d2" dot={false} strokeWidth={2} />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <Table size="small" sx={{ mt: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Period</TableCell>
+            <TableCell align="right">Inflow</TableCell>
+            <TableCell align="right">Outflow</TableCell>
+            <TableCell align="right">Net flow</TableCell>
+            <TableCell align="right">Balance</TableCell>
+            <TableCell align="right">Range</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map(row => (
+            <TableRow key={row.month}>
+              <TableCell>{row.start ? `${row.start} – ${row.end}` : `Month ${row.month}`}</TableCell>
+              <TableCell align="right">{money(row.inflow)}</TableCell>
+              <TableCell align="right">{money(row.outflow)}</TableCell>
+              <TableCell align="right" sx={{ color: row.netFlow < 0 ? 'error.main' : 'success.main' }}>
+                {money(row.netFlow)}
+              </TableCell>
+              <TableCell align="right">{money(row.cumulativeBalance)}</TableCell>
+              <TableCell align="right">
+                {row.low != null ? `${money(row.low)} – ${money(row.high)}` : '—'}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {forecast.notes?.length > 0 && (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          {forecast.notes.map(note => <div key={note}>{note}</div>)}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default CashFlowForecast;
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  TextField,
+  Button
+} from '@mui/material';
+import { Save } from '@mui/icons-material';
+
+const CATEGORY_LABELS = {
+  invoices: 'Invoices',
+  expenses: 'Expenses',
+  payments: 'Payments',
+  balances: 'Balances'
+};
+
+const confidenceColor = (confidence) => {
+  if (confidence >= 0.8) return 'success';
+  if (confidence >= 0.5) return 'warning';
+  return 'default';
+};
+
+const ConfidenceChip = ({ confidence, manual }) => (
+  <Chip
+    size="small"
+    label={manual ? 'manual' : `${Math.round(confidence * 100)}%`}
+    color={manual ? 'primary' : confidenceColor(confidence)}
+    variant={manual ? 'outlined' : 'filled'}
+  />
+);
+
+const MappingTable = ({ table, mapping, targetFields, profiles, onChange, onSaveProfile }) => {
+  const [profileName, setProfileName] = useState(mapping.profile || '');
+  const suggested = Object.fromEntries(table.suggestion.columns.map(c => [c.column, c]));
+  const fields = targetFields[mapping.category]?.fields || [];
+  const required = targetFields[mapping.category]?.required || [];
+  const mappedFields = Object.values(mapping.columns).filter(Boolean);
+  const missing = required.filter(field =>
+    !mappedFields.includes(field) && !(mapping.category === 'payments' && field === 'type'));
+
+  const setCategory = (category) => {
+    const allowed = targetFields[category]?.fields || [];
+    onChange({
+      ...mapping,
+      category,
+      profile: undefined,
+      columns: Object.fromEntries(Object.entries(mapping.columns).map(
+        ([column, field]) => [column, allowed.includes(field) ? field : null]
+      ))
+    });
+  };
+
+  const setField = (column, field) => {
+    onChange({
+      ...mapping,
+      profile: undefined,
+      columns: {
+        // A field can only come from one column
+        ...Object.fromEntries(Object.entries(mapping.columns).map(
+          ([name, current]) => [name, field && current === field ? null : current]
+        )),
+        [column]: field || null
+      }
+    });
+  };
+
+  const applyProfile = (name) => {
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) return;
+    setProfileName(profile.name);
+    onChange({
+      ...mapping,
+      category: profile.category,
+      profile: profile.name,
+      columns: Object.fromEntries(table.columns.map(({ name: column }) => [column, profile.columns[column] || null]))
+    });
+  };
+
+  return (
+    <Paper sx={{ mt: 2, p: 2 }}>
+      <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+        <Typography variant="subtitle1">
+          {mapping.fileName}{table.sheetName ? ` — ${table.sheetName}` : ''} ({table.rowCount} rows)
+        </Typography>
+        {table.profile && (
+          <Chip size="small" color="info" label={`Matched profile: ${table.profile.name}`} />
+        )}
+      </Box>
+
+      <Box display="flex" alignItems="center" gap={2} sx={{ mt: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel>Record type</InputLabel>
+          <Select
+            value={mapping.category}
+            label="Record type"
+            onChange={(e) => setCategory(e.target.value)}
+          >
+            {Object.keys(targetFields).map(category => (
+              <MenuItem key={category} value={category}>{CATEGORY_LABELS[category] || category}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <ConfidenceChip
+          confidence={table.suggestion.category.confidence}
+          manual={mapping.category !== table.suggestion.category.value}
+        />
+        <Typography variant="body2" color="text.secondary">
+          {table.suggestion.category.reason}
+        </Typography>
+      </Box>
+
+      <Table size="small" sx={{ mt: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Column</TableCell>
+            <TableCell>Type</TableCell>
+            <TableCell>Samples</TableCell>
+            <TableCell>Maps to</TableCell>
+            <TableCell>Confidence</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {table.columns.map(column => {
+            const field = mapping.columns[column.name] || '';
+            const suggestion = suggested[column.name];
+            return (
+              <TableRow key={column.name}>
+                <TableCell>{column.name}</TableCell>
+                <TableCell>{column.inferredType}</TableCell>
+                <TableCell sx={{ color: 'text.secondary' }}>{column.samples.join(', ')}</TableCell>
+                <TableCell>
+                  <Select
+                    size="small"
+                    value={field}
+                    displayEmpty
+                    onChange={(e) => setField(column.name, e.target.value)}
+                    sx={{ minWidth: 160 }}
+                  >
+                    <MenuItem value=""><em>Ignore</em></MenuItem>
+                    {fields.map(name => (
+                      <MenuItem key={name} value={name}>
+                        {name}{required.includes(name) ? ' *' : ''}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </TableCell>
+                <TableCell title={suggestion?.reason}>
+                  {field && (
+                    <ConfidenceChip
+                      confidence={suggestion?.confidence || 0}
+                      manual={suggestion?.field !== field}
+                    />
+                  )}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      {missing.length > 0 && (
+        <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+          Required fields not mapped: {missing.join(', ')}
+        </Typography>
+      )}
+
+      <Box display="flex" alignItems="center" gap={2} sx={{ mt: 2 }} flexWrap="wrap">
+        {profiles.length > 0 && (
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Apply saved profile</InputLabel>
+            <Select
+              value=""
+              label="Apply saved profile"
+              onChange={(e) => applyProfile(e.target.value)}
+            >
+              {profiles.map(profile => (
+                <MenuItem key={profile.name} value={profile.name}>{profile.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+        <TextField
+          size="small"
+          label="Profile name"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          placeholder="e.g. QuickBooks expenses"
+        />
+        <Button
+          variant="outlined"
+          startIcon={<Save />}
+          disabled={!profileName.trim() || missing.length > 0}
+          onClick={() => onSaveProfile(profileName.trim(), mapping)}
+        >
+          Save Profile
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+/**
+ * Lets the user confirm or adjust the suggested record type and column mapping of
+ * every uploaded table, and save a mapping as a named profile for later exports
+ */
+const ColumnMappingStep = ({ preview, mappings, profiles, onMappingChange, onSaveProfile }) => {
+  let index = 0;
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Confirm Column Mapping
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        Check which field each column feeds. Suggestions are based on column names and values.
+      </Typography>
+
+      {preview.files.every(file => file.tables.length === 0) && (
+        <Typography variant="body2" sx={{ mt: 2 }}>
+          These files already use standard fields (categorized JSON or bank statements), so no mapping is needed.
+        </Typography>
+      )}
+
+      {preview.files.map(file => file.tables.map(table => {
+        const mappingIndex = index++;
+        return (
+          <MappingTable
+            key={`${file.fileName}:${table.sheetName || ''}`}
+            table={table}
+            mapping={mappings[mappingIndex]}
+            targetFields={preview.targetFields}
+            profiles={profiles}
+            onChange={(mapping) => onMappingChange(mappingIndex, mapping)}
+            onSaveProfile={(name, mapping) => onSaveProfile(mappingIndex, name, mapping)}
+          />
+        );
+      }))}
+    </Box>
+  );
+};
+
+export default ColumnMappingStep;
@@ -0,0 +1,255 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { ArrowUpward, ArrowDownward, Remove } from '@mui/icons-material';
+import { KPI_LABELS, formatNumber, formatKPI } from './formatting.js';
+
+const METRIC_LABELS = {
+  revenue: 'Revenue',
+  totalExpenses: 'Expenses',
+  cashInflow: 'Cash in',
+  cashOutflow: 'Cash out',
+  cash: 'Cash',
+  receivables: 'Receivables',
+  payables: 'Payables'
+};
+
+const directionColor = (direction) => {
+  if (direction === 'improved') return 'success';
+  if (direction === 'worsened') return 'error';
+  return 'default';
+};
+
+const DeltaChip = ({ change, changePct, color = 'default' }) => {
+  if (change == null) return <Chip size="small" label="n/a" variant="outlined" />;
+
+  const icon = change > 0 ? <ArrowUpward /> : change < 0 ? <ArrowDownward /> : <Remove />;
+  const label = `${change > 0 ? '+' : ''}${formatNumber(change)}${changePct != null ? ` (${changePct > 0 ? '+' : ''}${changePct}%)` : ''}`;
+  return <Chip size="small" icon={icon} label={label} color={color} />;
+};
+
+const periodLabel = (side) => (side.period ? `${side.period.start} – ${side.period.end}` : 'No dated records');
+
+const AnomalyList = ({ title, anomalies, color }) => (
+  <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+    <Typography variant="subtitle1" gutterBottom>
+      {title} <Chip size="small" label={anomalies.length} color={color} />
+    </Typography>
+    <List dense>
+      {anomalies.slice(0, 10).map(anomaly => (
+        <ListItem key={`${anomaly.rule}:${anomaly.entryId ?? anomaly.anomalyId}`} disableGutters>
+          <ListItemText
+            primary={anomaly.issue}
+            secondary={`${anomaly.rule || anomaly.type} · ${anomaly.severity}${anomaly.entryId ? ` · ${anomaly.entryId}` : ''}`}
+          />
+        </ListItem>
+      ))}
+      {anomalies.length > 10 && (
+        <ListItem disableGutters>
+          <ListItemText secondary={`and ${anomalies.length - 10} more`} />
+        </ListItem>
+      )}
+    </List>
+  </Paper>
+);
+
+/**
+ * Side-by-side view of a period-over-period comparison: KPI cards for both
+ * periods with their deltas, the biggest drivers and the anomaly changes
+ */
+const ComparisonDashboard = ({ comparison }) => {
+  if (!comparison) {
+    return (
+      <Box textAlign="center" py={4}>
+        <Typography variant="h6" color="text.secondary">
+          Select two stored analyses in History to compare them
+        </Typography>
+      </Box>
+    );
+  }
+
+  const { base, current, kpis, inputs, forecast, anomalies, drivers, highlights, notes } = comparison;
+  const currency = comparison.reportingCurrency || '';
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Period Comparison
+      </Typography>
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {[base, current].map((side, index) => (
+          <Grid item xs={12} md={6} key={index}>
+            <Paper variant="outlined" sx={{ p: 2 }}>
+              <Typography variant="overline">{index === 0 ? 'Base' : 'Current'}</Typography>
+              <Typography variant="h6">{side.label}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {periodLabel(side)} · {side.recordCount} records{currency ? ` · ${currency}` : ''}
+              </Typography>
+            </Paper>
+          </Grid>
+        ))}
+      </Grid>
+
+      {highlights.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>What changed</Typography>
+          <List dense>
+            {highlights.map(highlight => (
+              <ListItem key={highlight} disableGutters>
+                <ListItemText primary={highlight} />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      <Typography variant="h6" gutterBottom>KPIs</Typography>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {kpis.map(kpi => (
+          <Grid item xs={12} sm={6} md={4} key={kpi.kpi}>
+            <Card variant="outlined">
+              <CardContent>
+                <Typography variant="subtitle2" color="text.secondary">{KPI_LABELS[kpi.kpi] || kpi.kpi}</Typography>
+                <Box display="flex" justifyContent="space-between" alignItems="baseline" sx={{ my: 1 }}>
+                  <Typography variant="body1" color="text.secondary">{formatKPI(kpi.kpi, kpi.base)}</Typography>
+                  <Typography variant="h5">{formatKPI(kpi.kpi, kpi.current)}</Typography>
+                </Box>
+                <DeltaChip
+                  change={kpi.kpi === 'grossMargin' && kpi.change != null ? Math.round(kpi.change * 1000) / 10 : kpi.change}
+                  changePct={kpi.changePct}
+                  color={directionColor(kpi.direction)}
+                />
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={6}>
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Typography variant="h6" gutterBottom>Totals {currency && `(${currency})`}</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell />
+                  <TableCell align="right">Base</TableCell>
+                  <TableCell align="right">Current</TableCell>
+                  <TableCell align="right">Change</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {inputs.map(input => (
+                  <TableRow key={input.metric}>
+                    <TableCell>{METRIC_LABELS[input.metric] || input.metric}</TableCell>
+                    <TableCell align="right">{formatNumber(input.base)}</TableCell>
+                    <TableCell align="right">{formatNumber(input.current)}</TableCell>
+                    <TableCell align="right"><DeltaChip change={input.change} changePct={input.changePct} /></TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Typography variant="h6" gutterBottom>Cash-flow forecast</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell />
+                  <TableCell align="right">Base net flow</TableCell>
+                  <TableCell align="right">Current net flow</TableCell>
+                  <TableCell align="right">Change</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>Opening balance</TableCell>
+                  <TableCell align="right">{formatNumber(forecast.openingBalance.base)}</TableCell>
+                  <TableCell align="right">{formatNumber(forecast.openingBalance.current)}</TableCell>
+                  <TableCell align="right"><DeltaChip {...forecast.openingBalance} /></TableCell>
+                </TableRow>
+                {forecast.months.map(month => (
+                  <TableRow key={month.month}>
+                    <TableCell>Month {month.month.slice(-1)}</TableCell>
+                    <TableCell align="right">{formatNumber(month.netFlow.base)}</TableCell>
+                    <TableCell align="right">{formatNumber(month.netFlow.current)}</TableCell>
+                    <TableCell align="right"><DeltaChip {...month.netFlow} /></TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Typography variant="h6" gutterBottom>Biggest drivers</Typography>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {drivers.map(driver => (
+          <Grid item xs={12} md={4} key={`${driver.metric}:${driver.dimension}`}>
+            <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+              <Typography variant="subtitle1" gutterBottom>
+                {METRIC_LABELS[driver.metric]} by {driver.dimension}
+              </Typography>
+              {driver.items.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">No change</Typography>
+              ) : (
+                <Table size="small">
+                  <TableBody>
+                    {driver.items.map(item => (
+                      <TableRow key={item.key}>
+                        <TableCell>{item.key}</TableCell>
+                        <TableCell align="right">
+                          <DeltaChip change={item.change} />
+                        </TableCell>
+                        <TableCell align="right">
+                          {item.share != null ? `${Math.round(item.share * 100)}%` : ''}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </Paper>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Typography variant="h6" gutterBottom>Anomalies</Typography>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={6}>
+          <AnomalyList title="New" anomalies={anomalies.new} color="error" />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <AnomalyList title="Resolved" anomalies={anomalies.resolved} color="success" />
+        </Grid>
+      </Grid>
+
+      {notes.length > 0 && (
+        <Box>
+          {notes.map(note => (
+            <Typography key={note} variant="body2" color="text.secondary">{note}</Typography>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ComparisonDashboard;
@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+
+const gaugeColor = (value) => (value >= 90 ? 'success' : value >= 70 ? 'warning' : 'error');
+
+const Gauge = ({ label, value }) => (
+  <Box textAlign="center">
+    <Box position="relative" display="inline-flex">
+      <CircularProgress variant="determinate" value={value} size={80} thickness={5} color={gaugeColor(value)} />
+      <Box position="absolute" top={0} left={0} bottom={0} right={0} display="flex" alignItems="center" justifyContent="center">
+        <Typography variant="subtitle1">{Math.round(value)}%</Typography>
+      </Box>
+    </Box>
+    <Typography variant="body2" color="text.secondary">{label}</Typography>
+  </Box>
+);
+
+/**
+ * Completeness and accuracy scores (0-100) with the reported issues and fixes
+ */
+const DataQualityGauge = ({ dataQuality }) => {
+  if (!dataQuality) return null;
+
+  const { completeness = 0, accuracy = 0, issues = [], recommendations = [] } = dataQuality;
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-around" mb={2}>
+        <Gauge label="Completeness" value={completeness} />
+        <Gauge label="Accuracy" value={accuracy} />
+      </Box>
+      {issues.length > 0 && (
+        <>
+          <Typography variant="subtitle2">Issues</Typography>
+          <List dense>
+            {issues.map(issue => (
+              <ListItem key={issue} sx={{ px: 0 }}>
+                <ListItemText primary={issue} />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+      {recommendations.length > 0 && (
+        <>
+          <Typography variant="subtitle2">Recommendations</Typography>
+          <List dense>
+            {recommendations.map(recommendation => (
+              <ListItem key={recommendation} sx={{ px: 0 }}>
+                <ListItemText primary={recommendation} />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default DataQualityGauge;
@@ -20,14 +20,48 @@ import {
   CloudUpload,
   Description,
   Delete,
-  Send
+  Send,
+  TableChart
 } from '@mui/icons-material';
 import axios from 'axios';
+import ColumnMappingStep from './ColumnMappingStep.js';
 
-const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload, loading }) => {
+const REPORTING_CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'CAD', 'AUD', 'JPY'];
+// Matches the server's default LLM_CUSTOM_PROMPT_MAX_LENGTH
+const CUSTOM_PROMPT_MAX_LENGTH = 2000;
+
+// One mapping per previewed table, starting from the server's suggestion
+const initialMappings = (preview) => preview.files.flatMap(file => file.tables.map(table => ({
+  fileName: file.fileName,
+  sheetName: table.sheetName || undefined,
+  category: table.suggestion.category.value,
+  columns: Object.fromEntries(table.suggestion.columns.map(c => [c.column, c.field])),
+  profile: table.profile?.name
+})));
+
+const FileUpload = ({
+  onAnalysisComplete,
+  onAnalysisStart,
+  onAnalysisCancelled,
+  onProgress,
+  onPartial,
+  onError,
+  onDataUpload,
+  loading
+}) => {
   const [files, setFiles] = useState([]);
   const [analysisType, setAnalysisType] = useState('general');
   const [customPrompt, setCustomPrompt] = useState('');
+  const [reportingCurrency, setReportingCurrency] = useState('USD');
+  const [preview, setPreview] = useState(null);
+  const [mappings, setMappings] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [previewing, setPreviewing] = useState(false);
+
+  const resetMapping = () => {
+    setPreview(null);
+    setMappings([]);
+  };
 
   const onDrop = useCallback((acceptedFiles) => {
     const newFiles = acceptedFiles.map(file => ({
@@ -35,6 +69,7 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
       id: Math.random().toString(36).substr(2, 9)
     }));
     setFiles(prev => [...prev, ...newFiles]);
+    resetMapping();
   }, []);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
@@ -42,13 +77,90 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
     accept: {
       'text/csv': ['.csv'],
       'application/vnd.ms-excel': ['.xls'],
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/x-ofx': ['.ofx', '.qfx'],
+      'application/xml': ['.xml'],
+      'application/octet-stream': ['.sta', '.mt940']
     },
     multiple: true
   });
 
   const removeFile = (id) => {
     setFiles(files.filter(f => f.id !== id));
+    resetMapping();
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+
+    try {
+      const formData = new FormData();
+      files.forEach(({ file }) => {
+        formData.append('files', file);
+      });
+
+      const [previewResponse, profilesResponse] = await Promise.all([
+        axios.post('/api/upload/preview', formData, {
+          headers: {
+            'Content-Type': 'multipart/form-data'
+          }
+        }),
+        axios.get('/api/mapping-profiles')
+      ]);
+
+      setPreview(previewResponse.data);
+      setMappings(initialMappings(previewResponse.data));
+      setProfiles(profilesResponse.data.profiles);
+    } catch (error) {
+      console.error('Preview error:', error);
+      onError(error.response?.data?.message || 'Failed to preview columns');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const updateMapping = (index, mapping) => {
+    setMappings(prev => prev.map((current, i) => (i === index ? mapping : current)));
+  };
+
+  const saveProfile = async (index, name, mapping) => {
+    try {
+      const response = await axios.post('/api/mapping-profiles', {
+        name,
+        category: mapping.category,
+        columns: mapping.columns
+      });
+      const saved = response.data.profile;
+
+      setProfiles(prev => [...prev.filter(p => p.name !== saved.name), saved]);
+      updateMapping(index, { ...mapping, profile: saved.name });
+    } catch (error) {
+      console.error('Profile save error:', error);
+      onError(error.response?.data?.message || 'Failed to save mapping profile');
+    }
+  };
+
+  // Follows an analysis job's progress stream until it completes, fails or is cancelled
+  const followJob = (job) => {
+    onProgress(job);
+
+    const source = new EventSource(`/api/jobs/${job.id}/events`);
+    const finish = (handler) => (event) => {
+      source.close();
+      handler(JSON.parse(event.data));
+    };
+
+    source.addEventListener('progress', (event) => onProgress(JSON.parse(event.data)));
+    source.addEventListener('partial', (event) => onPartial(JSON.parse(event.data)));
+    source.addEventListener('completed', finish(status => onAnalysisComplete(status.result)));
+    source.addEventListener('failed', finish(status => onError(status.error?.message || 'Analysis failed')));
+    source.addEventListener('cancelled', finish(() => onAnalysisCancelled()));
+    source.onerror = () => {
+      // EventSource reconnects on its own unless the server refused the stream
+      if (source.readyState === EventSource.CLOSED) {
+        onError('Lost connection to the analysis job');
+      }
+    };
   };
 
   const handleAnalyze = async () => {
@@ -64,12 +176,13 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
       files.forEach(({ file }) => {
         formData.append('files', file);
       });
-      formData.append('analysisType', analysisType);
-      if (customPrompt) {
-        formData.append('customPrompt', customPrompt);
+      formData.append('reportingCurrency', reportingCurrency);
+      if (mappings.length > 0) {
+        formData.append('mappings', JSON.stringify(mappings));
       }
 
       // First, upload and parse the data
+      onProgress({ stage: 'parsing', progress: 0, message: 'Uploading and parsing files' });
       const uploadResponse = await axios.post('/api/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
@@ -78,17 +191,19 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
 
       onDataUpload(uploadResponse.data.parsedData);
 
-      // Then, get AI analysis
-      const analysisResponse = await axios.post('/api/analyze', {
+      // Then, run the AI analysis as a background job and follow its progress
+      const jobResponse = await axios.post('/api/jobs', {
         data: uploadResponse.data.parsedData,
+        reportingCurrency,
         analysisType,
-        customPrompt
+        // The question is only used by the custom analysis type
+        ...(analysisType === 'custom' ? { customPrompt } : {})
       });
 
-      onAnalysisComplete(analysisResponse.data);
+      followJob(jobResponse.data.job);
     } catch (error) {
       console.error('Analysis error:', error);
-      onError(error.response?.data?.error || 'Failed to analyze data');
+      onError(error.response?.data?.message || error.response?.data?.error || 'Failed to analyze data');
     }
   };
 
@@ -116,7 +231,7 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
           {isDragActive ? 'Drop files here' : 'Drag & drop files here, or click to select'}
         </Typography>
         <Typography variant="body2" color="text.secondary">
-          Supported formats: CSV, XLS, XLSX
+          Supported formats: CSV, XLS, XLSX, and bank statements (OFX/QFX, CAMT.053 XML, MT940)
         </Typography>
       </Paper>
 
@@ -145,6 +260,16 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
         </Paper>
       )}
 
+      {preview && (
+        <ColumnMappingStep
+          preview={preview}
+          mappings={mappings}
+          profiles={profiles}
+          onMappingChange={updateMapping}
+          onSaveProfile={saveProfile}
+        />
+      )}
+
       <Paper sx={{ mt: 3, p: 3 }}>
         <Typography variant="h6" gutterBottom>
           Analysis Configuration
@@ -165,25 +290,54 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
           </Select>
         </FormControl>
 
+        <FormControl fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Reporting Currency</InputLabel>
+          <Select
+            value={reportingCurrency}
+            label="Reporting Currency"
+            onChange={(e) => setReportingCurrency(e.target.value)}
+          >
+            {REPORTING_CURRENCIES.map(code => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
         {analysisType === 'custom' && (
           <TextField
             fullWidth
             multiline
             rows={4}
-            label="Custom Analysis Prompt"
+            label="Custom Analysis Question"
             value={customPrompt}
             onChange={(e) => setCustomPrompt(e.target.value)}
-            placeholder="Describe what specific analysis you want..."
+            placeholder="Ask a question about this data, e.g. which vendors drove the increase in spend?"
+            inputProps={{ maxLength: CUSTOM_PROMPT_MAX_LENGTH }}
+            helperText={`${customPrompt.length}/${CUSTOM_PROMPT_MAX_LENGTH} characters`}
             sx={{ mb: 2 }}
           />
         )}
 
+        {!preview && (
+          <Button
+            variant="outlined"
+            size="large"
+            startIcon={<TableChart />}
+            onClick={handlePreview}
+            disabled={files.length === 0 || previewing || loading}
+            fullWidth
+            sx={{ mb: 2 }}
+          >
+            {previewing ? 'Reading columns...' : 'Review Column Mapping'}
+          </Button>
+        )}
+
         <Button
           variant="contained"
           size="large"
           startIcon={<Send />}
           onClick={handleAnalyze}
-          disabled={files.length === 0 || loading}
+          disabled={files.length === 0 || loading || (analysisType === 'custom' && !customPrompt.trim())}
           fullWidth
         >
           {loading ? 'Analyzing...' : 'Analyze Data'}
@@ -0,0 +1,103 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Alert
+} from '@mui/material';
+import { KPI_LABELS, formatKPI, formatCurrency } from './formatting.js';
+
+// Rule-of-thumb ranges; each returns 'good', 'warn' or 'bad' for a value
+const THRESHOLDS = {
+  grossMargin: value => (value >= 0.4 ? 'good' : value >= 0.2 ? 'warn' : 'bad'),
+  burnRate: value => (value <= 0 ? 'good' : 'warn'),
+  DSO: value => (value <= 45 ? 'good' : value <= 60 ? 'warn' : 'bad'),
+  DPO: value => (value >= 30 && value <= 60 ? 'good' : 'warn'),
+  currentRatio: value => (value >= 1.5 ? 'good' : value >= 1 ? 'warn' : 'bad'),
+  quickRatio: value => (value >= 1 ? 'good' : value >= 0.7 ? 'warn' : 'bad')
+};
+
+const RATINGS = {
+  good: { label: 'Healthy', color: 'success' },
+  warn: { label: 'Watch', color: 'warning' },
+  bad: { label: 'At risk', color: 'error' }
+};
+
+const HINTS = {
+  grossMargin: 'Share of revenue left after cost of goods sold',
+  burnRate: 'Net cash spent per month; negative means cash is generated',
+  DSO: 'Days it takes customers to pay',
+  DPO: 'Days it takes to pay suppliers',
+  currentRatio: 'Current assets over current liabilities',
+  quickRatio: 'Liquid assets over current liabilities'
+};
+
+/**
+ * One card per computed KPI with a health rating. KPIs that could not be
+ * computed show "n/a" and the reasons are listed from `notes`.
+ */
+const KPICards = ({ kpis, period, notes = [], discrepancies = [], currency }) => {
+  if (!kpis) return null;
+
+  const format = (kpi, value) => (kpi === 'burnRate' && currency
+    ? formatCurrency(value, currency)
+    : formatKPI(kpi, value));
+
+  return (
+    <Box>
+      {period?.start && (
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Period {period.start} to {period.end}
+        </Typography>
+      )}
+
+      <Grid container spacing={2}>
+        {Object.entries(KPI_LABELS).map(([kpi, label]) => {
+          const value = kpis[kpi];
+          const rating = value != null && THRESHOLDS[kpi] ? RATINGS[THRESHOLDS[kpi](value)] : null;
+
+          return (
+            <Grid item xs={12} sm={6} md={4} key={kpi}>
+              <Card variant="outlined" sx={{ height: '100%' }}>
+                <CardContent>
+                  <Box display="flex" justifyContent="space-between" alignItems="center">
+                    <Typography variant="subtitle2" color="text.secondary">
+                      {label}
+                    </Typography>
+                    {rating && <Chip size="small" label={rating.label} color={rating.color} />}
+                  </Box>
+                  <Typography variant="h5" sx={{ my: 1 }}>
+                    {value != null ? format(kpi, value) : 'n/a'}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {HINTS[kpi]}
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+          );
+        })}
+      </Grid>
+
+      {notes.length > 0 && (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          {notes.map(note => <div key={note}>{note}</div>)}
+        </Alert>
+      )}
+
+      {discrepancies.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          The model reported different values, which were replaced by the computed ones:{' '}
+          {discrepancies
+            .map(({ kpi, computed, reported }) => `${KPI_LABELS[kpi] || kpi} ${formatKPI(kpi, reported)} (computed ${formatKPI(kpi, computed)})`)
+            .join('; ')}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default KPICards;
@@ -0,0 +1,49 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Chip
+} from '@mui/material';
+import { formatCurrency } from './formatting.js';
+
+/**
+ * Savings suggestions (procurementSuggestions or costReductions) with the
+ * total potential savings
+ */
+const ProcurementSuggestions = ({ suggestions, currency }) => {
+  if (!suggestions || suggestions.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No savings suggestions.
+      </Typography>
+    );
+  }
+
+  const total = suggestions.reduce((sum, item) => sum + (Number(item.potentialSavings) || 0), 0);
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" gutterBottom>
+        Total potential savings: <strong>{formatCurrency(total, currency)}</strong>
+      </Typography>
+      <List dense>
+        {[...suggestions]
+          .sort((a, b) => (b.potentialSavings || 0) - (a.potentialSavings || 0))
+          .map((item, index) => (
+            <ListItem key={index} sx={{ px: 0 }} divider>
+              <ListItemText
+                primary={item.suggestion}
+                secondary={[item.category, item.implementation].filter(Boolean).join(' · ')}
+              />
+              <Chip size="small" color="success" label={formatCurrency(item.potentialSavings, currency)} sx={{ ml: 1 }} />
+            </ListItem>
+          ))}
+      </List>
+    </Box>
+  );
+};
+
+export default ProcurementSuggestions;
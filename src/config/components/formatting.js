@@ -0,0 +1,42 @@
+// Display helpers shared by the analysis and comparison dashboards
+
+export const KPI_LABELS = {
+  grossMargin: 'Gross Margin',
+  burnRate: 'Burn Rate',
+  DSO: 'DSO (days)',
+  DPO: 'DPO (days)',
+  currentRatio: 'Current Ratio',
+  quickRatio: 'Quick Ratio'
+};
+
+export const formatNumber = (value) => (value == null
+  ? '—'
+  : value.toLocaleString(undefined, { maximumFractionDigits: 2 }));
+
+export const formatCurrency = (value, currency) => {
+  if (value == null) return '—';
+  try {
+    return value.toLocaleString(undefined, { style: 'currency', currency, maximumFractionDigits: 0 });
+  } catch (error) {
+    // Unknown or missing currency code
+    return formatNumber(value);
+  }
+};
+
+export const formatKPI = (kpi, value) => (kpi === 'grossMargin' && value != null
+  ? `${(value * 100).toFixed(1)}%`
+  : formatNumber(value));
+
+// "cashFlowCommentary" -> "Cash Flow Commentary"
+export const labelFromKey = (key) => key
+  .replace(/([A-Z])/g, ' $1')
+  .replace(/^./, str => str.toUpperCase());
+
+export const severityColor = (severity) => {
+  switch (severity?.toLowerCase()) {
+    case 'high': return 'error';
+    case 'medium': return 'warning';
+    case 'low': return 'success';
+    default: return 'default';
+  }
+};
@@ -2,28 +2,108 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-// Validate required environment variables
-const requiredEnvVars = ['OPENROUTER_API_KEY'];
-for (const envVar of requiredEnvVars) {
-  if (!process.env[envVar]) {
-    throw new Error(`Missing required environment variable: ${envVar}`);
-  }
-}
+const nodeEnv = process.env.NODE_ENV || 'development';
 
+// Provider-specific requirements (e.g. OPENROUTER_API_KEY) are checked when the
+// LLM provider is created, so the server and tests can start without them.
 export const config = {
+  llm: {
+    // openrouter | openai-compatible | fixture
+    provider: process.env.LLM_PROVIDER || (nodeEnv === 'test' ? 'fixture' : 'openrouter'),
+    model: process.env.LLM_MODEL || 'openai/gpt-4o-mini',
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 4000,
+    temperature: 0.1,
+    // Prompt + completion tokens the model accepts in one call
+    contextWindow: parseInt(process.env.LLM_CONTEXT_WINDOW) || 128000,
+    // Hard cap on estimated tokens across all calls of one analysis
+    tokenBudget: parseInt(process.env.LLM_TOKEN_BUDGET) || 300000,
+    // Raw-record chunk size for the map-reduce strategy on large datasets
+    chunkTokens: parseInt(process.env.LLM_CHUNK_TOKENS) || 12000,
+    // Re-prompts with validation errors before an invalid model response is rejected
+    repairAttempts: parseInt(process.env.LLM_REPAIR_ATTEMPTS) || 2,
+    // Longest question accepted for the custom analysis type
+    customPromptMaxLength: parseInt(process.env.LLM_CUSTOM_PROMPT_MAX_LENGTH) || 2000,
+    fixturesDir: process.env.LLM_FIXTURES_DIR || 'fixtures/llm',
+    recordFixtures: process.env.LLM_RECORD_FIXTURES === 'true'
+  },
   openrouter: {
     apiKey: process.env.OPENROUTER_API_KEY,
-    apiUrl: process.env.OPENROUTER_API_URL || 'https://openrouter.ai/v1/chat/completions',
-    model: 'openai/gpt-4o-mini',
-    maxTokens: 4000,
-    temperature: 0.1
+    apiUrl: process.env.OPENROUTER_API_URL || 'https://openrouter.ai/api/v1/chat/completions'
+  },
+  openaiCompatible: {
+    // e.g. llama.cpp server (http://localhost:8080/v1) or Ollama (http://localhost:11434/v1)
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY || 'not-needed'
+  },
+  // Outbound call policies shared with the research CLI (src/utils/resilience.cjs)
+  resilience: {
+    retries: parseInt(process.env.HTTP_RETRIES) || 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    concurrency: parseInt(process.env.LLM_CONCURRENCY) || 4,
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
   },
   server: {
     port: parseInt(process.env.PORT) || 3000,
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv
   },
   upload: {
     maxFileSize: 10 * 1024 * 1024, // 10MB
-    allowedMimeTypes: ['text/csv', 'application/json', 'text/plain']
+    allowedMimeTypes: [
+      'text/csv',
+      'application/json',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      // Bank statements: OFX/QFX and CAMT.053 XML
+      'application/x-ofx',
+      'application/vnd.intu.qfx',
+      'application/xml',
+      'text/xml'
+    ],
+    // Generic types browsers send for files they do not recognize (MT940 .sta files
+    // are usually sent untyped), accepted only with one of these extensions
+    genericMimeTypeExtensions: {
+      'text/plain': ['csv', 'json', 'ofx', 'qfx', 'sta', 'mt940', '940'],
+      'application/octet-stream': ['ofx', 'qfx', 'sta', 'mt940', '940']
+    }
+  },
+  fx: {
+    // Currency every amount is converted to before KPIs and forecasts are computed
+    reportingCurrency: process.env.REPORTING_CURRENCY || 'USD',
+    // Currency of records that do not name one
+    defaultCurrency: process.env.DEFAULT_CURRENCY || process.env.REPORTING_CURRENCY || 'USD',
+    source: process.env.FX_SOURCE || 'file',
+    // CSV or JSON with date, base, quote, rate (1 base = rate quote)
+    ratesPath: process.env.FX_RATES_PATH || 'data/fx-rates.csv',
+    maxStaleDays: parseInt(process.env.FX_MAX_STALE_DAYS) || 7
+  },
+  history: {
+    // Stored analyses (dataset, model, prompt version, result, timings); off in tests
+    enabled: process.env.ANALYSIS_HISTORY ? process.env.ANALYSIS_HISTORY === 'true' : nodeEnv !== 'test',
+    // file | sqlite (needs better-sqlite3, an optional dependency that builds natively)
+    store: process.env.ANALYSIS_HISTORY_STORE || 'file',
+    path: process.env.ANALYSIS_HISTORY_PATH ||
+      (process.env.ANALYSIS_HISTORY_STORE === 'sqlite' ? 'data/analyses.db' : 'data/analyses')
+  },
+  jobs: {
+    // Finished analysis jobs (and their results) are kept this long for polling clients
+    retentionMs: (parseInt(process.env.JOB_RETENTION_MINUTES) || 60) * 60 * 1000,
+    // Comment lines sent on idle progress streams so proxies keep them open
+    heartbeatMs: 15000
+  },
+  chat: {
+    // Tool rounds (local aggregations) the model may run before it must answer
+    maxToolRounds: parseInt(process.env.CHAT_MAX_TOOL_ROUNDS) || 4,
+    // Earlier question/answer pairs sent back to the model with each question
+    maxHistoryTurns: 6,
+    maxQuestionLength: 2000,
+    maxTokens: 1000,
+    // Datasets up to this size are shown to the model record by record; larger ones as aggregates
+    inlineDataTokens: parseInt(process.env.CHAT_INLINE_DATA_TOKENS) || 8000
+  },
+  mappingProfiles: {
+    // Saved column mappings, reused when the next export has the same columns
+    path: process.env.MAPPING_PROFILES_PATH || 'data/mapping-profiles.json'
   }
-};
\ No newline at end of file
+};
@@ -1,138 +1,403 @@
 import fs from 'fs';
 import { analyzeFinancialData } from '../services/llmClient.js';
-import { parseCSV, parseJSON } from '../services/parser.js';
-import { validateFinancialData } from '../utils/validation.js';
+import { getPromptTemplate, sanitizeQuestion } from '../services/promptTemplates.js';
+import { getProvider } from '../services/providers/index.js';
+import { recordAnalysis } from '../services/analysisHistory.js';
+import { getJobRegistry } from '../services/analysisJobs.js';
+import {
+  ingestFinancialData,
+  categorizeInput,
+  buildDataset,
+  formatFromFileName,
+  readUpload
+} from '../services/ingestion.js';
+import { parseMappings } from '../services/columnMapping.js';
 import { logger } from '../utils/logger.js';
 
+// Ingestion errors caused by currency data rather than unreadable input
+const CURRENCY_ERROR_CODES = ['FX_RATE_MISSING', 'INVALID_CURRENCY'];
+
+/**
+ * Sends the 400 response for an input that could not be ingested
+ * @param {Object} res - Express response
+ * @param {Error} error - Parse or currency conversion error
+ * @param {string} [fileName] - File the error belongs to
+ */
+function sendIngestionError(res, error, fileName) {
+  if (CURRENCY_ERROR_CODES.includes(error.code)) {
+    return res.status(400).json({
+      error: 'Currency conversion failed',
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  return res.status(400).json({
+    error: 'Data parsing failed',
+    message: fileName ? `${fileName}: ${error.message}` : error.message
+  });
+}
+
+/**
+ * Resolves the prompt template for analysisType (and templateVersion) and, for
+ * templates that take a question, the sanitized customPrompt. customPrompt is
+ * ignored for every other type. Throws INVALID_ANALYSIS_REQUEST.
+ * @param {Object} body - Request body or multipart fields
+ * @returns {Object} { template, question }
+ */
+function readAnalysisOptions({ analysisType, templateVersion, customPrompt } = {}) {
+  const template = getPromptTemplate(analysisType || undefined, templateVersion || undefined);
+  return {
+    template,
+    question: template.acceptsQuestion ? sanitizeQuestion(customPrompt) : undefined
+  };
+}
+
+/**
+ * Reads an analysis request posted as JSON. Throws MISSING_DATA, INVALID_MAPPING or
+ * INVALID_ANALYSIS_REQUEST errors for requests that cannot be analyzed.
+ * @param {Object} body - Request body
+ * @returns {Object} { data, format, period, reportingCurrency, mappings, template, question }
+ */
+function readAnalysisRequest(body = {}) {
+  const { data, format = 'json', period, reportingCurrency } = body;
+
+  if (!data) {
+    const error = new Error('Please provide financial data in the request body');
+    error.code = 'MISSING_DATA';
+    throw error;
+  }
+  return {
+    data,
+    format,
+    period,
+    reportingCurrency,
+    mappings: parseMappings(body.mappings),
+    ...readAnalysisOptions(body)
+  };
+}
+
+/**
+ * Sends the 400 response for a request rejected by readAnalysisRequest()
+ * @param {Object} res - Express response
+ * @param {Error} error - Request error
+ */
+function sendRequestError(res, error) {
+  if (error.code === 'MISSING_DATA') {
+    return res.status(400).json({
+      error: 'Missing required field: data',
+      message: error.message
+    });
+  }
+
+  if (error.code === 'INVALID_ANALYSIS_REQUEST') {
+    return res.status(400).json({
+      error: 'Invalid analysis request',
+      message: error.message
+    });
+  }
+
+  return res.status(400).json({
+    error: 'Invalid column mapping',
+    message: error.message,
+    details: error.details
+  });
+}
+
+/**
+ * Sends the error response for a failed runAnalysis()
+ * @param {Object} res - Express response
+ * @param {Error} error - Ingestion, validation, budget or model error
+ */
+function sendAnalysisError(res, error) {
+  if (error.stage === 'parsing') {
+    return sendIngestionError(res, error);
+  }
+
+  if (error.code === 'VALIDATION_FAILED') {
+    return res.status(400).json({
+      error: 'Data validation failed',
+      details: error.details,
+      diagnostics: error.diagnostics
+    });
+  }
+
+  logger.error('Analysis error:', error);
+
+  if (error.code === 'TOKEN_BUDGET_EXCEEDED') {
+    return res.status(413).json({
+      error: 'Dataset too large',
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  if (error.message.includes('Rate limit')) {
+    return res.status(429).json({
+      error: 'Rate limited',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    error: 'Analysis failed',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+}
+
+/**
+ * Parses, categorizes, cleans, normalizes, converts and validates a dataset, analyzes
+ * it and stores the run in the analysis history. Parse and currency errors are
+ * marked with stage "parsing"; invalid data throws a VALIDATION_FAILED error with
+ * the validation errors in `details` and the per-record `diagnostics`.
+ * @param {Object} request - Request from readAnalysisRequest(), or an uploaded file
+ * with its `fileName` and `source: 'file'`
+ * @param {Object} [control] - Progress reporting and cancellation
+ * @param {Function} [control.onProgress] - (stage, fraction, message) callback
+ * @param {Function} [control.onPartial] - Partial-result events; streams the model response
+ * @param {AbortSignal} [control.signal] - Cancels the analysis
+ * @returns {Promise<Object>} Response body { success, analysis, diagnostics, metadata }
+ */
+async function runAnalysis(request, { onProgress = () => {}, onPartial, signal } = {}) {
+  const { data, format, fileName, source = 'api', period, reportingCurrency, mappings, template, question } = request;
+  const startedAt = Date.now();
+
+  onProgress('parsing', 0, 'Parsing and normalizing records');
+  let ingested;
+  try {
+    ingested = ingestFinancialData(data, { format, fileName, mappings, reportingCurrency });
+  } catch (parseError) {
+    parseError.stage = 'parsing';
+    throw parseError;
+  }
+
+  onProgress('validation', 1, `Validated ${ingested.data.metadata.recordCount} records`);
+  if (!ingested.validation.isValid) {
+    const error = new Error(`Data validation failed with ${ingested.validation.errors.length} error(s)`);
+    error.code = 'VALIDATION_FAILED';
+    error.details = ingested.validation.errors;
+    error.diagnostics = ingested.diagnostics;
+    throw error;
+  }
+
+  // Analyze with LLM
+  const ingestedAt = Date.now();
+  const analysis = await analyzeFinancialData(ingested.data, { period, template, question, onProgress, onPartial, signal });
+  const stored = await recordAnalysis({
+    data: ingested.data,
+    result: analysis,
+    provider: getProvider(),
+    promptVersion: template.id,
+    timings: { ingestionMs: ingestedAt - startedAt, analysisMs: Date.now() - ingestedAt },
+    request: {
+      source,
+      ...(fileName && { fileName }),
+      period: period || null,
+      analysisType: template.type,
+      question: question || null
+    }
+  });
+
+  logger.info('Financial analysis completed successfully', {
+    dataRecords: ingested.data.metadata.recordCount
+  });
+
+  return {
+    success: true,
+    analysis,
+    diagnostics: ingested.diagnostics,
+    metadata: {
+      analysisId: stored ? stored.id : null,
+      processedAt: new Date().toISOString(),
+      recordsProcessed: ingested.data.metadata.recordCount,
+      promptVersion: template.id,
+      promptTemplate: analysis.promptTemplate,
+      reportingCurrency: ingested.data.metadata.reportingCurrency,
+      fx: ingested.data.metadata.fx,
+      warnings: ingested.validation.warnings
+    }
+  };
+}
+
 export const analysisController = {
-  async analyzeFinancialData(req, res) {
+  async uploadFiles(req, res) {
+    const files = req.files || [];
+
     try {
-      const { data, format = 'json' } = req.body;
-      
-      if (!data) {
+      if (files.length === 0) {
         return res.status(400).json({
-          error: 'Missing required field: data',
-          message: 'Please provide financial data in the request body'
+          error: 'No file uploaded',
+          message: 'Please upload at least one CSV, JSON, Excel or bank statement (OFX, CAMT.053, MT940) file'
         });
       }
 
-      // Parse data based on format
-      let parsedData;
+      let mappings;
       try {
-        if (format === 'csv') {
-          parsedData = parseCSV(data);
-        } else {
-          parsedData = parseJSON(data);
-        }
-      } catch (parseError) {
+        mappings = parseMappings(req.body.mappings);
+      } catch (mappingError) {
         return res.status(400).json({
-          error: 'Data parsing failed',
-          message: parseError.message
+          error: 'Invalid column mapping',
+          message: mappingError.message,
+          details: mappingError.details
         });
       }
 
-      // Validate parsed data
-      const validation = validateFinancialData(parsedData);
-      if (!validation.valid) {
-        return res.status(400).json({
-          error: 'Data validation failed',
-          details: validation.errors
-        });
+      let entries = [];
+      const fileSummaries = [];
+
+      for (const file of files) {
+        const format = formatFromFileName(file.originalname);
+        if (!format) {
+          return res.status(400).json({
+            error: 'Unsupported file format',
+            message: `${file.originalname}: please upload a CSV, JSON, Excel or bank statement (OFX, CAMT.053, MT940) file`
+          });
+        }
+
+        try {
+          const fileEntries = categorizeInput(readUpload(file, format), {
+            format,
+            fileName: file.originalname,
+            mappings: mappings.filter(mapping => mapping.fileName === file.originalname)
+          });
+          entries = entries.concat(fileEntries);
+          fileSummaries.push({
+            fileName: file.originalname,
+            fileSize: file.size,
+            recordCount: fileEntries.length
+          });
+        } catch (parseError) {
+          return sendIngestionError(res, parseError, file.originalname);
+        }
       }
 
-      // Analyze with LLM
-      const analysis = await analyzeFinancialData(parsedData);
-      
-      logger.info('Financial analysis completed successfully', {
-        dataRecords: Object.values(parsedData).flat().length
+      let dataset;
+      try {
+        dataset = buildDataset(entries, { source: 'file_upload', reportingCurrency: req.body.reportingCurrency });
+      } catch (conversionError) {
+        return sendIngestionError(res, conversionError);
+      }
+      const { data, validation, diagnostics } = dataset;
+
+      logger.info('Files uploaded and parsed', {
+        files: fileSummaries.length,
+        records: data.metadata.recordCount
       });
 
       res.json({
         success: true,
-        analysis,
-        metadata: {
-          processedAt: new Date().toISOString(),
-          recordsProcessed: Object.values(parsedData).flat().length
-        }
+        parsedData: data,
+        validation,
+        diagnostics,
+        files: fileSummaries
       });
 
     } catch (error) {
-      logger.error('Analysis error:', error);
-      
-      if (error.message.includes('Rate limited')) {
-        return res.status(429).json({
-          error: 'Rate limited',
-          message: error.message
-        });
-      }
+      logger.error('File upload error:', error);
 
       res.status(500).json({
-        error: 'Analysis failed',
-        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        error: 'File upload failed',
+        message: error.message
+      });
+    } finally {
+      // Uploaded files are only needed long enough to parse them
+      files.forEach(file => {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
       });
     }
   },
 
-  async analyzeFile(req, res) {
+  async analyzeFinancialData(req, res) {
+    let request;
     try {
-      if (!req.file) {
-        return res.status(400).json({
-          error: 'No file uploaded',
-          message: 'Please upload a CSV or JSON file'
-        });
+      request = readAnalysisRequest(req.body);
+    } catch (requestError) {
+      return sendRequestError(res, requestError);
+    }
+
+    try {
+      res.json(await runAnalysis(request));
+    } catch (error) {
+      sendAnalysisError(res, error);
+    }
+  },
+
+  /**
+   * Starts the same analysis as analyzeFinancialData as a background job and
+   * answers immediately; progress and the streamed result come from /jobs/:id/events
+   */
+  async submitAnalysisJob(req, res) {
+    let request;
+    try {
+      request = readAnalysisRequest(req.body);
+    } catch (requestError) {
+      return sendRequestError(res, requestError);
+    }
+
+    const job = getJobRegistry().submit(
+      ({ progress, partial, signal }) => runAnalysis(request, { onProgress: progress, onPartial: partial, signal }),
+      { type: 'analysis' }
+    );
+    logger.info('Analysis job submitted', { id: job.id });
+
+    res.status(202).json({
+      success: true,
+      job,
+      links: {
+        status: `/api/jobs/${job.id}`,
+        events: `/api/jobs/${job.id}/events`,
+        cancel: `/api/jobs/${job.id}/cancel`
       }
+    });
+  },
 
-      const fileContent = fs.readFileSync(req.file.path, 'utf8');
-      const fileExtension = req.file.originalname.split('.').pop().toLowerCase();
-      
-      let parsedData;
-      if (fileExtension === 'csv') {
-        parsedData = parseCSV(fileContent);
-      } else if (fileExtension === 'json') {
-        parsedData = parseJSON(fileContent);
-      } else {
+  async analyzeFile(req, res) {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please upload a CSV, JSON, Excel or bank statement (OFX, CAMT.053, MT940) file'
+      });
+    }
+
+    try {
+      const format = formatFromFileName(req.file.originalname);
+      if (!format) {
         return res.status(400).json({
           error: 'Unsupported file format',
-          message: 'Please upload a CSV or JSON file'
+          message: 'Please upload a CSV, JSON, Excel or bank statement (OFX, CAMT.053, MT940) file'
         });
       }
 
-      // Clean up uploaded file
-      fs.unlinkSync(req.file.path);
-
-      // Validate and analyze
-      const validation = validateFinancialData(parsedData);
-      if (!validation.valid) {
-        return res.status(400).json({
-          error: 'Data validation failed',
-          details: validation.errors
-        });
+      let options;
+      try {
+        options = readAnalysisOptions(req.body);
+      } catch (requestError) {
+        return sendRequestError(res, requestError);
       }
 
-      const analysis = await analyzeFinancialData(parsedData);
-      
-      res.json({
-        success: true,
-        analysis,
-        metadata: {
-          fileName: req.file.originalname,
-          fileSize: req.file.size,
-          processedAt: new Date().toISOString()
-        }
+      const result = await runAnalysis({
+        data: readUpload(req.file, format),
+        format,
+        fileName: req.file.originalname,
+        source: 'file',
+        period: req.body.period,
+        reportingCurrency: req.body.reportingCurrency,
+        ...options
       });
 
+      res.json({
+        ...result,
+        metadata: { ...result.metadata, fileName: req.file.originalname, fileSize: req.file.size }
+      });
     } catch (error) {
-      logger.error('File analysis error:', error);
-      
-      // Clean up file on error
-      if (req.file && fs.existsSync(req.file.path)) {
+      sendAnalysisError(res, error);
+    } finally {
+      // Uploaded files are only needed long enough to analyze them
+      if (fs.existsSync(req.file.path)) {
         fs.unlinkSync(req.file.path);
       }
-
-      res.status(500).json({
-        error: 'File analysis failed',
-        message: error.message
-      });
     }
   }
-};
\ No newline at end of file
+};
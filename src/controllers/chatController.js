@@ -0,0 +1,53 @@
+import { getHistoryStore } from '../services/analysisHistory.js';
+import { answerQuestion } from '../services/analysisChat.js';
+import { logger } from '../utils/logger.js';
+
+export const chatController = {
+  /**
+   * Answers a follow-up question about a stored analysis. The client keeps the
+   * conversation and sends earlier turns in `history`.
+   */
+  async askQuestion(req, res) {
+    const { question, history } = req.body || {};
+
+    try {
+      const stored = await getHistoryStore().get(req.params.id);
+      if (!stored) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No stored analysis with id "${req.params.id}"`
+        });
+      }
+
+      const reply = await answerQuestion(stored, question, { history });
+      logger.info('Follow-up question answered', {
+        analysisId: stored.id,
+        toolCalls: reply.toolCalls.length,
+        citations: reply.citations.length
+      });
+
+      res.json({ success: true, analysisId: stored.id, ...reply });
+    } catch (error) {
+      if (error.code === 'INVALID_CHAT_REQUEST') {
+        return res.status(400).json({
+          error: 'Invalid question',
+          message: error.message
+        });
+      }
+
+      logger.error('Analysis chat error:', error);
+
+      if (error.status === 429) {
+        return res.status(429).json({
+          error: 'Rate limited',
+          message: 'Rate limit exceeded. Please try again in a few moments.'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Chat failed',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+};
@@ -0,0 +1,96 @@
+import { compareFinancialData } from '../services/comparison.js';
+import { ingestFinancialData } from '../services/ingestion.js';
+import { getHistoryStore } from '../services/analysisHistory.js';
+import { logger } from '../utils/logger.js';
+
+function comparisonError(message, code, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Loads one side of a comparison: a stored analysis ({ analysisId }) or a dataset
+ * ({ data, format? }), optionally restricted to a KPI period ({ period: { start, end } })
+ * @param {Object} side - Side from the request body
+ * @param {string} name - "base" or "current", used in error messages
+ * @param {string} [reportingCurrency] - Currency datasets are converted to
+ * @returns {Promise<Object>} Side for compareFinancialData()
+ */
+async function resolveSide(side, name, reportingCurrency) {
+  if (!side || typeof side !== 'object') {
+    throw comparisonError(`Missing ${name}: provide { analysisId } or { data }`, 'INVALID_COMPARISON');
+  }
+
+  if (side.analysisId) {
+    const record = await getHistoryStore().get(String(side.analysisId));
+    if (!record) {
+      throw comparisonError(`No stored analysis with id "${side.analysisId}"`, 'ANALYSIS_NOT_FOUND');
+    }
+    return {
+      data: record.data,
+      result: record.result,
+      period: side.period || null,
+      label: side.label || `Analysis of ${record.createdAt.slice(0, 10)}`
+    };
+  }
+
+  if (side.data) {
+    let ingested;
+    try {
+      ingested = ingestFinancialData(side.data, { format: side.format || 'json', reportingCurrency });
+    } catch (error) {
+      throw comparisonError(`${name}: ${error.message}`, error.code || 'INVALID_COMPARISON', error.details);
+    }
+    if (!ingested.validation.isValid) {
+      throw comparisonError(`${name}: data validation failed`, 'INVALID_COMPARISON', ingested.validation.errors);
+    }
+    return { data: ingested.data, period: side.period || null, label: side.label || name };
+  }
+
+  throw comparisonError(`Invalid ${name}: provide { analysisId } or { data }`, 'INVALID_COMPARISON');
+}
+
+const CLIENT_ERRORS = {
+  INVALID_COMPARISON: [400, 'Invalid comparison'],
+  ANALYSIS_NOT_FOUND: [404, 'Not found'],
+  CURRENCY_MISMATCH: [400, 'Currency mismatch'],
+  FX_RATE_MISSING: [400, 'Currency conversion failed'],
+  INVALID_CURRENCY: [400, 'Currency conversion failed']
+};
+
+export const comparisonController = {
+  async compare(req, res) {
+    try {
+      const { base, current, reportingCurrency } = req.body || {};
+      const comparison = compareFinancialData(
+        await resolveSide(base, 'base', reportingCurrency),
+        await resolveSide(current, 'current', reportingCurrency)
+      );
+
+      logger.info('Comparison completed', {
+        base: comparison.base.period,
+        current: comparison.current.period,
+        newAnomalies: comparison.anomalies.new.length
+      });
+
+      res.json({ success: true, comparison });
+    } catch (error) {
+      const clientError = CLIENT_ERRORS[error.code];
+      if (clientError) {
+        return res.status(clientError[0]).json({
+          error: clientError[1],
+          message: error.message,
+          details: error.details
+        });
+      }
+
+      logger.error('Comparison error:', error);
+      res.status(500).json({
+        error: 'Comparison failed',
+        message: error.message
+      });
+    }
+  }
+};
@@ -0,0 +1,37 @@
+import { config } from '../config/index.js';
+import { getProvider } from '../services/providers/index.js';
+
+/**
+ * Checks that the configured LLM provider can be created (credentials present,
+ * provider name known) without sending a request to it
+ * @returns {Object} LLM check result
+ */
+function checkLLM() {
+  try {
+    const provider = getProvider();
+    return { ok: true, provider: provider.name, model: provider.model };
+  } catch (error) {
+    return { ok: false, provider: config.llm.provider, error: error.message };
+  }
+}
+
+export const healthController = {
+  async getHealth(req, res) {
+    const checks = {
+      config: {
+        ok: Number.isInteger(config.server.port) && config.upload.maxFileSize > 0,
+        nodeEnv: config.server.nodeEnv
+      },
+      llm: checkLLM()
+    };
+
+    const healthy = Object.values(checks).every(check => check.ok);
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? 'healthy' : 'degraded',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      checks
+    });
+  }
+};
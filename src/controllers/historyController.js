@@ -0,0 +1,64 @@
+import { getHistoryStore } from '../services/analysisHistory.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_PAGE_SIZE = 200;
+
+export const historyController = {
+  async listAnalyses(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const { total, items } = await getHistoryStore().list({ limit, offset });
+
+      res.json({ success: true, total, limit, offset, analyses: items });
+    } catch (error) {
+      logger.error('Analysis history list error:', error);
+
+      res.status(500).json({
+        error: 'Failed to load analysis history',
+        message: error.message
+      });
+    }
+  },
+
+  async getAnalysis(req, res) {
+    try {
+      const analysis = await getHistoryStore().get(req.params.id);
+      if (!analysis) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No stored analysis with id "${req.params.id}"`
+        });
+      }
+
+      res.json({ success: true, analysis });
+    } catch (error) {
+      logger.error('Analysis history get error:', error);
+
+      res.status(500).json({
+        error: 'Failed to load analysis',
+        message: error.message
+      });
+    }
+  },
+
+  async deleteAnalysis(req, res) {
+    try {
+      if (!(await getHistoryStore().remove(req.params.id))) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No stored analysis with id "${req.params.id}"`
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Analysis history delete error:', error);
+
+      res.status(500).json({
+        error: 'Failed to delete analysis',
+        message: error.message
+      });
+    }
+  }
+};
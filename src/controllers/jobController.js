@@ -0,0 +1,75 @@
+import { config } from '../config/index.js';
+import { getJobRegistry, isFinished } from '../services/analysisJobs.js';
+
+function sendNotFound(res, id) {
+  return res.status(404).json({
+    error: 'Not found',
+    message: `No job with id "${id}" (finished jobs are kept for a limited time)`
+  });
+}
+
+export const jobController = {
+  async getJob(req, res) {
+    const job = getJobRegistry().get(req.params.id);
+    if (!job) return sendNotFound(res, req.params.id);
+
+    res.json({ success: true, job });
+  },
+
+  /**
+   * Streams job status as Server-Sent Events: a "progress" event on every change,
+   * a "partial" event for every piece of the result as it is produced, and a final
+   * "completed", "failed" or "cancelled" event, after which the stream closes. The
+   * current status and partial result ({ type: 'snapshot', result }) are sent
+   * first, so late subscribers and reconnecting clients catch up.
+   */
+  async streamEvents(req, res) {
+    const registry = getJobRegistry();
+    const job = registry.get(req.params.id);
+    if (!job) return sendNotFound(res, req.params.id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let unsubscribe = () => {};
+    let unsubscribePartial = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), config.jobs.heartbeatMs);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      unsubscribePartial();
+    };
+
+    const sendPartial = event => res.write(`event: partial\ndata: ${JSON.stringify(event)}\n\n`);
+
+    const send = status => {
+      const finished = isFinished(status);
+      res.write(`event: ${finished ? status.status : 'progress'}\ndata: ${JSON.stringify(status)}\n\n`);
+      if (finished) {
+        close();
+        res.end();
+      }
+    };
+
+    req.on('close', close);
+    unsubscribe = registry.subscribe(job.id, send);
+    unsubscribePartial = registry.subscribePartial(job.id, sendPartial);
+
+    const partial = registry.getPartial(job.id);
+    if (partial) sendPartial({ type: 'snapshot', result: partial });
+    send(job);
+  },
+
+  async cancelJob(req, res) {
+    const job = getJobRegistry().cancel(req.params.id);
+    if (!job) return sendNotFound(res, req.params.id);
+
+    res.json({ success: true, job });
+  }
+};
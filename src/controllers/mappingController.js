@@ -0,0 +1,146 @@
+import fs from 'fs';
+import { parseTables, formatFromFileName, readUpload } from '../services/ingestion.js';
+import { TARGET_FIELDS, sniffColumns, suggestMapping, suggestionFromProfile } from '../services/columnMapping.js';
+import { getMappingProfileStore } from '../services/mappingProfiles.js';
+import { logger } from '../utils/logger.js';
+
+// Rows returned with a preview so the user can check the mapping against real data
+const SAMPLE_ROWS = 5;
+
+export const mappingController = {
+  async previewFiles(req, res) {
+    const files = req.files || [];
+
+    try {
+      if (files.length === 0) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          message: 'Please upload at least one CSV, JSON, Excel or bank statement (OFX, CAMT.053, MT940) file'
+        });
+      }
+
+      const store = getMappingProfileStore();
+      const previews = [];
+
+      for (const file of files) {
+        const format = formatFromFileName(file.originalname);
+        if (!format) {
+          return res.status(400).json({
+            error: 'Unsupported file format',
+            message: `${file.originalname}: please upload a CSV, JSON, Excel or bank statement (OFX, CAMT.053, MT940) file`
+          });
+        }
+
+        let tables;
+        try {
+          tables = parseTables(readUpload(file, format), { format, fileName: file.originalname });
+        } catch (parseError) {
+          return res.status(400).json({
+            error: 'Data parsing failed',
+            message: `${file.originalname}: ${parseError.message}`
+          });
+        }
+
+        previews.push({
+          fileName: file.originalname,
+          format,
+          // Categorized JSON and bank statements already name their fields
+          tables: tables.filter(table => !table.fixed).map(table => {
+            const records = table.rows.map(row => row.record).filter(record => record && typeof record === 'object');
+            const columns = sniffColumns(records);
+            const match = store.match(columns.map(column => column.name));
+
+            return {
+              sheetName: table.sheetName || null,
+              rowCount: records.length,
+              columns,
+              suggestion: match
+                ? suggestionFromProfile(match.profile, columns)
+                : suggestMapping(columns, { category: table.category || undefined }),
+              profile: match ? { name: match.profile.name, coverage: match.coverage } : null,
+              sampleRows: records.slice(0, SAMPLE_ROWS)
+            };
+          })
+        });
+      }
+
+      logger.info('Column mapping preview generated', { files: previews.length });
+
+      res.json({
+        success: true,
+        files: previews,
+        targetFields: TARGET_FIELDS
+      });
+
+    } catch (error) {
+      logger.error('Mapping preview error:', error);
+
+      res.status(500).json({
+        error: 'Preview failed',
+        message: error.message
+      });
+    } finally {
+      files.forEach(file => {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      });
+    }
+  },
+
+  async listProfiles(req, res) {
+    try {
+      res.json({ success: true, profiles: getMappingProfileStore().list() });
+    } catch (error) {
+      logger.error('Mapping profile list error:', error);
+
+      res.status(500).json({
+        error: 'Failed to load mapping profiles',
+        message: error.message
+      });
+    }
+  },
+
+  async saveProfile(req, res) {
+    try {
+      const profile = getMappingProfileStore().save(req.body || {});
+      logger.info('Mapping profile saved', { name: profile.name, category: profile.category });
+
+      res.status(201).json({ success: true, profile });
+    } catch (error) {
+      if (error.code === 'INVALID_MAPPING') {
+        return res.status(400).json({
+          error: 'Invalid column mapping',
+          message: error.message,
+          details: error.details
+        });
+      }
+
+      logger.error('Mapping profile save error:', error);
+      res.status(500).json({
+        error: 'Failed to save mapping profile',
+        message: error.message
+      });
+    }
+  },
+
+  async deleteProfile(req, res) {
+    try {
+      if (!getMappingProfileStore().remove(req.params.name)) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No mapping profile named "${req.params.name}"`
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Mapping profile delete error:', error);
+
+      res.status(500).json({
+        error: 'Failed to delete mapping profile',
+        message: error.message
+      });
+    }
+  }
+};
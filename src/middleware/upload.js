@@ -0,0 +1,57 @@
+import multer from 'multer';
+import os from 'os';
+import path from 'path';
+import { config } from '../config/index.js';
+import { isAllowedFileType } from '../utils/validation.js';
+
+const uploadDir = path.join(os.tmpdir(), 'financial-analyzer-uploads');
+
+/**
+ * Rejects files whose MIME type is not accepted, see isAllowedFileType()
+ * @param {Object} req - Express request
+ * @param {Object} file - Multer file descriptor
+ * @param {Function} cb - Multer callback
+ */
+function fileFilter(req, file, cb) {
+  if (isAllowedFileType(file)) {
+    return cb(null, true);
+  }
+
+  const error = new Error(`Invalid file type for ${file.originalname}. Allowed types: ${config.upload.allowedMimeTypes.join(', ')}`);
+  error.code = 'INVALID_FILE_TYPE';
+  cb(error);
+}
+
+export const upload = multer({
+  dest: uploadDir,
+  limits: { fileSize: config.upload.maxFileSize },
+  fileFilter
+});
+
+/**
+ * Converts multer errors into JSON responses matching the controller error shape
+ */
+export function handleUploadError(err, req, res, next) {
+  if (err.code === 'INVALID_FILE_TYPE') {
+    return res.status(415).json({
+      error: 'Unsupported file type',
+      message: err.message
+    });
+  }
+
+  if (!(err instanceof multer.MulterError)) {
+    return next(err);
+  }
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      error: 'File too large',
+      message: `Maximum file size is ${Math.round(config.upload.maxFileSize / (1024 * 1024))}MB`
+    });
+  }
+
+  res.status(400).json({
+    error: 'File upload failed',
+    message: err.message
+  });
+}
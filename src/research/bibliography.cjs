@@ -0,0 +1,417 @@
+// Bibliographic records for the research CLI: normalized references, citation
+// keys, BibTeX / RIS / CSL-JSON export, and import of existing libraries.
+
+// Words skipped when a citation key takes the first word of the title
+const STOP_WORDS = new Set(['a', 'an', 'the', 'on', 'of', 'in', 'for', 'and', 'to', 'with', 'towards', 'toward']);
+
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+/**
+ * Escapes text for LaTeX (and BibTeX field values)
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeLatex(text) {
+  return String(text).replace(/[\\{}&%$#_~^]/g, char => LATEX_SPECIALS[char]);
+}
+
+/**
+ * Lower-case ASCII letters and digits of a string, accents removed
+ * @param {string} text - Any text
+ * @returns {string} Key-safe text
+ */
+function keyPart(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Normalizes a Semantic Scholar paper into a reference
+ * @param {Object} paper - Paper with paperId, title, authors [{ name }], year, venue, url, externalIds
+ * @returns {Object} { paperId, title, authors (names), year, venue, url, doi, arxivId, abstract }
+ */
+function toReference(paper) {
+  const externalIds = paper.externalIds || {};
+  return {
+    paperId: paper.paperId || null,
+    title: paper.title || 'Untitled',
+    authors: (paper.authors || []).map(author => (typeof author === 'string' ? author : author.name)).filter(Boolean),
+    year: paper.year ?? null,
+    venue: paper.venue || null,
+    url: paper.url || null,
+    doi: externalIds.DOI || null,
+    arxivId: externalIds.ArXiv || null,
+    abstract: paper.abstract || null
+  };
+}
+
+/**
+ * Citation key in the common lastnameYEARword form, e.g. vaswani2017attention
+ * @param {Object} reference - Reference from toReference
+ * @returns {string} Citation key (not yet unique)
+ */
+function citationKey(reference) {
+  const firstAuthor = reference.authors[0] || '';
+  const lastName = keyPart(firstAuthor.split(/\s+/).pop()) || 'anon';
+  const titleWord = String(reference.title)
+    .split(/\s+/)
+    .map(keyPart)
+    .find(word => word && !STOP_WORDS.has(word)) || '';
+  return `${lastName}${reference.year || 'nd'}${titleWord}`;
+}
+
+/**
+ * Adds a unique citation key to each reference. Clashing keys get a, b, c...
+ * suffixes in paperId (else DOI, else title) order, so a paper keeps its key
+ * whatever order the results come in.
+ * @param {Array} references - References from toReference
+ * @returns {Array} References with `key`
+ */
+function assignCitationKeys(references) {
+  const groups = new Map();
+  references.forEach(reference => {
+    const key = citationKey(reference);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(reference);
+  });
+
+  const identity = reference => reference.paperId || reference.doi || reference.title;
+  const keys = new Map();
+  groups.forEach((group, key) => {
+    if (group.length === 1) {
+      keys.set(group[0], key);
+      return;
+    }
+    [...group]
+      .sort((a, b) => identity(a).localeCompare(identity(b)))
+      .forEach((reference, index) => keys.set(reference, `${key}${String.fromCharCode(97 + index)}`));
+  });
+
+  return references.map(reference => ({ ...reference, key: keys.get(reference) }));
+}
+
+/**
+ * Splits a "First Middle Last" or "Last, First" name
+ * @param {string} name - Author name
+ * @returns {Object} { family, given }
+ */
+function splitName(name) {
+  if (name.includes(',')) {
+    const [family, ...given] = name.split(',');
+    return { family: family.trim(), given: given.join(',').trim() };
+  }
+  const parts = name.trim().split(/\s+/);
+  return { family: parts.pop(), given: parts.join(' ') };
+}
+
+/**
+ * Renders references as BibTeX entries: @article when the venue is known, @misc otherwise
+ * @param {Array} references - References with `key`
+ * @returns {string} BibTeX
+ */
+function toBibTeX(references) {
+  return references.map(reference => {
+    const fields = [
+      ['title', `{${escapeLatex(reference.title)}}`],
+      ['author', reference.authors.length ? escapeLatex(reference.authors.join(' and ')) : null],
+      ['year', reference.year],
+      ['journal', reference.venue ? escapeLatex(reference.venue) : null],
+      ['doi', reference.doi],
+      ['eprint', reference.arxivId],
+      ['archivePrefix', reference.arxivId ? 'arXiv' : null],
+      ['url', reference.url]
+    ].filter(([, value]) => value != null && value !== '');
+
+    const type = reference.venue ? 'article' : 'misc';
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@${type}{${reference.key},\n${body}\n}`;
+  }).join('\n\n');
+}
+
+/**
+ * Renders references as RIS records (EndNote, Zotero, Mendeley)
+ * @param {Array} references - References with `key`
+ * @returns {string} RIS
+ */
+function toRIS(references) {
+  return references.map(reference => {
+    const tags = [
+      ['TY', reference.venue ? 'JOUR' : 'GEN'],
+      ['ID', reference.key],
+      ['TI', reference.title],
+      ...reference.authors.map(author => {
+        const { family, given } = splitName(author);
+        return ['AU', given ? `${family}, ${given}` : family];
+      }),
+      ['PY', reference.year],
+      ['JO', reference.venue],
+      ['DO', reference.doi],
+      ['UR', reference.url],
+      ['AB', reference.abstract],
+      ['ER', '']
+    ].filter(([tag, value]) => tag === 'ER' || (value != null && value !== ''));
+
+    return tags.map(([tag, value]) => `${tag}  - ${String(value).replace(/\s*\n\s*/g, ' ')}`.trimEnd()).join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Renders references as CSL-JSON items (citeproc, Zotero, Pandoc)
+ * @param {Array} references - References with `key`
+ * @returns {Array} CSL-JSON items
+ */
+function toCSL(references) {
+  return references.map(reference => {
+    const item = {
+      id: reference.key,
+      type: reference.venue ? 'article-journal' : 'article',
+      title: reference.title,
+      author: reference.authors.map(splitName)
+    };
+    if (reference.year) item.issued = { 'date-parts': [[reference.year]] };
+    if (reference.venue) item['container-title'] = reference.venue;
+    if (reference.doi) item.DOI = reference.doi;
+    if (reference.url) item.URL = reference.url;
+    if (reference.abstract) item.abstract = reference.abstract;
+    return item;
+  });
+}
+
+const EXPORT_FORMATS = {
+  bibtex: references => toBibTeX(references),
+  ris: references => toRIS(references),
+  'csl-json': references => JSON.stringify(toCSL(references), null, 2)
+};
+
+/**
+ * Exports Semantic Scholar papers as a bibliography with stable citation keys
+ * @param {Array} papers - Papers from search, details or citations
+ * @param {string} [format='bibtex'] - bibtex, ris or csl-json
+ * @returns {string} Bibliography text
+ */
+function exportPapers(papers, format = 'bibtex') {
+  const render = EXPORT_FORMATS[format];
+  if (!render) {
+    const error = new Error(`Unknown bibliography format "${format}" (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    error.code = 'INVALID_BIBLIOGRAPHY';
+    throw error;
+  }
+  return render(assignCitationKeys(papers.map(toReference)));
+}
+
+// Accent and symbol commands that commonly appear in BibTeX titles and names
+const LATEX_COMMANDS = /\\(?:[`'^"~=.]|[uvHcdbrk]\s)\{?([A-Za-z])\}?/g;
+const LATEX_ACCENTS = { '`': '\u0300', "'": '\u0301', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304', '.': '\u0307' };
+
+/**
+ * Turns a BibTeX value into plain text: accents decoded, escapes and braces removed
+ * @param {string} value - Raw field value
+ * @returns {string} Plain text
+ */
+function unescapeLatex(value) {
+  return value
+    .replace(LATEX_COMMANDS, (match, letter) => {
+      const accent = LATEX_ACCENTS[match[1]];
+      return accent ? `${letter}${accent}`.normalize('NFC') : letter;
+    })
+    .replace(/\\([&%$#_{}])/g, '$1')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reads a braced or quoted BibTeX value (or a bare number/macro) starting at `start`
+ * @returns {Object} { value, end } where end is the index after the value
+ */
+function readBibValue(text, start) {
+  const open = text[start];
+  if (open === '{' || open === '"') {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (open === '{' && depth === 0) return { value: text.slice(start + 1, i), end: i + 1 };
+      } else if (char === '"' && open === '"' && depth === 0 && i > start) {
+        return { value: text.slice(start + 1, i), end: i + 1 };
+      }
+    }
+    return { value: text.slice(start + 1), end: text.length };
+  }
+  const match = /^[^,}\s]*/.exec(text.slice(start));
+  return { value: match[0], end: start + match[0].length };
+}
+
+/**
+ * Parses the entries of a BibTeX library; @string, @preamble and @comment are skipped
+ * @param {string} text - .bib contents
+ * @returns {Array} Entries { key, type, title, authors, year, venue, doi, arxivId, url }
+ */
+function parseBibTeX(text) {
+  const entries = [];
+  const entryStart = /@(\w+)\s*[{(]\s*([^,\s]*)\s*,/g;
+  let match;
+
+  while ((match = entryStart.exec(text))) {
+    const type = match[1].toLowerCase();
+    if (['string', 'preamble', 'comment'].includes(type)) continue;
+
+    const fields = {};
+    let position = entryStart.lastIndex;
+    const field = /\s*([\w-]+)\s*=\s*/y;
+    for (;;) {
+      field.lastIndex = position;
+      const name = field.exec(text);
+      if (!name) break;
+      const { value, end } = readBibValue(text, field.lastIndex);
+      fields[name[1].toLowerCase()] = value;
+      position = end;
+      const separator = /\s*,?/y;
+      separator.lastIndex = position;
+      separator.exec(text);
+      position = separator.lastIndex;
+    }
+    entryStart.lastIndex = position;
+
+    const isArxiv = /arxiv/i.test(fields.archiveprefix || fields.eprinttype || '');
+    entries.push({
+      key: match[2],
+      type,
+      title: fields.title ? unescapeLatex(fields.title) : null,
+      authors: fields.author
+        ? fields.author.split(/\s+and\s+/i).map(unescapeLatex).map(name => {
+          const { family, given } = splitName(name);
+          return given ? `${given} ${family}` : family;
+        })
+        : [],
+      year: /\d{4}/.test(fields.year || '') ? Number(/\d{4}/.exec(fields.year)[0]) : null,
+      venue: unescapeLatex(fields.journal || fields.booktitle || '') || null,
+      doi: fields.doi ? fields.doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '').trim() : null,
+      arxivId: isArxiv && fields.eprint ? fields.eprint.trim() : null,
+      url: fields.url || null
+    });
+  }
+  return entries;
+}
+
+/**
+ * Parses the records of a RIS library
+ * @param {string} text - .ris contents
+ * @returns {Array} Entries { key, type, title, authors, year, venue, doi, arxivId, url }
+ */
+function parseRIS(text) {
+  const entries = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = /^([A-Z][A-Z0-9]) {2}-\s?(.*)$/.exec(line);
+    if (!match) return;
+    const [, tag, rawValue] = match;
+    const value = rawValue.trim();
+
+    if (tag === 'TY') {
+      current = { key: null, type: value, title: null, authors: [], year: null, venue: null, doi: null, arxivId: null, url: null };
+    } else if (!current) {
+      return;
+    } else if (tag === 'ER') {
+      entries.push(current);
+      current = null;
+    } else if (tag === 'ID') {
+      current.key = value;
+    } else if ((tag === 'TI' || tag === 'T1') && !current.title) {
+      current.title = value;
+    } else if (tag === 'AU' || tag === 'A1') {
+      const { family, given } = splitName(value);
+      current.authors.push(given ? `${given} ${family}` : family);
+    } else if ((tag === 'PY' || tag === 'Y1' || tag === 'DA') && !current.year && /\d{4}/.test(value)) {
+      current.year = Number(/\d{4}/.exec(value)[0]);
+    } else if (['JO', 'JF', 'T2'].includes(tag) && !current.venue) {
+      current.venue = value;
+    } else if (tag === 'DO') {
+      current.doi = value.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+    } else if (tag === 'UR' && !current.url) {
+      current.url = value;
+    }
+  });
+  return entries;
+}
+
+/**
+ * Parses a BibTeX or RIS library, chosen by file extension or content
+ * @param {string} text - File contents
+ * @param {string} [filename] - Used for the format when it ends in .bib or .ris
+ * @returns {Array} Entries
+ */
+function parseLibrary(text, filename = '') {
+  if (/\.ris$/i.test(filename) || (!/\.bib$/i.test(filename) && /^TY {2}- /m.test(text))) return parseRIS(text);
+  return parseBibTeX(text);
+}
+
+const isNotFound = error => (error.response && error.response.status === 404) || error.status === 404;
+
+/**
+ * Resolves library entries to Semantic Scholar papers: by DOI, then arXiv id,
+ * then best title match. Entries that cannot be resolved keep `paper: null`.
+ * @param {Object} api - { getPaperDetails(id), matchTitle(title) } where both reject with a 404 for no match
+ * @param {Array} entries - Entries from parseLibrary
+ * @returns {Promise<Array>} [{ entry, paper, resolvedBy: 'doi'|'arxiv'|'title'|null }]
+ */
+async function resolveEntries(api, entries) {
+  const lookups = entry => [
+    ['doi', entry.doi && (() => api.getPaperDetails(`DOI:${entry.doi}`))],
+    ['arxiv', entry.arxivId && (() => api.getPaperDetails(`ARXIV:${entry.arxivId}`))],
+    ['title', entry.title && (() => api.matchTitle(entry.title))]
+  ].filter(([, lookup]) => lookup);
+
+  const resolved = [];
+  for (const entry of entries) {
+    let result = { entry, paper: null, resolvedBy: null };
+    for (const [resolvedBy, lookup] of lookups(entry)) {
+      try {
+        const paper = await lookup();
+        if (paper && paper.paperId) {
+          result = { entry, paper, resolvedBy };
+          break;
+        }
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+      }
+    }
+    resolved.push(result);
+  }
+  return resolved;
+}
+
+module.exports = {
+  escapeLatex,
+  toReference,
+  citationKey,
+  assignCitationKeys,
+  toBibTeX,
+  toRIS,
+  toCSL,
+  exportPapers,
+  parseBibTeX,
+  parseRIS,
+  parseLibrary,
+  resolveEntries
+};
@@ -0,0 +1,322 @@
+// Citation graph exploration for the research CLI: backward (references) and
+// forward (citations) snowballing from seed papers, in-graph ranking and export.
+
+// Fields requested for every linked paper
+const GRAPH_FIELDS = 'paperId,title,year,venue,citationCount,externalIds,url,authors';
+
+// The citations and references endpoints return at most 1000 links per page
+const LINK_PAGE_SIZE = 1000;
+
+const DIRECTIONS = ['backward', 'forward', 'both'];
+const RANKINGS = ['pagerank', 'in-degree', 'co-citation'];
+const EXPORT_FORMATS = ['json', 'graphml', 'dot'];
+
+// The linked paper sits under a different key per endpoint
+const LINK_KEYS = { citations: 'citingPaper', references: 'citedPaper' };
+
+const DEFAULT_OPTIONS = {
+  hops: 1,
+  direction: 'both',
+  perPaperLimit: 50,
+  maxNodes: 500
+};
+
+/**
+ * Builds a graph error with code INVALID_GRAPH_REQUEST
+ * @param {string} message - What is wrong with the request
+ * @returns {Error} Error with code
+ */
+function invalidGraphRequest(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_GRAPH_REQUEST';
+  return error;
+}
+
+/**
+ * Fetches the papers citing, or referenced by, a paper, following pages up to `limit`
+ * @param {Function} s2Get - (path, params) => response body
+ * @param {string} paperId - Semantic Scholar paper id (or DOI:..., arXiv:...)
+ * @param {string} kind - 'citations' or 'references'
+ * @param {number} [limit=50] - Maximum papers
+ * @returns {Promise<Array>} Linked papers; papers Semantic Scholar could not resolve have no paperId
+ */
+async function fetchPaperLinks(s2Get, paperId, kind, limit = DEFAULT_OPTIONS.perPaperLimit) {
+  const linkKey = LINK_KEYS[kind];
+  const fields = GRAPH_FIELDS.split(',').map(field => `${linkKey}.${field}`).join(',');
+  const papers = [];
+  let offset = 0;
+
+  while (papers.length < limit) {
+    const page = await s2Get(`/paper/${encodeURIComponent(paperId)}/${kind}`, {
+      fields,
+      offset,
+      limit: Math.min(LINK_PAGE_SIZE, limit - papers.length)
+    });
+    const data = page.data || [];
+    papers.push(...data.map(link => link[linkKey]).filter(Boolean));
+    if (page.next == null || data.length === 0) break;
+    offset = page.next;
+  }
+  return papers;
+}
+
+/**
+ * Snowballs a citation graph from seed papers. Each hop expands the papers found
+ * in the previous hop: backward through their references, forward through the
+ * papers citing them. Papers are deduplicated by paperId; once `maxNodes` is
+ * reached no new papers are added, but links between known papers still are.
+ * @param {Object} api - { getPaperDetails(id), getCitations(id, limit), getReferences(id, limit) }
+ * @param {Array<string>} seedIds - Paper ids to start from
+ * @param {Object} [options] - { hops, direction (backward|forward|both), perPaperLimit, maxNodes }
+ * @returns {Promise<Object>} Graph { seeds, nodes, edges, options } with edges from citing to cited paper
+ */
+async function buildCitationGraph(api, seedIds, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (!seedIds || seedIds.length === 0) throw invalidGraphRequest('At least one seed paper is required');
+  if (!DIRECTIONS.includes(opts.direction)) {
+    throw invalidGraphRequest(`Unknown direction "${opts.direction}" (expected one of ${DIRECTIONS.join(', ')})`);
+  }
+  ['hops', 'perPaperLimit', 'maxNodes'].forEach(name => {
+    if (!Number.isInteger(opts[name]) || opts[name] < (name === 'hops' ? 0 : 1)) {
+      throw invalidGraphRequest(`Invalid ${name} "${opts[name]}"`);
+    }
+  });
+
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (paper, hop) => {
+    if (!paper || !paper.paperId) return false;
+    if (nodes.has(paper.paperId)) return true;
+    if (nodes.size >= opts.maxNodes) return false;
+    nodes.set(paper.paperId, {
+      paperId: paper.paperId,
+      title: paper.title || null,
+      year: paper.year ?? null,
+      venue: paper.venue || null,
+      citationCount: paper.citationCount ?? null,
+      externalIds: paper.externalIds || {},
+      hop,
+      seed: hop === 0
+    });
+    return true;
+  };
+
+  const addEdge = (source, target) => {
+    if (source !== target) edges.set(`${source}\n${target}`, { source, target });
+  };
+
+  // Seeds may be given as DOI:... or arXiv:...; their details carry the canonical paperId
+  let frontier = [];
+  for (const seedId of seedIds) {
+    const details = await api.getPaperDetails(seedId);
+    if (!details || !details.paperId) throw invalidGraphRequest(`Paper "${seedId}" was not found`);
+    addNode(details, 0);
+    frontier.push(details.paperId);
+  }
+  const seeds = [...new Set(frontier)];
+  frontier = seeds;
+
+  for (let hop = 1; hop <= opts.hops && frontier.length > 0; hop++) {
+    const next = [];
+    for (const paperId of frontier) {
+      if (opts.direction !== 'forward') {
+        for (const cited of await api.getReferences(paperId, opts.perPaperLimit)) {
+          const isNew = cited.paperId && !nodes.has(cited.paperId);
+          if (addNode(cited, hop)) {
+            addEdge(paperId, cited.paperId);
+            if (isNew) next.push(cited.paperId);
+          }
+        }
+      }
+      if (opts.direction !== 'backward') {
+        for (const citing of await api.getCitations(paperId, opts.perPaperLimit)) {
+          const isNew = citing.paperId && !nodes.has(citing.paperId);
+          if (addNode(citing, hop)) {
+            addEdge(citing.paperId, paperId);
+            if (isNew) next.push(citing.paperId);
+          }
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    seeds,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()],
+    options: { hops: opts.hops, direction: opts.direction, perPaperLimit: opts.perPaperLimit, maxNodes: opts.maxNodes }
+  };
+}
+
+/**
+ * One PageRank iteration: every paper keeps the teleport share and passes the
+ * damped rest of its rank to the papers it cites
+ * @param {Array<string>} ids - Node ids
+ * @param {Map} outLinks - id -> cited ids
+ * @param {Map} ranks - id -> score of the previous iteration
+ * @param {number} damping - Damping factor
+ * @returns {Map} id -> score
+ */
+function pageRankPass(ids, outLinks, ranks, damping) {
+  const count = ids.length;
+  const dangling = ids.filter(id => outLinks.get(id).length === 0).reduce((sum, id) => sum + ranks.get(id), 0);
+  const next = new Map(ids.map(id => [id, (1 - damping) / count + (damping * dangling) / count]));
+  ids.forEach(id => {
+    const targets = outLinks.get(id);
+    targets.forEach(target => next.set(target, next.get(target) + (damping * ranks.get(id)) / targets.length));
+  });
+  return next;
+}
+
+/**
+ * PageRank over the citation edges; rank flows from citing to cited papers and
+ * papers citing nothing in the graph spread theirs evenly
+ * @param {Array<string>} ids - Node ids
+ * @param {Map} outLinks - id -> cited ids
+ * @param {number} [damping=0.85] - Damping factor
+ * @returns {Map} id -> score (scores sum to 1)
+ */
+function pageRank(ids, outLinks, damping = 0.85) {
+  let ranks = new Map(ids.map(id => [id, 1 / ids.length]));
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const next = pageRankPass(ids, outLinks, ranks, damping);
+    let change = 0;
+    for (const id of ids) change += Math.abs(next.get(id) - ranks.get(id));
+    ranks = next;
+    if (change < 1e-9) break;
+  }
+  return ranks;
+}
+
+/**
+ * In-graph metrics per paper: in/out degree, PageRank, and co-citation with the
+ * seeds - the number of papers in the graph citing both this paper and a seed
+ * (summed over seeds). Only expanded papers have their links in the graph, so
+ * co-citation through the seed's citing papers needs at least two hops.
+ * @param {Object} graph - Graph from buildCitationGraph
+ * @returns {Map} paperId -> { inDegree, outDegree, pageRank, coCitation }
+ */
+function computeMetrics(graph) {
+  const ids = graph.nodes.map(node => node.paperId);
+  const outLinks = new Map(ids.map(id => [id, []]));
+  const citers = new Map(ids.map(id => [id, new Set()]));
+  graph.edges.forEach(({ source, target }) => {
+    outLinks.get(source).push(target);
+    citers.get(target).add(source);
+  });
+
+  const ranks = ids.length ? pageRank(ids, outLinks) : new Map();
+  const coCitation = id => graph.seeds
+    .filter(seed => seed !== id)
+    .reduce((sum, seed) => sum + [...citers.get(id)].filter(citer => citers.get(seed).has(citer)).length, 0);
+
+  return new Map(ids.map(id => [id, {
+    inDegree: citers.get(id).size,
+    outDegree: outLinks.get(id).length,
+    pageRank: Number(ranks.get(id).toFixed(6)),
+    coCitation: coCitation(id)
+  }]));
+}
+
+/**
+ * Orders the papers of a graph by an in-graph measure
+ * @param {Object} graph - Graph from buildCitationGraph
+ * @param {Object} [options] - { by: pagerank|in-degree|co-citation, limit, includeSeeds }
+ * @returns {Array} Nodes with their metrics, best first
+ */
+function rankNodes(graph, { by = 'pagerank', limit = Infinity, includeSeeds = false } = {}) {
+  const keys = { pagerank: 'pageRank', 'in-degree': 'inDegree', 'co-citation': 'coCitation' };
+  if (!keys[by]) throw invalidGraphRequest(`Unknown ranking "${by}" (expected one of ${RANKINGS.join(', ')})`);
+
+  const metrics = computeMetrics(graph);
+  return graph.nodes
+    .filter(node => includeSeeds || !node.seed)
+    .map(node => ({ ...node, ...metrics.get(node.paperId) }))
+    // Ties go to the paper with the higher PageRank, then the more cited one overall
+    .sort((a, b) => b[keys[by]] - a[keys[by]] || b.pageRank - a.pageRank || (b.citationCount || 0) - (a.citationCount || 0))
+    .slice(0, limit);
+}
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeDot = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ');
+
+// Node attributes written to GraphML: [key, attr.type]
+const GRAPHML_ATTRIBUTES = [
+  ['title', 'string'],
+  ['year', 'int'],
+  ['venue', 'string'],
+  ['citationCount', 'int'],
+  ['doi', 'string'],
+  ['hop', 'int'],
+  ['seed', 'boolean'],
+  ['inDegree', 'int'],
+  ['pageRank', 'double'],
+  ['coCitation', 'int']
+];
+
+/**
+ * Serializes a graph with its metrics as JSON, GraphML (e.g. for Gephi) or DOT (Graphviz)
+ * @param {Object} graph - Graph from buildCitationGraph
+ * @param {string} [format='json'] - json, graphml or dot
+ * @returns {string} Serialized graph
+ */
+function exportGraph(graph, format = 'json') {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw invalidGraphRequest(`Unknown graph format "${format}" (expected one of ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const metrics = computeMetrics(graph);
+  const nodes = graph.nodes.map(node => ({ ...node, ...metrics.get(node.paperId) }));
+
+  if (format === 'json') {
+    return JSON.stringify({ ...graph, nodes }, null, 2);
+  }
+
+  if (format === 'dot') {
+    const lines = nodes.map(node => {
+      const label = `${node.title || node.paperId}${node.year ? ` (${node.year})` : ''}`;
+      return `  "${escapeDot(node.paperId)}" [label="${escapeDot(label)}"${node.seed ? ', style=filled, fillcolor=gold' : ''}];`;
+    });
+    graph.edges.forEach(({ source, target }) => lines.push(`  "${escapeDot(source)}" -> "${escapeDot(target)}";`));
+    return `digraph citations {\n  node [shape=box];\n${lines.join('\n')}\n}`;
+  }
+
+  const valueOf = (node, key) => (key === 'doi' ? node.externalIds.DOI : node[key]);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_ATTRIBUTES.map(([key, type]) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`),
+    '  <graph id="citations" edgedefault="directed">',
+    ...nodes.flatMap(node => [
+      `    <node id="${escapeXml(node.paperId)}">`,
+      ...GRAPHML_ATTRIBUTES
+        .filter(([key]) => valueOf(node, key) != null)
+        .map(([key]) => `      <data key="${key}">${escapeXml(valueOf(node, key))}</data>`),
+      '    </node>'
+    ]),
+    ...graph.edges.map(({ source, target }, index) =>
+      `    <edge id="e${index}" source="${escapeXml(source)}" target="${escapeXml(target)}"/>`),
+    '  </graph>',
+    '</graphml>'
+  ].join('\n');
+}
+
+module.exports = {
+  GRAPH_FIELDS,
+  DIRECTIONS,
+  RANKINGS,
+  EXPORT_FORMATS,
+  fetchPaperLinks,
+  buildCitationGraph,
+  computeMetrics,
+  rankNodes,
+  exportGraph
+};
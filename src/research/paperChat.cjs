@@ -0,0 +1,297 @@
+// Full-text chat over papers for the research CLI: PDF text by page, chunks by
+// section, a local BM25 index for retrieval, and answers citing section and page.
+
+const PASSAGE_WORDS = 180;
+const PASSAGE_OVERLAP = 40;
+const DEFAULT_TOP_K = 5;
+
+// Semantic Scholar ids: 40-hex paper ids or prefixed external ids (DOI:..., ARXIV:...)
+const PAPER_ID = /^([0-9a-f]{40}|(DOI|ARXIV|CORPUSID|PMID|PMCID|MAG|ACL|URL):\S+)$/i;
+
+// Section names common enough to count as headings without a number
+const NAMED_HEADING = /^((?:[IVX]+|[A-Z]|\d+(?:\.\d+)*)[.)]?\s+)?(abstract|introduction|related work|background|preliminaries|methods?|methodology|approach|model|experiments?|experimental setup|setup|data(?:sets?)?|results|evaluation|analysis|discussion|conclusions?|limitations|future work|references|bibliography|acknowledge?ments|appendix(?: [a-z])?)$/i;
+
+// "3 Method", "4.2 Training Details", "IV. EXPERIMENTS"
+const NUMBERED_HEADING = /^((?:\d+(?:\.\d+)*|[IVX]+)\.?)\s+([A-Z][^.!?]*)$/;
+
+// Back matter left out of retrieval: reference lists match almost any query term
+const BACK_MATTER = /^(references|bibliography)$/i;
+
+const STOP_WORDS = new Set(('a an and are as at be by can did do does for from has have how in is it its of on or ' +
+  'that the their there these they this to was were what when where which who why will with we our not but').split(' '));
+
+/**
+ * Builds an error with a code
+ * @param {string} message - What went wrong
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function chatError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether a command-line argument is a Semantic Scholar paper id rather than text
+ * @param {string} value - Argument
+ * @returns {boolean} True for paper ids
+ */
+function isPaperId(value) {
+  return PAPER_ID.test(String(value).trim());
+}
+
+/**
+ * Extracts the text of a PDF page by page, keeping line breaks
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<Array>} Pages [{ page, text }]
+ */
+async function extractPdfPages(buffer) {
+  // The package entry point runs a debug self-test when loaded outside a parent module
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+
+  // pdf.js reads the whole underlying ArrayBuffer, ignoring the offset of pooled Buffers
+  await pdfParse(new Uint8Array(buffer), {
+    pagerender: async pageData => {
+      const content = await pageData.getTextContent();
+      let lastY = null;
+      let text = '';
+      content.items.forEach(item => {
+        const y = item.transform[5];
+        text += lastY === null || Math.abs(y - lastY) < 1 ? item.str : `\n${item.str}`;
+        lastY = y;
+      });
+      pages.push({ page: pageData.pageNumber, text });
+      return text;
+    }
+  });
+
+  pages.sort((a, b) => a.page - b.page);
+  if (!pages.some(page => page.text.trim())) {
+    throw chatError('The PDF has no extractable text (it may be a scanned image)', 'PDF_NO_TEXT');
+  }
+  return pages;
+}
+
+/**
+ * Heading title of a line, or null for body text. Headings are short lines with a
+ * section number or a common section name.
+ * @param {string} line - Trimmed line
+ * @returns {string|null} Heading title
+ */
+function headingOf(line) {
+  if (line.length > 80 || line.split(/\s+/).length > 8) return null;
+  if (NAMED_HEADING.test(line)) return line;
+  const numbered = NUMBERED_HEADING.exec(line);
+  // A numbered line ending in punctuation or with a lower-case run is a sentence, not a heading
+  if (numbered && !/[,;:]$/.test(line) && numbered[2].split(/\s+/).filter(word => /^[a-z]/.test(word)).length <= 3) {
+    return line;
+  }
+  return null;
+}
+
+/**
+ * Splits page text into sections at detected headings. Text before the first
+ * heading (title, authors) becomes "Front matter".
+ * @param {Array} pages - [{ page, text }]
+ * @returns {Array} Sections [{ title, lines: [{ page, text }] }]
+ */
+function splitSections(pages) {
+  const sections = [];
+  let current = { title: 'Front matter', lines: [] };
+
+  pages.forEach(({ page, text }) => {
+    text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+      const heading = headingOf(line);
+      if (heading) {
+        if (current.lines.length > 0) sections.push(current);
+        current = { title: heading, lines: [] };
+      } else {
+        current.lines.push({ page, text: line });
+      }
+    });
+  });
+  if (current.lines.length > 0) sections.push(current);
+  return sections;
+}
+
+/**
+ * Cuts sections into overlapping passages of about PASSAGE_WORDS words, each
+ * remembering its section and pages. Words hyphenated across lines are rejoined;
+ * reference lists are skipped.
+ * @param {Array} sections - Sections from splitSections
+ * @param {Object} [options] - { words, overlap }
+ * @returns {Array} Passages [{ id, section, pageStart, pageEnd, text }]
+ */
+function chunkSections(sections, { words = PASSAGE_WORDS, overlap = PASSAGE_OVERLAP } = {}) {
+  const passages = [];
+
+  sections
+    .filter(section => !BACK_MATTER.test(section.title.replace(NAMED_HEADING, '$2')))
+    .forEach(section => {
+      const tokens = [];
+      section.lines.forEach(line => {
+        line.text.split(/\s+/).forEach((word, index) => {
+          const previous = tokens[tokens.length - 1];
+          if (index === 0 && previous && previous.lineEnd && /[a-z]-$/.test(previous.word) && /^[a-z]/.test(word)) {
+            previous.word = `${previous.word.slice(0, -1)}${word}`;
+            previous.lineEnd = false;
+            return;
+          }
+          if (previous) previous.lineEnd = false;
+          tokens.push({ word, page: line.page, lineEnd: false });
+        });
+        if (tokens.length) tokens[tokens.length - 1].lineEnd = true;
+      });
+
+      for (let start = 0; start < tokens.length; start += words - overlap) {
+        const slice = tokens.slice(start, start + words);
+        passages.push({
+          id: passages.length + 1,
+          section: section.title,
+          pageStart: slice[0].page,
+          pageEnd: slice[slice.length - 1].page,
+          text: slice.map(token => token.word).join(' ')
+        });
+        if (start + words >= tokens.length) break;
+      }
+    });
+  return passages;
+}
+
+/**
+ * Lower-cased terms without stop words; a plural s is dropped so "datasets" finds "dataset"
+ * @param {string} text - Any text
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term && !STOP_WORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * Creates a BM25 index over passages; the section title counts as passage text
+ * @param {Array} passages - Passages from chunkSections
+ * @param {Object} [options] - { k1, b }
+ * @returns {Object} { search(query, limit) } returning passages with a `score`, best first
+ */
+function createBM25Index(passages, { k1 = 1.5, b = 0.75 } = {}) {
+  const documents = passages.map(passage => {
+    const terms = tokenize(`${passage.section} ${passage.text}`);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { passage, length: terms.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach(doc => doc.frequencies.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+  const idf = term => {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+  };
+
+  return {
+    search(query, limit = DEFAULT_TOP_K) {
+      const terms = [...new Set(tokenize(query))];
+      return documents
+        .map(doc => ({
+          ...doc.passage,
+          score: terms.reduce((sum, term) => {
+            const tf = doc.frequencies.get(term) || 0;
+            return tf ? sum + idf(term) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * doc.length) / averageLength)) : sum;
+          }, 0)
+        }))
+        .filter(result => result.score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+const pageLabel = passage => {
+  if (passage.pageStart == null) return null;
+  return passage.pageStart === passage.pageEnd ? `p. ${passage.pageStart}` : `pp. ${passage.pageStart}-${passage.pageEnd}`;
+};
+
+/**
+ * Where a passage comes from, e.g. "4.1 Datasets, p. 5"
+ * @param {Object} passage - Passage with section and pages
+ * @returns {string} Location
+ */
+function describeLocation(passage) {
+  return [passage.section, pageLabel(passage)].filter(Boolean).join(', ');
+}
+
+/**
+ * Answers a question about a paper from its most relevant passages. Full text
+ * (`pages`) is split by section and searched with BM25; without it the abstract
+ * is the only passage. The model cites passages as [n]; the citations returned
+ * point to the section and pages of each cited passage.
+ * @param {Function} chat - (messages, maxTokens) => reply text
+ * @param {Object} paper - { title, pages: [{ page, text }] } or { title, abstract }
+ * @param {string} question - User question
+ * @param {Object} [options] - { topK }
+ * @returns {Promise<Object>} { answer, citations: [{ ref, section, pageStart, pageEnd, location }], passages, source: 'pdf'|'abstract' }
+ */
+async function answerFromPaper(chat, paper, question, { topK = DEFAULT_TOP_K } = {}) {
+  if (!question || !String(question).trim()) throw chatError('A question is required', 'INVALID_QUESTION');
+
+  let passages;
+  let source;
+  if (paper.pages) {
+    const all = chunkSections(splitSections(paper.pages));
+    passages = createBM25Index(all).search(question, topK);
+    // No passage shares a term with the question: give the model the opening instead
+    if (passages.length === 0) passages = all.slice(0, Math.min(2, all.length));
+    source = 'pdf';
+  } else {
+    if (!paper.abstract) throw chatError('The paper has neither full text nor an abstract', 'NO_PAPER_TEXT');
+    passages = [{ id: 1, section: 'Abstract', pageStart: null, pageEnd: null, text: paper.abstract }];
+    source = 'abstract';
+  }
+
+  const numbered = passages.map((passage, index) => ({ ...passage, ref: index + 1 }));
+  const context = numbered.map(passage => `[${passage.ref}] (${describeLocation(passage)})\n${passage.text}`).join('\n\n');
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are a research assistant. Answer questions about a paper using only the numbered passages from it. ' +
+        'Cite the passages you use like [2]. If the passages do not contain the answer, say so.'
+    },
+    { role: 'user', content: `Paper: ${paper.title || 'Untitled'}\n\nPassages:\n${context}\n\nQuestion: ${question}` }
+  ];
+  const answer = String(await chat(messages, 400)).trim();
+
+  const cited = new Set();
+  for (const [, refs] of answer.matchAll(/\[(\d+(?:\s*[,;]\s*\d+)*)\]/g)) {
+    refs.split(/[,;]/).forEach(ref => cited.add(Number(ref)));
+  }
+  const citations = numbered
+    .filter(passage => cited.has(passage.ref))
+    .map(passage => ({
+      ref: passage.ref,
+      section: passage.section,
+      pageStart: passage.pageStart,
+      pageEnd: passage.pageEnd,
+      location: describeLocation(passage)
+    }));
+
+  return { answer, citations, passages: numbered, source };
+}
+
+module.exports = {
+  isPaperId,
+  extractPdfPages,
+  splitSections,
+  chunkSections,
+  tokenize,
+  createBM25Index,
+  answerFromPaper
+};
@@ -0,0 +1,183 @@
+// Paper search against the Semantic Scholar Graph API for the research CLI:
+// filters, pagination and output formats.
+
+// Fields requested for every search result
+const SEARCH_FIELDS = 'title,abstract,url,authors,year,venue,citationCount,externalIds';
+
+// Relevance search pages hold at most 100 results and stop at offset + limit = 1000;
+// beyond that the bulk endpoint pages with a continuation token instead.
+const PAGE_SIZE = 100;
+const RELEVANCE_WINDOW = 1000;
+
+const OUTPUT_FORMATS = ['json', 'jsonl', 'table'];
+
+const YEAR_RANGE = /^(\d{4})?(-(\d{4})?)?$/;
+
+/**
+ * Builds a search error with code INVALID_SEARCH
+ * @param {string} message - What is wrong with the search
+ * @returns {Error} Error with code
+ */
+function invalidSearch(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEARCH';
+  return error;
+}
+
+/**
+ * Normalizes a list option given as an array or a comma-separated string
+ * @param {string|Array} value - e.g. 'Computer Science,Medicine'
+ * @returns {Array} Trimmed, non-empty entries
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Translates search filters into Semantic Scholar query parameters
+ * @param {Object} [filters] - Search filters
+ * @param {string|number} [filters.year] - Year or range: 2020, 2019-2023, 2019- or -2020
+ * @param {string|Array} [filters.fieldsOfStudy] - Fields of study, e.g. 'Computer Science'
+ * @param {string|Array} [filters.venue] - Venues, e.g. 'Nature,Science'
+ * @param {boolean} [filters.openAccess] - Only papers with a public PDF
+ * @param {number} [filters.minCitations] - Minimum citation count
+ * @returns {Object} Query parameters
+ */
+function buildSearchParams(filters = {}) {
+  const params = {};
+
+  if (filters.year != null && filters.year !== '') {
+    const year = String(filters.year).trim();
+    const match = YEAR_RANGE.exec(year);
+    if (!match || (!match[1] && !match[3]) || (match[1] && match[3] && match[1] > match[3])) {
+      throw invalidSearch(`Invalid year range "${year}" (expected e.g. 2020, 2019-2023, 2019- or -2020)`);
+    }
+    params.year = year;
+  }
+
+  if (filters.fieldsOfStudy) {
+    const fields = toList(filters.fieldsOfStudy);
+    if (fields.length) params.fieldsOfStudy = fields.join(',');
+  }
+
+  if (filters.venue) {
+    const venues = toList(filters.venue);
+    if (venues.length) params.venue = venues.join(',');
+  }
+
+  // The API filters on the presence of the parameter, not its value
+  if (filters.openAccess) params.openAccessPdf = '';
+
+  if (filters.minCitations != null) {
+    const minCitations = Number(filters.minCitations);
+    if (!Number.isInteger(minCitations) || minCitations < 0) {
+      throw invalidSearch(`Invalid minimum citation count "${filters.minCitations}"`);
+    }
+    params.minCitationCount = minCitations;
+  }
+
+  return params;
+}
+
+/**
+ * Searches papers by keyword, following pages until `limit` results are collected
+ * or the results run out. Within the first 1000 results the relevance-ranked
+ * search is paged by offset; requests that reach past it use the bulk search,
+ * paged by continuation token (bulk results are not relevance-ranked).
+ * @param {Function} s2Get - (path, params) => response body
+ * @param {string} query - Search keywords
+ * @param {number} [limit=5] - Maximum results
+ * @param {Object} [options] - Filters for buildSearchParams plus `offset`
+ * @returns {Promise<Array>} Papers
+ */
+async function searchPapers(s2Get, query, limit = 5, options = {}) {
+  const offset = Number(options.offset || 0);
+  if (!Number.isInteger(limit) || limit < 1) throw invalidSearch(`Invalid result limit "${limit}"`);
+  if (!Number.isInteger(offset) || offset < 0) throw invalidSearch(`Invalid offset "${options.offset}"`);
+
+  const params = { query, fields: SEARCH_FIELDS, ...buildSearchParams(options) };
+
+  if (offset + limit > RELEVANCE_WINDOW) {
+    return bulkSearch(s2Get, params, offset, limit);
+  }
+
+  const papers = [];
+  let next = offset;
+  while (papers.length < limit) {
+    const page = await s2Get('/paper/search', {
+      ...params,
+      offset: next,
+      limit: Math.min(PAGE_SIZE, limit - papers.length)
+    });
+    papers.push(...(page.data || []));
+    // `next` is absent on the last page
+    if (page.next == null || !page.data || page.data.length === 0) break;
+    next = page.next;
+  }
+  return papers;
+}
+
+/**
+ * Pages through the bulk search by continuation token, skipping `offset` results
+ * @param {Function} s2Get - (path, params) => response body
+ * @param {Object} params - Query, fields and filters
+ * @param {number} offset - Results to skip
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} Papers
+ */
+async function bulkSearch(s2Get, params, offset, limit) {
+  const papers = [];
+  let skip = offset;
+  let token;
+
+  do {
+    const page = await s2Get('/paper/search/bulk', token ? { ...params, token } : params);
+    const data = page.data || [];
+    papers.push(...data.slice(skip));
+    skip = Math.max(0, skip - data.length);
+    token = page.token;
+  } while (token && papers.length < limit);
+
+  return papers.slice(0, limit);
+}
+
+const truncate = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+
+/**
+ * Renders papers as pretty JSON, one JSON object per line, or a plain-text table
+ * @param {Array} papers - Search results
+ * @param {string} [format='json'] - json, jsonl or table
+ * @returns {string} Output text
+ */
+function formatPapers(papers, format = 'json') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(papers, null, 2);
+    case 'jsonl':
+      return papers.map(paper => JSON.stringify(paper)).join('\n');
+    case 'table': {
+      const rows = papers.map(paper => [
+        paper.year != null ? String(paper.year) : '',
+        paper.citationCount != null ? String(paper.citationCount) : '',
+        truncate(paper.venue || '', 24),
+        truncate(paper.title || '', 60),
+        (paper.externalIds && paper.externalIds.DOI) || ''
+      ]);
+      const header = ['Year', 'Cited', 'Venue', 'Title', 'DOI'];
+      const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+      const line = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+      return [line(header), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+    }
+    default:
+      throw invalidSearch(`Unknown output format "${format}" (expected one of ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  OUTPUT_FORMATS,
+  buildSearchParams,
+  searchPapers,
+  formatPapers
+};
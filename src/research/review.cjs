@@ -0,0 +1,208 @@
+// Structured literature reviews for the research CLI. The review object keeps
+// every claim tied to paper ids so renderers can cite the papers it came from.
+
+const { toReference, assignCitationKeys } = require('./bibliography.cjs');
+
+// Abstracts are cut to this length in prompts that cover many papers
+const PROMPT_ABSTRACT_CHARS = 1500;
+
+/**
+ * Builds an error for a model reply that is not the requested JSON
+ * @param {string} message - What was wrong
+ * @param {string} reply - Raw model reply
+ * @returns {Error} Error with code INVALID_MODEL_RESPONSE
+ */
+function invalidModelResponse(message, reply) {
+  const error = new Error(message);
+  error.code = 'INVALID_MODEL_RESPONSE';
+  error.details = { reply };
+  return error;
+}
+
+/**
+ * Parses the JSON a model was asked for, tolerating code fences and text around it
+ * @param {string} reply - Model reply
+ * @returns {*} Parsed JSON
+ */
+function parseJsonReply(reply) {
+  const text = String(reply);
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start === -1 || end < start) throw invalidModelResponse('The model reply contains no JSON', reply);
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw invalidModelResponse(`The model reply is not valid JSON: ${error.message}`, reply);
+  }
+}
+
+/**
+ * Lists papers under short labels (P1, P2, ...) the model can cite reliably
+ * @param {Array} papers - References with paperId
+ * @param {Function} describe - paper => text shown after the label
+ * @returns {Object} { text, resolve(labels) } where resolve maps labels back to paper ids
+ */
+function labelPapers(papers, describe) {
+  const byLabel = new Map(papers.map((paper, index) => [`P${index + 1}`, paper.paperId]));
+  return {
+    text: papers.map((paper, index) => `[P${index + 1}] ${describe(paper)}`).join('\n\n'),
+    resolve: labels => [...new Set((Array.isArray(labels) ? labels : [])
+      .map(label => byLabel.get(String(label).replace(/[[\]\s]/g, '').toUpperCase()))
+      .filter(Boolean))]
+  };
+}
+
+const abstractOf = paper => (paper.abstract || 'No abstract available.').slice(0, PROMPT_ABSTRACT_CHARS);
+
+/**
+ * Asks the model for open research gaps, each backed by the papers that point to it
+ * @param {Function} chat - (messages, maxTokens) => reply text
+ * @param {Array} papers - References with paperId, title and abstract
+ * @returns {Promise<Object>} { gaps: [{ gap, paperIds }], dropped } where dropped counts gaps citing no known paper
+ */
+async function discoverGaps(chat, papers) {
+  const labelled = labelPapers(papers, paper => `${paper.title}\n${abstractOf(paper)}`);
+  const prompt = `Identify 3 open research gaps based on these papers:\n\n${labelled.text}\n\n` +
+    'Reply with JSON only: [{"gap": "one or two sentences", "papers": ["P1", "P3"]}], ' +
+    'where papers lists the labels of the papers that support the gap.';
+
+  const reply = parseJsonReply(await chat([{ role: 'user', content: prompt }], 500));
+  if (!Array.isArray(reply)) throw invalidModelResponse('Expected a JSON array of gaps', reply);
+
+  const gaps = reply
+    .filter(item => item && typeof item.gap === 'string' && item.gap.trim())
+    .map(item => ({ gap: item.gap.trim(), paperIds: labelled.resolve(item.papers) }));
+  return {
+    gaps: gaps.filter(gap => gap.paperIds.length > 0),
+    dropped: gaps.filter(gap => gap.paperIds.length === 0).length
+  };
+}
+
+/**
+ * Groups papers into themes
+ * @param {Function} chat - (messages, maxTokens) => reply text
+ * @param {Array} papers - References with paperId, title and summary or abstract
+ * @returns {Promise<Array>} Themes [{ name, description, paperIds }]
+ */
+async function clusterThemes(chat, papers) {
+  const labelled = labelPapers(papers, paper => `${paper.title}\n${paper.summary || abstractOf(paper)}`);
+  const prompt = `Group these papers into 2-4 research themes:\n\n${labelled.text}\n\n` +
+    'Reply with JSON only: [{"name": "short theme name", "description": "one sentence", "papers": ["P1", "P2"]}]. ' +
+    'Every paper belongs to exactly one theme.';
+
+  const reply = parseJsonReply(await chat([{ role: 'user', content: prompt }], 500));
+  if (!Array.isArray(reply)) throw invalidModelResponse('Expected a JSON array of themes', reply);
+
+  return reply
+    .filter(item => item && typeof item.name === 'string' && item.name.trim())
+    .map(item => ({
+      name: item.name.trim(),
+      description: typeof item.description === 'string' ? item.description.trim() : '',
+      paperIds: labelled.resolve(item.papers)
+    }))
+    .filter(theme => theme.paperIds.length > 0);
+}
+
+/**
+ * Devil's advocate: asks the model for viewpoints opposing the topic and finds a
+ * paper for each. The viewpoint is kept as the reason the paper opposes the topic.
+ * @param {Function} chat - (messages, maxTokens) => reply text
+ * @param {Function} searchPapers - (query, limit) => papers
+ * @param {string} topic - Review topic
+ * @param {number} [limit=3] - Maximum opposing works
+ * @returns {Promise<Array>} [{ viewpoint, query, paper }]
+ */
+async function findOpposingViews(chat, searchPapers, topic, limit = 3) {
+  const prompt = `List ${limit} viewpoints opposing or challenging research on: ${topic}\n\n` +
+    'Reply with JSON only: [{"viewpoint": "one sentence stating the opposing position", "query": "3-6 search keywords"}]';
+
+  const reply = parseJsonReply(await chat([{ role: 'user', content: prompt }], 300));
+  if (!Array.isArray(reply)) throw invalidModelResponse('Expected a JSON array of viewpoints', reply);
+
+  const opposing = [];
+  for (const item of reply.slice(0, limit)) {
+    if (!item || typeof item.viewpoint !== 'string' || typeof item.query !== 'string' || !item.query.trim()) continue;
+    const [paper] = await searchPapers(item.query.trim(), 1);
+    if (paper) opposing.push({ viewpoint: item.viewpoint.trim(), query: item.query.trim(), paper });
+  }
+  return opposing;
+}
+
+/**
+ * Runs a step whose model reply may be unusable; such a step leaves its section
+ * empty and adds a warning instead of failing the review. Other errors propagate.
+ */
+async function optionalStep(warnings, label, fallback, step) {
+  try {
+    return await step();
+  } catch (error) {
+    if (error.code !== 'INVALID_MODEL_RESPONSE') throw error;
+    warnings.push(`${label}: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Builds a structured literature review: the papers found for the topic with a
+ * summary each, thematic clusters, research gaps tied to supporting papers, and
+ * opposing works with the viewpoint they stand for. Themes, gaps and opposing
+ * works reference papers by paperId; opposing works are listed in `papers` with
+ * role 'opposing' so renderers can cite them too.
+ * @param {Object} deps - { searchPapers(query, limit), summarizeAbstract(abstract), chat(messages, maxTokens) }
+ * @param {string} topic - Review topic
+ * @param {Object} [options] - { limit: papers to review, papers: review these (e.g. an imported library) instead of searching, opposingLimit, now }
+ * @returns {Promise<Object>} { topic, generatedAt, papers, themes, gaps, opposing, warnings }
+ */
+async function buildReview(deps, topic, options = {}) {
+  const { limit = 5, opposingLimit = 3, now = () => new Date() } = options;
+  const warnings = [];
+
+  const found = (options.papers || await deps.searchPapers(topic, limit)).filter(paper => paper.paperId);
+  const reviewed = [];
+  for (const paper of found) {
+    const reference = toReference(paper);
+    const summary = reference.abstract ? await deps.summarizeAbstract(reference.abstract) : null;
+    reviewed.push({ ...reference, role: 'reviewed', summary });
+  }
+
+  const themes = reviewed.length > 1
+    ? await optionalStep(warnings, 'Themes', [], () => clusterThemes(deps.chat, reviewed))
+    : [];
+
+  const { gaps, dropped } = reviewed.length > 0
+    ? await optionalStep(warnings, 'Research gaps', { gaps: [], dropped: 0 }, () => discoverGaps(deps.chat, reviewed))
+    : { gaps: [], dropped: 0 };
+  if (dropped > 0) warnings.push(`Research gaps: ${dropped} gap(s) cited no reviewed paper and were left out`);
+
+  const views = await optionalStep(warnings, 'Opposing viewpoints', [],
+    () => findOpposingViews(deps.chat, deps.searchPapers, topic, opposingLimit));
+  const known = new Set(reviewed.map(paper => paper.paperId));
+  const opposingPapers = [];
+  const opposing = views
+    .filter(view => view.paper.paperId)
+    .map(view => {
+      if (!known.has(view.paper.paperId)) {
+        known.add(view.paper.paperId);
+        opposingPapers.push({ ...toReference(view.paper), role: 'opposing', summary: null });
+      }
+      return { paperId: view.paper.paperId, reason: view.viewpoint, query: view.query };
+    });
+
+  return {
+    topic,
+    generatedAt: now().toISOString(),
+    papers: assignCitationKeys([...reviewed, ...opposingPapers]),
+    themes,
+    gaps,
+    opposing,
+    warnings
+  };
+}
+
+module.exports = {
+  parseJsonReply,
+  discoverGaps,
+  clusterThemes,
+  findOpposingViews,
+  buildReview
+};
@@ -0,0 +1,259 @@
+// Renderers for structured literature reviews (see review.cjs). Each renderer
+// turns a review object into a document; more can be added with registerRenderer.
+
+const { escapeLatex, toBibTeX } = require('./bibliography.cjs');
+
+const renderers = new Map();
+
+/**
+ * Registers a renderer for an output format
+ * @param {string} format - Format name used on the command line, e.g. 'markdown'
+ * @param {Function} render - review => document text
+ */
+function registerRenderer(format, render) {
+  renderers.set(format, render);
+}
+
+/**
+ * Renders a review in the given format
+ * @param {Object} review - Review from buildReview
+ * @param {string} [format='markdown'] - Registered format
+ * @returns {string} Document text
+ */
+function renderReview(review, format = 'markdown') {
+  const render = renderers.get(format);
+  if (!render) {
+    const error = new Error(`Unknown review format "${format}" (expected one of ${[...renderers.keys()].join(', ')})`);
+    error.code = 'INVALID_REVIEW_FORMAT';
+    throw error;
+  }
+  return render(review);
+}
+
+const listFormats = () => [...renderers.keys()];
+
+/**
+ * Indexes the papers of a review by paperId
+ * @param {Object} review - Review from buildReview
+ * @returns {Function} paperId => paper (undefined for unknown ids)
+ */
+function paperLookup(review) {
+  const byId = new Map(review.papers.map(paper => [paper.paperId, paper]));
+  return paperId => byId.get(paperId);
+}
+
+const reviewedPapers = review => review.papers.filter(paper => paper.role === 'reviewed');
+
+const doiUrl = paper => (paper.doi ? `https://doi.org/${paper.doi}` : paper.url);
+
+// "A, B and C" / "A et al." for long author lists
+const authorList = (authors, max = 3) => {
+  if (authors.length === 0) return 'Unknown authors';
+  if (authors.length > max) return `${authors[0]} et al.`;
+  return authors.length === 1 ? authors[0] : `${authors.slice(0, -1).join(', ')} and ${authors[authors.length - 1]}`;
+};
+
+const generatedDate = review => review.generatedAt.slice(0, 10);
+
+registerRenderer('json', review => JSON.stringify(review, null, 2));
+
+registerRenderer('markdown', review => {
+  const paper = paperLookup(review);
+  const cite = ids => `[${ids.map(id => paper(id)).filter(Boolean).map(found => found.key).join('; ')}]`;
+  const lines = [
+    `# Literature Review: ${review.topic}`,
+    '',
+    `_Generated ${generatedDate(review)} from ${reviewedPapers(review).length} papers._`,
+    ''
+  ];
+
+  if (review.warnings.length > 0) {
+    review.warnings.forEach(warning => lines.push(`> **Note:** ${warning}`));
+    lines.push('');
+  }
+
+  if (review.themes.length > 0) {
+    lines.push('## Themes', '');
+    review.themes.forEach(theme => {
+      lines.push(`### ${theme.name}`, '');
+      if (theme.description) lines.push(theme.description, '');
+      lines.push(`Papers: ${cite(theme.paperIds)}`, '');
+    });
+  }
+
+  lines.push('## Papers', '');
+  reviewedPapers(review).forEach(item => {
+    lines.push(
+      `### ${item.title} [${item.key}]`,
+      `**Authors:** ${authorList(item.authors, 10)}  `,
+      `**Year:** ${item.year || 'n/a'}${item.venue ? ` · **Venue:** ${item.venue}` : ''}  `,
+      `**URL:** ${doiUrl(item) || 'n/a'}`,
+      '',
+      `**Summary:** ${item.summary || 'No abstract available.'}`,
+      ''
+    );
+  });
+
+  lines.push('## Research Gaps', '');
+  if (review.gaps.length === 0) lines.push('No research gaps identified.');
+  review.gaps.forEach((gap, index) => lines.push(`${index + 1}. ${gap.gap} ${cite(gap.paperIds)}`));
+  lines.push('');
+
+  lines.push('## Opposing Viewpoints', '');
+  if (review.opposing.length === 0) lines.push('No opposing works found.');
+  review.opposing.forEach(view => {
+    const found = paper(view.paperId);
+    lines.push(`- **${found.title}** [${found.key}]: ${view.reason}`);
+  });
+  lines.push('');
+
+  lines.push('## References', '');
+  review.papers.forEach(item => {
+    const link = doiUrl(item);
+    lines.push(`- [${item.key}] ${authorList(item.authors)} (${item.year || 'n.d.'}). *${item.title}*.${item.venue ? ` ${item.venue}.` : ''}${link ? ` ${link}` : ''}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+});
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+registerRenderer('html', review => {
+  const paper = paperLookup(review);
+  const cite = ids => ids
+    .map(id => paper(id))
+    .filter(Boolean)
+    .map(found => `<a href="#ref-${escapeHtml(found.key)}">[${escapeHtml(found.key)}]</a>`)
+    .join(' ');
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>Literature Review: ${escapeHtml(review.topic)}</title>`,
+    '</head>',
+    '<body>',
+    `<h1>Literature Review: ${escapeHtml(review.topic)}</h1>`,
+    `<p><em>Generated ${generatedDate(review)} from ${reviewedPapers(review).length} papers.</em></p>`,
+    ...review.warnings.map(warning => `<p class="note"><strong>Note:</strong> ${escapeHtml(warning)}</p>`)
+  ];
+
+  if (review.themes.length > 0) {
+    parts.push('<h2>Themes</h2>');
+    review.themes.forEach(theme => {
+      parts.push(`<h3>${escapeHtml(theme.name)}</h3>`);
+      if (theme.description) parts.push(`<p>${escapeHtml(theme.description)}</p>`);
+      parts.push(`<p>Papers: ${cite(theme.paperIds)}</p>`);
+    });
+  }
+
+  parts.push('<h2>Papers</h2>');
+  reviewedPapers(review).forEach(item => {
+    const link = doiUrl(item);
+    parts.push(
+      '<section>',
+      `<h3>${escapeHtml(item.title)} ${cite([item.paperId])}</h3>`,
+      `<p>${escapeHtml(authorList(item.authors, 10))} (${item.year || 'n.d.'})${item.venue ? `, ${escapeHtml(item.venue)}` : ''}` +
+        `${link ? ` · <a href="${escapeHtml(link)}">${escapeHtml(link)}</a>` : ''}</p>`,
+      `<p>${escapeHtml(item.summary || 'No abstract available.')}</p>`,
+      '</section>'
+    );
+  });
+
+  parts.push('<h2>Research Gaps</h2>');
+  parts.push(review.gaps.length === 0
+    ? '<p>No research gaps identified.</p>'
+    : `<ol>\n${review.gaps.map(gap => `<li>${escapeHtml(gap.gap)} ${cite(gap.paperIds)}</li>`).join('\n')}\n</ol>`);
+
+  parts.push('<h2>Opposing Viewpoints</h2>');
+  parts.push(review.opposing.length === 0
+    ? '<p>No opposing works found.</p>'
+    : `<ul>\n${review.opposing.map(view => `<li><strong>${escapeHtml(paper(view.paperId).title)}</strong> ${cite([view.paperId])}: ${escapeHtml(view.reason)}</li>`).join('\n')}\n</ul>`);
+
+  parts.push('<h2>References</h2>', '<ul>');
+  review.papers.forEach(item => {
+    const link = doiUrl(item);
+    parts.push(`<li id="ref-${escapeHtml(item.key)}">[${escapeHtml(item.key)}] ${escapeHtml(authorList(item.authors))} (${item.year || 'n.d.'}). ` +
+      `<em>${escapeHtml(item.title)}</em>.${item.venue ? ` ${escapeHtml(item.venue)}.` : ''}` +
+      `${link ? ` <a href="${escapeHtml(link)}">${escapeHtml(link)}</a>` : ''}</li>`);
+  });
+  parts.push('</ul>', '</body>', '</html>');
+
+  return `${parts.join('\n')}\n`;
+});
+
+// A self-contained document: the bibliography is written next to it by filecontents
+// and typeset with BibTeX (pdflatex, bibtex, pdflatex, pdflatex)
+registerRenderer('latex', review => {
+  const paper = paperLookup(review);
+  const cite = ids => {
+    const keys = ids.map(id => paper(id)).filter(Boolean).map(found => found.key);
+    return keys.length ? `~\\cite{${keys.join(',')}}` : '';
+  };
+  const lines = [
+    '\\documentclass{article}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage[T1]{fontenc}',
+    '\\usepackage{hyperref}',
+    '',
+    '\\begin{filecontents*}[overwrite]{\\jobname.bib}',
+    toBibTeX(review.papers),
+    '\\end{filecontents*}',
+    '',
+    `\\title{Literature Review: ${escapeLatex(review.topic)}}`,
+    `\\date{${generatedDate(review)}}`,
+    '',
+    '\\begin{document}',
+    '\\maketitle',
+    ...review.warnings.map(warning => `% Note: ${warning.replace(/\n/g, ' ')}`),
+    ''
+  ];
+
+  if (review.themes.length > 0) {
+    lines.push('\\section{Themes}');
+    review.themes.forEach(theme => {
+      lines.push(`\\subsection{${escapeLatex(theme.name)}}`);
+      lines.push(`${theme.description ? `${escapeLatex(theme.description)} ` : ''}Papers${cite(theme.paperIds)}.`, '');
+    });
+  }
+
+  lines.push('\\section{Papers}');
+  reviewedPapers(review).forEach(item => {
+    lines.push(`\\subsection{${escapeLatex(item.title)}}`);
+    lines.push(`${escapeLatex(authorList(item.authors, 10))}${cite([item.paperId])}.`, '');
+    lines.push(escapeLatex(item.summary || 'No abstract available.'), '');
+  });
+
+  lines.push('\\section{Research Gaps}');
+  if (review.gaps.length === 0) {
+    lines.push('No research gaps identified.', '');
+  } else {
+    lines.push('\\begin{enumerate}');
+    review.gaps.forEach(gap => lines.push(`  \\item ${escapeLatex(gap.gap)}${cite(gap.paperIds)}`));
+    lines.push('\\end{enumerate}', '');
+  }
+
+  lines.push('\\section{Opposing Viewpoints}');
+  if (review.opposing.length === 0) {
+    lines.push('No opposing works found.', '');
+  } else {
+    lines.push('\\begin{itemize}');
+    review.opposing.forEach(view => {
+      lines.push(`  \\item \\emph{${escapeLatex(paper(view.paperId).title)}}${cite([view.paperId])}: ${escapeLatex(view.reason)}`);
+    });
+    lines.push('\\end{itemize}', '');
+  }
+
+  lines.push('\\bibliographystyle{plain}', '\\bibliography{\\jobname}', '\\end{document}');
+  return `${lines.join('\n')}\n`;
+});
+
+module.exports = {
+  registerRenderer,
+  renderReview,
+  listFormats
+};
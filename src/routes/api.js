@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import { analysisController } from '../controllers/analysisController.js';
+import { chatController } from '../controllers/chatController.js';
+import { comparisonController } from '../controllers/comparisonController.js';
+import { healthController } from '../controllers/healthController.js';
+import { historyController } from '../controllers/historyController.js';
+import { jobController } from '../controllers/jobController.js';
+import { mappingController } from '../controllers/mappingController.js';
+import { upload, handleUploadError } from '../middleware/upload.js';
+
+const router = Router();
+
+router.get('/health', healthController.getHealth);
+
+router.post('/upload/preview', upload.array('files'), mappingController.previewFiles);
+router.post('/upload', upload.array('files'), analysisController.uploadFiles);
+router.post('/analyze', analysisController.analyzeFinancialData);
+router.post('/analyze/file', upload.single('file'), analysisController.analyzeFile);
+
+router.post('/jobs', analysisController.submitAnalysisJob);
+router.get('/jobs/:id', jobController.getJob);
+router.get('/jobs/:id/events', jobController.streamEvents);
+router.post('/jobs/:id/cancel', jobController.cancelJob);
+
+router.get('/analyses', historyController.listAnalyses);
+router.get('/analyses/:id', historyController.getAnalysis);
+router.delete('/analyses/:id', historyController.deleteAnalysis);
+router.post('/analyses/:id/chat', chatController.askQuestion);
+router.post('/compare', comparisonController.compare);
+
+router.get('/mapping-profiles', mappingController.listProfiles);
+router.post('/mapping-profiles', mappingController.saveProfile);
+router.delete('/mapping-profiles/:name', mappingController.deleteProfile);
+
+router.use(handleUploadError);
+
+export default router;
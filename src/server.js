@@ -0,0 +1,44 @@
+import express from 'express';
+import { config } from './config/index.js';
+import { logger } from './utils/logger.js';
+import apiRoutes from './routes/api.js';
+
+const app = express();
+
+// Raw datasets are posted as JSON, so allow bodies as large as an uploaded file
+app.use(express.json({ limit: config.upload.maxFileSize }));
+app.use(express.urlencoded({ extended: true }));
+
+app.use('/api', apiRoutes);
+
+app.use((req, res) => {
+  res.status(404).json({
+    error: 'Not found',
+    message: `No route for ${req.method} ${req.path}`
+  });
+});
+
+// eslint-disable-next-line no-unused-vars
+app.use((err, req, res, next) => {
+  logger.error('Unhandled request error:', err);
+
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: 'Request body exceeds the configured upload limit'
+    });
+  }
+
+  res.status(err.status || 500).json({
+    error: 'Internal server error',
+    message: config.server.nodeEnv === 'development' ? err.message : 'Internal server error'
+  });
+});
+
+if (config.server.nodeEnv !== 'test') {
+  app.listen(config.server.port, () => {
+    logger.info(`Financial analyzer API listening on port ${config.server.port}`);
+  });
+}
+
+export default app;
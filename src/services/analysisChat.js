@@ -0,0 +1,374 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { parseDate, monthKey } from '../utils/dates.js';
+import { minOf, maxOf } from '../utils/extremes.js';
+import { getProvider } from './providers/index.js';
+import { completeValidated } from './llmClient.js';
+import { cleanQuestion, frameQuestion } from './promptTemplates.js';
+import { estimateTokens, aggregateFinancialData } from './chunking.js';
+import { validateChatTurn, validateChatAnswer } from '../utils/validation.js';
+
+const COLLECTIONS = ['invoices', 'expenses', 'payments', 'balances'];
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'in'];
+const METRICS = ['sum', 'count', 'avg', 'min', 'max'];
+
+// Field names tools accept; anything else (including __proto__) is rejected
+const FIELD_NAME = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+
+// Caps on what one tool call returns to the model
+const MAX_GROUPS = 25;
+const MAX_RECORDS = 25;
+const MAX_GROUP_RECORD_IDS = 10;
+const MAX_TOOL_CALLS_PER_TURN = 5;
+
+function chatError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Id used to cite a record: its own id, or "<collection>[<index>]" for records
+ * without one (the same fallback the anomaly detector uses)
+ */
+function recordIdOf(record, collection, index) {
+  return record.id != null ? String(record.id) : `${collection}[${index}]`;
+}
+
+function recordsOf(data, collection) {
+  if (!COLLECTIONS.includes(collection)) {
+    throw chatError(`Unknown collection "${collection}". Expected one of: ${COLLECTIONS.join(', ')}`, 'INVALID_TOOL_CALL');
+  }
+  return (data[collection] || []).map((record, index) => ({ recordId: recordIdOf(record, collection, index), record }));
+}
+
+function checkField(field) {
+  if (typeof field !== 'string' || !FIELD_NAME.test(field)) {
+    throw chatError(`Invalid field name "${field}"`, 'INVALID_TOOL_CALL');
+  }
+  return field;
+}
+
+/**
+ * Reads a field of a record; "month" is derived from the record date
+ */
+function fieldValue(record, field) {
+  if (field === 'month' && !Object.prototype.hasOwnProperty.call(record, 'month')) {
+    const date = parseDate(record.date);
+    return date ? monthKey(date) : null;
+  }
+  return Object.prototype.hasOwnProperty.call(record, field) ? record[field] : undefined;
+}
+
+function compare(actual, value) {
+  // Numeric fields compare numerically even when the model quotes the number
+  if (typeof actual === 'number' && value !== '' && Number.isFinite(Number(value))) return actual - Number(value);
+  // ISO dates and other strings compare lexically
+  return String(actual).localeCompare(String(value));
+}
+
+const MATCHERS = {
+  eq: (actual, value) => actual != null && compare(actual, value) === 0,
+  ne: (actual, value) => actual == null || compare(actual, value) !== 0,
+  gt: (actual, value) => actual != null && compare(actual, value) > 0,
+  gte: (actual, value) => actual != null && compare(actual, value) >= 0,
+  lt: (actual, value) => actual != null && compare(actual, value) < 0,
+  lte: (actual, value) => actual != null && compare(actual, value) <= 0,
+  contains: (actual, value) => actual != null && String(actual).toLowerCase().includes(String(value).toLowerCase()),
+  in: (actual, value) => Array.isArray(value) && value.some(item => actual != null && compare(actual, item) === 0)
+};
+
+function applyFilters(entries, filters = []) {
+  if (!Array.isArray(filters)) {
+    throw chatError('filters must be an array of { field, op, value }', 'INVALID_TOOL_CALL');
+  }
+  const checks = filters.map(filter => {
+    const op = filter?.op || 'eq';
+    if (!OPERATORS.includes(op)) {
+      throw chatError(`Unknown filter operator "${op}". Expected one of: ${OPERATORS.join(', ')}`, 'INVALID_TOOL_CALL');
+    }
+    return { field: checkField(filter.field), match: MATCHERS[op], value: filter.value };
+  });
+
+  return entries.filter(({ record }) => checks.every(({ field, match, value }) => match(fieldValue(record, field), value)));
+}
+
+function measure(metric, values) {
+  if (metric === 'count') return values.length;
+  const numbers = values.map(Number).filter(Number.isFinite);
+  if (numbers.length === 0) return null;
+
+  switch (metric) {
+    case 'avg': return round(numbers.reduce((total, value) => total + value, 0) / numbers.length);
+    case 'min': return round(minOf(numbers));
+    case 'max': return round(maxOf(numbers));
+    default: return round(numbers.reduce((total, value) => total + value, 0));
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Sums, counts or averages a field over the records of one collection, optionally
+ * filtered and grouped. Runs locally on the stored dataset; nothing is evaluated
+ * from the arguments beyond whitelisted operators and plain field names.
+ * @param {Object} data - Normalized financial data
+ * @param {Object} args - { collection, filters?, groupBy?, metric?, field?, limit? }
+ * @returns {Object} { collection, metric, field, groupBy, matched, value, groups }
+ */
+export function aggregateRecords(data, { collection, filters, groupBy, metric = 'sum', field, limit = MAX_GROUPS } = {}) {
+  if (!METRICS.includes(metric)) {
+    throw chatError(`Unknown metric "${metric}". Expected one of: ${METRICS.join(', ')}`, 'INVALID_TOOL_CALL');
+  }
+  const valueField = checkField(field || (collection === 'balances' ? 'balance' : 'amount'));
+  const matched = applyFilters(recordsOf(data, collection), filters);
+  const valuesOf = entries => entries.map(({ record }) => fieldValue(record, valueField));
+
+  const result = {
+    collection,
+    metric,
+    field: valueField,
+    groupBy: groupBy || null,
+    matched: matched.length,
+    value: measure(metric, valuesOf(matched))
+  };
+  if (!groupBy) return result;
+
+  checkField(groupBy);
+  const groups = new Map();
+  matched.forEach(entry => {
+    const key = fieldValue(entry.record, groupBy);
+    const groupKey = key == null || key === '' ? '(none)' : String(key);
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(entry);
+  });
+
+  const rows = [...groups.entries()]
+    .map(([key, entries]) => ({
+      key,
+      value: measure(metric, valuesOf(entries)),
+      count: entries.length,
+      recordIds: entries.slice(0, MAX_GROUP_RECORD_IDS).map(entry => entry.recordId)
+    }))
+    .sort((a, b) => Math.abs(b.value ?? 0) - Math.abs(a.value ?? 0));
+
+  return {
+    ...result,
+    groups: rows.slice(0, Math.min(Math.max(parseInt(limit) || MAX_GROUPS, 1), MAX_GROUPS)),
+    ...(rows.length > MAX_GROUPS ? { omittedGroups: rows.length - MAX_GROUPS } : {})
+  };
+}
+
+/**
+ * Lists the records of one collection matching the filters, each with its
+ * citable recordId
+ * @param {Object} data - Normalized financial data
+ * @param {Object} args - { collection, filters?, sort?: { field, order }, limit? }
+ * @returns {Object} { collection, matched, records }
+ */
+export function findRecords(data, { collection, filters, sort, limit = 10 } = {}) {
+  const matched = applyFilters(recordsOf(data, collection), filters);
+
+  if (sort) {
+    const sortField = checkField(sort.field);
+    const direction = sort.order === 'asc' ? 1 : -1;
+    matched.sort((a, b) => {
+      const left = fieldValue(a.record, sortField);
+      const right = fieldValue(b.record, sortField);
+      if (left == null || right == null) return left == null ? 1 : -1;
+      return direction * (typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right)));
+    });
+  }
+
+  return {
+    collection,
+    matched: matched.length,
+    records: matched
+      .slice(0, Math.min(Math.max(parseInt(limit) || 10, 1), MAX_RECORDS))
+      .map(({ recordId, record }) => ({ recordId, ...record }))
+  };
+}
+
+const TOOLS = {
+  aggregate: aggregateRecords,
+  find_records: findRecords
+};
+
+/**
+ * Runs one tool call; invalid calls return { error } so the model can correct them
+ */
+function runTool(data, { tool, args }) {
+  try {
+    return { tool, args, result: TOOLS[tool](data, args) };
+  } catch (error) {
+    if (error.code !== 'INVALID_TOOL_CALL') throw error;
+    return { tool, args, error: error.message };
+  }
+}
+
+/**
+ * Answers a follow-up question about a stored analysis. The model sees the
+ * analysis result and the dataset (record by record when small, as aggregates
+ * otherwise) and may call local tools to filter, sum and group records before it
+ * answers. Citations are checked against the dataset: only ids of real records are
+ * returned in `citations`, anything else lands in `unknownCitations`.
+ * @param {Object} stored - Stored analysis with { data, result }
+ * @param {string} question - The user's question
+ * @param {Object} [options] - Chat options
+ * @param {Array} [options.history] - Earlier turns as { question, answer, citations? }
+ * @param {AbortSignal} [options.signal] - Cancels the chat turn
+ * @returns {Promise<Object>} { answer, citations, unknownCitations, toolCalls }
+ */
+export async function answerQuestion(stored, question, { history = [], signal } = {}) {
+  const text = cleanQuestion(question);
+  if (!text) {
+    throw chatError('Please provide a question', 'INVALID_CHAT_REQUEST');
+  }
+  if (text.length > config.chat.maxQuestionLength) {
+    throw chatError(
+      `The question is ${text.length} characters long; the limit is ${config.chat.maxQuestionLength}`,
+      'INVALID_CHAT_REQUEST'
+    );
+  }
+
+  const { data, result } = stored;
+  const provider = getProvider();
+  const messages = [
+    { role: 'system', content: buildChatPrompt(data, result) },
+    ...historyMessages(history),
+    { role: 'user', content: frameQuestion(text) }
+  ];
+  const toolCalls = [];
+
+  logger.info('Answering follow-up question', { provider: provider.name, historyTurns: history.length });
+
+  for (let round = 0; ; round++) {
+    const finalRound = round >= config.chat.maxToolRounds;
+    if (finalRound) {
+      messages.push({
+        role: 'user',
+        content: 'You have used all tool calls for this question. Answer now with the results you have, ' +
+          'as {"answer": "...", "citations": [...]}.'
+      });
+    }
+
+    const turn = await completeValidated(
+      provider,
+      messages,
+      finalRound ? validateChatAnswer : validateChatTurn,
+      config.chat.maxTokens,
+      signal
+    );
+
+    if (!turn.toolCalls || finalRound) {
+      return { ...resolveCitations(data, turn.citations), answer: turn.answer, toolCalls };
+    }
+
+    const results = turn.toolCalls.slice(0, MAX_TOOL_CALLS_PER_TURN).map(call => runTool(data, call));
+    toolCalls.push(...results.map(({ tool, args, error }) => ({ tool, args, ...(error ? { error } : {}) })));
+    logger.debug('Chat tool calls', { round: round + 1, tools: results.map(call => call.tool) });
+
+    messages.push(
+      { role: 'assistant', content: JSON.stringify({ toolCalls: turn.toolCalls }) },
+      { role: 'user', content: `**Tool results:**\n${JSON.stringify(results)}` }
+    );
+  }
+}
+
+/**
+ * Turns earlier question/answer pairs into chat messages, keeping the last
+ * config.chat.maxHistoryTurns. Earlier questions get the same framing as new ones.
+ */
+function historyMessages(history) {
+  if (!Array.isArray(history)) {
+    throw chatError('history must be an array of { question, answer }', 'INVALID_CHAT_REQUEST');
+  }
+
+  return history.slice(-config.chat.maxHistoryTurns).flatMap(turn => {
+    if (!turn || typeof turn.question !== 'string' || typeof turn.answer !== 'string') {
+      throw chatError('Each history entry needs a question and an answer', 'INVALID_CHAT_REQUEST');
+    }
+    return [
+      { role: 'user', content: frameQuestion(cleanQuestion(turn.question).slice(0, config.chat.maxQuestionLength)) },
+      {
+        role: 'assistant',
+        content: JSON.stringify({
+          answer: turn.answer,
+          citations: Array.isArray(turn.citations) ? turn.citations.map(String) : []
+        })
+      }
+    ];
+  });
+}
+
+/**
+ * Splits cited ids into records of the dataset and ids the dataset does not have
+ */
+function resolveCitations(data, citations = []) {
+  const byId = new Map(COLLECTIONS.flatMap(collection =>
+    recordsOf(data, collection).map(({ recordId, record }) => [recordId, { recordId, collection, record }])));
+
+  const unique = [...new Set(citations.map(String))];
+  const unknownCitations = unique.filter(id => !byId.has(id));
+  if (unknownCitations.length > 0) {
+    logger.warn('Chat answer cited unknown records', { unknownCitations });
+  }
+
+  return {
+    citations: unique.filter(id => byId.has(id)).map(id => byId.get(id)),
+    unknownCitations
+  };
+}
+
+function buildChatPrompt(data, result = {}) {
+  const reportingCurrency = result.reportingCurrency || data.metadata?.reportingCurrency || config.fx.reportingCurrency;
+  const records = Object.fromEntries(COLLECTIONS.map(collection => [
+    collection,
+    recordsOf(data, collection).map(({ recordId, record }) => ({ recordId, ...record }))
+  ]));
+  const recordsJson = JSON.stringify(records);
+  const dataSection = estimateTokens(recordsJson) <= config.chat.inlineDataTokens
+    ? `**Dataset (every record, with its recordId):**\n${recordsJson}`
+    : `**Dataset overview** (too large to list; use find_records and aggregate to inspect records):\n` +
+      JSON.stringify(aggregateFinancialData(data), null, 2);
+
+  const { cashFlowForecast: forecast, ...analysis } = result;
+
+  return `You are "OpenRouter Financial Analyst," answering follow-up questions about one financial analysis.
+
+**Rules:**
+1. Answer only from the analysis and the dataset below. If they cannot answer the question, say so.
+2. Do not add up, count or average records yourself: call a tool and use its result. The pre-computed KPIs,
+   forecast and anomalies are authoritative.
+3. Put the recordId of every record that supports the answer in "citations", and only ids you have seen
+   in the dataset or in tool results. Mention them in the answer where they help, e.g. [inv_001].
+4. All amounts are in ${reportingCurrency}.
+
+**Tools** (run locally on the full dataset; collections: ${COLLECTIONS.join(', ')}):
+- aggregate: { "collection", "filters"?, "groupBy"?, "metric"?: ${METRICS.join('|')} (default sum), "field"?: default "amount" ("balance" for balances), "limit"? }
+  groupBy takes any field name or "month". Returns the overall value and per-group values with record ids.
+- find_records: { "collection", "filters"?, "sort"?: { "field", "order": "asc"|"desc" }, "limit"? (max ${MAX_RECORDS}) }
+  Returns matching records with their recordId.
+Filters are [{ "field", "op": ${OPERATORS.join('|')}, "value" }]; dates are YYYY-MM-DD strings.
+
+**Response (JSON only), one of:**
+{ "toolCalls": [{ "tool": "aggregate", "args": { "collection": "expenses", "groupBy": "vendor" } }] }
+{ "answer": "string", "citations": ["recordId"] }
+
+**Analysis (authoritative):**
+${JSON.stringify({
+  ...analysis,
+  cashFlowForecast: forecast && {
+    asOf: forecast.asOf,
+    openingBalance: forecast.openingBalance,
+    monthly: forecast.monthly,
+    notes: forecast.notes
+  }
+}, null, 2)}
+
+${dataSection}`;
+}
@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+const storeFactories = {
+  file: historyConfig => createFileHistoryStore(historyConfig.path),
+  sqlite: historyConfig => createSqliteHistoryStore(historyConfig.path)
+};
+
+let cachedStore = null;
+
+/**
+ * Hashes a normalized dataset. Metadata such as parse timestamps is left out, so
+ * the same records always produce the same hash.
+ * @param {Object} data - Normalized financial data
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashDataset(data) {
+  const { metadata, ...records } = data || {};
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ records, reportingCurrency: metadata?.reportingCurrency || null }))
+    .digest('hex');
+}
+
+/**
+ * Builds the history record of one analysis run
+ * @param {Object} run - Analysis run
+ * @param {Object} run.data - Normalized data that was analyzed
+ * @param {Object} run.result - Analysis result
+ * @param {Object} run.provider - LLM provider ({ name, model })
+ * @param {string} run.promptVersion - Prompt template id, e.g. "general@1"
+ * @param {Object} run.timings - Stage durations in milliseconds
+ * @param {Object} [run.request] - Request details worth keeping (source, file name, period)
+ * @returns {Object} Record without id and createdAt (assigned by the store)
+ */
+export function buildAnalysisRecord({ data, result, provider, promptVersion, timings, request = {} }) {
+  return {
+    datasetHash: hashDataset(data),
+    recordCount: data.metadata?.recordCount ?? null,
+    reportingCurrency: data.metadata?.reportingCurrency || null,
+    model: { provider: provider.name, name: provider.model },
+    promptVersion,
+    request,
+    timings,
+    data,
+    result
+  };
+}
+
+/**
+ * List entry of a record: everything but the dataset and the full result
+ * @param {Object} record - Stored record
+ * @returns {Object} Summary
+ */
+function summarize(record) {
+  const { data, result, ...summary } = record;
+  return { ...summary, summary: result?.summary || '' };
+}
+
+/**
+ * Creates a history store keeping one JSON file per analysis plus an index of
+ * summaries, so listing does not read every stored dataset
+ * @param {string} dir - Directory (created on first save)
+ * @returns {Object} Store { save(record), list(options), get(id), remove(id) }
+ */
+export function createFileHistoryStore(dir) {
+  const indexPath = path.join(dir, 'index.json');
+  const recordPath = id => path.join(dir, `${id}.json`);
+
+  const readIndex = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const writeIndex = summaries => fs.promises.writeFile(indexPath, JSON.stringify(summaries, null, 2));
+
+  // Index updates read, change and write the whole file; running them one after
+  // another keeps concurrent saves (e.g. two jobs finishing together) from
+  // overwriting each other's entries
+  let indexQueue = Promise.resolve();
+  const updateIndex = change => {
+    const update = indexQueue.then(async () => {
+      const summaries = await readIndex();
+      const changed = change(summaries);
+      if (changed) await writeIndex(changed);
+      return changed;
+    });
+    indexQueue = update.catch(() => {});
+    return update;
+  };
+
+  return {
+    name: `file:${dir}`,
+
+    async save(record) {
+      const stored = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...record };
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(recordPath(stored.id), JSON.stringify(stored));
+      await updateIndex(summaries => [summarize(stored), ...summaries]);
+      return stored;
+    },
+
+    async list({ limit = 50, offset = 0 } = {}) {
+      const summaries = await readIndex();
+      return { total: summaries.length, items: summaries.slice(offset, offset + limit) };
+    },
+
+    async get(id) {
+      // Ids come from URLs; only ids in the index map to files
+      if (!(await readIndex()).some(summary => summary.id === id)) return null;
+      return JSON.parse(await fs.promises.readFile(recordPath(id), 'utf8'));
+    },
+
+    async remove(id) {
+      const remaining = await updateIndex(summaries => {
+        const kept = summaries.filter(summary => summary.id !== id);
+        return kept.length === summaries.length ? null : kept;
+      });
+      if (!remaining) return false;
+
+      await fs.promises.rm(recordPath(id), { force: true });
+      return true;
+    }
+  };
+}
+
+/**
+ * Creates a history store in a SQLite database. Requires the better-sqlite3
+ * package, which is loaded on first use.
+ * @param {string} filePath - Database file (created on first use)
+ * @returns {Object} Store { save(record), list(options), get(id), remove(id) }
+ */
+export function createSqliteHistoryStore(filePath) {
+  let db = null;
+
+  const open = async () => {
+    if (db) return db;
+
+    const { default: Database } = await import('better-sqlite3');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    db = new Database(filePath);
+    db.exec(`CREATE TABLE IF NOT EXISTS analyses (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      record TEXT NOT NULL
+    )`);
+    return db;
+  };
+
+  return {
+    name: `sqlite:${filePath}`,
+
+    async save(record) {
+      const stored = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...record };
+      (await open())
+        .prepare('INSERT INTO analyses (id, created_at, summary, record) VALUES (?, ?, ?, ?)')
+        .run(stored.id, stored.createdAt, JSON.stringify(summarize(stored)), JSON.stringify(stored));
+      return stored;
+    },
+
+    async list({ limit = 50, offset = 0 } = {}) {
+      const database = await open();
+      const { total } = database.prepare('SELECT COUNT(*) AS total FROM analyses').get();
+      const rows = database
+        .prepare('SELECT summary FROM analyses ORDER BY created_at DESC LIMIT ? OFFSET ?')
+        .all(limit, offset);
+      return { total, items: rows.map(row => JSON.parse(row.summary)) };
+    },
+
+    async get(id) {
+      const row = (await open()).prepare('SELECT record FROM analyses WHERE id = ?').get(id);
+      return row ? JSON.parse(row.record) : null;
+    },
+
+    async remove(id) {
+      return (await open()).prepare('DELETE FROM analyses WHERE id = ?').run(id).changes > 0;
+    }
+  };
+}
+
+/**
+ * Creates an analysis history store from configuration
+ * @param {Object} [historyConfig=config.history] - History configuration
+ * @returns {Object} Store exposing name, save(), list(), get() and remove()
+ */
+export function createHistoryStore(historyConfig = config.history) {
+  const factory = storeFactories[historyConfig.store];
+  if (!factory) {
+    throw new Error(
+      `Unknown analysis history store "${historyConfig.store}". Expected one of: ${Object.keys(storeFactories).join(', ')}`
+    );
+  }
+  return factory(historyConfig);
+}
+
+/**
+ * Returns the configured history store, creating it on first use
+ * @returns {Object} History store
+ */
+export function getHistoryStore() {
+  if (!cachedStore) {
+    cachedStore = createHistoryStore();
+  }
+  return cachedStore;
+}
+
+/**
+ * Overrides the history store (tests, embedding)
+ * @param {Object|null} store - Store, or null to fall back to configuration
+ */
+export function setHistoryStore(store) {
+  cachedStore = store;
+}
+
+/**
+ * Stores an analysis run. History is best effort: a failing store is logged and
+ * the analysis is still returned to the caller.
+ * @param {Object} run - Analysis run, see buildAnalysisRecord()
+ * @returns {Promise<Object|null>} Stored record, or null when it could not be saved
+ */
+export async function recordAnalysis(run) {
+  if (!config.history.enabled) return null;
+
+  try {
+    const stored = await getHistoryStore().save(buildAnalysisRecord(run));
+    logger.info('Analysis stored in history', { id: stored.id, datasetHash: stored.datasetHash });
+    return stored;
+  } catch (error) {
+    logger.error('Failed to store analysis in history:', error);
+    return null;
+  }
+}
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+// Share of the overall progress bar each stage covers
+const STAGE_RANGES = {
+  parsing: [0, 10],
+  validation: [10, 20],
+  'chunk-analysis': [20, 80],
+  merge: [80, 100]
+};
+
+export const JOB_STAGES = Object.keys(STAGE_RANGES);
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+let defaultRegistry = null;
+
+/**
+ * Applies one partial-result event (see analyzeFinancialData's onPartial) to the
+ * result published so far
+ * @param {Object|null} result - Partial result so far
+ * @param {Object} event - { type: 'section'|'text'|'reset', key?, value?, delta? }
+ * @returns {Object} Updated partial result
+ */
+function applyPartialEvent(result, event) {
+  switch (event.type) {
+    case 'reset': return {};
+    case 'section': return { ...result, [event.key]: event.value };
+    case 'text': return { ...result, [event.key]: (result?.[event.key] || '') + event.delta };
+    default: return result;
+  }
+}
+
+/**
+ * Creates an in-memory registry of background jobs. A job runs an async task that
+ * receives `progress(stage, fraction, message)`, `partial(event)` and an AbortSignal;
+ * every status change is published to subscribers and every partial-result event to
+ * partial subscribers. The partial result is kept until the job completes, so a
+ * failed job still has what was produced before the failure. Finished jobs are kept
+ * for `retentionMs` so clients can still fetch the result, then dropped.
+ * @param {Object} [options] - Registry options
+ * @param {number} [options.retentionMs=config.jobs.retentionMs] - How long finished jobs are kept
+ * @returns {Object} { submit, get, getPartial, cancel, subscribe, subscribePartial }
+ */
+export function createJobRegistry({ retentionMs = config.jobs.retentionMs } = {}) {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  // One listener per open progress stream
+  events.setMaxListeners(0);
+
+  const snapshot = job => ({
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    message: job.message,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    ...(job.status === 'completed' ? { result: job.result } : {}),
+    ...(job.error ? { error: job.error } : {})
+  });
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit(job.id, snapshot(job));
+  };
+
+  const finish = (job, changes) => {
+    update(job, changes);
+    events.removeAllListeners(job.id);
+    events.removeAllListeners(`${job.id}:partial`);
+    setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+  };
+
+  const run = async (job, task) => {
+    // Cancelled before it started
+    if (job.status !== 'queued') return;
+
+    const progress = (stage, fraction = 0, message = null) => {
+      if (FINISHED_STATUSES.includes(job.status)) return;
+      const [start, end] = STAGE_RANGES[stage] || [job.progress, job.progress];
+      const value = Math.round(start + (end - start) * Math.min(Math.max(fraction, 0), 1));
+      // Progress never moves backwards; late updates from an earlier stage are dropped
+      if (value < job.progress) return;
+      update(job, { stage, progress: value, message });
+    };
+
+    const partial = event => {
+      if (FINISHED_STATUSES.includes(job.status)) return;
+      job.partial = applyPartialEvent(job.partial, event);
+      events.emit(`${job.id}:partial`, event);
+    };
+
+    update(job, { status: 'running' });
+    try {
+      const result = await task({ progress, partial, signal: job.controller.signal });
+      // A cancelled job keeps its status even if the task still finished
+      if (job.status === 'running') {
+        finish(job, { status: 'completed', progress: 100, message: 'Analysis complete', result, partial: null });
+      }
+    } catch (error) {
+      if (job.status !== 'running') return;
+      logger.error('Job failed:', { id: job.id, type: job.type, error: error.message });
+      finish(job, {
+        status: 'failed',
+        message: error.message,
+        error: { message: error.message, code: error.code || null, details: error.details }
+      });
+    }
+  };
+
+  return {
+    /**
+     * Starts a job in the background
+     * @param {Function} task - async ({ progress, partial, signal }) => result
+     * @param {Object} [meta] - { type } shown in the job status
+     * @returns {Object} Job status
+     */
+    submit(task, { type = 'analysis' } = {}) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        stage: JOB_STAGES[0],
+        progress: 0,
+        message: 'Waiting to start',
+        createdAt: now,
+        updatedAt: now,
+        partial: null,
+        controller: new AbortController()
+      };
+      jobs.set(job.id, job);
+
+      setImmediate(() => run(job, task));
+      return snapshot(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+
+    /**
+     * Result published by the job so far; null once it completed (use the result)
+     * @param {string} id - Job id
+     * @returns {Object|null} Partial result
+     */
+    getPartial(id) {
+      return jobs.get(id)?.partial || null;
+    },
+
+    /**
+     * Cancels a queued or running job; finished jobs are returned unchanged
+     * @param {string} id - Job id
+     * @returns {Object|null} Job status, or null for unknown jobs
+     */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        job.controller.abort();
+        finish(job, { status: 'cancelled', message: 'Cancelled by user' });
+        logger.info('Job cancelled', { id: job.id, stage: job.stage });
+      }
+      return snapshot(job);
+    },
+
+    /**
+     * Calls `listener` with the job status on every change until the job finishes
+     * @param {string} id - Job id
+     * @param {Function} listener - Receives job status objects
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    /**
+     * Calls `listener` with every partial-result event until the job finishes
+     * @param {string} id - Job id
+     * @param {Function} listener - Receives partial-result events
+     * @returns {Function} Unsubscribe
+     */
+    subscribePartial(id, listener) {
+      events.on(`${id}:partial`, listener);
+      return () => events.off(`${id}:partial`, listener);
+    }
+  };
+}
+
+/**
+ * Returns the process-wide job registry
+ * @returns {Object} Job registry
+ */
+export function getJobRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = createJobRegistry();
+  }
+  return defaultRegistry;
+}
+
+/**
+ * Whether a job status is final
+ * @param {Object} job - Job status
+ * @returns {boolean} True for completed, failed and cancelled jobs
+ */
+export function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
@@ -0,0 +1,404 @@
+import { parseDate, toISODate, daysBetween } from '../utils/dates.js';
+
+const DEFAULT_OPTIONS = {
+  // Amounts must agree within this ratio for a fuzzy duplicate
+  fuzzyAmountTolerance: 0.01,
+  fuzzyWindowDays: 7,
+  // Minimum group size for z-score/IQR outlier tests
+  minGroupSize: 5,
+  zScoreThreshold: 3,
+  // Benford's law needs a reasonably large sample to be meaningful
+  benfordMinSample: 100,
+  // Nigrini's first-digit MAD threshold for nonconformity
+  benfordMadThreshold: 0.015,
+  roundNumberMinSample: 5,
+  roundNumberShare: 0.5,
+  // Approval limits that split payments try to stay under
+  approvalThresholds: [10000],
+  splitWindowDays: 3,
+  // Share of a threshold within which a single amount counts as "just under"
+  justUnderMargin: 0.05,
+  holidays: null
+};
+
+const CATEGORIES = ['invoices', 'expenses', 'payments'];
+
+// Expected first-digit frequencies under Benford's law: log10(1 + 1/d)
+const BENFORD = Array.from({ length: 9 }, (_, i) => Math.log10(1 + 1 / (i + 1)));
+
+/**
+ * Runs rule-based anomaly and fraud detection over normalized financial data.
+ * Every finding uses the analysis contract shape { entryId, type, issue, severity }
+ * plus the `rule` that produced it; dataset-level findings have a null entryId and
+ * list the records involved in `entryIds`.
+ *
+ * Rules: exact and fuzzy duplicates, z-score/IQR outliers per vendor and per
+ * category, Benford's-law first-digit deviation, round-number clustering per
+ * counterparty, weekend/holiday postings, and split payments under approval limits.
+ * Benford and round-number checks look at amounts as written in their source
+ * currency, before conversion to the reporting currency.
+ *
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Array} Anomalies sorted by severity
+ */
+export function detectAnomalies(data, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const records = collectRecords(data);
+
+  const anomalies = [
+    ...findDuplicates(records, opts),
+    ...findOutliers(records, opts),
+    ...checkBenford(records, opts),
+    ...findRoundNumberClusters(records, opts),
+    ...findOffDayPostings(records, opts),
+    ...findSplitPayments(records, opts)
+  ];
+
+  const rank = { high: 0, medium: 1, low: 2 };
+  return anomalies.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
+
+/**
+ * Flattens dated records with a stable entry id and counterparty
+ */
+function collectRecords(data) {
+  return CATEGORIES.flatMap(category => (data[category] || []).map((record, index) => ({
+    entryId: record.id != null ? String(record.id) : `${category}[${index}]`,
+    category,
+    date: parseDate(record.date),
+    amount: Number(record.amount),
+    sourceAmount: Number(record.originalAmount ?? record.amount),
+    counterparty: normalizeName(record.vendor || record.customer || record.payee || record.description),
+    expenseCategory: record.category ? String(record.category).toLowerCase() : null,
+    direction: record.type || null
+  }))).filter(record => Number.isFinite(record.amount));
+}
+
+function findDuplicates(records, opts) {
+  const anomalies = [];
+  const exactKeys = new Map();
+  const flagged = new Set();
+
+  records.forEach(record => {
+    if (!record.date) return;
+    const key = [record.category, toISODate(record.date), record.amount, record.counterparty].join('|');
+    if (exactKeys.has(key)) {
+      anomalies.push({
+        entryId: record.entryId,
+        type: 'duplicate',
+        rule: 'exact_duplicate',
+        issue: `Same amount (${record.amount}), date and counterparty as ${exactKeys.get(key)}`,
+        severity: 'high',
+        relatedEntryId: exactKeys.get(key)
+      });
+      flagged.add(record.entryId);
+    } else {
+      exactKeys.set(key, record.entryId);
+    }
+  });
+
+  const byCategory = groupBy(records.filter(r => r.date && r.counterparty), r => r.category);
+  byCategory.forEach(group => {
+    const sorted = [...group].sort((a, b) => a.date - b.date);
+    sorted.forEach((record, i) => {
+      if (flagged.has(record.entryId)) return;
+
+      for (let j = i - 1; j >= 0; j--) {
+        const other = sorted[j];
+        if (daysBetween(other.date, record.date) > opts.fuzzyWindowDays) break;
+        // Records already reported as duplicates are not used as a reference again
+        if (flagged.has(other.entryId)) continue;
+
+        const amountClose = Math.abs(record.amount - other.amount) <=
+          Math.max(Math.abs(other.amount) * opts.fuzzyAmountTolerance, 0.01);
+        if (amountClose && similarity(record.counterparty, other.counterparty) >= 0.85) {
+          anomalies.push({
+            entryId: record.entryId,
+            type: 'duplicate',
+            rule: 'fuzzy_duplicate',
+            issue: `Near-identical amount and counterparty to ${other.entryId} within ${daysBetween(other.date, record.date)} days`,
+            severity: 'medium',
+            relatedEntryId: other.entryId
+          });
+          flagged.add(record.entryId);
+          break;
+        }
+      }
+    });
+  });
+
+  return anomalies;
+}
+
+function findOutliers(records, opts) {
+  const anomalies = [];
+  const seen = new Set();
+
+  const groupings = [
+    ['vendor', record => record.counterparty && `${record.category}|${record.counterparty}`],
+    ['category', record => record.expenseCategory && `${record.category}|${record.expenseCategory}`]
+  ];
+
+  groupings.forEach(([label, keyFn]) => {
+    groupBy(records.filter(keyFn), keyFn).forEach((group, key) => {
+      if (group.length < opts.minGroupSize) return;
+
+      const amounts = group.map(record => record.amount);
+      const avg = mean(amounts);
+      const sd = stdDev(amounts);
+      const [q1, q3] = [quantile(amounts, 0.25), quantile(amounts, 0.75)];
+      const iqr = q3 - q1;
+
+      group.forEach(record => {
+        if (seen.has(record.entryId)) return;
+
+        const z = sd > 0 ? (record.amount - avg) / sd : 0;
+        const farOut = iqr > 0 && (record.amount > q3 + 3 * iqr || record.amount < q1 - 3 * iqr);
+        const out = iqr > 0 && (record.amount > q3 + 1.5 * iqr || record.amount < q1 - 1.5 * iqr);
+        if (Math.abs(z) < opts.zScoreThreshold && !out) return;
+
+        seen.add(record.entryId);
+        anomalies.push({
+          entryId: record.entryId,
+          type: 'outlier',
+          rule: `${label}_outlier`,
+          issue: `Amount ${record.amount} deviates from the ${label} "${key.split('|')[1]}" norm ` +
+            `(mean ${round(avg)}, z-score ${round(z)}, IQR ${round(q1)}-${round(q3)})`,
+          severity: Math.abs(z) >= opts.zScoreThreshold + 1 || farOut ? 'high' : 'medium'
+        });
+      });
+    });
+  });
+
+  return anomalies;
+}
+
+function checkBenford(records, opts) {
+  const digits = records
+    .map(record => firstDigit(Math.abs(record.sourceAmount)))
+    .filter(Boolean);
+  if (digits.length < opts.benfordMinSample) return [];
+
+  const counts = new Array(9).fill(0);
+  digits.forEach(digit => counts[digit - 1]++);
+  const mad = counts.reduce((total, count, i) => total + Math.abs(count / digits.length - BENFORD[i]), 0) / 9;
+  if (mad <= opts.benfordMadThreshold) return [];
+
+  const worst = counts
+    .map((count, i) => ({ digit: i + 1, observed: count / digits.length, expected: BENFORD[i] }))
+    .sort((a, b) => Math.abs(b.observed - b.expected) - Math.abs(a.observed - a.expected))[0];
+
+  return [{
+    entryId: null,
+    type: 'fraud_risk',
+    rule: 'benford_deviation',
+    issue: `First-digit distribution of ${digits.length} amounts deviates from Benford's law ` +
+      `(MAD ${mad.toFixed(4)}; digit ${worst.digit} at ${(worst.observed * 100).toFixed(1)}% vs ` +
+      `${(worst.expected * 100).toFixed(1)}% expected)`,
+    severity: mad > opts.benfordMadThreshold * 1.5 ? 'high' : 'medium'
+  }];
+}
+
+function findRoundNumberClusters(records, opts) {
+  const anomalies = [];
+  const groups = groupBy(records.filter(record => record.counterparty), record => record.counterparty);
+
+  groups.forEach((group, counterparty) => {
+    if (group.length < opts.roundNumberMinSample) return;
+
+    const roundAmounts = group.filter(record => isRoundAmount(record.sourceAmount));
+    const share = roundAmounts.length / group.length;
+    if (share < opts.roundNumberShare) return;
+
+    anomalies.push({
+      entryId: null,
+      type: 'fraud_risk',
+      rule: 'round_number_cluster',
+      issue: `${roundAmounts.length} of ${group.length} amounts for "${counterparty}" are round numbers`,
+      severity: share >= 0.8 ? 'medium' : 'low',
+      entryIds: roundAmounts.map(record => record.entryId)
+    });
+  });
+
+  return anomalies;
+}
+
+function findOffDayPostings(records, opts) {
+  return records
+    .filter(record => record.date && record.category !== 'invoices')
+    .map(record => {
+      const day = record.date.getUTCDay();
+      const holiday = holidayName(record.date, opts.holidays);
+      if (day !== 0 && day !== 6 && !holiday) return null;
+
+      return {
+        entryId: record.entryId,
+        type: 'fraud_risk',
+        rule: holiday ? 'holiday_posting' : 'weekend_posting',
+        issue: `Posted on ${holiday || (day === 0 ? 'a Sunday' : 'a Saturday')} (${toISODate(record.date)})`,
+        severity: 'low'
+      };
+    })
+    .filter(Boolean);
+}
+
+function findSplitPayments(records, opts) {
+  const anomalies = [];
+  const outgoing = records.filter(record =>
+    record.date && record.counterparty &&
+    (record.category === 'expenses' || (record.category === 'payments' && record.direction === 'outbound'))
+  );
+
+  opts.approvalThresholds.forEach(threshold => {
+    const flagged = new Set();
+
+    groupBy(outgoing, record => `${record.category}|${record.counterparty}`).forEach(group => {
+      const under = group
+        .filter(record => record.amount < threshold)
+        .sort((a, b) => a.date - b.date);
+
+      under.forEach((record, i) => {
+        if (flagged.has(record.entryId)) return;
+        const cluster = under
+          .slice(i)
+          .filter(other => !flagged.has(other.entryId) &&
+            daysBetween(record.date, other.date) <= opts.splitWindowDays);
+        const total = cluster.reduce((sum, other) => sum + other.amount, 0);
+
+        if (cluster.length >= 2 && total >= threshold) {
+          cluster.forEach(other => flagged.add(other.entryId));
+          anomalies.push({
+            entryId: record.entryId,
+            type: 'fraud_risk',
+            rule: 'split_payment',
+            issue: `${cluster.length} payments to "${record.counterparty}" within ${opts.splitWindowDays} days ` +
+              `total ${round(total)}, each under the ${threshold} approval threshold`,
+            severity: 'high',
+            entryIds: cluster.map(other => other.entryId)
+          });
+        }
+      });
+
+      under
+        .filter(record => !flagged.has(record.entryId) && record.amount >= threshold * (1 - opts.justUnderMargin))
+        .forEach(record => {
+          anomalies.push({
+            entryId: record.entryId,
+            type: 'fraud_risk',
+            rule: 'just_under_threshold',
+            issue: `Amount ${record.amount} is just under the ${threshold} approval threshold`,
+            severity: 'low'
+          });
+        });
+    });
+  });
+
+  return anomalies;
+}
+
+/**
+ * Returns the name of the holiday falling on a date, if any. Uses the supplied
+ * list of { date: 'YYYY-MM-DD', name } or US federal holidays by default.
+ */
+function holidayName(date, holidays) {
+  const iso = toISODate(date);
+  if (holidays) {
+    const match = holidays.find(holiday => holiday.date === iso);
+    return match ? match.name : null;
+  }
+
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  const weekday = date.getUTCDay();
+  const nth = Math.ceil(day / 7);
+  const isLast = day + 7 > new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  if (month === 0 && day === 1) return "New Year's Day";
+  if (month === 0 && weekday === 1 && nth === 3) return 'Martin Luther King Jr. Day';
+  if (month === 1 && weekday === 1 && nth === 3) return "Presidents' Day";
+  if (month === 4 && weekday === 1 && isLast) return 'Memorial Day';
+  if (month === 5 && day === 19) return 'Juneteenth';
+  if (month === 6 && day === 4) return 'Independence Day';
+  if (month === 8 && weekday === 1 && nth === 1) return 'Labor Day';
+  if (month === 10 && day === 11) return 'Veterans Day';
+  if (month === 10 && weekday === 4 && nth === 4) return 'Thanksgiving Day';
+  if (month === 11 && day === 25) return 'Christmas Day';
+  return null;
+}
+
+function isRoundAmount(amount) {
+  const abs = Math.abs(amount);
+  if (abs < 100) return false;
+  return abs >= 1000 ? abs % 1000 === 0 : abs % 100 === 0;
+}
+
+function firstDigit(amount) {
+  if (!(amount >= 1)) return null;
+  return Number(String(Math.floor(amount))[0]);
+}
+
+function normalizeName(value) {
+  if (value == null) return '';
+  return String(value)
+    .toLowerCase()
+    .replace(/\b(inc|llc|ltd|corp|co|gmbh|plc)\b\.?/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalized Levenshtein similarity between two strings (1 = identical)
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+function mean(values) {
+  return values.reduce((total, v) => total + v, 0) / values.length;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((total, v) => total + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+  return sorted[base] + (pos - base) * (next - sorted[base]);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,367 @@
+import { logger } from '../utils/logger.js';
+
+// Statement formats handled here, keyed by the format name used across ingestion
+export const BANK_FORMATS = ['ofx', 'camt053', 'mt940'];
+
+const OFX_METHODS = {
+  CHECK: 'check',
+  XFER: 'transfer',
+  DIRECTDEBIT: 'direct_debit',
+  DIRECTDEP: 'direct_deposit',
+  REPEATPMT: 'standing_order',
+  ATM: 'atm',
+  POS: 'card',
+  PAYMENT: 'payment',
+  FEE: 'fee',
+  SRVCHG: 'fee',
+  INT: 'interest',
+  DIV: 'interest',
+  CASH: 'cash'
+};
+
+// ISO 20022 bank transaction family codes (BkTxCd/Domn/Fmly/Cd)
+const CAMT_METHODS = {
+  ICDT: 'transfer',
+  RCDT: 'transfer',
+  IDDT: 'direct_debit',
+  RDDT: 'direct_debit',
+  CCRD: 'card',
+  ICHQ: 'check',
+  RCHQ: 'check',
+  CNTR: 'cash',
+  CHRG: 'fee'
+};
+
+// SWIFT transaction type identification codes (last three characters of N/F/S codes)
+const MT940_METHODS = {
+  TRF: 'transfer',
+  CHK: 'check',
+  DDT: 'direct_debit',
+  STO: 'standing_order',
+  CHG: 'fee',
+  COM: 'fee',
+  INT: 'interest',
+  DIV: 'interest'
+};
+
+/**
+ * Parses a bank statement export into statements of payments and balances.
+ * Payments carry a positive amount and an inbound/outbound type; balances come
+ * from the opening and closing balance tags (OFX only reports a closing balance).
+ * @param {string|Buffer} input - Statement file contents
+ * @param {string} format - ofx, camt053 or mt940
+ * @returns {Array} Statements as { account, currency, payments, balances }
+ */
+export function parseBankStatement(input, format) {
+  const parsers = { ofx: parseOFX, camt053: parseCAMT053, mt940: parseMT940 };
+  if (!parsers[format]) {
+    throw new Error(`Unsupported bank statement format: ${format}`);
+  }
+
+  try {
+    const statements = parsers[format](String(input));
+    if (statements.length === 0) {
+      throw new Error('no statements found');
+    }
+
+    logger.info(`Parsed ${format} bank export`, {
+      statements: statements.length,
+      payments: statements.reduce((total, s) => total + s.payments.length, 0)
+    });
+    return statements;
+  } catch (error) {
+    logger.error('Bank statement parsing error:', error);
+    throw new Error(`Invalid ${format.toUpperCase()} statement: ${error.message}`);
+  }
+}
+
+/**
+ * Parses OFX 1.x (SGML) and 2.x (XML) bank and credit card statements, including
+ * Quicken QFX files. Leaf elements are read up to the next tag, so unclosed SGML
+ * elements work the same as XML ones.
+ * @param {string} text - OFX document
+ * @returns {Array} Statements
+ */
+export function parseOFX(text) {
+  return ofxBlocks(text, 'STMTRS').map(block => ({ block, card: false }))
+    .concat(ofxBlocks(text, 'CCSTMTRS').map(block => ({ block, card: true })))
+    .map(({ block, card }) => {
+      const accountBlock = ofxBlocks(block, card ? 'CCACCTFROM' : 'BANKACCTFROM')[0] || '';
+      const accountId = ofxValue(accountBlock, 'ACCTID');
+      const account = `${card ? 'Credit card' : 'Bank'} ${accountId || 'account'}`;
+      const currency = ofxValue(block, 'CURDEF');
+
+      const payments = ofxBlocks(block, 'STMTTRN').map(trn => {
+        const amount = parseAmount(ofxValue(trn, 'TRNAMT'));
+        const trnType = (ofxValue(trn, 'TRNTYPE') || '').toUpperCase();
+        const name = ofxValue(trn, 'NAME') || ofxValue(ofxBlocks(trn, 'PAYEE')[0] || '', 'NAME');
+        return payment({
+          id: ofxValue(trn, 'FITID'),
+          amount,
+          date: ofxDate(ofxValue(trn, 'DTPOSTED')),
+          counterparty: name,
+          memo: ofxValue(trn, 'MEMO'),
+          method: OFX_METHODS[trnType] || (trnType ? trnType.toLowerCase() : undefined),
+          reference: ofxValue(trn, 'CHECKNUM') || ofxValue(trn, 'REFNUM'),
+          account,
+          currency
+        });
+      });
+
+      const ledger = ofxBlocks(block, 'LEDGERBAL')[0];
+      const balances = ledger
+        ? [balance(account, parseAmount(ofxValue(ledger, 'BALAMT')), ofxDate(ofxValue(ledger, 'DTASOF')), currency, 'closing')]
+        : [];
+
+      return { account, currency, payments, balances };
+    });
+}
+
+/**
+ * Parses ISO 20022 CAMT.053 bank-to-customer statements. Only booked entries are
+ * kept; reversals flip the entry's direction.
+ * @param {string} xml - CAMT.053 XML document
+ * @returns {Array} Statements
+ */
+export function parseCAMT053(xml) {
+  return xmlBlocks(xml, 'Stmt').map(stmt => {
+    const acct = xmlBlocks(stmt, 'Acct')[0] || '';
+    const accountId = xmlText(acct, ['IBAN']) || xmlText(acct, ['Othr', 'Id']);
+    const account = `Bank ${accountId || 'account'}`;
+    const currency = xmlText(acct, ['Ccy']);
+
+    const balances = xmlBlocks(stmt, 'Bal')
+      .map(bal => {
+        const code = xmlText(bal, ['Tp', 'CdOrPrtry', 'Cd']);
+        const kind = { OPBD: 'opening', PRCD: 'opening', CLBD: 'closing' }[code];
+        if (!kind) return null;
+
+        const amount = xmlAmount(bal);
+        const sign = xmlText(bal, ['CdtDbtInd']) === 'DBIT' ? -1 : 1;
+        return { code, entry: balance(account, sign * amount.value, camtDate(bal, 'Dt'), amount.currency || currency, kind) };
+      })
+      .filter(Boolean)
+      // A statement may report both the previous closing (PRCD) and the opening (OPBD) balance
+      .filter((bal, index, all) => bal.code !== 'PRCD' || !all.some(other => other.code === 'OPBD'))
+      .sort((a, b) => (a.entry.kind === b.entry.kind ? 0 : a.entry.kind === 'opening' ? -1 : 1))
+      .map(bal => bal.entry);
+
+    const payments = xmlBlocks(stmt, 'Ntry')
+      .filter(ntry => {
+        const status = xmlText(ntry, ['Sts', 'Cd']) || xmlText(ntry, ['Sts']);
+        return !status || status === 'BOOK';
+      })
+      .map(ntry => {
+        const amount = xmlAmount(ntry);
+        const credit = xmlText(ntry, ['CdtDbtInd']) === 'CRDT';
+        const reversal = xmlText(ntry, ['RvslInd']) === 'true';
+        const inbound = credit !== reversal;
+        // The other side of the entry: the debtor pays us, we pay the creditor
+        const party = inbound ? ['RltdPties', 'Dbtr', 'Nm'] : ['RltdPties', 'Cdtr', 'Nm'];
+        const family = xmlText(ntry, ['BkTxCd', 'Domn', 'Fmly', 'Cd']);
+
+        return payment({
+          id: xmlText(ntry, ['AcctSvcrRef']) || xmlText(ntry, ['NtryRef']),
+          amount: inbound ? amount.value : -amount.value,
+          date: camtDate(ntry, 'BookgDt'),
+          counterparty: xmlText(ntry, party),
+          memo: xmlText(ntry, ['RmtInf', 'Ustrd']) || xmlText(ntry, ['AddtlNtryInf']),
+          method: CAMT_METHODS[family] || (xmlText(ntry, ['BkTxCd', 'Prtry', 'Cd']) || '').toLowerCase() || undefined,
+          reference: xmlText(ntry, ['Refs', 'EndToEndId']),
+          account,
+          currency: amount.currency || currency
+        });
+      });
+
+    return { account, currency, payments, balances };
+  });
+}
+
+/**
+ * Parses SWIFT MT940 customer statements. Multi-line fields are joined, :86:
+ * narratives are attached to the preceding :61: statement line, and structured
+ * narrative subfields (?20, ?21, ...) are flattened into one description.
+ * @param {string} text - MT940 file contents (one or more messages)
+ * @returns {Array} Statements
+ */
+export function parseMT940(text) {
+  const statements = [];
+  let statement = null;
+  let lastPayment = null;
+
+  mt940Fields(text).forEach(({ tag, value }) => {
+    if (tag === '20') {
+      statement = { account: null, currency: null, payments: [], balances: [] };
+      statements.push(statement);
+      lastPayment = null;
+      return;
+    }
+    if (!statement) return;
+
+    switch (tag) {
+      case '25':
+        statement.account = `Bank ${value.trim()}`;
+        break;
+
+      case '60F':
+      case '60M':
+      case '62F':
+      case '62M': {
+        const match = /^([CD])(\d{6})([A-Z]{3})([\d,]+)/.exec(value.trim());
+        if (!match) throw new Error(`malformed :${tag}: balance "${value.trim()}"`);
+        statement.currency = statement.currency || match[3];
+        statement.balances.push(balance(
+          statement.account,
+          (match[1] === 'D' ? -1 : 1) * parseAmount(match[4]),
+          mt940Date(match[2]),
+          match[3],
+          tag.startsWith('60') ? 'opening' : 'closing'
+        ));
+        break;
+      }
+
+      case '61': {
+        const match = /^(\d{6})(\d{4})?(R?[CD])[A-Z]?([\d,]+)[NSF]([A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?/.exec(value);
+        if (!match) throw new Error(`malformed :61: statement line "${value.split('\n')[0]}"`);
+        const inbound = match[3] === 'C' || match[3] === 'RD';
+        const amount = parseAmount(match[4]);
+        const customerRef = match[6].trim();
+
+        lastPayment = payment({
+          id: (match[7] || '').trim() || (customerRef !== 'NONREF' ? customerRef : undefined),
+          amount: inbound ? amount : -amount,
+          date: mt940Date(match[1]),
+          method: MT940_METHODS[match[5]] || match[5].toLowerCase(),
+          reference: customerRef !== 'NONREF' ? customerRef : undefined,
+          account: statement.account,
+          currency: statement.currency
+        });
+        statement.payments.push(lastPayment);
+        break;
+      }
+
+      case '86':
+        if (lastPayment) {
+          lastPayment.description = value.replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return statements;
+}
+
+function payment({ id, amount, date, counterparty, memo, method, reference, account, currency }) {
+  const inbound = amount >= 0;
+  const description = [counterparty, memo].filter(Boolean).join(' - ');
+  const record = {
+    id,
+    amount: Math.abs(amount),
+    date,
+    type: inbound ? 'inbound' : 'outbound',
+    description: description || undefined,
+    method,
+    reference,
+    account,
+    currency
+  };
+
+  // Counterparties feed recurring-payment and anomaly detection
+  if (counterparty) {
+    record[inbound ? 'customer' : 'vendor'] = counterparty;
+  }
+
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+function balance(account, amount, date, currency, kind) {
+  return Object.fromEntries(Object.entries({ account, balance: amount, date, currency, kind })
+    .filter(([, value]) => value !== undefined && value !== null));
+}
+
+function parseAmount(text) {
+  if (text == null) return NaN;
+  // MT940 and many European exports use a decimal comma
+  const normalized = String(text).trim().replace(/\s/g, '');
+  return parseFloat(/,\d{1,2}$/.test(normalized) || /^\d+,$/.test(normalized)
+    ? normalized.replace(/\./g, '').replace(',', '.')
+    : normalized.replace(/,/g, ''));
+}
+
+function ofxBlocks(text, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  return [...text.matchAll(pattern)].map(match => match[1]);
+}
+
+function ofxValue(text, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(text);
+  return match ? decodeEntities(match[1].trim()) || undefined : undefined;
+}
+
+// OFX dates are YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]; the calendar day is kept as posted
+function ofxDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : undefined;
+}
+
+function mt940Date(value) {
+  const year = Number(value.slice(0, 2));
+  return `${year < 80 ? 2000 + year : 1900 + year}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+/**
+ * Splits MT940 text into tag fields, joining continuation lines
+ */
+function mt940Fields(text) {
+  const fields = [];
+  text.replace(/\r/g, '').split('\n').forEach(line => {
+    const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length > 0 && line.trim() !== '' && !/^-}?$/.test(line.trim()) && !line.startsWith('{')) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+  return fields;
+}
+
+function xmlBlocks(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+// Path lookups search the whole enclosing block, so intermediate wrappers
+// (e.g. Dbtr/Pty/Nm in newer CAMT versions) need not be listed
+function xmlText(xml, path) {
+  let current = xml;
+  for (const tag of path) {
+    current = xmlBlocks(current, tag)[0];
+    if (current === undefined) return undefined;
+  }
+  return decodeEntities(current.trim()) || undefined;
+}
+
+// Calendar day of a date wrapper holding either <Dt> or <DtTm>; blocks of the same
+// name nest (<Dt><Dt>...), so the first ISO date inside the wrapper is taken
+function camtDate(xml, tag) {
+  const match = /\d{4}-\d{2}-\d{2}/.exec(xmlBlocks(xml, tag)[0] || '');
+  return match ? match[0] : undefined;
+}
+
+// First <Amt Ccy="..."> of a block: the entry or balance amount precedes any details
+function xmlAmount(xml) {
+  const match = /<(?:\w+:)?Amt(?:\s+Ccy="([A-Z]{3})")?[^>]*>([^<]*)</.exec(xml);
+  return match ? { value: parseAmount(match[2]), currency: match[1] } : { value: NaN };
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,131 @@
+import { parseDate, monthKey } from '../utils/dates.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+// Counterparties beyond this many per category are folded into "(other)"
+const MAX_GROUPS = 50;
+
+/**
+ * Estimates the token count of a prompt. Uses the common ~4 characters per token
+ * heuristic for English/JSON text, which errs on the high side for dense numbers.
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Pre-aggregates a dataset into month, vendor, customer and category totals so a
+ * large dataset can be described to the model in a bounded number of tokens
+ * @param {Object} data - Normalized financial data
+ * @returns {Object} Aggregates: counts, byMonth, byVendor, byCustomer, byCategory, latestBalances
+ */
+export function aggregateFinancialData(data) {
+  const byMonth = {};
+  const addToMonth = (record, field) => {
+    const date = parseDate(record.date);
+    const key = date ? monthKey(date) : 'undated';
+    byMonth[key] = byMonth[key] || { invoiced: 0, expenses: 0, inbound: 0, outbound: 0 };
+    byMonth[key][field] += Number(record.amount) || 0;
+  };
+
+  (data.invoices || []).forEach(record => addToMonth(record, 'invoiced'));
+  (data.expenses || []).forEach(record => addToMonth(record, 'expenses'));
+  (data.payments || []).forEach(record =>
+    addToMonth(record, record.type === 'inbound' ? 'inbound' : 'outbound'));
+
+  const latestBalances = {};
+  (data.balances || []).forEach(entry => {
+    const current = latestBalances[entry.account];
+    if (!current || String(entry.date) > String(current.date)) {
+      latestBalances[entry.account] = { balance: entry.balance, date: entry.date, currency: entry.currency };
+    }
+  });
+
+  return {
+    counts: Object.fromEntries(CATEGORIES.map(category => [category, (data[category] || []).length])),
+    byMonth: Object.fromEntries(Object.entries(byMonth).sort(([a], [b]) => a.localeCompare(b)).map(
+      ([month, totals]) => [month, roundValues(totals)]
+    )),
+    byVendor: totalsBy([...(data.expenses || []), ...(data.payments || []).filter(p => p.type === 'outbound')],
+      record => record.vendor || record.description),
+    byCustomer: totalsBy(data.invoices || [], record => record.customer),
+    byCategory: totalsBy(data.expenses || [], record => record.category),
+    latestBalances
+  };
+}
+
+/**
+ * Splits raw records into chunks whose serialized size stays under a token budget.
+ * Records keep their category so chunk findings can be traced back.
+ * @param {Object} data - Normalized financial data
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {Array<Object>} Chunks shaped like { invoices, expenses, payments, balances }
+ */
+export function chunkRecords(data, maxTokens) {
+  const chunks = [];
+  let current = emptyChunk();
+  let currentTokens = 0;
+
+  CATEGORIES.forEach(category => {
+    (data[category] || []).forEach(record => {
+      const tokens = estimateTokens(JSON.stringify(record)) + 1;
+      if (currentTokens + tokens > maxTokens && currentTokens > 0) {
+        chunks.push(current);
+        current = emptyChunk();
+        currentTokens = 0;
+      }
+      current[category].push(record);
+      currentTokens += tokens;
+    });
+  });
+
+  if (currentTokens > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Creates the error thrown when an analysis would exceed the token budget. It is
+ * raised before any provider call so no partial cost is incurred.
+ * @param {string} message - Human-readable explanation
+ * @param {Object} details - Estimated and allowed token counts
+ * @returns {Error} Error with code TOKEN_BUDGET_EXCEEDED
+ */
+export function tokenBudgetError(message, details) {
+  const error = new Error(message);
+  error.code = 'TOKEN_BUDGET_EXCEEDED';
+  error.details = details;
+  return error;
+}
+
+function emptyChunk() {
+  return { invoices: [], expenses: [], payments: [], balances: [] };
+}
+
+function totalsBy(records, keyFn) {
+  const totals = new Map();
+  records.forEach(record => {
+    const key = keyFn(record) || '(unspecified)';
+    const entry = totals.get(key) || { count: 0, total: 0 };
+    entry.count += 1;
+    entry.total += Number(record.amount) || 0;
+    totals.set(key, entry);
+  });
+
+  const sorted = [...totals.entries()].sort(([, a], [, b]) => b.total - a.total);
+  const top = sorted.slice(0, MAX_GROUPS);
+  const rest = sorted.slice(MAX_GROUPS);
+  if (rest.length > 0) {
+    top.push(['(other)', rest.reduce((acc, [, entry]) => ({
+      count: acc.count + entry.count,
+      total: acc.total + entry.total
+    }), { count: 0, total: 0 })]);
+  }
+
+  return Object.fromEntries(top.map(([key, entry]) => [key, roundValues(entry)]));
+}
+
+function roundValues(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, Math.round(value * 100) / 100]));
+}
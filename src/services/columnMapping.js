@@ -0,0 +1,368 @@
+import { financialDataSchema, coerceToSchema } from '../utils/validation.js';
+import { parseDate, toISODate } from '../utils/dates.js';
+import { classifyRecord } from './parser.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+// Filled in by currency conversion, never by a source column
+const DERIVED_FIELDS = ['originalAmount', 'originalBalance', 'originalCurrency', 'fxRate'];
+
+// Fields each category accepts, taken from the financial data schema
+export const TARGET_FIELDS = Object.fromEntries(CATEGORIES.map(category => {
+  const items = financialDataSchema.properties[category].items;
+  return [category, {
+    fields: Object.keys(items.properties).filter(field => !DERIVED_FIELDS.includes(field)),
+    required: items.required
+  }];
+}));
+
+// Header spellings seen in accounting, ERP and bank exports, lower case with
+// punctuation collapsed to single spaces
+const FIELD_SYNONYMS = {
+  id: ['id', 'ref', 'reference', 'number', 'no', 'invoice number', 'invoice no', 'bill number', 'document number', 'doc no', 'txn id', 'transaction id'],
+  amount: ['amount', 'amt', 'total', 'value', 'sum', 'net amount', 'gross amount', 'invoice amount', 'total amount', 'amount due'],
+  date: ['date', 'txn date', 'transaction date', 'posting date', 'posted', 'posted date', 'value date', 'booking date', 'invoice date', 'bill date', 'doc date'],
+  description: ['description', 'desc', 'memo', 'details', 'narrative', 'note', 'notes', 'particulars', 'line item'],
+  customer: ['customer', 'client', 'buyer', 'bill to', 'customer name', 'client name', 'sold to'],
+  vendor: ['vendor', 'supplier', 'payee', 'merchant', 'seller', 'vendor name', 'supplier name'],
+  status: ['status', 'state', 'payment status', 'invoice status'],
+  category: ['category', 'expense category', 'expense type', 'gl account', 'cost center', 'class'],
+  type: ['type', 'direction', 'dr cr', 'debit credit', 'in out', 'transaction type'],
+  method: ['method', 'payment method', 'channel', 'mode', 'payment type'],
+  account: ['account', 'account name', 'account number', 'bank account', 'ledger'],
+  balance: ['balance', 'closing balance', 'ending balance', 'running balance', 'available balance'],
+  currency: ['currency', 'ccy', 'curr', 'currency code']
+};
+
+const FIELD_TYPES = {
+  amount: 'number',
+  balance: 'number',
+  date: 'date'
+};
+
+const PAYMENT_TYPE_VALUES = {
+  inbound: ['in', 'inbound', 'credit', 'cr', 'deposit', 'receipt', 'received', 'incoming'],
+  outbound: ['out', 'outbound', 'debit', 'dr', 'withdrawal', 'payment', 'paid', 'sent', 'outgoing']
+};
+
+const STATUS_VALUES = {
+  pending: ['pending', 'open', 'unpaid', 'outstanding', 'due', 'draft', 'sent'],
+  paid: ['paid', 'closed', 'settled', 'complete', 'completed'],
+  overdue: ['overdue', 'late', 'past due'],
+  cancelled: ['cancelled', 'canceled', 'void', 'voided', 'written off']
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+const LOCAL_DATE = /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/;
+
+/**
+ * Describes the columns of parsed records: inferred type, sample values and how
+ * many cells are empty
+ * @param {Array<Object>} records - Parsed rows keyed by column name
+ * @param {number} [sampleSize=3] - Distinct sample values kept per column
+ * @returns {Array<Object>} Columns as { name, inferredType, samples, emptyCount }
+ */
+export function sniffColumns(records, sampleSize = 3) {
+  const names = [...new Set(records.flatMap(record => Object.keys(record)))];
+
+  return names.map(name => {
+    const values = records.map(record => record[name]).filter(value => value != null && value !== '');
+    return {
+      name,
+      inferredType: inferType(values),
+      samples: [...new Set(values.map(String))].slice(0, sampleSize),
+      emptyCount: records.length - values.length
+    };
+  });
+}
+
+/**
+ * Infers the type shared by at least 90% of a column's values
+ * @param {Array} values - Non-empty cell values
+ * @returns {string} number, date, boolean, string or empty
+ */
+export function inferType(values) {
+  if (values.length === 0) return 'empty';
+
+  const counts = { number: 0, date: 0, boolean: 0 };
+  values.forEach(value => {
+    if (typeof value === 'number' || (typeof value === 'string' && coerceToSchema(value, { type: 'number' }) !== value)) {
+      counts.number += 1;
+    } else if (value instanceof Date || (typeof value === 'string' && (ISO_DATE.test(value) || LOCAL_DATE.test(value)) && parseDate(value))) {
+      counts.date += 1;
+    } else if (typeof value === 'boolean' || /^(true|false|yes|no)$/i.test(String(value))) {
+      counts.boolean += 1;
+    }
+  });
+
+  const type = Object.keys(counts).find(key => counts[key] >= values.length * 0.9);
+  return type || 'string';
+}
+
+/**
+ * Suggests a category and a column-to-field mapping for a table of records. Every
+ * category is tried and the one whose fields (required fields weighted double) are
+ * best covered wins. Confidence is between 0 and 1.
+ * @param {Array<Object>} columns - Columns from sniffColumns()
+ * @param {Object} [options] - Suggestion options
+ * @param {string} [options.category] - Category already known (e.g. from the sheet name)
+ * @returns {Object} { category: { value, confidence, reason }, columns: [{ column, field, confidence, reason }] }
+ */
+export function suggestMapping(columns, { category } = {}) {
+  const hinted = classifyRecord(Object.fromEntries(columns.map(column => [column.name, null])));
+  const candidates = (category ? [category] : CATEGORIES).map(name => {
+    const assignments = assignFields(columns, name);
+    const { fields, required } = TARGET_FIELDS[name];
+    const weight = field => (required.includes(field) ? 2 : 1);
+    const score = assignments.reduce((total, a) => total + a.confidence * weight(a.field), 0);
+    const coverage = score / fields.reduce((total, field) => total + weight(field), 0);
+    const keywordBonus = hinted.category === name && !hinted.reason.startsWith('no ') ? 0.15 : 0;
+    return { name, assignments, score: Math.min(1, coverage + keywordBonus) };
+  });
+
+  // Ties go to expenses, the fallback for unrecognised tables
+  const best = candidates.reduce((top, candidate) => (candidate.score > top.score ? candidate : top),
+    candidates.find(c => c.name === (category || 'expenses')));
+
+  const byColumn = new Map(best.assignments.map(a => [a.column, a]));
+  const mapped = best.assignments.map(a => a.field);
+
+  return {
+    category: {
+      value: best.name,
+      confidence: category ? 1 : round(best.score),
+      reason: category
+        ? `category given by the source (${category})`
+        : `best coverage of ${best.name} fields (${mapped.join(', ') || 'none'})`
+    },
+    columns: columns.map(column => byColumn.get(column.name) || {
+      column: column.name,
+      field: null,
+      confidence: 0,
+      reason: 'no matching field'
+    })
+  };
+}
+
+/**
+ * Builds a mapping suggestion from a saved profile
+ * @param {Object} profile - Saved mapping profile
+ * @param {Array<Object>} columns - Columns from sniffColumns()
+ * @returns {Object} Suggestion shaped like suggestMapping()
+ */
+export function suggestionFromProfile(profile, columns) {
+  const reason = `saved profile "${profile.name}"`;
+  return {
+    category: { value: profile.category, confidence: 1, reason },
+    columns: columns.map(column => {
+      const field = profile.columns[column.name] || null;
+      return { column: column.name, field, confidence: field ? 1 : 0, reason: field ? reason : 'ignored by profile' };
+    })
+  };
+}
+
+/**
+ * Checks a user-confirmed mapping. Throws an error with code INVALID_MAPPING when
+ * the category is unknown, a field does not belong to the category, a field is
+ * mapped twice or a required field is missing.
+ * @param {Object} mapping - { category, columns: { [column]: field|null } }
+ * @returns {Object} The mapping
+ */
+export function validateMapping(mapping) {
+  const problems = [];
+  const target = mapping && TARGET_FIELDS[mapping.category];
+
+  if (!target) {
+    problems.push(`category must be one of ${CATEGORIES.join(', ')}`);
+  } else if (!mapping.columns || typeof mapping.columns !== 'object') {
+    problems.push('columns must map column names to fields');
+  } else {
+    const fields = Object.values(mapping.columns).filter(Boolean);
+    fields.filter(field => !target.fields.includes(field))
+      .forEach(field => problems.push(`"${field}" is not a ${mapping.category} field`));
+    fields.filter((field, index) => fields.indexOf(field) !== index)
+      .forEach(field => problems.push(`"${field}" is mapped more than once`));
+    target.required
+      // Payment direction can be derived from the sign of the amount
+      .filter(field => !fields.includes(field) && !(mapping.category === 'payments' && field === 'type'))
+      .forEach(field => problems.push(`required field "${field}" is not mapped`));
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid column mapping: ${problems.join('; ')}`);
+    error.code = 'INVALID_MAPPING';
+    error.details = problems;
+    throw error;
+  }
+  return mapping;
+}
+
+/**
+ * Reads confirmed column mappings sent with a request: a JSON string (multipart
+ * form field) or an array. Throws INVALID_MAPPING errors for malformed mappings.
+ * @param {string|Array|undefined} value - Raw mappings
+ * @returns {Array} Mappings as { fileName?, sheetName?, category, columns, profile? }
+ */
+export function parseMappings(value) {
+  if (value == null || value === '') return [];
+
+  let mappings = value;
+  if (typeof value === 'string') {
+    try {
+      mappings = JSON.parse(value);
+    } catch (error) {
+      mappings = null;
+    }
+  }
+
+  if (!Array.isArray(mappings)) {
+    const error = new Error('Invalid column mapping: mappings must be a JSON array');
+    error.code = 'INVALID_MAPPING';
+    throw error;
+  }
+  return mappings.map(validateMapping);
+}
+
+/**
+ * Renames a record's columns to schema fields and converts the mapped values:
+ * amounts to numbers ("$1,200.50" -> 1200.5), dates to YYYY-MM-DD, and payment
+ * types and invoice statuses to their schema values. Unmapped columns are dropped.
+ * Payments without a type column take their direction from the amount's sign.
+ * @param {Object} record - Parsed row
+ * @param {Object} mapping - { category, columns: { [column]: field|null } }
+ * @returns {Object} Record with schema field names
+ */
+export function applyMapping(record, { category, columns }) {
+  const mapped = {};
+
+  Object.entries(columns).forEach(([column, field]) => {
+    const value = record[column];
+    if (!field || value == null || value === '') return;
+    mapped[field] = convertValue(value, field);
+  });
+
+  if (category === 'payments' && !mapped.type && typeof mapped.amount === 'number') {
+    mapped.type = mapped.amount < 0 ? 'outbound' : 'inbound';
+    mapped.amount = Math.abs(mapped.amount);
+  }
+
+  return mapped;
+}
+
+function convertValue(value, field) {
+  if (FIELD_TYPES[field] === 'number') {
+    return typeof value === 'string' ? coerceToSchema(value, { type: 'number' }) : value;
+  }
+
+  if (FIELD_TYPES[field] === 'date') {
+    const date = parseDate(value);
+    return date ? toISODate(date) : value;
+  }
+
+  if (field === 'type') return lookupValue(PAYMENT_TYPE_VALUES, value);
+  if (field === 'status') return lookupValue(STATUS_VALUES, value);
+  if (field === 'id') return value;
+  return String(value);
+}
+
+function lookupValue(table, value) {
+  const text = String(value).trim().toLowerCase();
+  const match = Object.entries(table).find(([, spellings]) => spellings.includes(text));
+  return match ? match[0] : String(value);
+}
+
+/**
+ * Greedily assigns the category's fields to columns, best match first; each field
+ * and each column is used at most once. Required number and date fields still
+ * unassigned fall back to the only remaining column of that type.
+ */
+function assignFields(columns, category) {
+  const { fields, required } = TARGET_FIELDS[category];
+  const candidates = columns.flatMap(column => fields.map(field => ({
+    column: column.name,
+    field,
+    ...scoreMatch(column, field)
+  }))).filter(candidate => candidate.confidence > 0);
+
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  const assignments = [];
+  candidates.forEach(candidate => {
+    if (assignments.some(a => a.column === candidate.column || a.field === candidate.field)) return;
+    assignments.push({ ...candidate, confidence: round(candidate.confidence) });
+  });
+
+  required.filter(field => FIELD_TYPES[field] && !assignments.some(a => a.field === field)).forEach(field => {
+    const free = columns.filter(column =>
+      column.inferredType === FIELD_TYPES[field] && !assignments.some(a => a.column === column.name));
+    if (free.length === 1) {
+      assignments.push({
+        column: free[0].name,
+        field,
+        confidence: 0.3,
+        reason: `only unmapped ${FIELD_TYPES[field]} column`
+      });
+    }
+  });
+
+  return assignments;
+}
+
+function scoreMatch(column, field) {
+  const header = headerWords(column.name);
+  let confidence = 0;
+  let reason = null;
+
+  FIELD_SYNONYMS[field].forEach(synonym => {
+    let score = 0;
+    let why = null;
+    if (header === synonym) {
+      score = 0.95;
+      why = `header "${column.name}" is a known name for ${field}`;
+    } else if (` ${header} `.includes(` ${synonym} `)) {
+      score = 0.75;
+      why = `header "${column.name}" contains "${synonym}"`;
+    } else if (isAbbreviation(header, synonym)) {
+      score = 0.6;
+      why = `header "${column.name}" abbreviates "${synonym}"`;
+    }
+    if (score > confidence) {
+      confidence = score;
+      reason = why;
+    }
+  });
+
+  if (confidence === 0) return { confidence: 0 };
+
+  // Penalise names that match but values that do not fit the field
+  const expected = FIELD_TYPES[field];
+  const actual = column.inferredType;
+  if (actual !== 'empty' && expected && actual !== expected) {
+    confidence *= 0.4;
+    reason += `, but values look like ${actual}`;
+  } else if (actual === 'number' && !expected && field !== 'id') {
+    confidence *= 0.6;
+    reason += ', but values are numbers';
+  }
+
+  return { confidence, reason };
+}
+
+function headerWords(name) {
+  return String(name)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function isAbbreviation(header, synonym) {
+  const headerParts = header.split(' ');
+  const synonymParts = synonym.split(' ');
+  return header !== synonym && headerParts.length === synonymParts.length &&
+    headerParts.every((part, i) => part.length >= 2 && synonymParts[i].startsWith(part));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
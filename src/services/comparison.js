@@ -0,0 +1,287 @@
+import { computeKPIs } from './kpis.js';
+import { forecastCashFlow } from './forecast.js';
+import { detectAnomalies } from './anomalies.js';
+import { parseDate } from '../utils/dates.js';
+
+// Whether a rising KPI is good news; burn rate and DSO improve when they fall
+const HIGHER_IS_BETTER = {
+  grossMargin: true,
+  burnRate: false,
+  DSO: false,
+  DPO: true,
+  currentRatio: true,
+  quickRatio: true
+};
+
+const INPUT_METRICS = ['revenue', 'totalExpenses', 'cashInflow', 'cashOutflow', 'cash', 'receivables', 'payables'];
+
+const FORECAST_MONTHS = ['month1', 'month2', 'month3'];
+
+// Breakdowns searched for the records behind a change in revenue or expenses
+const DRIVER_DIMENSIONS = [
+  { metric: 'revenue', category: 'invoices', dimension: 'customer' },
+  { metric: 'totalExpenses', category: 'expenses', dimension: 'vendor' },
+  { metric: 'totalExpenses', category: 'expenses', dimension: 'category' }
+];
+
+const DEFAULT_OPTIONS = {
+  // Drivers reported per metric and dimension
+  topDrivers: 5,
+  // KPI changes smaller than this (absolute) count as unchanged
+  epsilon: 1e-9
+};
+
+/**
+ * Compares two periods or datasets: KPI and KPI-input deltas, forecast deltas,
+ * new/resolved/persisting anomalies, and the customers, vendors and expense
+ * categories that drove the change in revenue and expenses.
+ *
+ * Each side is normalized data plus an optional stored analysis result and KPI
+ * period. KPIs and drivers are always computed from the data, so a stored analysis
+ * and a fresh dataset compare on the same footing; the stored forecast and anomalies
+ * (with the model's explanations) are reused when present. Anomalies match across
+ * sides by rule and the records involved.
+ *
+ * @param {Object} base - Earlier side { data, result?, period?, label? }
+ * @param {Object} current - Later side { data, result?, period?, label? }
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} { base, current, reportingCurrency, kpis, inputs, forecast, anomalies, drivers, highlights, notes }
+ */
+export function compareFinancialData(base, current, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const before = buildSide(base, 'base');
+  const after = buildSide(current, 'current');
+  const notes = [];
+
+  if (before.reportingCurrency && after.reportingCurrency && before.reportingCurrency !== after.reportingCurrency) {
+    const error = new Error(
+      `Cannot compare amounts in ${before.reportingCurrency} with amounts in ${after.reportingCurrency}. ` +
+      'Re-run one side with the same reporting currency.'
+    );
+    error.code = 'CURRENCY_MISMATCH';
+    error.details = { base: before.reportingCurrency, current: after.reportingCurrency };
+    throw error;
+  }
+
+  if (before.period && after.period && before.period.start <= after.period.end && after.period.start <= before.period.end) {
+    notes.push(`Periods overlap (${before.period.start}..${before.period.end} and ${after.period.start}..${after.period.end})`);
+  }
+  if (before.period && after.period && before.period.days !== after.period.days) {
+    notes.push(`Periods differ in length (${before.period.days} vs ${after.period.days} days) - compare totals with care`);
+  }
+
+  const kpis = Object.keys(HIGHER_IS_BETTER).map(kpi => ({
+    kpi,
+    ...delta(before.kpis[kpi], after.kpis[kpi]),
+    direction: direction(kpi, before.kpis[kpi], after.kpis[kpi], opts.epsilon)
+  }));
+
+  const inputs = INPUT_METRICS.map(metric => ({
+    metric,
+    ...delta(before.inputs[metric], after.inputs[metric])
+  }));
+
+  const drivers = DRIVER_DIMENSIONS.map(({ metric, category, dimension }) => {
+    const totalChange = (after.inputs[metric] ?? 0) - (before.inputs[metric] ?? 0);
+    return {
+      metric,
+      dimension,
+      items: driverItems(before.records[category], after.records[category], dimension, totalChange, opts.topDrivers)
+    };
+  });
+
+  const comparison = {
+    base: describeSide(before),
+    current: describeSide(after),
+    reportingCurrency: after.reportingCurrency || before.reportingCurrency,
+    kpis,
+    inputs,
+    forecast: compareForecasts(before.forecast, after.forecast),
+    anomalies: compareAnomalies(before.anomalies, after.anomalies),
+    drivers,
+    notes: [...notes, ...before.notes.map(note => `Base: ${note}`), ...after.notes.map(note => `Current: ${note}`)]
+  };
+  comparison.highlights = buildHighlights(comparison);
+
+  return comparison;
+}
+
+/**
+ * Computes everything one side of the comparison needs from its data
+ */
+function buildSide({ data, result = null, period = null, label }, fallbackLabel) {
+  const kpiReport = computeKPIs(data, period || result?.kpiPeriod || {});
+  const scoped = kpiReport.period ? withinPeriod(data, kpiReport.period) : data;
+
+  return {
+    label: label || fallbackLabel,
+    period: kpiReport.period,
+    reportingCurrency: data.metadata?.reportingCurrency || result?.reportingCurrency || null,
+    recordCount: ['invoices', 'expenses', 'payments'].reduce((total, category) => total + scoped[category].length, 0),
+    kpis: kpiReport.kpis,
+    inputs: kpiReport.inputs,
+    notes: kpiReport.notes,
+    forecast: result?.cashFlowForecast || forecastCashFlow(data, { asOf: kpiReport.period?.end }),
+    anomalies: result?.anomalies ||
+      detectAnomalies(scoped).map((anomaly, index) => ({ anomalyId: `A${index + 1}`, ...anomaly })),
+    records: scoped
+  };
+}
+
+function describeSide(side) {
+  return {
+    label: side.label,
+    period: side.period,
+    reportingCurrency: side.reportingCurrency,
+    recordCount: side.recordCount,
+    kpis: side.kpis,
+    inputs: side.inputs
+  };
+}
+
+/**
+ * Keeps the dated records inside a KPI period; cancelled invoices are dropped as
+ * they are in revenue
+ */
+function withinPeriod(data, period) {
+  const start = parseDate(period.start);
+  const end = parseDate(period.end);
+  const inPeriod = record => {
+    const date = parseDate(record.date);
+    return date && date >= start && date <= end;
+  };
+
+  return {
+    invoices: (data.invoices || []).filter(invoice => invoice.status !== 'cancelled' && inPeriod(invoice)),
+    expenses: (data.expenses || []).filter(inPeriod),
+    payments: (data.payments || []).filter(inPeriod),
+    balances: data.balances || [],
+    metadata: data.metadata
+  };
+}
+
+function delta(before, after) {
+  const base = before ?? null;
+  const current = after ?? null;
+  if (base == null || current == null) {
+    return { base, current, change: null, changePct: null };
+  }
+
+  return {
+    base,
+    current,
+    change: round(current - base, 4),
+    changePct: base !== 0 ? round((current - base) / Math.abs(base) * 100, 1) : null
+  };
+}
+
+function direction(kpi, before, after, epsilon) {
+  if (before == null || after == null) return null;
+  if (Math.abs(after - before) <= epsilon) return 'unchanged';
+  return (after > before) === HIGHER_IS_BETTER[kpi] ? 'improved' : 'worsened';
+}
+
+function compareForecasts(before, after) {
+  return {
+    asOf: { base: before.asOf ?? null, current: after.asOf ?? null },
+    openingBalance: delta(before.openingBalance, after.openingBalance),
+    months: FORECAST_MONTHS.map(month => ({
+      month,
+      netFlow: delta(before[month]?.netFlow, after[month]?.netFlow),
+      cumulativeBalance: delta(before[month]?.cumulativeBalance, after[month]?.cumulativeBalance)
+    }))
+  };
+}
+
+const anomalyKey = anomaly => `${anomaly.rule || anomaly.type}|${
+  anomaly.entryId != null ? anomaly.entryId : [...(anomaly.entryIds || [])].sort().join(',')
+}`;
+
+/**
+ * Splits anomalies into new, resolved and persisting, and counts them per rule
+ */
+function compareAnomalies(before = [], after = []) {
+  const beforeKeys = new Set(before.map(anomalyKey));
+  const afterKeys = new Set(after.map(anomalyKey));
+
+  const rules = [...new Set([...before, ...after].map(anomaly => anomaly.rule || anomaly.type))].sort();
+  const countRule = (anomalies, rule) => anomalies.filter(anomaly => (anomaly.rule || anomaly.type) === rule).length;
+
+  return {
+    new: after.filter(anomaly => !beforeKeys.has(anomalyKey(anomaly))),
+    resolved: before.filter(anomaly => !afterKeys.has(anomalyKey(anomaly))),
+    persisting: after.filter(anomaly => beforeKeys.has(anomalyKey(anomaly))),
+    byRule: rules.map(rule => ({ rule, ...delta(countRule(before, rule), countRule(after, rule)) })),
+    bySeverity: ['high', 'medium', 'low'].map(severity => ({
+      severity,
+      ...delta(
+        before.filter(anomaly => anomaly.severity === severity).length,
+        after.filter(anomaly => anomaly.severity === severity).length
+      )
+    }))
+  };
+}
+
+/**
+ * Totals records per counterparty or category on both sides and returns the
+ * largest absolute changes with their share of the metric's total change
+ */
+function driverItems(before, after, dimension, totalChange, limit) {
+  const totals = new Map();
+  const add = (records, side) => records.forEach(record => {
+    const key = record[dimension] ? String(record[dimension]).trim() : '(none)';
+    if (!totals.has(key)) totals.set(key, { base: 0, current: 0 });
+    totals.get(key)[side] += Number(record.amount) || 0;
+  });
+  add(before, 'base');
+  add(after, 'current');
+
+  return [...totals.entries()]
+    .map(([key, { base, current }]) => ({
+      key,
+      base: round(base, 2),
+      current: round(current, 2),
+      change: round(current - base, 2),
+      share: totalChange !== 0 ? round((current - base) / totalChange, 4) : null
+    }))
+    .filter(item => item.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, limit);
+}
+
+/**
+ * Plain-language summary of the largest changes, for the dashboard and prompts
+ */
+function buildHighlights(comparison) {
+  const currency = comparison.reportingCurrency ? ` ${comparison.reportingCurrency}` : '';
+  const format = value => `${value > 0 ? '+' : ''}${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+  const highlights = [];
+
+  [['revenue', 'Revenue', 'customer'], ['totalExpenses', 'Expenses', 'vendor']].forEach(([metric, label, dimension]) => {
+    const input = comparison.inputs.find(item => item.metric === metric);
+    if (!input || !input.change) return;
+
+    const top = comparison.drivers.find(driver => driver.metric === metric && driver.dimension === dimension)?.items[0];
+    const pct = input.changePct != null ? ` (${format(input.changePct)}%)` : '';
+    highlights.push(
+      `${label} ${input.change > 0 ? 'up' : 'down'} ${format(input.change)}${currency}${pct}` +
+      (top ? `, largest ${dimension} change "${top.key}" ${format(top.change)}${currency}` : '')
+    );
+  });
+
+  comparison.kpis
+    .filter(kpi => kpi.direction === 'improved' || kpi.direction === 'worsened')
+    .forEach(kpi => highlights.push(`${kpi.kpi} ${kpi.direction}: ${kpi.base} → ${kpi.current}`));
+
+  const { new: added, resolved } = comparison.anomalies;
+  if (added.length || resolved.length) {
+    highlights.push(`${added.length} new and ${resolved.length} resolved anomalies`);
+  }
+
+  return highlights;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
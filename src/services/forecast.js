@@ -0,0 +1,383 @@
+import { parseDate, toISODate, addDays, addMonths, daysBetween, monthKey } from '../utils/dates.js';
+import { minOf, maxOf } from '../utils/extremes.js';
+import { latestBalances } from './kpis.js';
+
+const DEFAULT_OPTIONS = {
+  horizonDays: 90,
+  lookbackDays: 180,
+  // Days from invoice date to expected collection when no dueDate is given
+  collectionLagDays: 30,
+  // Days from the forecast start until an overdue invoice is expected to be collected
+  overdueLagDays: 14,
+  collectionProbability: { pending: 0.95, overdue: 0.7 },
+  // z-score of the confidence band (1.2816 = 80% two-sided interval)
+  confidenceZ: 1.2816
+};
+
+// Cadences recognised by recurring-expense detection, as nominal day intervals
+const CADENCES = [
+  { name: 'weekly', days: 7 },
+  { name: 'biweekly', days: 14 },
+  { name: 'monthly', days: 30.44, months: 1 },
+  { name: 'quarterly', days: 91.31, months: 3 },
+  { name: 'annual', days: 365.25, months: 12 }
+];
+
+/**
+ * Builds a reproducible cash-flow forecast from dated inflows and outflows.
+ *
+ * The projection for each day after `asOf` is the sum of:
+ * - scheduled receivables: pending/overdue invoices expected at their dueDate (or
+ *   invoice date + collectionLagDays), weighted by collection probability
+ * - recurring outflows detected from regular vendor expenses, projected on their cadence
+ * - a baseline of the remaining historical daily inflow/outflow over the lookback window,
+ *   scaled by a month-of-year seasonal index when at least 12 months of history exist.
+ *   Baseline inflow only starts after collectionLagDays, since sales closer to asOf are
+ *   already counted as scheduled receivables.
+ *
+ * The cumulative balance is seeded from the latest cash balances and carries a
+ * confidence band of ±z·σ·√t, where σ is the standard deviation of the historical
+ * daily baseline net flow and t the number of days ahead.
+ *
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS plus `asOf` (YYYY-MM-DD)
+ * @returns {Object} Forecast with daily, weekly and monthly series and month1..month3 totals
+ */
+export function forecastCashFlow(data, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const notes = [];
+
+  const asOf = parseDate(opts.asOf) || latestDate(data);
+  if (!asOf) {
+    return emptyForecast(['No dated records available - forecast cannot be built']);
+  }
+
+  const opening = openingBalance(data.balances || [], asOf);
+  if (!opening.seeded) {
+    notes.push('No balance on or before the forecast date - cumulative balance starts at 0');
+  }
+
+  const { inflows, outflows, source } = historicalFlows(data, asOf);
+  if (source === 'proxy') {
+    notes.push('No payments available - history uses paid invoices and expenses as cash proxies');
+  }
+
+  const recurring = detectRecurring(outflows, asOf, opts.horizonDays);
+  const recurringFlows = new Set(recurring.flatMap(series => series.records));
+  const baselineOutflows = outflows.filter(flow => !recurringFlows.has(flow));
+
+  const windowStart = addDays(asOf, -opts.lookbackDays + 1);
+  const historyStart = minOf([...inflows, ...outflows].map(flow => flow.date)) || asOf;
+  const windowDays = Math.max(1, daysBetween(historyStart > windowStart ? historyStart : windowStart, asOf) + 1);
+
+  const inWindow = record => record.date >= windowStart && record.date <= asOf;
+  const baseInflow = sum(inflows.filter(inWindow)) / windowDays;
+  const baseOutflow = sum(baselineOutflows.filter(inWindow)) / windowDays;
+  const sigma = dailyNetStdDev(inflows.filter(inWindow), baselineOutflows.filter(inWindow), asOf, windowDays);
+
+  const seasonality = seasonalIndex(inflows, baselineOutflows);
+  if (!seasonality) {
+    notes.push('Less than 12 months of history - no seasonal adjustment applied');
+  }
+
+  const scheduled = scheduledReceivables(data.invoices || [], asOf, opts);
+
+  // Daily projection
+  const daily = [];
+  let balance = opening.balance;
+  for (let day = 1; day <= opts.horizonDays; day++) {
+    const date = addDays(asOf, day);
+    const key = toISODate(date);
+    const month = date.getUTCMonth();
+
+    let inflow = (day > opts.collectionLagDays ? baseInflow : 0) * (seasonality ? seasonality.inflow[month] : 1);
+    let outflow = baseOutflow * (seasonality ? seasonality.outflow[month] : 1);
+
+    inflow += scheduled.filter(item => item.date === key).reduce((total, item) => total + item.expected, 0);
+    outflow += recurring
+      .flatMap(series => series.projected)
+      .filter(item => item.date === key)
+      .reduce((total, item) => total + item.amount, 0);
+
+    balance += inflow - outflow;
+    const band = opts.confidenceZ * sigma * Math.sqrt(day);
+
+    daily.push({
+      date: key,
+      inflow: round(inflow),
+      outflow: round(outflow),
+      netFlow: round(inflow - outflow),
+      cumulativeBalance: round(balance),
+      low: round(balance - band),
+      high: round(balance + band)
+    });
+  }
+
+  const weekly = bucket(daily, 7, 'week');
+  const monthly = bucket(daily, 30, 'month');
+
+  return {
+    asOf: toISODate(asOf),
+    horizonDays: opts.horizonDays,
+    openingBalance: round(opening.balance),
+    ...Object.fromEntries(monthly.slice(0, 3).map((period, index) => [
+      `month${index + 1}`,
+      {
+        inflow: period.inflow,
+        outflow: period.outflow,
+        netFlow: period.netFlow,
+        cumulativeBalance: period.cumulativeBalance
+      }
+    ])),
+    daily,
+    weekly,
+    monthly,
+    scheduledReceivables: scheduled,
+    recurringExpenses: recurring.map(({ projected, records, ...series }) => ({
+      ...series,
+      recordIds: records.map(record => record.id),
+      projectedCount: projected.length
+    })),
+    baseline: {
+      dailyInflow: round(baseInflow),
+      dailyOutflow: round(baseOutflow),
+      dailyNetStdDev: round(sigma),
+      lookbackDays: windowDays,
+      seasonal: Boolean(seasonality)
+    },
+    notes
+  };
+}
+
+/**
+ * Finds expenses that repeat on a regular cadence with a stable amount
+ * @param {Array} outflows - Outflow records as { id, date, amount, key }
+ * @param {Date} asOf - Forecast start; series inactive for two cycles are dropped
+ * @param {number} [horizonDays=90] - Days to project forward
+ * @returns {Array} Recurring series with projected future occurrences
+ */
+export function detectRecurring(outflows, asOf, horizonDays = DEFAULT_OPTIONS.horizonDays) {
+  const groups = new Map();
+  outflows.forEach(record => {
+    if (!record.key) return;
+    if (!groups.has(record.key)) groups.set(record.key, []);
+    groups.get(record.key).push(record);
+  });
+
+  const series = [];
+  groups.forEach((records, key) => {
+    if (records.length < 3) return;
+
+    const sorted = [...records].sort((a, b) => a.date - b.date);
+    const intervals = sorted.slice(1).map((record, i) => daysBetween(sorted[i].date, record.date));
+    const medianInterval = median(intervals);
+    const cadence = CADENCES.find(c => Math.abs(medianInterval - c.days) <= Math.max(3, c.days * 0.1));
+    if (!cadence) return;
+
+    const regular = intervals.filter(i => Math.abs(i - cadence.days) <= Math.max(3, cadence.days * 0.2));
+    if (regular.length / intervals.length < 0.8) return;
+
+    const amounts = sorted.map(record => record.amount);
+    const typicalAmount = median(amounts);
+    if (typicalAmount <= 0 || stdDev(amounts) / mean(amounts) > 0.25) return;
+
+    const last = sorted[sorted.length - 1].date;
+    if (daysBetween(last, asOf) > cadence.days * 2) return;
+
+    const horizonEnd = addDays(asOf, horizonDays);
+    const projected = [];
+    for (let n = 1; ; n++) {
+      const next = cadence.months
+        ? addMonths(last, cadence.months * n)
+        : addDays(last, Math.round(cadence.days) * n);
+      if (next > horizonEnd) break;
+      if (next > asOf) projected.push({ date: toISODate(next), amount: typicalAmount });
+    }
+
+    series.push({
+      key,
+      cadence: cadence.name,
+      amount: round(typicalAmount),
+      lastDate: toISODate(last),
+      records: sorted,
+      projected
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Expected collections from open invoices
+ * @param {Array} invoices - Invoice records
+ * @param {Date} asOf - Forecast start
+ * @param {Object} opts - Forecast options
+ * @returns {Array} { invoiceId, date, amount, probability, expected }
+ */
+function scheduledReceivables(invoices, asOf, opts) {
+  return invoices
+    .filter(inv => inv.status === 'pending' || inv.status === 'overdue')
+    .map(inv => {
+      const invoiceDate = parseDate(inv.date);
+      let expectedDate = parseDate(inv.dueDate) ||
+        (invoiceDate ? addDays(invoiceDate, opts.collectionLagDays) : null);
+
+      if (!expectedDate || expectedDate <= asOf || inv.status === 'overdue') {
+        expectedDate = addDays(asOf, opts.overdueLagDays);
+      }
+
+      const probability = opts.collectionProbability[inv.status];
+      const amount = Number(inv.amount) || 0;
+
+      return {
+        invoiceId: inv.id,
+        date: toISODate(expectedDate),
+        amount,
+        probability,
+        expected: amount * probability
+      };
+    })
+    .filter(item => daysBetween(asOf, parseDate(item.date)) <= opts.horizonDays);
+}
+
+/**
+ * Collects dated cash movements. Payments are used when present; otherwise paid
+ * invoices stand in for inflows and expenses for outflows.
+ */
+function historicalFlows(data, asOf) {
+  const toFlow = record => ({
+    id: record.id,
+    date: parseDate(record.date),
+    amount: Math.abs(Number(record.amount) || 0),
+    key: String(record.vendor || record.description || record.category || '').trim().toLowerCase()
+  });
+  const dated = flow => flow.date && flow.date <= asOf;
+
+  const payments = data.payments || [];
+  if (payments.length > 0) {
+    return {
+      inflows: payments.filter(p => p.type === 'inbound').map(toFlow).filter(dated),
+      outflows: payments.filter(p => p.type === 'outbound').map(toFlow).filter(dated),
+      source: 'payments'
+    };
+  }
+
+  return {
+    inflows: (data.invoices || []).filter(inv => inv.status === 'paid').map(toFlow).filter(dated),
+    outflows: (data.expenses || []).map(toFlow).filter(dated),
+    source: 'proxy'
+  };
+}
+
+function openingBalance(balances, asOf) {
+  const accounts = latestBalances(balances, asOf);
+  if (accounts.length === 0) return { balance: 0, seeded: false };
+
+  const cashAccounts = accounts.filter(account => account.type === 'cash');
+  // Unclassified account names are assumed to be cash when nothing matches
+  const seedAccounts = cashAccounts.length > 0 ? cashAccounts : accounts.filter(a => a.type === 'other');
+  return { balance: sum(seedAccounts, 'balance'), seeded: seedAccounts.length > 0 };
+}
+
+/**
+ * Month-of-year multipliers for inflows and outflows (1 = average month)
+ * @returns {Object|null} { inflow: number[12], outflow: number[12] } or null without a full year
+ */
+function seasonalIndex(inflows, outflows) {
+  const months = new Set([...inflows, ...outflows].map(flow => monthKey(flow.date)));
+  if (months.size < 12) return null;
+
+  const index = flows => {
+    const totals = new Map();
+    flows.forEach(flow => totals.set(monthKey(flow.date), (totals.get(monthKey(flow.date)) || 0) + flow.amount));
+
+    const overall = [...months].reduce((total, key) => total + (totals.get(key) || 0), 0) / months.size;
+    if (overall === 0) return new Array(12).fill(1);
+
+    return Array.from({ length: 12 }, (_, month) => {
+      const keys = [...months].filter(key => Number(key.slice(5, 7)) - 1 === month);
+      if (keys.length === 0) return 1;
+      return keys.reduce((total, key) => total + (totals.get(key) || 0), 0) / keys.length / overall;
+    });
+  };
+
+  return { inflow: index(inflows), outflow: index(outflows) };
+}
+
+function dailyNetStdDev(inflows, outflows, asOf, windowDays) {
+  const net = new Map();
+  inflows.forEach(flow => net.set(toISODate(flow.date), (net.get(toISODate(flow.date)) || 0) + flow.amount));
+  outflows.forEach(flow => net.set(toISODate(flow.date), (net.get(toISODate(flow.date)) || 0) - flow.amount));
+
+  const series = Array.from({ length: windowDays }, (_, i) => net.get(toISODate(addDays(asOf, -i))) || 0);
+  return stdDev(series);
+}
+
+function bucket(daily, size, label) {
+  const buckets = [];
+  for (let i = 0; i < daily.length; i += size) {
+    const days = daily.slice(i, i + size);
+    const last = days[days.length - 1];
+    const inflow = sum(days, 'inflow');
+    const outflow = sum(days, 'outflow');
+
+    buckets.push({
+      [label]: buckets.length + 1,
+      start: days[0].date,
+      end: last.date,
+      inflow: round(inflow),
+      outflow: round(outflow),
+      netFlow: round(inflow - outflow),
+      cumulativeBalance: last.cumulativeBalance,
+      low: last.low,
+      high: last.high
+    });
+  }
+  return buckets;
+}
+
+function emptyForecast(notes) {
+  return {
+    asOf: null,
+    horizonDays: 0,
+    openingBalance: 0,
+    daily: [],
+    weekly: [],
+    monthly: [],
+    scheduledReceivables: [],
+    recurringExpenses: [],
+    baseline: null,
+    notes
+  };
+}
+
+function latestDate(data) {
+  const dates = ['invoices', 'expenses', 'payments', 'balances']
+    .flatMap(category => (data[category] || []).map(record => parseDate(record.date)))
+    .filter(Boolean);
+  return maxOf(dates);
+}
+
+function sum(items, field = 'amount') {
+  return items.reduce((total, item) => total + (item[field] || 0), 0);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((total, v) => total + v, 0) / values.length : 0;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((total, v) => total + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
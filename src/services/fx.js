@@ -0,0 +1,278 @@
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { config } from '../config/index.js';
+import { parseDate, toISODate, daysBetween } from '../utils/dates.js';
+import { logger } from '../utils/logger.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+const CURRENCY_SYMBOLS = {
+  $: 'USD',
+  'US$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY'
+};
+
+const rateSourceFactories = {
+  file: fxConfig => createFileRateSource(fxConfig.ratesPath, { maxStaleDays: fxConfig.maxStaleDays })
+};
+
+let cachedSource = null;
+
+/**
+ * Normalizes a currency code or symbol to an ISO 4217 code
+ * @param {string} value - Currency as written in the source ("eur", "€", "GBP ")
+ * @returns {string|null} Upper-case three-letter code, or null when unrecognised
+ */
+export function normalizeCurrency(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (CURRENCY_SYMBOLS[text]) return CURRENCY_SYMBOLS[text];
+  return /^[A-Za-z]{3}$/.test(text) ? text.toUpperCase() : null;
+}
+
+/**
+ * Creates an in-memory rate table. Each row quotes one unit of `base` in `quote`
+ * (EUR/USD 1.09 means 1 EUR = 1.09 USD). Lookups use the latest rate on or before
+ * the requested date, try the inverse pair, and cross through a shared currency
+ * when there is no direct quote.
+ * @param {Array<Object>} rows - Rates as { date, base, quote, rate }
+ * @param {Object} [options] - Table options
+ * @param {number} [options.maxStaleDays=7] - Oldest rate accepted for a date (covers weekends and holidays)
+ * @returns {Object} { getRate(from, to, date), currencies }
+ */
+export function createRateTable(rows, { maxStaleDays = 7 } = {}) {
+  const pairs = new Map();
+  const neighbours = new Map();
+
+  rows.forEach(row => {
+    const base = normalizeCurrency(row.base);
+    const quote = normalizeCurrency(row.quote);
+    const date = parseDate(row.date);
+    const rate = Number(row.rate);
+    if (!base || !quote || !date || !(rate > 0)) return;
+
+    const key = `${base}/${quote}`;
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push({ date, rate });
+
+    [[base, quote], [quote, base]].forEach(([from, to]) => {
+      if (!neighbours.has(from)) neighbours.set(from, new Set());
+      neighbours.get(from).add(to);
+    });
+  });
+  pairs.forEach(series => series.sort((a, b) => a.date - b.date));
+
+  const quoted = (series, date) => {
+    if (!series) return null;
+    if (!date) return series[series.length - 1].rate;
+
+    for (let i = series.length - 1; i >= 0; i--) {
+      if (series[i].date <= date) {
+        return daysBetween(series[i].date, date) <= maxStaleDays ? series[i].rate : null;
+      }
+    }
+    return null;
+  };
+
+  const pairRate = (from, to, date) => {
+    const direct = quoted(pairs.get(`${from}/${to}`), date);
+    if (direct != null) return direct;
+    const inverse = quoted(pairs.get(`${to}/${from}`), date);
+    return inverse != null ? 1 / inverse : null;
+  };
+
+  return {
+    currencies: [...neighbours.keys()].sort(),
+
+    /**
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency
+     * @param {string|Date} [date] - Rate date; the latest rate when omitted
+     * @returns {number|null} Units of `to` per unit of `from`, or null when unknown
+     */
+    getRate(from, to, date) {
+      if (from === to) return 1;
+      const day = date ? parseDate(date) : null;
+      if (date && !day) return null;
+
+      const direct = pairRate(from, to, day);
+      if (direct != null) return direct;
+
+      for (const pivot of neighbours.get(from) || []) {
+        const first = pairRate(from, pivot, day);
+        const second = first != null ? pairRate(pivot, to, day) : null;
+        if (second != null) return first * second;
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Creates a rate source backed by a local CSV or JSON file with date, base, quote
+ * and rate columns (JSON: an array of such objects). The file is read on first use;
+ * a missing file yields no rates, so only conversions that need one fail.
+ * @param {string} filePath - Path of the rate table
+ * @param {Object} [options] - Options passed to createRateTable()
+ * @returns {Object} Rate source { name, getRate(from, to, date) }
+ */
+export function createFileRateSource(filePath, options = {}) {
+  let table = null;
+
+  const load = () => {
+    if (table) return table;
+
+    let rows = [];
+    if (fs.existsSync(filePath)) {
+      const text = fs.readFileSync(filePath, 'utf8');
+      rows = path.extname(filePath).toLowerCase() === '.json'
+        ? JSON.parse(text)
+        : parse(text, { columns: true, skip_empty_lines: true, trim: true });
+      logger.info('FX rate table loaded', { path: filePath, rates: rows.length });
+    } else {
+      logger.warn('FX rate table not found; only same-currency data can be analyzed', { path: filePath });
+    }
+
+    table = createRateTable(rows, options);
+    return table;
+  };
+
+  return {
+    name: `file:${filePath}`,
+    getRate: (from, to, date) => load().getRate(from, to, date)
+  };
+}
+
+/**
+ * Creates an FX rate source from configuration
+ * @param {Object} [fxConfig=config.fx] - FX configuration
+ * @returns {Object} Rate source exposing name and getRate()
+ */
+export function createRateSource(fxConfig = config.fx) {
+  const factory = rateSourceFactories[fxConfig.source];
+  if (!factory) {
+    throw new Error(
+      `Unknown FX rate source "${fxConfig.source}". Expected one of: ${Object.keys(rateSourceFactories).join(', ')}`
+    );
+  }
+  return factory(fxConfig);
+}
+
+/**
+ * Returns the configured rate source, creating it on first use
+ * @returns {Object} Rate source
+ */
+export function getRateSource() {
+  if (!cachedSource) {
+    cachedSource = createRateSource();
+  }
+  return cachedSource;
+}
+
+/**
+ * Overrides the rate source (tests, embedding)
+ * @param {Object|null} source - Rate source, or null to fall back to configuration
+ */
+export function setRateSource(source) {
+  cachedSource = source;
+}
+
+/**
+ * Converts every amount (and balance) to the reporting currency at the rate of the
+ * record's date. Converted records keep their source values in originalAmount (or
+ * originalBalance), originalCurrency and fxRate; records already converted are
+ * converted again from their original values, so the step can be repeated with a
+ * different reporting currency. Records without a currency are in defaultCurrency.
+ * Throws an error with code FX_RATE_MISSING listing every rate that is not available.
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.reportingCurrency=config.fx.reportingCurrency] - Target currency
+ * @param {string} [options.defaultCurrency=config.fx.defaultCurrency] - Currency of records without one
+ * @param {Object} [options.rateSource=getRateSource()] - Rate source
+ * @returns {Object} Data with converted amounts and metadata.reportingCurrency/metadata.fx
+ */
+export function convertToReportingCurrency(data, options = {}) {
+  const reportingCurrency = normalizeCurrency(options.reportingCurrency || config.fx.reportingCurrency);
+  const defaultCurrency = normalizeCurrency(options.defaultCurrency || config.fx.defaultCurrency) || reportingCurrency;
+  const rateSource = options.rateSource || getRateSource();
+
+  if (!reportingCurrency) {
+    const error = new Error(`Invalid reporting currency "${options.reportingCurrency}": expected a three-letter ISO 4217 code`);
+    error.code = 'INVALID_CURRENCY';
+    throw error;
+  }
+
+  const missing = new Map();
+  const sourceCurrencies = new Set();
+  let converted = 0;
+
+  const convertRecord = (record, field) => {
+    const originalField = field === 'balance' ? 'originalBalance' : 'originalAmount';
+    const written = record.originalCurrency || record.currency;
+    const currency = written == null || written === '' ? defaultCurrency : normalizeCurrency(written);
+    // Unrecognised currencies are left for the schema's currency check
+    if (!currency) return record;
+
+    const value = record.originalCurrency ? record[originalField] : record[field];
+    const { [originalField]: _original, originalCurrency: _currency, fxRate: _rate, ...rest } = record;
+
+    sourceCurrencies.add(currency);
+    if (currency === reportingCurrency || typeof value !== 'number') {
+      return { ...rest, [field]: value, currency };
+    }
+
+    const rate = rateSource.getRate(currency, reportingCurrency, record.date);
+    if (rate == null) {
+      const date = parseDate(record.date);
+      const key = `${currency}/${reportingCurrency}@${date ? toISODate(date) : 'latest'}`;
+      missing.set(key, { from: currency, to: reportingCurrency, date: date ? toISODate(date) : null });
+      return record;
+    }
+
+    converted += 1;
+    return {
+      ...rest,
+      [field]: Math.round(value * rate * 100) / 100,
+      currency: reportingCurrency,
+      [originalField]: value,
+      originalCurrency: currency,
+      fxRate: rate
+    };
+  };
+
+  const result = { ...data };
+  CATEGORIES.forEach(category => {
+    if (Array.isArray(data[category])) {
+      result[category] = data[category].map(record => convertRecord(record, category === 'balances' ? 'balance' : 'amount'));
+    }
+  });
+
+  if (missing.size > 0) {
+    const details = [...missing.values()];
+    const error = new Error(
+      `No FX rate for ${details.slice(0, 5).map(d => `${d.from}/${d.to} on ${d.date || 'any date'}`).join(', ')}` +
+      `${details.length > 5 ? ` and ${details.length - 5} more` : ''}. Add the rates to the FX rate table (FX_RATES_PATH).`
+    );
+    error.code = 'FX_RATE_MISSING';
+    error.details = details;
+    throw error;
+  }
+
+  result.metadata = {
+    ...data.metadata,
+    reportingCurrency,
+    fx: {
+      source: rateSource.name,
+      convertedRecords: converted,
+      currencies: [...sourceCurrencies].sort()
+    }
+  };
+
+  if (converted > 0) {
+    logger.info('Converted amounts to reporting currency', { reportingCurrency, converted });
+  }
+  return result;
+}
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import {
+  parseCSV,
+  parseJSON,
+  parseWorkbook,
+  classifyRecord,
+  cleanFinancialData,
+  normalizeFinancialData
+} from './parser.js';
+import { parseBankStatement, BANK_FORMATS } from './bankStatements.js';
+import { applyMapping } from './columnMapping.js';
+import { convertToReportingCurrency } from './fx.js';
+import { validateData } from '../utils/validation.js';
+import { logger } from '../utils/logger.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+const FORMATS_BY_EXTENSION = {
+  csv: 'csv',
+  json: 'json',
+  xlsx: 'xlsx',
+  xls: 'xlsx',
+  ofx: 'ofx',
+  qfx: 'ofx',
+  xml: 'camt053',
+  camt: 'camt053',
+  '053': 'camt053',
+  sta: 'mt940',
+  mt940: 'mt940',
+  '940': 'mt940'
+};
+
+/**
+ * Resolves the input format from a file name
+ * @param {string} fileName - Uploaded file name
+ * @returns {string|null} csv, json, xlsx, ofx, camt053 or mt940; null for unsupported extensions
+ */
+export function formatFromFileName(fileName) {
+  return FORMATS_BY_EXTENSION[String(fileName).split('.').pop().toLowerCase()] || null;
+}
+
+/**
+ * Reads an uploaded file in the form its parser expects: workbooks as a Buffer,
+ * everything else as UTF-8 text
+ * @param {Object} file - Multer file descriptor
+ * @param {string} format - Input format, see formatFromFileName()
+ * @returns {string|Buffer} File contents
+ */
+export function readUpload(file, format) {
+  return format === 'xlsx' ? fs.readFileSync(file.path) : fs.readFileSync(file.path, 'utf8');
+}
+
+/**
+ * Runs one input through the full ingestion pipeline:
+ * parse → categorize (or apply a confirmed column mapping) → clean → normalize →
+ * convert to the reporting currency → validate
+ * @param {string|Buffer|Object|Array} input - Raw input (text, workbook buffer or parsed JSON)
+ * @param {Object} [options] - Ingestion options
+ * @param {string} [options.format='json'] - csv, json, xlsx, ofx, camt053 or mt940
+ * @param {string} [options.fileName] - Source file name, reported in diagnostics
+ * @param {Array} [options.mappings] - Column mappings, see categorizeInput()
+ * @param {string} [options.reportingCurrency] - Currency amounts are converted to
+ * @returns {Object} { data, validation, diagnostics }
+ */
+export function ingestFinancialData(input, { format = 'json', fileName, mappings, reportingCurrency } = {}) {
+  return buildDataset(categorizeInput(input, { format, fileName, mappings }), { reportingCurrency });
+}
+
+/**
+ * Parse stage. Splits an input into tables of rows: one per CSV file or JSON record
+ * array, one per worksheet, one per category key of categorized JSON, and a payments
+ * and a balances table per bank statement.
+ * @param {string|Buffer|Object|Array} input - Raw input
+ * @param {Object} options - { format, fileName }
+ * @returns {Array} Tables as { sheetName, fixed, category, reason, rows: [{ record, source }] };
+ *   category is set when the sheet name, JSON key or statement identifies it, and
+ *   fixed tables already use schema field names so are never remapped
+ */
+export function parseTables(input, { format = 'json', fileName } = {}) {
+  const file = fileName ? { file: fileName } : {};
+
+  if (format === 'csv') {
+    return [{
+      category: null,
+      // Line 1 is the header row
+      rows: parseCSV(input).map((record, index) => ({ record, source: { ...file, row: index + 2 } }))
+    }];
+  }
+
+  if (format === 'xlsx') {
+    return parseWorkbook(input).map(({ sheetName, category, rows }) => ({
+      sheetName,
+      category,
+      reason: category ? `sheet name "${sheetName}" identifies ${category}` : null,
+      rows: rows.map(({ record, row }) => ({ record, source: { ...file, sheet: sheetName, row } }))
+    }));
+  }
+
+  if (BANK_FORMATS.includes(format)) {
+    return parseBankStatement(input, format).flatMap((statement, index) => ['payments', 'balances'].map(category => ({
+      fixed: true,
+      category,
+      reason: `${category === 'payments' ? 'transaction' : 'balance'} in ${format.toUpperCase()} statement for ${statement.account}`,
+      rows: statement[category].map((record, entry) => ({ record, source: { ...file, statement: index + 1, entry } }))
+    })));
+  }
+
+  if (format !== 'json') {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+
+  const data = parseJSON(input);
+  if (Array.isArray(data)) {
+    return [{
+      category: null,
+      rows: data.map((record, index) => ({ record, source: { ...file, index } }))
+    }];
+  }
+
+  return CATEGORIES.filter(category => Array.isArray(data[category])).map(category => ({
+    fixed: true,
+    category,
+    reason: `provided under the "${category}" key`,
+    rows: data[category].map((record, index) => ({ record, source: { ...file, key: category, index } }))
+  }));
+}
+
+/**
+ * Parse and categorize stages. Each entry records which category a row landed in and why.
+ * A confirmed column mapping for a table takes precedence over category detection;
+ * categorized JSON and bank statements are never remapped.
+ * @param {string|Buffer|Object|Array} input - Raw input
+ * @param {Object} options - { format, fileName, mappings }
+ * @param {Array} [options.mappings] - Mappings as { sheetName?, category, columns, profile? };
+ *   a mapping without sheetName applies to CSV and JSON record arrays
+ * @returns {Array} Entries as { category, record, source, reason }
+ */
+export function categorizeInput(input, { format = 'json', fileName, mappings = [] } = {}) {
+  return parseTables(input, { format, fileName }).flatMap(table => {
+    const mapping = !table.fixed && mappings.find(m => (m.sheetName || null) === (table.sheetName || null));
+
+    return table.rows.map(({ record, source }) => {
+      if (mapping) {
+        return {
+          category: mapping.category,
+          reason: mapping.profile ? `column mapping profile "${mapping.profile}"` : 'column mapping confirmed by user',
+          record: record && typeof record === 'object' ? applyMapping(record, mapping) : record,
+          source
+        };
+      }
+
+      return {
+        ...(table.category ? { category: table.category, reason: table.reason } : classifyRecord(record)),
+        record,
+        source
+      };
+    });
+  });
+}
+
+/**
+ * Clean, normalize, currency conversion and validate stages for categorized entries
+ * from one or more inputs. Throws FX_RATE_MISSING when an amount cannot be converted.
+ * @param {Array} entries - Entries from categorizeInput()
+ * @param {Object} [options] - { source } stored in the normalized metadata and the
+ *   { reportingCurrency } (defaults to config.fx.reportingCurrency)
+ * @returns {Object} { data, validation, diagnostics }
+ */
+export function buildDataset(entries, { source = 'manual_input', reportingCurrency } = {}) {
+  const diagnostics = [];
+  const grouped = { invoices: [], expenses: [], payments: [], balances: [], source };
+
+  entries.forEach(entry => {
+    const diagnostic = { category: entry.category, reason: entry.reason, source: entry.source };
+
+    if (!entry.record || typeof entry.record !== 'object' || Array.isArray(entry.record)) {
+      diagnostics.push({ ...diagnostic, category: null, reason: 'dropped: not a record object' });
+      return;
+    }
+
+    diagnostic.index = grouped[entry.category].length;
+    grouped[entry.category].push(entry.record);
+    diagnostics.push(diagnostic);
+  });
+
+  const data = convertToReportingCurrency(normalizeFinancialData(cleanFinancialData(grouped)), { reportingCurrency });
+  const validation = validateData(data);
+
+  // Attach schema errors to the record they belong to (instancePath like /invoices/3/date)
+  const byRecord = new Map(diagnostics.map(d => [`${d.category}/${d.index}`, d]));
+  validation.errors.forEach(error => {
+    const match = /^\/(\w+)\/(\d+)(\/.*)?$/.exec(error.field || '');
+    if (!match) return;
+
+    const diagnostic = byRecord.get(`${match[1]}/${Number(match[2])}`);
+    if (diagnostic) {
+      diagnostic.errors = diagnostic.errors || [];
+      diagnostic.errors.push(`${match[3] ? match[3].slice(1) : 'record'} ${error.message}`);
+    }
+  });
+
+  logger.info('Ingestion pipeline completed', {
+    records: diagnostics.length,
+    dropped: diagnostics.filter(d => d.category === null).length,
+    valid: validation.isValid
+  });
+
+  return { data, validation, diagnostics };
+}
@@ -0,0 +1,272 @@
+import { parseDate, toISODate, addDays, daysBetween } from '../utils/dates.js';
+import { minOf, maxOf } from '../utils/extremes.js';
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// Expense categories treated as cost of goods sold for gross margin
+export const DEFAULT_COGS_CATEGORIES = [
+  'cogs',
+  'cost of goods sold',
+  'cost of sales',
+  'inventory',
+  'materials',
+  'raw materials',
+  'manufacturing',
+  'production',
+  'freight',
+  'shipping'
+];
+
+const OPEN_STATUSES = ['pending', 'unpaid', 'overdue'];
+
+// Balance account classification, matched against the lowercased account name
+const ACCOUNT_PATTERNS = {
+  cash: /cash|bank|checking|chequing|savings|money market/,
+  receivables: /receivable/,
+  inventory: /inventory|stock/,
+  liabilities: /payable|credit card|loan|accrued|overdraft|line of credit|short[- ]term debt|tax(es)? due/
+};
+
+/**
+ * Computes key financial KPIs from normalized financial data.
+ *
+ * Formulas (all figures restricted to the selected period):
+ * - grossMargin  = (revenue - COGS) / revenue, where revenue is the sum of non-cancelled
+ *                  invoices and COGS the sum of expenses in a COGS category
+ * - burnRate     = (cash outflow - cash inflow) / months in period. Cash flow comes from
+ *                  payments when present, otherwise paid invoices vs. expenses. Negative
+ *                  values mean the business generated cash.
+ * - DSO          = open receivables at period end / revenue * days in period
+ * - DPO          = open payables at period end / total expenses * days in period
+ * - currentRatio = (cash + receivables + inventory) / current liabilities
+ * - quickRatio   = (cash + receivables) / current liabilities
+ *
+ * Balance sheet figures use the latest balance per account on or before the period end.
+ * Receivables fall back to open invoices and payables to open expenses when no matching
+ * balance account exists. A KPI that cannot be computed is null and explained in `notes`.
+ *
+ * @param {Object} data - Normalized data with invoices, expenses, payments and balances
+ * @param {Object} [options] - Calculation options
+ * @param {string} [options.start] - Period start (YYYY-MM-DD); defaults to the earliest record
+ * @param {string} [options.end] - Period end (YYYY-MM-DD); defaults to the latest record
+ * @param {Array<string>} [options.cogsCategories] - Expense categories counted as COGS
+ * @returns {Object} { period, kpis, inputs, notes }
+ */
+export function computeKPIs(data, options = {}) {
+  const period = selectPeriod(data, options);
+  const notes = [];
+  const cogsCategories = (options.cogsCategories || DEFAULT_COGS_CATEGORIES).map(c => c.toLowerCase());
+
+  if (!period) {
+    return {
+      period: null,
+      kpis: emptyKPIs(),
+      inputs: {},
+      notes: ['No dated records available - KPIs cannot be computed']
+    };
+  }
+
+  const inPeriod = record => {
+    const date = parseDate(record.date);
+    return date && date >= period.startDate && date <= period.endDate;
+  };
+
+  const invoices = (data.invoices || []).filter(inv => inv.status !== 'cancelled' && inPeriod(inv));
+  const expenses = (data.expenses || []).filter(inPeriod);
+  const payments = (data.payments || []).filter(inPeriod);
+
+  const revenue = sumAmounts(invoices);
+  const totalExpenses = sumAmounts(expenses);
+  const cogs = sumAmounts(expenses.filter(exp =>
+    exp.category && cogsCategories.includes(String(exp.category).toLowerCase())
+  ));
+
+  // Cash movements
+  let cashInflow;
+  let cashOutflow;
+  if (payments.length > 0) {
+    cashInflow = sumAmounts(payments.filter(p => p.type === 'inbound'));
+    cashOutflow = sumAmounts(payments.filter(p => p.type === 'outbound'));
+  } else {
+    cashInflow = sumAmounts(invoices.filter(inv => inv.status === 'paid'));
+    cashOutflow = totalExpenses;
+    notes.push('No payments in period - burn rate uses paid invoices and expenses as cash proxies');
+  }
+
+  // Balance sheet position at period end
+  const accounts = latestBalances(data.balances || [], period.endDate);
+  const cash = sumAccounts(accounts, 'cash');
+  const inventory = sumAccounts(accounts, 'inventory');
+
+  let receivables = sumAccounts(accounts, 'receivables');
+  if (!hasAccounts(accounts, 'receivables')) {
+    receivables = sumAmounts(openRecords(data.invoices, period.endDate));
+  }
+
+  let payables = sumAccounts(accounts, 'liabilities');
+  if (!hasAccounts(accounts, 'liabilities')) {
+    payables = sumAmounts(openRecords(data.expenses, period.endDate));
+  }
+
+  const kpis = emptyKPIs();
+
+  if (revenue > 0) {
+    kpis.grossMargin = round((revenue - cogs) / revenue, 4);
+    if (cogs === 0) {
+      notes.push(`No expenses in COGS categories (${cogsCategories.join(', ')}) - gross margin assumes zero COGS`);
+    }
+    kpis.DSO = round(receivables / revenue * period.days, 1);
+  } else {
+    notes.push('No revenue in period - gross margin and DSO are undefined');
+  }
+
+  kpis.burnRate = round((cashOutflow - cashInflow) / (period.days / DAYS_PER_MONTH), 2);
+
+  if (totalExpenses > 0) {
+    kpis.DPO = round(payables / totalExpenses * period.days, 1);
+  } else {
+    notes.push('No expenses in period - DPO is undefined');
+  }
+
+  if (payables > 0) {
+    kpis.currentRatio = round((cash + receivables + inventory) / payables, 2);
+    kpis.quickRatio = round((cash + receivables) / payables, 2);
+  } else {
+    notes.push('No current liabilities found - current and quick ratios are undefined');
+  }
+
+  return {
+    period: { start: period.start, end: period.end, days: period.days },
+    kpis,
+    inputs: {
+      revenue: round(revenue, 2),
+      cogs: round(cogs, 2),
+      totalExpenses: round(totalExpenses, 2),
+      cashInflow: round(cashInflow, 2),
+      cashOutflow: round(cashOutflow, 2),
+      cash: round(cash, 2),
+      receivables: round(receivables, 2),
+      inventory: round(inventory, 2),
+      payables: round(payables, 2)
+    },
+    notes
+  };
+}
+
+/**
+ * Compares KPIs reported by the model against locally computed values
+ * @param {Object} computed - KPIs from computeKPIs().kpis
+ * @param {Object} reported - KPIs returned by the model
+ * @param {number} [tolerance=0.01] - Allowed relative difference
+ * @returns {Array} Discrepancies as { kpi, computed, reported }
+ */
+export function findKPIDiscrepancies(computed, reported, tolerance = 0.01) {
+  if (!reported || typeof reported !== 'object') return [];
+
+  return Object.entries(computed)
+    .filter(([kpi, value]) => {
+      if (!(kpi in reported)) return false;
+      const other = reported[kpi];
+      if (value == null || other == null) return value !== other;
+      if (typeof other !== 'number') return true;
+      return Math.abs(value - other) > Math.max(Math.abs(value) * tolerance, 0.01);
+    })
+    .map(([kpi, value]) => ({ kpi, computed: value, reported: reported[kpi] }));
+}
+
+/**
+ * Resolves the analysis period from explicit bounds or the dated records
+ * @param {Object} data - Normalized financial data
+ * @param {Object} options - { start, end }
+ * @returns {Object|null} Period with Date and ISO bounds and an inclusive day count
+ */
+export function selectPeriod(data, { start, end } = {}) {
+  const dates = ['invoices', 'expenses', 'payments']
+    .flatMap(category => (data[category] || []).map(record => parseDate(record.date)))
+    .filter(Boolean);
+
+  const startDate = parseDate(start) || minOf(dates);
+  const endDate = parseDate(end) || maxOf(dates);
+  if (!startDate || !endDate || endDate < startDate) return null;
+
+  return {
+    startDate,
+    endDate,
+    start: toISODate(startDate),
+    end: toISODate(endDate),
+    days: daysBetween(startDate, addDays(endDate, 1))
+  };
+}
+
+function emptyKPIs() {
+  return {
+    grossMargin: null,
+    burnRate: null,
+    DSO: null,
+    DPO: null,
+    currentRatio: null,
+    quickRatio: null
+  };
+}
+
+function sumAmounts(records) {
+  return records.reduce((total, record) => total + (Number(record.amount) || 0), 0);
+}
+
+function openRecords(records = [], asOf) {
+  return records.filter(record => {
+    const date = parseDate(record.date);
+    return OPEN_STATUSES.includes(record.status) && date && date <= asOf;
+  });
+}
+
+/**
+ * Picks the latest balance per account on or before a date and classifies it
+ * @param {Array} balances - Balance records
+ * @param {Date} asOf - Cut-off date
+ * @returns {Array} { account, balance, type }
+ */
+export function latestBalances(balances, asOf) {
+  const latest = new Map();
+
+  balances.forEach(entry => {
+    const date = parseDate(entry.date);
+    if (!date || date > asOf || !entry.account) return;
+    const current = latest.get(entry.account);
+    if (!current || date >= current.date) {
+      latest.set(entry.account, { date, balance: Number(entry.balance) || 0 });
+    }
+  });
+
+  return [...latest.entries()].map(([account, { balance }]) => ({
+    account,
+    balance,
+    type: classifyAccount(account)
+  }));
+}
+
+function classifyAccount(account) {
+  const name = account.toLowerCase();
+  // Liabilities first so "accounts payable" is not mistaken for a cash account
+  if (ACCOUNT_PATTERNS.liabilities.test(name)) return 'liabilities';
+  if (ACCOUNT_PATTERNS.receivables.test(name)) return 'receivables';
+  if (ACCOUNT_PATTERNS.inventory.test(name)) return 'inventory';
+  if (ACCOUNT_PATTERNS.cash.test(name)) return 'cash';
+  return 'other';
+}
+
+function hasAccounts(accounts, type) {
+  return accounts.some(account => account.type === type);
+}
+
+function sumAccounts(accounts, type) {
+  // Liability balances may be exported as negative numbers; treat them as amounts owed
+  return accounts
+    .filter(account => account.type === type)
+    .reduce((total, account) => total + (type === 'liabilities' ? Math.abs(account.balance) : account.balance), 0);
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
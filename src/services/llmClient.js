@@ -1,94 +1,152 @@
-import OpenAI from 'openai';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import { getProvider } from './providers/index.js';
+import { computeKPIs, findKPIDiscrepancies } from './kpis.js';
+import { forecastCashFlow } from './forecast.js';
+import { detectAnomalies } from './anomalies.js';
+import { estimateTokens, aggregateFinancialData, chunkRecords, tokenBudgetError } from './chunking.js';
+import { getPromptTemplate, frameQuestion } from './promptTemplates.js';
+import { validateChunkFindings } from '../utils/validation.js';
+import { createJsonObjectStream } from '../utils/jsonStream.js';
 
-// Configure OpenAI client for OpenRouter
-const openai = new OpenAI({
-  apiKey: config.openrouter.apiKey,
-  baseURL: config.openrouter.apiUrl.replace('/chat/completions', ''),
-  defaultHeaders: {
-    'HTTP-Referer': 'https://financial-analyzer.com',
-    'X-Title': 'Financial Analysis App'
-  }
-});
+// Completion tokens allowed for each chunk review in the map phase
+const CHUNK_MAX_TOKENS = 800;
 
 /**
- * Analyzes financial data using OpenRouter's AI models
+ * Analyzes financial data using the configured LLM provider. KPIs, the cash-flow
+ * forecast and anomalies are computed locally and only narrated by the model; any KPI the model
+ * contradicts is reported in `kpiDiscrepancies` and replaced by the computed value.
+ * The forecast starts at the end of the KPI period when one is given.
+ *
+ * The prompt template (see promptTemplates.js) decides the task, the instructions
+ * and the response schema; the result records it in `analysisType` and
+ * `promptTemplate`. A question for templates that accept one is sent as a separate
+ * user message inside a fixed framing, never spliced into the system prompt.
+ *
+ * Progress is reported through `onProgress(stage, fraction, message)` for the
+ * "chunk-analysis" and "merge" stages. Aborting `signal` stops the analysis before
+ * the next model call (and cancels the call in flight where the provider supports
+ * it) with an error coded ANALYSIS_CANCELLED.
+ *
+ * With `onPartial` the final model call is streamed and the result is published
+ * while it is written: { type: 'section', key, value } for every complete section
+ * (the locally computed ones first), { type: 'text', key, delta } for text as it
+ * arrives, and { type: 'reset' } when a response is discarded and starts over.
+ * A stream that breaks off fails with STREAM_INTERRUPTED; the sections already
+ * published stay valid.
+ *
+ * Datasets too large for one prompt are analyzed map-reduce style: raw records are
+ * chunked and reviewed separately, then the final prompt combines month/vendor/category
+ * aggregates with the chunk findings. The whole plan is checked against
+ * config.llm.tokenBudget before the first provider call.
  * @param {Object} data - Financial data object containing invoices, expenses, etc.
+ * @param {Object} [options] - Analysis options
+ * @param {Object} [options.period] - KPI period as { start, end } (YYYY-MM-DD)
+ * @param {Object} [options.template] - Prompt template; the latest general template by default
+ * @param {string} [options.question] - Sanitized question for the custom template
+ * @param {Function} [options.onProgress] - Progress callback (stage, fraction 0..1, message)
+ * @param {Function} [options.onPartial] - Receives partial-result events; enables streaming
+ * @param {AbortSignal} [options.signal] - Cancels the analysis
  * @returns {Promise<Object>} Analysis results with forecasts, anomalies, and KPIs
  */
-export async function analyzeFinancialData(data) {
-  try {
-    logger.info('Starting financial data analysis', { dataKeys: Object.keys(data) });
-    
-    const systemPrompt = `You are "OpenRouter Financial Analyst," an expert AI financial analyst and supply-chain consultant.
+export async function analyzeFinancialData(data, options = {}) {
+  const { signal } = options;
+  const report = options.onProgress || (() => {});
+  const template = options.template || getPromptTemplate();
+  const questionMessages = template.acceptsQuestion && options.question
+    ? [{ role: 'user', content: frameQuestion(options.question) }]
+    : [];
 
-Given the following financial dataset in JSON format, perform a comprehensive analysis:
+  try {
+    const provider = getProvider();
+    const kpiReport = computeKPIs(data, options.period);
+    const forecast = forecastCashFlow(data, { asOf: options.period?.end });
+    const anomalies = detectAnomalies(data).map((anomaly, index) => ({ anomalyId: `A${index + 1}`, ...anomaly }));
+    const reportingCurrency = data.metadata?.reportingCurrency || config.fx.reportingCurrency;
+    const computed = { kpiReport, forecast, anomalies, reportingCurrency };
+    const computedSections = {
+      analysisType: template.type,
+      reportingCurrency,
+      kpis: kpiReport.kpis,
+      kpiPeriod: kpiReport.period,
+      cashFlowForecast: forecast,
+      anomalies: mergeAnomalyExplanations(anomalies, [])
+    };
+    const publishComputed = () => Object.entries(computedSections)
+      .forEach(([key, value]) => options.onPartial({ type: 'section', key, value }));
+    if (options.onPartial) publishComputed();
 
-**Required Analysis:**
-1. 90-day cash-flow projection with monthly breakdown
-2. Identify anomalies or potential fraud indicators in payments/ledger entries
-3. Recommend procurement optimizations to reduce working capital usage
-4. Compute key KPIs: gross margin, net burn rate, days sales outstanding (DSO), days payable outstanding (DPO)
-5. Data validation and error correction recommendations
+    let systemPrompt = buildAnalysisPrompt(template, computed, `**Financial Data:**\n${JSON.stringify(data, null, 2)}`);
+    const questionTokens = questionMessages.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const promptLimit = config.llm.contextWindow - config.llm.maxTokens - questionTokens;
+    const strategy = estimateTokens(systemPrompt) <= promptLimit ? 'single' : 'map-reduce';
 
-**Financial Data:**
-${JSON.stringify(data, null, 2)}
+    logger.info('Starting financial data analysis', {
+      dataKeys: Object.keys(data),
+      provider: provider.name,
+      model: provider.model,
+      template: template.id,
+      strategy,
+      estimatedPromptTokens: estimateTokens(systemPrompt)
+    });
 
-**Output Format (JSON only):**
-{
-  "cashFlowForecast": {
-    "month1": { "inflow": 0, "outflow": 0, "netFlow": 0, "cumulativeBalance": 0 },
-    "month2": { "inflow": 0, "outflow": 0, "netFlow": 0, "cumulativeBalance": 0 },
-    "month3": { "inflow": 0, "outflow": 0, "netFlow": 0, "cumulativeBalance": 0 }
-  },
-  "anomalies": [
-    { "entryId": "string", "type": "duplicate|outlier|fraud_risk", "issue": "description", "severity": "low|medium|high" }
-  ],
-  "procurementSuggestions": [
-    { "category": "string", "suggestion": "string", "potentialSavings": 0, "implementation": "string" }
-  ],
-  "kpis": {
-    "grossMargin": 0,
-    "burnRate": 0,
-    "DSO": 0,
-    "DPO": 0,
-    "currentRatio": 0,
-    "quickRatio": 0
-  },
-  "dataQuality": {
-    "completeness": 0,
-    "accuracy": 0,
-    "issues": ["string"],
-    "recommendations": ["string"]
-  },
-  "summary": "Executive summary of findings and recommendations"
-}`;
+    if (strategy === 'map-reduce') {
+      systemPrompt = await analyzeInChunks(provider, data, computed, promptLimit, { template, report, signal });
+    } else {
+      assertWithinBudget(estimateTokens(systemPrompt) + questionTokens + config.llm.maxTokens);
+      report('chunk-analysis', 1, 'Dataset fits in one prompt - no chunks to review');
+    }
 
-    const response = await openai.chat.completions.create({
-      model: config.openrouter.model,
-      messages: [
-        { role: 'system', content: systemPrompt }
-      ],
-      max_tokens: config.openrouter.maxTokens,
-      temperature: config.openrouter.temperature,
-      response_format: { type: 'json_object' }
-    });
+    report('merge', 0, 'Generating the analysis');
+    const analysisResult = await completeValidated(
+      provider,
+      [{ role: 'system', content: systemPrompt }, ...questionMessages],
+      template.validate,
+      config.llm.maxTokens,
+      signal,
+      options.onPartial && streamPartialResult(options.onPartial, publishComputed, anomalies)
+    );
 
-    const analysisResult = JSON.parse(response.choices[0].message.content);
+    analysisResult.kpiDiscrepancies = findKPIDiscrepancies(kpiReport.kpis, analysisResult.kpis);
+    if (analysisResult.kpiDiscrepancies.length > 0) {
+      logger.warn('Model contradicted computed KPIs', { discrepancies: analysisResult.kpiDiscrepancies });
+    }
+    analysisResult.kpis = kpiReport.kpis;
+    analysisResult.kpiPeriod = kpiReport.period;
+    analysisResult.kpiNotes = kpiReport.notes;
+    analysisResult.cashFlowForecast = forecast;
+    analysisResult.anomalies = mergeAnomalyExplanations(anomalies, analysisResult.anomalyExplanations);
+    delete analysisResult.anomalyExplanations;
+    analysisResult.reportingCurrency = reportingCurrency;
+    analysisResult.analysisType = template.type;
+    analysisResult.promptTemplate = { id: template.id, type: template.type, version: template.version };
+    analysisResult.promptStrategy = strategy;
     
     logger.info('Financial analysis completed successfully');
     return analysisResult;
     
   } catch (error) {
+    // Provider errors caused by the abort (e.g. the SDK's abort error) mean cancellation
+    throwIfCancelled(signal);
     logger.error('Error in financial data analysis:', error);
     
-    if (error.status === 429) {
+    if (error.code === 'TOKEN_BUDGET_EXCEEDED') {
+      throw error;
+    } else if (error.partialContent !== undefined) {
+      const interrupted = new Error(
+        'The model response was interrupted before it was complete. Sections already shown are kept; run the analysis again for the rest.'
+      );
+      interrupted.code = 'STREAM_INTERRUPTED';
+      interrupted.details = { receivedCharacters: error.partialContent.length, reason: error.message };
+      throw interrupted;
+    } else if (error.code === 'CIRCUIT_OPEN') {
+      throw new Error('LLM provider temporarily unavailable. Please try again later.');
+    } else if (error.status === 429) {
       throw new Error('Rate limit exceeded. Please try again in a few moments.');
     } else if (error.status === 401) {
-      throw new Error('Invalid API key. Please check your OpenRouter configuration.');
+      throw new Error('Invalid API key. Please check your LLM provider configuration.');
     } else if (error.status >= 500) {
-      throw new Error('OpenRouter service temporarily unavailable. Please try again later.');
+      throw new Error('LLM provider temporarily unavailable. Please try again later.');
     } else {
       throw new Error(`Analysis failed: ${error.message}`);
     }
@@ -96,23 +154,242 @@ ${JSON.stringify(data, null, 2)}
 }
 
 /**
- * Retry wrapper with exponential backoff
- * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @returns {Promise} Result of the function
+ * Map phase of the map-reduce strategy: reviews each chunk of raw records and
+ * returns the final (reduce) prompt built from aggregates plus chunk findings
+ * @param {Object} provider - LLM provider
+ * @param {Object} data - Normalized financial data
+ * @param {Object} computed - Locally computed KPIs, forecast and anomalies
+ * @param {number} promptLimit - Maximum prompt tokens for a single call
+ * @param {Object} control - { template, report, signal } from analyzeFinancialData()
+ * @returns {Promise<string>} Reduce prompt
+ */
+async function analyzeInChunks(provider, data, computed, promptLimit, { template, report, signal }) {
+  const aggregates = aggregateFinancialData(data);
+  const chunks = chunkRecords(data, Math.min(config.llm.chunkTokens, promptLimit - 1000));
+  const chunkPrompts = chunks.map((chunk, index) => buildChunkPrompt(chunk, index, chunks.length));
+
+  // Upper bound for the reduce prompt: every chunk's findings at full length
+  const reduceEstimate = estimateTokens(buildAnalysisPrompt(template, computed, buildAggregateSection(aggregates, []))) +
+    chunks.length * CHUNK_MAX_TOKENS;
+  if (reduceEstimate > promptLimit) {
+    throw tokenBudgetError(
+      `Dataset is too large to analyze: the merged prompt would need ~${reduceEstimate} tokens ` +
+      `but the model context allows ${promptLimit}. Split the data by period and analyze each part.`,
+      { estimatedTokens: reduceEstimate, limit: promptLimit, chunks: chunks.length }
+    );
+  }
+
+  assertWithinBudget(
+    chunkPrompts.reduce((total, prompt) => total + estimateTokens(prompt) + CHUNK_MAX_TOKENS, 0) +
+    reduceEstimate + config.llm.maxTokens,
+    chunks.length
+  );
+
+  const findings = [];
+  for (const [index, prompt] of chunkPrompts.entries()) {
+    logger.debug(`Analyzing chunk ${index + 1}/${chunks.length}`);
+    report('chunk-analysis', index / chunks.length, `Reviewing chunk ${index + 1} of ${chunks.length}`);
+    const chunkFindings = await completeValidated(
+      provider,
+      [{ role: 'system', content: prompt }],
+      validateChunkFindings,
+      CHUNK_MAX_TOKENS,
+      signal
+    );
+    findings.push({ chunk: index + 1, ...chunkFindings });
+  }
+  report('chunk-analysis', 1, `Reviewed ${chunks.length} chunks`);
+
+  return buildAnalysisPrompt(template, computed, buildAggregateSection(aggregates, findings));
+}
+
+/**
+ * Throws before any provider call if the planned analysis exceeds the token budget
+ * @param {number} estimatedTokens - Estimated prompt + completion tokens for all calls
+ * @param {number} [chunks=0] - Number of chunk calls in the plan
  */
-export async function retryWithBackoff(fn, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+function assertWithinBudget(estimatedTokens, chunks = 0) {
+  if (estimatedTokens > config.llm.tokenBudget) {
+    throw tokenBudgetError(
+      `Analysis would use ~${estimatedTokens} tokens${chunks ? ` across ${chunks + 1} model calls` : ''}, ` +
+      `exceeding the budget of ${config.llm.tokenBudget}. Upload a smaller dataset or raise LLM_TOKEN_BUDGET.`,
+      { estimatedTokens, limit: config.llm.tokenBudget, chunks }
+    );
+  }
+}
+
+function buildAnalysisPrompt(template, { kpiReport, forecast, anomalies, reportingCurrency }, dataSection) {
+  return `You are "OpenRouter Financial Analyst," an expert AI financial analyst and supply-chain consultant.
+
+Given the following financial dataset in JSON format, ${template.task}.
+All amounts, KPIs and forecasts are in ${reportingCurrency}; records converted from another
+currency keep their source value in originalAmount/originalBalance and originalCurrency.
+
+**Required Analysis (${template.title}):**
+${template.instructions.map((instruction, index) => `${index + 1}. ${instruction}`).join('\n')}
+
+**Pre-computed KPIs (authoritative):**
+${JSON.stringify(kpiReport, null, 2)}
+
+**Pre-computed 90-day Cash-Flow Forecast (authoritative):**
+${JSON.stringify({
+  asOf: forecast.asOf,
+  openingBalance: forecast.openingBalance,
+  monthly: forecast.monthly,
+  recurringExpenses: forecast.recurringExpenses,
+  scheduledReceivables: forecast.scheduledReceivables,
+  notes: forecast.notes
+}, null, 2)}
+
+**Pre-detected Anomalies (authoritative):**
+${JSON.stringify(anomalies, null, 2)}
+
+${dataSection}
+
+**Output Format (JSON only):**
+${JSON.stringify(template.outputFormat, null, 2)}`;
+}
+
+function buildAggregateSection(aggregates, findings) {
+  return `**Aggregated Financial Data** (the raw dataset was too large for one prompt; totals by month, vendor, customer and category):
+${JSON.stringify(aggregates, null, 2)}
+
+**Findings from chunk-by-chunk review of the raw records:**
+${JSON.stringify(findings, null, 2)}`;
+}
+
+function buildChunkPrompt(chunk, index, total) {
+  return `You are reviewing part ${index + 1} of ${total} of a financial dataset that is too large to analyze at once.
+Note anything a financial analyst should know when the parts are merged: notable records, data quality problems
+and procurement or working-capital opportunities. Reference record ids where possible.
+
+**Records:**
+${JSON.stringify(chunk)}
+
+**Output Format (JSON only):**
+{
+  "observations": ["string"],
+  "dataQualityIssues": ["string"],
+  "procurementIdeas": [{ "category": "string", "suggestion": "string" }]
+}`;
+}
+
+/**
+ * Builds the `onDelta` handler that turns the streamed final response into
+ * partial-result events. The first piece of a response that starts over (a repair
+ * attempt or a retried request) resets the published result.
+ * @param {Function} emit - onPartial callback
+ * @param {Function} publishComputed - Re-publishes the locally computed sections
+ * @param {Array} anomalies - Detected anomalies the explanations belong to
+ * @returns {Function} (delta, contentSoFar) => void
+ */
+function streamPartialResult(emit, publishComputed, anomalies) {
+  let parser = null;
+
+  return (delta, content) => {
+    if (content.length === delta.length) {
+      if (parser) {
+        emit({ type: 'reset' });
+        publishComputed();
+      }
+      parser = createJsonObjectStream({
+        onField: (key, value) => {
+          // The computed KPIs are authoritative; explanations are shown on their anomalies
+          if (key === 'kpis') return;
+          if (key === 'anomalyExplanations') {
+            emit({ type: 'section', key: 'anomalies', value: mergeAnomalyExplanations(anomalies, value) });
+            return;
+          }
+          emit({ type: 'section', key, value });
+        },
+        onText: (key, text) => emit({ type: 'text', key, delta: text })
+      });
+    }
+    parser.push(delta);
+  };
+}
+
+/**
+ * Requests a JSON completion and validates it against a schema. Invalid responses
+ * are sent back to the model together with the validation errors, up to
+ * config.llm.repairAttempts times, before giving up.
+ * @param {Object} provider - LLM provider
+ * @param {Array} messages - Chat messages
+ * @param {Function} validate - Returns { isValid, errors, data } for a parsed response
+ * @param {number} maxTokens - Completion token limit
+ * @param {AbortSignal} [signal] - Cancels the remaining attempts
+ * @param {Function} [onDelta] - Streams each attempt's response, see provider.complete()
+ * @returns {Promise<Object>} Validated and coerced response
+ */
+export async function completeValidated(provider, messages, validate, maxTokens, signal, onDelta) {
+  let conversation = messages;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= config.llm.repairAttempts; attempt++) {
+    throwIfCancelled(signal);
+    const response = await provider.complete({
+      messages: conversation,
+      maxTokens,
+      temperature: config.llm.temperature,
+      json: true,
+      signal,
+      onDelta
+    });
+
     try {
-      return await fn();
-    } catch (error) {
-      if (attempt === maxRetries || error.status === 401) {
-        throw error;
+      const result = validate(JSON.parse(response.content));
+      if (result.isValid) {
+        if (attempt > 0) {
+          logger.info(`Model response repaired after ${attempt} attempt(s)`);
+        }
+        return result.data;
       }
-      
-      const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
-      logger.warn(`Attempt ${attempt} failed, retrying in ${delay}ms`, { error: error.message });
-      await new Promise(resolve => setTimeout(resolve, delay));
+      errors = result.errors.map(error => `${error.field || '(root)'} ${error.message}`);
+    } catch (parseError) {
+      errors = [`Response is not valid JSON: ${parseError.message}`];
     }
+
+    logger.warn(`Model response failed validation (attempt ${attempt + 1})`, { errors });
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: response.content },
+      {
+        role: 'user',
+        content: `Your previous response does not match the required JSON format:\n- ${errors.join('\n- ')}\n` +
+          'Return the corrected JSON object only, using exactly the field names from the output format.'
+      }
+    ];
   }
-}
\ No newline at end of file
+
+  throw new Error(`Model response failed schema validation: ${errors.join('; ')}`);
+}
+
+/**
+ * Throws an ANALYSIS_CANCELLED error once the signal has been aborted
+ * @param {AbortSignal} [signal] - Cancellation signal
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Analysis cancelled');
+    error.code = 'ANALYSIS_CANCELLED';
+    throw error;
+  }
+}
+
+/**
+ * Attaches the model's explanations to locally detected anomalies. Explanations
+ * for unknown anomaly ids are dropped, so the model cannot introduce findings.
+ * @param {Array} anomalies - Detected anomalies with anomalyId
+ * @param {Array} explanations - Model output as { anomalyId, explanation }
+ * @returns {Array} Anomalies with an `explanation` field
+ */
+function mergeAnomalyExplanations(anomalies, explanations) {
+  const byId = new Map((Array.isArray(explanations) ? explanations : [])
+    .filter(item => item && item.anomalyId)
+    .map(item => [item.anomalyId, item.explanation]));
+
+  return anomalies.map(anomaly => ({
+    ...anomaly,
+    explanation: byId.get(anomaly.anomalyId) || null
+  }));
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import { validateMapping } from './columnMapping.js';
+
+let defaultStore = null;
+
+/**
+ * Creates a store for named column-mapping profiles kept in one JSON file
+ * @param {string} filePath - Path of the JSON file (created on first save)
+ * @returns {Object} { list(), get(name), save(profile), remove(name), match(columns) }
+ */
+export function createMappingProfileStore(filePath) {
+  const read = () => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : []);
+
+  const write = profiles => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(profiles, null, 2));
+  };
+
+  return {
+    list() {
+      return read();
+    },
+
+    get(name) {
+      return read().find(profile => profile.name === name) || null;
+    },
+
+    /**
+     * Saves a profile, replacing any profile with the same name
+     * @param {Object} profile - { name, category, columns: { [column]: field|null } }
+     * @returns {Object} Stored profile
+     */
+    save({ name, category, columns }) {
+      if (typeof name !== 'string' || name.trim() === '') {
+        const error = new Error('Invalid column mapping: profile name is required');
+        error.code = 'INVALID_MAPPING';
+        throw error;
+      }
+      validateMapping({ category, columns });
+
+      const profiles = read();
+      const existing = profiles.find(profile => profile.name === name.trim());
+      const now = new Date().toISOString();
+      const profile = {
+        name: name.trim(),
+        category,
+        columns,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      };
+
+      write([...profiles.filter(p => p !== existing), profile]);
+      return profile;
+    },
+
+    remove(name) {
+      const profiles = read();
+      const remaining = profiles.filter(profile => profile.name !== name);
+      if (remaining.length === profiles.length) return false;
+      write(remaining);
+      return true;
+    },
+
+    /**
+     * Finds the saved profile for an export: every column the profile knows must
+     * be present. The profile covering the most columns wins.
+     * @param {Array<string>} columnNames - Column names of the new file
+     * @returns {Object|null} { profile, coverage } where coverage is the share of the
+     *   file's columns the profile knows
+     */
+    match(columnNames) {
+      const present = new Set(columnNames);
+      const best = read()
+        .filter(profile => Object.keys(profile.columns).every(column => present.has(column)))
+        .sort((a, b) => Object.keys(b.columns).length - Object.keys(a.columns).length)[0];
+
+      return best
+        ? { profile: best, coverage: Math.round((Object.keys(best.columns).length / present.size) * 100) / 100 }
+        : null;
+    }
+  };
+}
+
+/**
+ * Returns the store at the configured path
+ * @returns {Object} Mapping profile store
+ */
+export function getMappingProfileStore() {
+  if (!defaultStore) {
+    defaultStore = createMappingProfileStore(config.mappingProfiles.path);
+  }
+  return defaultStore;
+}
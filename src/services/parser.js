@@ -1,5 +1,22 @@
 import { parse } from 'csv-parse/sync';
+import XLSX from 'xlsx';
 import { logger } from '../utils/logger.js';
+import { parseDate, toISODate } from '../utils/dates.js';
+
+// Sheet names recognised as a financial category, checked in order: specific words
+// first, so "Accounts Payable", "Cost of Sales" and "Bank Balances" are not claimed by
+// the broad "account", "sales" and "bank"
+const SHEET_CATEGORIES = [
+  ['expenses', /expense|cost|purchase|payable|spend/i],
+  ['balances', /balance|trial/i],
+  ['invoices', /invoice|receivable|sales|revenue|billing/i],
+  ['payments', /payment|transaction|bank|remittance/i],
+  ['balances', /account/i],
+  ['expenses', /bill/i]
+];
+
+// Header cells that make a row more likely to be the header row
+const HEADER_KEYWORDS = /^(id|date|amount|total|vendor|supplier|customer|client|description|memo|status|category|type|balance|account|currency|due ?date|invoice|reference|method)/i;
 
 /**
  * Parses CSV data into JSON format
@@ -12,8 +29,7 @@ export function parseCSV(csvData) {
       columns: true,
       skip_empty_lines: true,
       trim: true,
-      cast: true,
-      cast_date: true
+      cast: castCSVValue
     });
     
     logger.info(`Successfully parsed CSV with ${records.length} records`);
@@ -24,6 +40,174 @@ export function parseCSV(csvData) {
   }
 }
 
+/**
+ * Casts numeric cells to numbers, and cells in date columns to YYYY-MM-DD. Dates are
+ * only recognised by column name: parsing every string as a date turns identifiers
+ * such as "INV-9" into dates.
+ * @param {string} value - Trimmed cell value
+ * @param {Object} context - csv-parse cast context
+ * @returns {string|number} Cast value
+ */
+function castCSVValue(value, context) {
+  if (context.header || value === '') return value;
+
+  if (/date/i.test(context.column)) {
+    const date = parseDate(value);
+    return date ? toISODate(date) : value;
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Parses JSON financial data. Objects and arrays are passed through unchanged.
+ * @param {string|Object|Array} jsonData - JSON text or already-parsed data
+ * @returns {Object|Array} Parsed data: a categorized object or a flat record array
+ */
+export function parseJSON(jsonData) {
+  let data = jsonData;
+  if (typeof jsonData === 'string' || Buffer.isBuffer(jsonData)) {
+    try {
+      data = JSON.parse(jsonData.toString());
+    } catch (error) {
+      throw new Error(`Invalid JSON format: ${error.message}`);
+    }
+  }
+
+  if (data == null || typeof data !== 'object') {
+    throw new Error('Invalid JSON format: expected an object or an array of records');
+  }
+  return data;
+}
+
+/**
+ * Reads every sheet of a workbook (.xlsx/.xls) into records with their sheet row
+ * numbers. Handles header rows that do not start at A1, merged cells (the merged
+ * value is copied into every covered cell) and Excel date serials in date columns.
+ * @param {Buffer} buffer - Workbook file contents
+ * @returns {Array} Sheets as { sheetName, category, rows: [{ record, row }] }, where
+ *   category is null when the sheet name does not identify one
+ */
+export function parseWorkbook(buffer) {
+  try {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+
+    return workbook.SheetNames
+      .map(sheetName => {
+        const rows = sheetToRecords(workbook.Sheets[sheetName]);
+        const match = SHEET_CATEGORIES.find(([, pattern]) => pattern.test(sheetName));
+
+        logger.info(`Parsed sheet "${sheetName}" with ${rows.length} records`, {
+          category: match ? match[0] : 'auto-detected'
+        });
+        return { sheetName, category: match ? match[0] : null, rows };
+      })
+      .filter(sheet => sheet.rows.length > 0);
+  } catch (error) {
+    logger.error('Spreadsheet parsing error:', error);
+    throw new Error(`Invalid spreadsheet format: ${error.message}`);
+  }
+}
+
+/**
+ * Converts a worksheet into records keyed by camelCased header names
+ * @param {Object} sheet - SheetJS worksheet
+ * @returns {Array} { record, row } with 1-based sheet row numbers
+ */
+function sheetToRecords(sheet) {
+  if (!sheet['!ref']) return [];
+  fillMergedCells(sheet);
+
+  const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: true, blankrows: true });
+  const headerIndex = findHeaderRow(rows);
+  if (headerIndex === -1) return [];
+
+  const headers = rows[headerIndex].map(cell => (cell == null ? null : toCamelCase(String(cell))));
+
+  return rows
+    .map((row, index) => ({ row, rowNumber: firstRow + index + 1 }))
+    .slice(headerIndex + 1)
+    .filter(({ row }) => row.some(cell => cell != null && cell !== ''))
+    // Skip subtotal/total lines accountants add under the data
+    .filter(({ row }) => !/^(sub)?total\b/i.test(String(row.find(cell => cell != null && cell !== '') || '')))
+    .map(({ row, rowNumber }) => {
+      const record = {};
+      headers.forEach((header, column) => {
+        if (!header || row[column] == null || row[column] === '') return;
+        record[header] = convertCell(header, row[column]);
+      });
+      return { record, row: rowNumber };
+    })
+    .filter(({ record }) => Object.keys(record).length > 0);
+}
+
+/**
+ * Copies the top-left value of each merged range into every cell it covers
+ * @param {Object} sheet - SheetJS worksheet
+ */
+function fillMergedCells(sheet) {
+  (sheet['!merges'] || []).forEach(range => {
+    const source = sheet[XLSX.utils.encode_cell(range.s)];
+    if (!source) return;
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const address = XLSX.utils.encode_cell({ r, c });
+        if (!sheet[address]) sheet[address] = { ...source };
+      }
+    }
+  });
+}
+
+/**
+ * Picks the header row among the first rows of a sheet: the row with the most
+ * text cells, favouring known financial column names
+ * @param {Array<Array>} rows - Sheet rows
+ * @returns {number} Row index, or -1 when no plausible header exists
+ */
+function findHeaderRow(rows) {
+  let best = -1;
+  let bestScore = 1;
+
+  rows.slice(0, 20).forEach((row, index) => {
+    const textCells = row.filter(cell => typeof cell === 'string' && cell.trim() !== '');
+    const score = textCells.length + textCells.filter(cell => HEADER_KEYWORDS.test(cell.trim())).length * 2;
+    if (score > bestScore && index + 1 < rows.length) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+function convertCell(header, value) {
+  if (value instanceof Date) {
+    return toISODateString(value);
+  }
+  // Date columns stored as plain numbers hold Excel serials (days since 1899-12-30)
+  if (typeof value === 'number' && /date/i.test(header) && value > 0 && value < 2958466) {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return `${parsed.y}-${String(parsed.m).padStart(2, '0')}-${String(parsed.d).padStart(2, '0')}`;
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+function toISODateString(date) {
+  // SheetJS builds dates in local time; shift so the calendar day is preserved in UTC
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+}
+
+function toCamelCase(header) {
+  const words = header.trim().replace(/[^a-zA-Z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+  return words
+    .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    .join('');
+}
+
 /**
  * Normalizes various input formats into a standard financial data structure
  * @param {*} input - Input data (JSON string, object, or array)
@@ -31,18 +215,7 @@ export function parseCSV(csvData) {
  */
 export function normalizeFinancialData(input) {
   try {
-    let data;
-    
-    // Handle string input (JSON)
-    if (typeof input === 'string') {
-      try {
-        data = JSON.parse(input);
-      } catch {
-        throw new Error('Invalid JSON format');
-      }
-    } else {
-      data = input;
-    }
+    let data = parseJSON(input);
     
     // If data is an array, try to categorize it
     if (Array.isArray(data)) {
@@ -90,35 +263,36 @@ function categorizeFlatData(flatData) {
   };
   
   flatData.forEach(record => {
-    const type = detectRecordType(record);
-    if (categorized[type]) {
-      categorized[type].push(record);
-    } else {
-      // Default to expenses if type cannot be determined
-      categorized.expenses.push(record);
-    }
+    categorized[classifyRecord(record).category].push(record);
   });
   
   return categorized;
 }
 
+// Column-name keywords that identify a record's category, checked in order
+const RECORD_TYPE_KEYWORDS = [
+  ['invoices', ['invoice', 'bill', 'revenue']],
+  ['payments', ['payment', 'transaction']],
+  ['balances', ['balance', 'account']]
+];
+
 /**
- * Detects the type of financial record based on its properties
+ * Detects the category of a financial record from its column names
  * @param {Object} record - Financial record
- * @returns {string} Record type (invoices, expenses, payments, balances)
+ * @returns {Object} { category, reason } where reason explains the decision
  */
-function detectRecordType(record) {
-  const keys = Object.keys(record).map(k => k.toLowerCase());
-  
-  if (keys.some(k => k.includes('invoice') || k.includes('bill') || k.includes('revenue'))) {
-    return 'invoices';
-  } else if (keys.some(k => k.includes('payment') || k.includes('transaction'))) {
-    return 'payments';
-  } else if (keys.some(k => k.includes('balance') || k.includes('account'))) {
-    return 'balances';
-  } else {
-    return 'expenses';
+export function classifyRecord(record) {
+  const keys = Object.keys(record || {});
+
+  for (const [category, keywords] of RECORD_TYPE_KEYWORDS) {
+    const key = keys.find(k => keywords.some(keyword => k.toLowerCase().includes(keyword)));
+    if (key) {
+      const keyword = keywords.find(word => key.toLowerCase().includes(word));
+      return { category, reason: `column "${key}" contains "${keyword}"` };
+    }
   }
+
+  return { category: 'expenses', reason: 'no invoice, payment or balance columns found; defaulted to expenses' };
 }
 
 /**
@@ -171,6 +345,11 @@ function cleanRecord(record) {
       if (value === '') return;
     }
     
+    // Dates parsed from CSV/Excel become calendar dates, as the schema expects
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      value = value.toISOString().slice(0, 10);
+    }
+    
     // Convert numeric strings to numbers
     if (typeof value === 'string' && /^-?\d+\.?\d*$/.test(value)) {
       value = parseFloat(value);
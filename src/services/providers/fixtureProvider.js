@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Computes the fixture key for a completion request. Only the model and the
+ * messages take part, so the same prompt always replays the same response.
+ * @param {string} model - Model identifier
+ * @param {Array} messages - Chat messages
+ * @returns {string} Hex digest used as the fixture file name
+ */
+export function fixtureKey(model, messages) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ model, messages }))
+    .digest('hex');
+}
+
+/**
+ * Response used when no recorded fixture matches: a well-formed, empty analysis
+ * so the pipeline can run end to end without a model.
+ * @returns {string} JSON analysis result
+ */
+function mockAnalysisResponse() {
+  return JSON.stringify({
+    cashFlowCommentary: '',
+    anomalyExplanations: [],
+    procurementSuggestions: [],
+    kpis: { grossMargin: 0, burnRate: 0, DSO: 0, DPO: 0, currentRatio: 0, quickRatio: 0 },
+    dataQuality: { completeness: 0, accuracy: 0, issues: [], recommendations: [] },
+    summary: 'Offline mock analysis: no recorded fixture matched this request.'
+  });
+}
+
+// Size of the pieces a replayed response is streamed in
+const STREAM_CHUNK_SIZE = 64;
+
+/**
+ * Creates a deterministic provider that replays recorded responses from disk.
+ * Requests with `onDelta` get the response in small pieces, like a live stream.
+ * @param {Object} options - Provider options
+ * @param {string} options.fixturesDir - Directory holding <key>.json fixtures
+ * @param {string} [options.model='fixture'] - Model name used in fixture keys
+ * @param {Function} [options.fallback] - Returns response content when no fixture matches
+ * @returns {Object} LLM provider
+ */
+export function createFixtureProvider({ fixturesDir, model = 'fixture', fallback = mockAnalysisResponse }) {
+  return {
+    name: 'fixture',
+    model,
+
+    async complete({ messages, onDelta }) {
+      const fixturePath = path.join(fixturesDir, `${fixtureKey(model, messages)}.json`);
+      let response = { content: fallback(messages), model, usage: null };
+
+      if (fs.existsSync(fixturePath)) {
+        const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        response = { content: fixture.content, model: fixture.model || model, usage: fixture.usage || null };
+      }
+
+      if (onDelta) {
+        for (let end = STREAM_CHUNK_SIZE; end - STREAM_CHUNK_SIZE < response.content.length; end += STREAM_CHUNK_SIZE) {
+          onDelta(response.content.slice(end - STREAM_CHUNK_SIZE, end), response.content.slice(0, end));
+        }
+      }
+      return response;
+    }
+  };
+}
+
+/**
+ * Wraps a provider so every response is written to disk as a replayable fixture.
+ * Record against a live provider, then replay with LLM_PROVIDER=fixture and a
+ * matching LLM_MODEL.
+ * @param {Object} provider - Provider to record
+ * @param {string} fixturesDir - Directory to write fixtures into
+ * @returns {Object} LLM provider
+ */
+export function createRecordingProvider(provider, fixturesDir) {
+  return {
+    ...provider,
+
+    async complete(request) {
+      const result = await provider.complete(request);
+
+      fs.mkdirSync(fixturesDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(fixturesDir, `${fixtureKey(provider.model, request.messages)}.json`),
+        JSON.stringify({ model: result.model, usage: result.usage, content: result.content }, null, 2)
+      );
+
+      return result;
+    }
+  };
+}
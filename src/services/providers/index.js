@@ -0,0 +1,83 @@
+import resilience from '../../utils/resilience.cjs';
+import { config } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { createOpenRouterProvider } from './openRouterProvider.js';
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider.js';
+import { createFixtureProvider, createRecordingProvider } from './fixtureProvider.js';
+
+const providerFactories = {
+  openrouter: llmConfig => createOpenRouterProvider({
+    apiKey: config.openrouter.apiKey,
+    apiUrl: config.openrouter.apiUrl,
+    model: llmConfig.model
+  }),
+  'openai-compatible': llmConfig => createOpenAICompatibleProvider({
+    baseURL: config.openaiCompatible.baseUrl,
+    apiKey: config.openaiCompatible.apiKey,
+    model: llmConfig.model,
+    // Local servers differ in JSON mode support; the prompt already demands JSON
+    supportsJsonMode: false
+  }),
+  fixture: llmConfig => createFixtureProvider({
+    fixturesDir: llmConfig.fixturesDir,
+    model: llmConfig.model
+  })
+};
+
+let cachedProvider = null;
+
+const callWithResilience = resilience.createResilientCaller({ ...config.resilience, logger });
+
+/**
+ * Routes a provider's completions through the shared retry, concurrency-limit and
+ * circuit-breaker policies for its host
+ * @param {Object} provider - Provider with a `host`
+ * @returns {Object} LLM provider
+ */
+function withResilience(provider) {
+  return {
+    ...provider,
+    complete: request => callWithResilience(provider.host, () => provider.complete(request), `${provider.name}:${provider.model}`)
+  };
+}
+
+/**
+ * Creates an LLM provider from configuration
+ * @param {Object} [llmConfig=config.llm] - LLM configuration
+ * @returns {Object} LLM provider exposing name, model and complete()
+ */
+export function createProvider(llmConfig = config.llm) {
+  const factory = providerFactories[llmConfig.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${llmConfig.provider}". Expected one of: ${Object.keys(providerFactories).join(', ')}`
+    );
+  }
+
+  let provider = factory(llmConfig);
+  if (provider.host) {
+    provider = withResilience(provider);
+  }
+  return llmConfig.recordFixtures && llmConfig.provider !== 'fixture'
+    ? createRecordingProvider(provider, llmConfig.fixturesDir)
+    : provider;
+}
+
+/**
+ * Returns the configured provider, creating it on first use
+ * @returns {Object} LLM provider
+ */
+export function getProvider() {
+  if (!cachedProvider) {
+    cachedProvider = createProvider();
+  }
+  return cachedProvider;
+}
+
+/**
+ * Overrides the configured provider (tests, scripts). Pass null to reset.
+ * @param {Object|null} provider - Provider to use
+ */
+export function setProvider(provider) {
+  cachedProvider = provider;
+}
@@ -0,0 +1,97 @@
+import OpenAI from 'openai';
+
+/**
+ * Creates a provider for any server implementing the OpenAI chat completions API
+ * (OpenRouter, llama.cpp, Ollama, vLLM, ...)
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name reported in logs and metadata
+ * @param {string} options.baseURL - API base URL (without /chat/completions)
+ * @param {string} options.apiKey - API key sent as a bearer token
+ * @param {string} options.model - Model identifier
+ * @param {Object} [options.defaultHeaders] - Extra headers sent with every request
+ * @param {boolean} [options.supportsJsonMode=true] - Whether response_format json_object is accepted
+ * @returns {Object} LLM provider
+ */
+export function createOpenAICompatibleProvider({
+  name = 'openai-compatible',
+  baseURL,
+  apiKey,
+  model,
+  defaultHeaders,
+  supportsJsonMode = true
+}) {
+  // Retries are handled by the shared resilience layer (see providers/index.js)
+  const client = new OpenAI({ apiKey, baseURL, defaultHeaders, maxRetries: 0 });
+
+  return {
+    name,
+    model,
+    host: new URL(baseURL).host,
+
+    /**
+     * Sends a chat completion request. With `onDelta` the response is streamed and
+     * `onDelta(delta, contentSoFar)` is called for every piece of text; a stream that
+     * breaks off throws with the text received so far in `error.partialContent`.
+     * @param {Object} request - Completion request
+     * @param {Array} request.messages - Chat messages
+     * @param {number} [request.maxTokens] - Maximum tokens to generate
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {boolean} [request.json] - Ask the model for a JSON object response
+     * @param {AbortSignal} [request.signal] - Aborts the HTTP request
+     * @param {Function} [request.onDelta] - Streams the response text
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async complete({ messages, maxTokens, temperature, json = false, signal, onDelta }) {
+      const body = {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(json && supportsJsonMode ? { response_format: { type: 'json_object' } } : {})
+      };
+
+      if (!onDelta) {
+        const response = await client.chat.completions.create(body, { signal });
+        return {
+          content: response.choices[0].message.content,
+          model: response.model || model,
+          usage: response.usage || null
+        };
+      }
+
+      const stream = await client.chat.completions.create({ ...body, stream: true }, { signal });
+      let content = '';
+      let responseModel = model;
+      let finishReason = null;
+      let usage = null;
+
+      try {
+        for await (const chunk of stream) {
+          const choice = chunk.choices?.[0];
+          responseModel = chunk.model || responseModel;
+          usage = chunk.usage || usage;
+          finishReason = choice?.finish_reason || finishReason;
+
+          const delta = choice?.delta?.content;
+          if (delta) {
+            content += delta;
+            onDelta(delta, content);
+          }
+        }
+      } catch (error) {
+        error.partialContent = content;
+        throw error;
+      }
+
+      // The connection closed without the final chunk
+      if (!finishReason) {
+        const error = new Error('The response stream ended before the model finished');
+        error.code = 'STREAM_INTERRUPTED';
+        error.partialContent = content;
+        throw error;
+      }
+
+      return { content, model: responseModel, usage };
+    }
+  };
+}
@@ -0,0 +1,26 @@
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider.js';
+
+/**
+ * Creates the OpenRouter provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - OpenRouter API key
+ * @param {string} options.apiUrl - OpenRouter chat completions URL
+ * @param {string} options.model - OpenRouter model identifier (e.g. openai/gpt-4o-mini)
+ * @returns {Object} LLM provider
+ */
+export function createOpenRouterProvider({ apiKey, apiUrl, model }) {
+  if (!apiKey) {
+    throw new Error('Missing required environment variable: OPENROUTER_API_KEY');
+  }
+
+  return createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseURL: apiUrl.replace('/chat/completions', ''),
+    apiKey,
+    model,
+    defaultHeaders: {
+      'HTTP-Referer': 'https://financial-analyzer.com',
+      'X-Title': 'Financial Analysis App'
+    }
+  });
+}
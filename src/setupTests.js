@@ -0,0 +1,2 @@
+// The openai SDK needs a fetch implementation, which jest 27's node environment does not provide
+import 'openai/shims/node';
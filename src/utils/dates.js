@@ -0,0 +1,66 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a record date (ISO string, Date or timestamp) into a UTC-midnight Date
+ * @param {string|Date|number} value - Date value
+ * @returns {Date|null} Parsed date, or null when the value is not a valid date
+ */
+export function parseDate(value) {
+  if (value == null || value === '') return null;
+
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Formats a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+export function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds whole days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Number of whole days from one date to another
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Day difference (negative if `to` is before `from`)
+ */
+export function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / MS_PER_DAY);
+}
+
+/**
+ * Returns the YYYY-MM key of a date
+ * @param {Date} date - Date
+ * @returns {string} Month key
+ */
+export function monthKey(date) {
+  return toISODate(date).slice(0, 7);
+}
+
+/**
+ * Adds calendar months to a date, clamping to the last day of the target month
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+export function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
@@ -0,0 +1,29 @@
+// Minimum and maximum of record-sized lists. These scan the list rather than
+// spreading it into Math.min/max, whose argument list overflows the call stack
+// on uploads with more than about 100k values.
+
+/**
+ * Smallest of a list of numbers or Dates
+ * @param {Array<number|Date>} values - Values to compare
+ * @returns {number|Date|null} Smallest value, or null for an empty list
+ */
+export function minOf(values) {
+  let min = null;
+  for (const value of values) {
+    if (min === null || value < min) min = value;
+  }
+  return min;
+}
+
+/**
+ * Largest of a list of numbers or Dates
+ * @param {Array<number|Date>} values - Values to compare
+ * @returns {number|Date|null} Largest value, or null for an empty list
+ */
+export function maxOf(values) {
+  let max = null;
+  for (const value of values) {
+    if (max === null || value > max) max = value;
+  }
+  return max;
+}
@@ -0,0 +1,150 @@
+// An escape sequence cut off at the end of a chunk: a lone backslash or a partial \uXXXX
+const INCOMPLETE_ESCAPE = /\\(u[0-9a-fA-F]{0,3})?$/;
+
+/**
+ * Creates an incremental parser for a JSON object that arrives in chunks, such as
+ * a streamed model response. Each top-level field is reported once its value is
+ * complete; top-level string values are also reported piece by piece while they
+ * stream, so long texts can be shown as they are written. Text before the opening
+ * brace (e.g. a ```json fence) and after the closing brace is ignored.
+ *
+ * The parser only reports what it can read; the complete response is still parsed
+ * and validated as a whole.
+ * @param {Object} [handlers] - Callbacks
+ * @param {Function} [handlers.onField] - (key, value) when a top-level field is complete
+ * @param {Function} [handlers.onText] - (key, delta) for each new piece of a top-level string
+ * @returns {Object} { push(chunk), end() }
+ */
+export function createJsonObjectStream({ onField = () => {}, onText = () => {} } = {}) {
+  let buffer = '';
+  let position = 0;
+  let started = false;
+  let done = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  // Position inside the top-level object: expecting a key, the colon, or a value
+  let state = 'key';
+  let keyStart = 0;
+  let key = null;
+  let valueStart = null;
+  let stringValue = false;
+  let textEmitted = 0;
+  const fields = {};
+
+  const emitText = text => {
+    if (text.length > textEmitted) {
+      onText(key, text.slice(textEmitted));
+      textEmitted = text.length;
+    }
+  };
+
+  // Decodes the open string value as far as it has arrived
+  const emitPartialText = () => {
+    const raw = buffer.slice(valueStart + 1).replace(INCOMPLETE_ESCAPE, '');
+    try {
+      emitText(JSON.parse(`"${raw}"`));
+    } catch {
+      // Not decodable yet (e.g. raw control characters); the field event still follows
+    }
+  };
+
+  const completeField = end => {
+    try {
+      fields[key] = JSON.parse(buffer.slice(valueStart, end));
+      onField(key, fields[key]);
+    } catch {
+      // Malformed value; the validation of the complete response reports it
+    }
+    valueStart = null;
+  };
+
+  const scan = () => {
+    for (; position < buffer.length && !done; position++) {
+      const char = buffer[position];
+
+      if (!started) {
+        if (char === '{') {
+          started = true;
+          depth = 1;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (depth === 1 && state === 'key') {
+            key = JSON.parse(buffer.slice(keyStart, position + 1));
+            state = 'colon';
+          } else if (depth === 1 && stringValue) {
+            emitText(JSON.parse(buffer.slice(valueStart, position + 1)));
+          }
+        }
+        continue;
+      }
+
+      if (/\s/.test(char)) continue;
+
+      if (depth === 1) {
+        if (state === 'key' && char === '"') {
+          inString = true;
+          keyStart = position;
+          continue;
+        }
+        if (state === 'colon' && char === ':') {
+          state = 'value';
+          continue;
+        }
+        if (state === 'value' && valueStart === null && char !== ',' && char !== '}') {
+          valueStart = position;
+          stringValue = char === '"';
+          textEmitted = 0;
+        }
+        if (char === ',' || char === '}') {
+          if (state === 'value' && valueStart !== null) completeField(position);
+          state = 'key';
+          if (char === '}') {
+            depth = 0;
+            done = true;
+          }
+          continue;
+        }
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+      }
+    }
+  };
+
+  return {
+    /**
+     * Feeds the next chunk of the response
+     * @param {string} chunk - Text as received
+     */
+    push(chunk) {
+      buffer += chunk;
+      scan();
+      if (inString && depth === 1 && state === 'value' && stringValue) {
+        emitPartialText();
+      }
+    },
+
+    /**
+     * Reports what has been read
+     * @returns {Object} { complete, fields } where complete is true once the closing brace arrived
+     */
+    end() {
+      return { complete: done, fields: { ...fields } };
+    }
+  };
+}
@@ -0,0 +1,269 @@
+// Shared resilience layer for outbound HTTP calls (LLM providers, Semantic Scholar).
+// CommonJS so that both the ESM backend and the CommonJS research CLI can load it.
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ECONNABORTED']);
+
+const DEFAULT_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  concurrency: 4,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+// Structured JSON logs on stderr, so CLI output on stdout stays machine-readable
+const consoleLogger = {
+  debug: () => {},
+  info: (message, meta) => console.error(JSON.stringify({ level: 'info', message, ...meta })),
+  warn: (message, meta) => console.error(JSON.stringify({ level: 'warn', message, ...meta })),
+  error: (message, meta) => console.error(JSON.stringify({ level: 'error', message, ...meta }))
+};
+
+/**
+ * Extracts the HTTP status from axios and OpenAI SDK errors
+ * @param {Error} error - Request error
+ * @returns {number|undefined} HTTP status
+ */
+function errorStatus(error) {
+  return error.status || (error.response && error.response.status);
+}
+
+/**
+ * Reads a Retry-After header (seconds or HTTP date) from axios or OpenAI SDK errors
+ * @param {Error} error - Request error
+ * @returns {number|null} Delay in milliseconds, or null when absent
+ */
+function retryAfterMs(error) {
+  const headers = (error.response && error.response.headers) || error.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value == null) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request is worth retrying: network errors, timeouts, 429 and 5xx
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the request may succeed on retry
+ */
+function isRetryable(error) {
+  if (error.code === 'CIRCUIT_OPEN') return false;
+  const status = errorStatus(error);
+  if (status) return RETRYABLE_STATUS.has(status);
+  return RETRYABLE_CODES.has(error.code) || error.name === 'APIConnectionError';
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retries a function with capped exponential backoff and full jitter. A Retry-After
+ * header on the error takes precedence over the computed delay (still capped).
+ * @param {Function} fn - Async function to call; receives the attempt number
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000] - Backoff base delay
+ * @param {number} [options.maxDelayMs=30000] - Maximum delay between attempts
+ * @param {Function} [options.shouldRetry=isRetryable] - Decides whether an error is retried
+ * @param {Object} [options.logger] - Logger with info/warn methods
+ * @param {Object} [options.context] - Extra fields added to every log entry
+ * @returns {Promise<*>} Result of fn
+ */
+async function retry(fn, options = {}) {
+  const {
+    retries = DEFAULT_OPTIONS.retries,
+    baseDelayMs = DEFAULT_OPTIONS.baseDelayMs,
+    maxDelayMs = DEFAULT_OPTIONS.maxDelayMs,
+    shouldRetry = isRetryable,
+    logger = consoleLogger,
+    context = {}
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const result = await fn(attempt);
+      if (attempt > 1) {
+        logger.info('Request succeeded after retry', { ...context, attempt, durationMs: Date.now() - startedAt });
+      }
+      return result;
+    } catch (error) {
+      const status = errorStatus(error);
+      const willRetry = attempt <= retries && shouldRetry(error);
+      const headerDelay = retryAfterMs(error);
+      const delayMs = willRetry
+        ? Math.min(maxDelayMs, headerDelay != null ? headerDelay : Math.random() * baseDelayMs * 2 ** (attempt - 1))
+        : null;
+
+      logger.warn('Request attempt failed', {
+        ...context,
+        attempt,
+        maxAttempts: retries + 1,
+        status,
+        code: error.code,
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+        retryInMs: delayMs != null ? Math.round(delayMs) : null
+      });
+
+      if (!willRetry) throw error;
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Creates a circuit breaker. After `failureThreshold` consecutive failures the
+ * circuit opens and calls fail fast with code CIRCUIT_OPEN; after `resetTimeoutMs`
+ * one trial call is let through (half-open) and its outcome closes or reopens it.
+ * Calls made while the trial call is in flight fail fast as well.
+ * Errors rejected by `isFailure` (e.g. 4xx) do not count against the circuit.
+ * @param {Object} [options] - Breaker options
+ * @returns {Object} { exec(fn), getState() }
+ */
+function createCircuitBreaker(options = {}) {
+  const {
+    name = 'default',
+    failureThreshold = DEFAULT_OPTIONS.failureThreshold,
+    resetTimeoutMs = DEFAULT_OPTIONS.resetTimeoutMs,
+    isFailure = isRetryable,
+    logger = consoleLogger
+  } = options;
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  const circuitOpen = reason => {
+    const error = new Error(`${name} is unavailable (${reason})`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+  };
+
+  const transition = next => {
+    if (state !== next) {
+      logger.warn('Circuit breaker state changed', { circuit: name, from: state, to: next, failures });
+      state = next;
+    }
+  };
+
+  return {
+    async exec(fn) {
+      if (state === 'open') {
+        if (Date.now() - openedAt < resetTimeoutMs) {
+          throw circuitOpen(`circuit open after ${failures} consecutive failures`);
+        }
+        transition('half-open');
+      }
+
+      const trial = state === 'half-open';
+      if (trial) {
+        if (probing) throw circuitOpen('circuit half-open, trial call in progress');
+        probing = true;
+      }
+
+      try {
+        const result = await fn();
+        failures = 0;
+        transition('closed');
+        return result;
+      } catch (error) {
+        if (isFailure(error)) {
+          failures += 1;
+          if (state === 'half-open' || failures >= failureThreshold) {
+            openedAt = Date.now();
+            transition('open');
+          }
+        }
+        throw error;
+      } finally {
+        if (trial) probing = false;
+      }
+    },
+
+    getState() {
+      return { state, failures };
+    }
+  };
+}
+
+/**
+ * Creates a concurrency limiter
+ * @param {number} concurrency - Maximum calls in flight
+ * @returns {Function} run(fn) queuing fn until a slot is free
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active += 1;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Creates a resilient caller that keeps one concurrency limiter and one circuit
+ * breaker per host and retries each call. Options can be overridden per host via
+ * `hosts: { 'api.semanticscholar.org': { concurrency: 1 } }`.
+ * @param {Object} [options] - Defaults for retries, backoff, concurrency and breaker
+ * @returns {Function} call(host, fn, label) executing fn under the host's policies
+ */
+function createResilientCaller(options = {}) {
+  const { hosts = {}, logger = consoleLogger, ...defaults } = options;
+  const policies = new Map();
+
+  const policyFor = host => {
+    if (!policies.has(host)) {
+      const hostOptions = { ...DEFAULT_OPTIONS, ...defaults, ...(hosts[host] || {}) };
+      policies.set(host, {
+        options: hostOptions,
+        limit: createLimiter(hostOptions.concurrency),
+        breaker: createCircuitBreaker({ ...hostOptions, name: host, logger })
+      });
+    }
+    return policies.get(host);
+  };
+
+  const call = (host, fn, label) => {
+    const policy = policyFor(host);
+    return retry(
+      () => policy.limit(() => policy.breaker.exec(fn)),
+      { ...policy.options, logger, context: { host, label } }
+    );
+  };
+
+  call.getState = host => policyFor(host).breaker.getState();
+  return call;
+}
+
+module.exports = {
+  consoleLogger,
+  retry,
+  isRetryable,
+  retryAfterMs,
+  createCircuitBreaker,
+  createLimiter,
+  createResilientCaller
+};
@@ -0,0 +1,146 @@
+// Content-addressed on-disk cache for outbound API responses (Semantic Scholar,
+// OpenRouter, text extracted from PDFs). CommonJS so the research CLI can load it.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { consoleLogger } = require('./resilience.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// read: serve stored responses; write: store fresh ones; offline: fail on a miss
+const MODES = {
+  use: { read: true, write: true, offline: false },
+  refresh: { read: false, write: true, offline: false },
+  replay: { read: true, write: false, offline: true },
+  off: { read: false, write: false, offline: false }
+};
+
+const DEFAULT_OPTIONS = {
+  dir: path.join(process.cwd(), '.cache', 'research'),
+  mode: 'use',
+  // Search results change as papers are indexed; model answers to the same messages and
+  // the text of a given PDF do not go stale
+  ttlMs: { s2: 7 * DAY_MS, openrouter: 30 * DAY_MS, pdf: 30 * DAY_MS },
+  defaultTtlMs: DAY_MS
+};
+
+/**
+ * Serializes a value with object keys sorted, so equal requests hash equally
+ * regardless of property order
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content address of a request
+ * @param {string} namespace - API the request goes to (e.g. 's2', 'openrouter')
+ * @param {Object} request - What identifies the response: endpoint plus params, or model plus messages
+ * @returns {string} SHA-256 hex digest
+ */
+function cacheKey(namespace, request) {
+  return crypto.createHash('sha256').update(`${namespace}\n${canonicalJson(request)}`).digest('hex');
+}
+
+/**
+ * Creates a response cache. Entries are JSON files under
+ * `<dir>/<namespace>/<key[0..2]>/<key>.json` holding the request, the time it
+ * was stored and the response.
+ *
+ * Modes: `use` serves entries younger than the namespace TTL and stores misses;
+ * `refresh` always calls the API and stores the response (with a dedicated dir,
+ * this captures fixtures); `replay` only serves stored entries, whatever their
+ * age, and fails with CACHE_MISS otherwise, so a run can be repeated fully
+ * offline; `off` bypasses the cache.
+ * @param {Object} [options] - { dir, mode, ttlMs: { [namespace]: ms }, defaultTtlMs, logger, now }
+ * @returns {Object} { wrap(namespace, request, fn), get(namespace, request), set(namespace, request, value), mode }
+ */
+function createResponseCache(options = {}) {
+  const {
+    dir = DEFAULT_OPTIONS.dir,
+    mode = DEFAULT_OPTIONS.mode,
+    defaultTtlMs = DEFAULT_OPTIONS.defaultTtlMs,
+    logger = consoleLogger,
+    now = Date.now
+  } = options;
+  const ttlMs = { ...DEFAULT_OPTIONS.ttlMs, ...(options.ttlMs || {}) };
+
+  const policy = MODES[mode];
+  if (!policy) {
+    throw new Error(`Unknown cache mode "${mode}" (expected one of ${Object.keys(MODES).join(', ')})`);
+  }
+
+  const entryPath = (namespace, key) => path.join(dir, namespace, key.slice(0, 2), `${key}.json`);
+
+  const get = (namespace, request) => {
+    const key = cacheKey(namespace, request);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath(namespace, key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable cache entry', { namespace, key, error: error.message });
+      }
+      return undefined;
+    }
+
+    const ttl = ttlMs[namespace] ?? defaultTtlMs;
+    if (!policy.offline && now() - entry.storedAt > ttl) return undefined;
+    return entry.value;
+  };
+
+  const set = (namespace, request, value) => {
+    const key = cacheKey(namespace, request);
+    const file = entryPath(namespace, key);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Write then rename, so an interrupted run never leaves a truncated entry
+      const temporary = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify({ namespace, request, storedAt: now(), value }, null, 2));
+      fs.renameSync(temporary, file);
+    } catch (error) {
+      logger.warn('Failed to write cache entry', { namespace, key, error: error.message });
+    }
+  };
+
+  const wrap = async (namespace, request, fn) => {
+    if (policy.read) {
+      const cached = get(namespace, request);
+      if (cached !== undefined) {
+        logger.debug('Cache hit', { namespace });
+        return cached;
+      }
+    }
+
+    if (policy.offline) {
+      const error = new Error(`No cached ${namespace} response for this request (replay mode)`);
+      error.code = 'CACHE_MISS';
+      error.details = { namespace, key: cacheKey(namespace, request), request };
+      throw error;
+    }
+
+    const value = await fn();
+    if (policy.write) set(namespace, request, value);
+    return value;
+  };
+
+  return { wrap, get, set, mode };
+}
+
+module.exports = {
+  MODES,
+  canonicalJson,
+  cacheKey,
+  createResponseCache
+};
@@ -1,12 +1,23 @@
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
+import { config } from '../config/index.js';
 import { logger } from './logger.js';
 
-const ajv = new Ajv({ allErrors: true });
+// Record ids may be strings or numbers; ajv 8's strict mode only accepts such unions when allowed
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
 addFormats(ajv);
 
+// ISO 4217 code; amounts are converted to the reporting currency during ingestion
+const currencyCode = { type: 'string', pattern: '^[A-Z]{3}$' };
+
+// Source values of a converted record (see convertToReportingCurrency)
+const fxProperties = {
+  originalCurrency: currencyCode,
+  fxRate: { type: 'number', exclusiveMinimum: 0 }
+};
+
 // Financial data schema
-const financialDataSchema = {
+export const financialDataSchema = {
   type: 'object',
   properties: {
     invoices: {
@@ -19,7 +30,10 @@ const financialDataSchema = {
           date: { type: 'string', format: 'date' },
           description: { type: 'string' },
           customer: { type: 'string' },
-          status: { type: 'string', enum: ['pending', 'paid', 'overdue', 'cancelled'] }
+          status: { type: 'string', enum: ['pending', 'paid', 'overdue', 'cancelled'] },
+          currency: currencyCode,
+          originalAmount: { type: 'number' },
+          ...fxProperties
         },
         required: ['amount', 'date']
       }
@@ -34,7 +48,10 @@ const financialDataSchema = {
           date: { type: 'string', format: 'date' },
           description: { type: 'string' },
           category: { type: 'string' },
-          vendor: { type: 'string' }
+          vendor: { type: 'string' },
+          currency: currencyCode,
+          originalAmount: { type: 'number' },
+          ...fxProperties
         },
         required: ['amount', 'date']
       }
@@ -49,7 +66,10 @@ const financialDataSchema = {
           date: { type: 'string', format: 'date' },
           description: { type: 'string' },
           type: { type: 'string', enum: ['inbound', 'outbound'] },
-          method: { type: 'string' }
+          method: { type: 'string' },
+          currency: currencyCode,
+          originalAmount: { type: 'number' },
+          ...fxProperties
         },
         required: ['amount', 'date', 'type']
       }
@@ -62,7 +82,9 @@ const financialDataSchema = {
           account: { type: 'string' },
           balance: { type: 'number' },
           date: { type: 'string', format: 'date' },
-          currency: { type: 'string', default: 'USD' }
+          currency: { ...currencyCode, default: 'USD' },
+          originalBalance: { type: 'number' },
+          ...fxProperties
         },
         required: ['account', 'balance', 'date']
       }
@@ -72,7 +94,8 @@ const financialDataSchema = {
       properties: {
         source: { type: 'string' },
         timestamp: { type: 'string', format: 'date-time' },
-        recordCount: { type: 'number', minimum: 0 }
+        recordCount: { type: 'number', minimum: 0 },
+        reportingCurrency: currencyCode
       }
     }
   },
@@ -82,6 +105,347 @@ const financialDataSchema = {
 
 export const validateFinancialData = ajv.compile(financialDataSchema);
 
+const nullableNumber = { type: ['number', 'null'] };
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const anomalyExplanations = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      anomalyId: { type: 'string' },
+      explanation: { type: 'string' }
+    },
+    required: ['anomalyId', 'explanation']
+  }
+};
+
+const savingsSuggestions = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      category: { type: 'string' },
+      suggestion: { type: 'string' },
+      potentialSavings: { type: 'number', minimum: 0 },
+      implementation: { type: 'string' }
+    },
+    required: ['category', 'suggestion', 'potentialSavings']
+  }
+};
+
+const reportedKPIs = {
+  type: 'object',
+  properties: {
+    grossMargin: nullableNumber,
+    burnRate: nullableNumber,
+    DSO: nullableNumber,
+    DPO: nullableNumber,
+    currentRatio: nullableNumber,
+    quickRatio: nullableNumber
+  }
+};
+
+const dataQuality = {
+  type: 'object',
+  properties: {
+    completeness: { type: 'number', minimum: 0, maximum: 100 },
+    accuracy: { type: 'number', minimum: 0, maximum: 100 },
+    issues: stringArray,
+    recommendations: stringArray
+  },
+  required: ['completeness', 'accuracy', 'issues', 'recommendations']
+};
+
+const summary = { type: 'string', minLength: 1 };
+
+// Shape the model must return for a full analysis. Forecast, KPIs and anomalies are
+// computed locally, so the model only contributes commentary and explanations.
+export const analysisResponseSchema = {
+  type: 'object',
+  properties: {
+    cashFlowCommentary: { type: 'string' },
+    anomalyExplanations,
+    procurementSuggestions: savingsSuggestions,
+    kpis: reportedKPIs,
+    dataQuality,
+    summary
+  },
+  required: ['anomalyExplanations', 'procurementSuggestions', 'dataQuality', 'summary']
+};
+
+// Cash-flow analysis: liquidity risks and working-capital actions around the forecast
+export const cashflowResponseSchema = {
+  type: 'object',
+  properties: {
+    cashFlowCommentary: { type: 'string', minLength: 1 },
+    liquidityRisks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          risk: { type: 'string' },
+          severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+          mitigation: { type: 'string' }
+        },
+        required: ['risk', 'severity']
+      }
+    },
+    workingCapitalActions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string' },
+          expectedImpact: { type: 'number' },
+          timing: { type: 'string' }
+        },
+        required: ['action']
+      }
+    },
+    anomalyExplanations,
+    kpis: reportedKPIs,
+    dataQuality,
+    summary
+  },
+  required: ['cashFlowCommentary', 'liquidityRisks', 'workingCapitalActions', 'anomalyExplanations', 'dataQuality', 'summary']
+};
+
+// Profitability analysis: what moves the margin and where costs can be cut
+export const profitabilityResponseSchema = {
+  type: 'object',
+  properties: {
+    marginCommentary: { type: 'string', minLength: 1 },
+    marginDrivers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          driver: { type: 'string' },
+          effect: { type: 'string', enum: ['positive', 'negative'] },
+          evidence: { type: 'string' }
+        },
+        required: ['driver', 'effect']
+      }
+    },
+    costReductions: savingsSuggestions,
+    anomalyExplanations,
+    kpis: reportedKPIs,
+    dataQuality,
+    summary
+  },
+  required: ['marginCommentary', 'marginDrivers', 'costReductions', 'dataQuality', 'summary']
+};
+
+// Trend analysis: direction and size of changes over the months in the data
+export const trendsResponseSchema = {
+  type: 'object',
+  properties: {
+    trends: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          metric: { type: 'string' },
+          direction: { type: 'string', enum: ['up', 'down', 'flat'] },
+          changePct: nullableNumber,
+          period: { type: 'string' },
+          evidence: { type: 'string' }
+        },
+        required: ['metric', 'direction']
+      }
+    },
+    seasonality: { type: 'string' },
+    outlook: { type: 'string' },
+    anomalyExplanations,
+    kpis: reportedKPIs,
+    dataQuality,
+    summary
+  },
+  required: ['trends', 'outlook', 'dataQuality', 'summary']
+};
+
+// Custom analysis: an answer to the user's own question, backed by the data
+export const customResponseSchema = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          finding: { type: 'string' },
+          evidence: { type: 'string' }
+        },
+        required: ['finding']
+      }
+    },
+    anomalyExplanations,
+    kpis: reportedKPIs,
+    dataQuality,
+    summary
+  },
+  required: ['answer', 'findings', 'dataQuality', 'summary']
+};
+
+// One turn of a follow-up chat: local tool calls to run, or the final answer
+export const chatTurnSchema = {
+  type: 'object',
+  properties: {
+    toolCalls: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          tool: { type: 'string', enum: ['aggregate', 'find_records'] },
+          args: { type: 'object' }
+        },
+        required: ['tool', 'args']
+      }
+    },
+    answer: { type: 'string', minLength: 1 },
+    citations: stringArray
+  },
+  anyOf: [{ required: ['toolCalls'] }, { required: ['answer', 'citations'] }]
+};
+
+export const chatAnswerSchema = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    citations: stringArray
+  },
+  required: ['answer', 'citations']
+};
+
+// Per-chunk findings returned during map-reduce analysis of large datasets
+export const chunkFindingsSchema = {
+  type: 'object',
+  properties: {
+    observations: stringArray,
+    dataQualityIssues: stringArray,
+    procurementIdeas: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string' },
+          suggestion: { type: 'string' }
+        },
+        required: ['suggestion']
+      }
+    }
+  },
+  required: ['observations', 'dataQualityIssues', 'procurementIdeas']
+};
+
+const compiledAnalysisResponse = ajv.compile(analysisResponseSchema);
+const compiledChunkFindings = ajv.compile(chunkFindingsSchema);
+const compiledChatTurn = ajv.compile(chatTurnSchema);
+const compiledChatAnswer = ajv.compile(chatAnswerSchema);
+
+/**
+ * Validates a parsed model response for a full analysis. Numeric fields given as
+ * strings ("15%", "$1,200") are coerced first.
+ * @param {Object} response - Parsed model output
+ * @returns {Object} { isValid, errors, data } where data is the coerced response
+ */
+export function validateAnalysisResponse(response) {
+  return validateModelResponse(compiledAnalysisResponse, analysisResponseSchema, response);
+}
+
+/**
+ * Validates a parsed model response for one chunk of a map-reduce analysis
+ * @param {Object} response - Parsed model output
+ * @returns {Object} { isValid, errors, data }
+ */
+export function validateChunkFindings(response) {
+  return validateModelResponse(compiledChunkFindings, chunkFindingsSchema, response);
+}
+
+/**
+ * Validates one turn of a follow-up chat: tool calls or a cited answer
+ * @param {Object} response - Parsed model response
+ * @returns {Object} { isValid, errors, data }
+ */
+export function validateChatTurn(response) {
+  return validateModelResponse(compiledChatTurn, chatTurnSchema, response);
+}
+
+/**
+ * Validates the final, tool-free answer of a follow-up chat
+ * @param {Object} response - Parsed model response
+ * @returns {Object} { isValid, errors, data }
+ */
+export function validateChatAnswer(response) {
+  return validateModelResponse(compiledChatAnswer, chatAnswerSchema, response);
+}
+
+/**
+ * Compiles a validator for model responses of a given schema (prompt templates)
+ * @param {Object} schema - JSON schema of the response
+ * @returns {Function} (response) => { isValid, errors, data }
+ */
+export function createResponseValidator(schema) {
+  const compiled = ajv.compile(schema);
+  return response => validateModelResponse(compiled, schema, response);
+}
+
+function validateModelResponse(validate, schema, response) {
+  const data = coerceToSchema(response, schema);
+  const isValid = validate(data);
+
+  return {
+    isValid,
+    errors: isValid ? [] : validate.errors.map(formatValidationError),
+    data
+  };
+}
+
+/**
+ * Walks a value alongside its schema and converts numeric strings where the schema
+ * expects a number. Percentages become fractions ("15%" -> 0.15); currency symbols
+ * and thousands separators are stripped ("$1,200" -> 1200). Values that cannot be
+ * converted are left for the validator to report.
+ * @param {*} value - Value to coerce
+ * @param {Object} schema - JSON schema for the value
+ * @returns {*} Coerced copy of the value
+ */
+export function coerceToSchema(value, schema) {
+  if (!schema || value == null) return value;
+
+  const types = [].concat(schema.type || []);
+  if (types.includes('number') && typeof value === 'string') {
+    const number = parseNumeric(value);
+    return number == null ? value : number;
+  }
+
+  if (types.includes('array') && Array.isArray(value)) {
+    return value.map(item => coerceToSchema(item, schema.items));
+  }
+
+  if (types.includes('object') && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      coerceToSchema(item, schema.properties?.[key])
+    ]));
+  }
+
+  return value;
+}
+
+function parseNumeric(text) {
+  const trimmed = text.trim();
+  const isPercent = trimmed.endsWith('%');
+  const cleaned = trimmed.replace(/[%$€£,\s]/g, '').replace(/^(USD|EUR|GBP)/i, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+
+  const number = parseFloat(cleaned);
+  return isPercent ? number / 100 : number;
+}
+
 /**
  * Validates financial data and returns detailed error information
  * @param {Object} data - Data to validate
@@ -164,6 +528,22 @@ function checkDataQuality(data) {
   return warnings;
 }
 
+/**
+ * Checks an upload's MIME type against config.upload.allowedMimeTypes. Generic
+ * types such as application/octet-stream are only accepted together with an
+ * extension listed for them in config.upload.genericMimeTypeExtensions.
+ * @param {Object} file - Uploaded file object (mimetype, originalname)
+ * @returns {boolean} True if the file type is accepted
+ */
+export function isAllowedFileType({ mimetype, originalname } = {}) {
+  if (config.upload.allowedMimeTypes.includes(mimetype)) {
+    return true;
+  }
+
+  const extension = /\.([^.]+)$/.exec(originalname || '')?.[1].toLowerCase();
+  return Boolean(extension && config.upload.genericMimeTypeExtensions[mimetype]?.includes(extension));
+}
+
 /**
  * Validates file upload
  * @param {Object} file - Uploaded file object
@@ -177,15 +557,14 @@ export function validateFileUpload(file) {
     return { isValid: false, errors };
   }
   
-  // Check file size (10MB limit)
-  if (file.size > 10 * 1024 * 1024) {
-    errors.push('File size exceeds 10MB limit');
+  // Check file size
+  if (file.size > config.upload.maxFileSize) {
+    errors.push(`File size exceeds ${config.upload.maxFileSize / (1024 * 1024)}MB limit`);
   }
-  
-  // Check file type
-  const allowedTypes = ['text/csv', 'application/json', 'text/plain'];
-  if (!allowedTypes.includes(file.mimetype)) {
-    errors.push(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`);
+
+  // Check file type the way the upload middleware does
+  if (!isAllowedFileType(file)) {
+    errors.push(`Invalid file type. Allowed types: ${config.upload.allowedMimeTypes.join(', ')}`);
   }
   
   return {
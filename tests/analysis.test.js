@@ -1,36 +1,49 @@
+/** @jest-environment node */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import request from 'supertest';
-import app from '../src/index.js';
+import app from '../src/server.js';
+import { analyzeFinancialData } from '../src/services/llmClient.js';
 
 // Mock the OpenRouter client
 jest.mock('../src/services/llmClient.js', () => ({
-  analyzeFinancialData: jest.fn().mockResolvedValue({
-    cashFlowForecast: {
-      month1: { inflow: 10000, outflow: 8000, netFlow: 2000, endingBalance: 12000 },
-      month2: { inflow: 12000, outflow: 9000, netFlow: 3000, endingBalance: 15000 },
-      month3: { inflow: 11000, outflow: 8500, netFlow: 2500, endingBalance: 17500 }
-    },
-    anomalies: [],
-    procurementSuggestions: [
-      { category: 'office supplies', suggestion: 'Bulk purchasing', potentialSavings: '15%' }
-    ],
-    kpis: {
-      grossMargin: 0.35,
-      burnRate: 8500,
-      DSO: 45,
-      DPO: 30,
-      currentRatio: 1.5,
-      runway: 24
-    },
-    dataValidation: {
-      errors: [],
-      warnings: [],
-      suggestions: []
-    },
-    summary: 'Financial health is stable with positive cash flow trends.'
-  })
+  analyzeFinancialData: jest.fn()
 }));
 
+const MOCK_ANALYSIS = {
+  cashFlowForecast: {
+    month1: { inflow: 10000, outflow: 8000, netFlow: 2000, cumulativeBalance: 12000 },
+    month2: { inflow: 12000, outflow: 9000, netFlow: 3000, cumulativeBalance: 15000 },
+    month3: { inflow: 11000, outflow: 8500, netFlow: 2500, cumulativeBalance: 17500 }
+  },
+  anomalies: [],
+  procurementSuggestions: [
+    { category: 'office supplies', suggestion: 'Bulk purchasing', potentialSavings: 0.15 }
+  ],
+  kpis: {
+    grossMargin: 0.35,
+    burnRate: 8500,
+    DSO: 45,
+    DPO: 30,
+    currentRatio: 1.5,
+    quickRatio: 1.2
+  },
+  dataQuality: {
+    completeness: 100,
+    accuracy: 100,
+    issues: [],
+    recommendations: []
+  },
+  summary: 'Financial health is stable with positive cash flow trends.'
+};
+
 describe('Financial Analysis API', () => {
+  // react-scripts resets mocks before every test
+  beforeEach(() => {
+    analyzeFinancialData.mockResolvedValue(MOCK_ANALYSIS);
+  });
+
   const sampleData = {
     invoices: [
       {
@@ -63,6 +76,10 @@ describe('Financial Analysis API', () => {
     }
   };
 
+  const csv = 'date,amount,vendor,category\n2024-01-10,1200,Property Management,facilities\n';
+  const uploadDir = path.join(os.tmpdir(), 'financial-analyzer-uploads');
+  const uploads = () => (fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir) : []);
+
   test('POST /api/analyze - should analyze financial data successfully', async () => {
     const response = await request(app)
       .post('/api/analyze')
@@ -84,6 +101,45 @@ describe('Financial Analysis API', () => {
     expect(response.body.error).toBe('Missing required field: data');
   });
 
+  test('POST /api/analyze - should return 400 for unknown analysis types and custom analyses without a question', async () => {
+    const unknownType = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData, analysisType: 'astrology' })
+      .expect(400);
+    expect(unknownType.body.error).toBe('Invalid analysis request');
+
+    const noQuestion = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData, analysisType: 'custom', customPrompt: '   ' })
+      .expect(400);
+    expect(noQuestion.body.message).toMatch(/needs a question/);
+  });
+
+  test('POST /api/jobs - should start an analysis job and link its progress stream', async () => {
+    const response = await request(app)
+      .post('/api/jobs')
+      .send({ data: sampleData })
+      .expect(202);
+
+    expect(response.body.job).toMatchObject({ status: 'queued', stage: 'parsing', progress: 0 });
+    expect(response.body.links.events).toBe(`/api/jobs/${response.body.job.id}/events`);
+  });
+
+  test('GET /api/jobs/:id - should return 404 for unknown jobs', async () => {
+    await request(app)
+      .get('/api/jobs/unknown')
+      .expect(404);
+  });
+
+  test('POST /api/analyses/:id/chat - should return 404 for unknown analyses', async () => {
+    const response = await request(app)
+      .post('/api/analyses/unknown/chat')
+      .send({ question: 'Why is DSO 62?' })
+      .expect(404);
+
+    expect(response.body.error).toBe('Not found');
+  });
+
   test('GET /api/health - should return health status', async () => {
     const response = await request(app)
       .get('/api/health')
@@ -92,4 +148,68 @@ describe('Financial Analysis API', () => {
     expect(response.body.status).toBe('healthy');
     expect(response.body).toHaveProperty('timestamp');
   });
-});
\ No newline at end of file
+
+  test('POST /api/upload - should return 400 when no files are attached', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .expect(400);
+
+    expect(response.body.error).toBe('No file uploaded');
+  });
+
+  test('POST /api/upload - should reject disallowed file types', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('files', Buffer.from('<html></html>'), { filename: 'report.html', contentType: 'text/html' })
+      .expect(415);
+
+    expect(response.body.error).toBe('Unsupported file type');
+  });
+
+  test('POST /api/upload - should reject untyped files without a statement extension', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('files', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/octet-stream' })
+      .expect(415);
+
+    expect(response.body.message).toMatch(/Invalid file type for setup\.exe/);
+  });
+
+  test('POST /api/analyze/file - should analyze an uploaded file for the requested period', async () => {
+    const response = await request(app)
+      .post('/api/analyze/file')
+      .field('period[start]', '2024-01-01')
+      .field('period[end]', '2024-01-31')
+      .attach('file', Buffer.from(csv), { filename: 'expenses.csv', contentType: 'text/csv' })
+      .expect(200);
+
+    expect(analyzeFinancialData).toHaveBeenCalledWith(
+      expect.objectContaining({ expenses: [expect.objectContaining({ amount: 1200 })] }),
+      expect.objectContaining({ period: { start: '2024-01-01', end: '2024-01-31' } })
+    );
+    expect(response.body.metadata).toMatchObject({ fileName: 'expenses.csv', recordsProcessed: 1 });
+  });
+
+  test('POST /api/analyze/file - should return 429 when the model is rate limited', async () => {
+    analyzeFinancialData.mockRejectedValue(new Error('Rate limit exceeded'));
+
+    const response = await request(app)
+      .post('/api/analyze/file')
+      .attach('file', Buffer.from(csv), { filename: 'expenses.csv', contentType: 'text/csv' })
+      .expect(429);
+
+    expect(response.body.error).toBe('Rate limited');
+  });
+
+  test('POST /api/analyze/file - should remove the upload when the format is unsupported', async () => {
+    const before = uploads();
+
+    const response = await request(app)
+      .post('/api/analyze/file')
+      .attach('file', Buffer.from(csv), { filename: 'expenses.pdf', contentType: 'text/csv' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Unsupported file format');
+    expect(uploads()).toEqual(before);
+  });
+});
@@ -0,0 +1,121 @@
+import { aggregateRecords, findRecords, answerQuestion } from '../src/services/analysisChat.js';
+import { setProvider } from '../src/services/providers/index.js';
+import { config } from '../src/config/index.js';
+import { fakeProvider } from './helpers/fakeProvider.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const data = {
+  invoices: [
+    { id: 'inv_1', customer: 'Globex', amount: 5000, date: '2024-03-05', status: 'paid' },
+    { id: 'inv_2', customer: 'Initech', amount: 3000, date: '2024-03-20', status: 'overdue' }
+  ],
+  expenses: [
+    { id: 'exp_1', vendor: 'Acme Rent', category: 'rent', amount: 2000, date: '2024-03-01' },
+    { id: 'exp_2', vendor: 'Cloudco', category: 'software', amount: 400, date: '2024-03-12' },
+    { id: 'exp_3', vendor: 'Cloudco', category: 'software', amount: 1600, date: '2024-04-12' }
+  ],
+  payments: [],
+  balances: [{ account: 'Operating Cash', balance: 20000, date: '2024-02-29' }],
+  metadata: { source: 'test', reportingCurrency: 'USD' }
+};
+
+const stored = { id: 'a1', data, result: { summary: 'Stable', kpis: { DSO: 62 }, reportingCurrency: 'USD' } };
+
+describe('Analysis chat tools', () => {
+  test('sums and groups records with citable ids', () => {
+    const byVendor = aggregateRecords(data, { collection: 'expenses', groupBy: 'vendor' });
+
+    expect(byVendor).toMatchObject({ metric: 'sum', field: 'amount', matched: 3, value: 4000 });
+    expect(byVendor.groups).toEqual([
+      { key: 'Acme Rent', value: 2000, count: 1, recordIds: ['exp_1'] },
+      { key: 'Cloudco', value: 2000, count: 2, recordIds: ['exp_2', 'exp_3'] }
+    ]);
+
+    const march = aggregateRecords(data, {
+      collection: 'expenses',
+      metric: 'count',
+      groupBy: 'month',
+      filters: [{ field: 'amount', op: 'gte', value: '400' }, { field: 'date', op: 'lt', value: '2024-04-01' }]
+    });
+    expect(march.groups).toEqual([{ key: '2024-03', value: 2, count: 2, recordIds: ['exp_1', 'exp_2'] }]);
+  });
+
+  test('finds records and falls back to positional ids', () => {
+    expect(findRecords(data, { collection: 'invoices', filters: [{ field: 'status', op: 'eq', value: 'overdue' }] }))
+      .toEqual({ collection: 'invoices', matched: 1, records: [{ recordId: 'inv_2', ...data.invoices[1] }] });
+    expect(findRecords(data, { collection: 'balances' }).records[0].recordId).toBe('balances[0]');
+    expect(findRecords(data, { collection: 'expenses', sort: { field: 'amount', order: 'desc' }, limit: 1 }).records[0].id)
+      .toBe('exp_1');
+  });
+
+  test('rejects unknown collections, operators and field names', () => {
+    expect(() => findRecords(data, { collection: 'metadata' })).toThrow(/Unknown collection/);
+    expect(() => aggregateRecords(data, { collection: 'expenses', groupBy: '__proto__' })).toThrow(/Invalid field name/);
+    expect(() => findRecords(data, { collection: 'expenses', filters: [{ field: 'amount', op: 'regex', value: '.*' }] }))
+      .toThrow(/Unknown filter operator/);
+  });
+});
+
+describe('Analysis chat', () => {
+  test('runs tool calls locally, then answers with verified citations', async () => {
+    const provider = fakeProvider([
+      { toolCalls: [{ tool: 'aggregate', args: { collection: 'expenses', groupBy: 'vendor' } }] },
+      { answer: 'Cloudco and Acme Rent each account for 2,000 USD [exp_2] [exp_3] [exp_1].', citations: ['exp_2', 'exp_1', 'exp_99'] }
+    ]);
+    setProvider(provider);
+
+    const reply = await answerQuestion(stored, 'Which vendors drove the outflow?');
+
+    expect(reply.answer).toMatch(/Cloudco/);
+    expect(reply.citations).toEqual([
+      { recordId: 'exp_2', collection: 'expenses', record: data.expenses[1] },
+      { recordId: 'exp_1', collection: 'expenses', record: data.expenses[0] }
+    ]);
+    expect(reply.unknownCitations).toEqual(['exp_99']);
+    expect(reply.toolCalls).toEqual([{ tool: 'aggregate', args: { collection: 'expenses', groupBy: 'vendor' } }]);
+
+    const [, second] = provider.calls;
+    const toolResults = second.messages[second.messages.length - 1].content;
+    expect(toolResults).toMatch(/^\*\*Tool results:\*\*/);
+    expect(JSON.parse(toolResults.split('\n')[1])[0].result.value).toBe(4000);
+  });
+
+  test('frames the question and replays earlier turns', async () => {
+    const provider = fakeProvider([{ answer: 'DSO is 62 because inv_2 is overdue.', citations: ['inv_2'] }]);
+    setProvider(provider);
+
+    await answerQuestion(stored, 'And why is DSO 62?', {
+      history: [{ question: 'What is DSO?', answer: 'Days sales outstanding.', citations: [] }]
+    });
+
+    const { messages } = provider.calls[0];
+    expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[0].content).toMatch(/"recordId":"inv_2"/);
+    expect(messages[3].content).toMatch(/<<<USER_QUESTION\nAnd why is DSO 62\?\nUSER_QUESTION>>>/);
+  });
+
+  test('forces an answer once the tool rounds are used up', async () => {
+    const provider = fakeProvider([
+      ...Array(config.chat.maxToolRounds).fill({ toolCalls: [{ tool: 'find_records', args: { collection: 'nope' } }] }),
+      { answer: 'The data does not say.', citations: [] }
+    ]);
+    setProvider(provider);
+
+    const reply = await answerQuestion(stored, 'Anything?');
+
+    expect(reply.answer).toBe('The data does not say.');
+    expect(reply.toolCalls[0].error).toMatch(/Unknown collection/);
+    expect(provider.calls).toHaveLength(config.chat.maxToolRounds + 1);
+    const lastMessages = provider.calls[config.chat.maxToolRounds].messages;
+    expect(lastMessages[lastMessages.length - 1].content).toMatch(/used all tool calls/);
+  });
+
+  test('rejects empty questions and malformed history', async () => {
+    await expect(answerQuestion(stored, '  ')).rejects.toMatchObject({ code: 'INVALID_CHAT_REQUEST' });
+    await expect(answerQuestion(stored, 'Why?', { history: [{ question: 'x' }] }))
+      .rejects.toMatchObject({ code: 'INVALID_CHAT_REQUEST' });
+  });
+});
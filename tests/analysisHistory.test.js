@@ -0,0 +1,115 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config/index.js';
+import {
+  createFileHistoryStore,
+  hashDataset,
+  buildAnalysisRecord,
+  recordAnalysis,
+  setHistoryStore
+} from '../src/services/analysisHistory.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const data = {
+  invoices: [{ id: 'inv_1', amount: 1200, date: '2024-03-01', currency: 'USD' }],
+  expenses: [],
+  payments: [],
+  balances: [],
+  metadata: { source: 'api', recordCount: 1, reportingCurrency: 'USD', processedAt: '2024-04-01T10:00:00.000Z' }
+};
+
+const run = {
+  data,
+  result: { summary: 'Revenue of 1,200 USD in March.', kpis: { grossMargin: 0 } },
+  provider: { name: 'fixture', model: 'test-model' },
+  promptVersion: '1',
+  timings: { ingestionMs: 12, analysisMs: 3400 },
+  request: { source: 'api', period: null }
+};
+
+describe('Analysis history', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    setHistoryStore(null);
+  });
+
+  test('hashes the records, not the parse metadata', () => {
+    const reparsed = { ...data, metadata: { ...data.metadata, processedAt: '2024-05-01T08:00:00.000Z' } };
+    const changed = { ...data, invoices: [{ ...data.invoices[0], amount: 1300 }] };
+
+    expect(hashDataset(reparsed)).toBe(hashDataset(data));
+    expect(hashDataset(changed)).not.toBe(hashDataset(data));
+  });
+
+  test('stores, lists newest first, re-opens and deletes analyses in files', async () => {
+    const store = createFileHistoryStore(dir);
+    const first = await store.save(buildAnalysisRecord(run));
+    const second = await store.save(buildAnalysisRecord({ ...run, request: { source: 'file', fileName: 'april.csv' } }));
+
+    const { total, items } = await store.list();
+    expect(total).toBe(2);
+    expect(items.map(item => item.id)).toEqual([second.id, first.id]);
+    expect(items[1]).toEqual({
+      id: first.id,
+      createdAt: first.createdAt,
+      datasetHash: hashDataset(data),
+      recordCount: 1,
+      reportingCurrency: 'USD',
+      model: { provider: 'fixture', name: 'test-model' },
+      promptVersion: '1',
+      request: { source: 'api', period: null },
+      timings: { ingestionMs: 12, analysisMs: 3400 },
+      summary: 'Revenue of 1,200 USD in March.'
+    });
+
+    expect(await store.get(first.id)).toEqual(first);
+    expect((await store.list({ limit: 1, offset: 1 })).items.map(item => item.id)).toEqual([first.id]);
+
+    expect(await store.remove(first.id)).toBe(true);
+    expect(await store.remove(first.id)).toBe(false);
+    expect(await store.get(first.id)).toBeNull();
+    expect(fs.existsSync(path.join(dir, `${first.id}.json`))).toBe(false);
+  });
+
+  test('keeps every entry when saves and deletes run concurrently', async () => {
+    const store = createFileHistoryStore(dir);
+    const saved = await Promise.all(Array.from({ length: 5 }, () => store.save(buildAnalysisRecord(run))));
+
+    expect((await store.list()).total).toBe(5);
+    for (const { id } of saved) {
+      expect(await store.get(id)).toMatchObject({ id });
+    }
+
+    await Promise.all([store.remove(saved[0].id), store.remove(saved[1].id), store.save(buildAnalysisRecord(run))]);
+    expect((await store.list()).total).toBe(4);
+  });
+
+  test('does not read files outside the index', async () => {
+    const store = createFileHistoryStore(dir);
+    fs.writeFileSync(path.join(dir, 'index.json'), '[]');
+
+    expect(await store.get('../index')).toBeNull();
+  });
+
+  test('keeps returning analyses when the store fails', async () => {
+    const enabled = config.history.enabled;
+    config.history.enabled = true;
+    setHistoryStore({ name: 'broken', save: jest.fn().mockRejectedValue(new Error('disk full')) });
+
+    try {
+      await expect(recordAnalysis(run)).resolves.toBeNull();
+    } finally {
+      config.history.enabled = enabled;
+    }
+  });
+});
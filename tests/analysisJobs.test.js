@@ -0,0 +1,116 @@
+/** @jest-environment node */
+import { createJobRegistry } from '../src/services/analysisJobs.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// Resolves with the job status once it reaches one of the given statuses
+const waitFor = (registry, id, statuses) => new Promise(resolve => {
+  const current = registry.get(id);
+  if (statuses.includes(current.status)) return resolve(current);
+  const unsubscribe = registry.subscribe(id, status => {
+    if (statuses.includes(status.status)) {
+      unsubscribe();
+      resolve(status);
+    }
+  });
+});
+
+describe('Analysis jobs', () => {
+  test('runs in the background and maps stage progress onto one bar', async () => {
+    const registry = createJobRegistry({ retentionMs: 1000 });
+    const events = [];
+
+    const job = registry.submit(async ({ progress }) => {
+      progress('parsing', 0, 'Parsing');
+      progress('validation', 1, 'Validated');
+      progress('chunk-analysis', 0.5, 'Reviewing chunk 2 of 4');
+      // A stage reported out of order never moves the bar backwards
+      progress('parsing', 1, 'Late parsing update');
+      progress('merge', 0, 'Generating the analysis');
+      return { summary: 'done' };
+    });
+    registry.subscribe(job.id, status => events.push([status.status, status.stage, status.progress]));
+
+    expect(job).toMatchObject({ status: 'queued', stage: 'parsing', progress: 0 });
+
+    const finished = await waitFor(registry, job.id, ['completed']);
+    expect(finished).toMatchObject({ status: 'completed', progress: 100, result: { summary: 'done' } });
+    expect(events).toEqual([
+      ['running', 'parsing', 0],
+      ['running', 'parsing', 0],
+      ['running', 'validation', 20],
+      ['running', 'chunk-analysis', 50],
+      ['running', 'merge', 80],
+      ['completed', 'merge', 100]
+    ]);
+  });
+
+  test('reports failures with the error code and details', async () => {
+    const registry = createJobRegistry({ retentionMs: 1000 });
+    const job = registry.submit(async () => {
+      const error = new Error('Data validation failed with 1 error(s)');
+      error.code = 'VALIDATION_FAILED';
+      error.details = [{ field: 'invoices[0].amount', message: 'must be number' }];
+      throw error;
+    });
+
+    const failed = await waitFor(registry, job.id, ['failed']);
+    expect(failed.error).toEqual({
+      message: 'Data validation failed with 1 error(s)',
+      code: 'VALIDATION_FAILED',
+      details: [{ field: 'invoices[0].amount', message: 'must be number' }]
+    });
+    expect(failed).not.toHaveProperty('result');
+  });
+
+  test('accumulates partial results and keeps them when the job fails', async () => {
+    const registry = createJobRegistry({ retentionMs: 1000 });
+    const events = [];
+
+    const job = registry.submit(async ({ partial }) => {
+      partial({ type: 'section', key: 'kpis', value: { DSO: 41 } });
+      partial({ type: 'text', key: 'summary', delta: 'Cash is ' });
+      partial({ type: 'text', key: 'summary', delta: 'tight' });
+      throw new Error('The model response was interrupted');
+    });
+    registry.subscribePartial(job.id, event => events.push(event.type));
+
+    await waitFor(registry, job.id, ['failed']);
+    expect(events).toEqual(['section', 'text', 'text']);
+    expect(registry.getPartial(job.id)).toEqual({ kpis: { DSO: 41 }, summary: 'Cash is tight' });
+    expect(registry.get(job.id)).not.toHaveProperty('partial');
+
+    const completed = registry.submit(async ({ partial }) => {
+      partial({ type: 'section', key: 'summary', value: 'Done' });
+      partial({ type: 'reset' });
+      return { summary: 'Done' };
+    });
+    await waitFor(registry, completed.id, ['completed']);
+    expect(registry.getPartial(completed.id)).toBeNull();
+  });
+
+  test('cancels a running job through its abort signal', async () => {
+    const registry = createJobRegistry({ retentionMs: 1000 });
+    let aborted = false;
+
+    const job = registry.submit(({ signal, progress }) => new Promise((resolve, reject) => {
+      progress('chunk-analysis', 0.25, 'Reviewing chunk 1 of 4');
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(new Error('Analysis cancelled'));
+      });
+    }));
+
+    await waitFor(registry, job.id, ['running']);
+    const cancelled = registry.cancel(job.id);
+
+    expect(aborted).toBe(true);
+    expect(cancelled).toMatchObject({ status: 'cancelled', stage: 'chunk-analysis', progress: 35 });
+    // The task's rejection does not turn the job into a failure
+    await new Promise(resolve => setImmediate(resolve));
+    expect(registry.get(job.id).status).toBe('cancelled');
+    expect(registry.cancel('unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+import { detectAnomalies } from '../src/services/anomalies.js';
+
+describe('Anomaly detector', () => {
+  const byRule = (anomalies, rule) => anomalies.filter(anomaly => anomaly.rule === rule);
+
+  test('flags exact and fuzzy duplicate payments', () => {
+    const anomalies = detectAnomalies({
+      invoices: [],
+      expenses: [
+        { id: 'exp_001', date: '2024-03-04', amount: 1250, vendor: 'Acme Supplies' },
+        { id: 'exp_002', date: '2024-03-04', amount: 1250, vendor: 'Acme Supplies' },
+        { id: 'exp_003', date: '2024-03-07', amount: 1250.5, vendor: 'ACME Supplies Inc.' }
+      ]
+    });
+
+    expect(byRule(anomalies, 'exact_duplicate')).toEqual([
+      expect.objectContaining({ entryId: 'exp_002', type: 'duplicate', severity: 'high', relatedEntryId: 'exp_001' })
+    ]);
+    expect(byRule(anomalies, 'fuzzy_duplicate')).toEqual([
+      expect.objectContaining({ entryId: 'exp_003', type: 'duplicate', severity: 'medium' })
+    ]);
+  });
+
+  test('flags amount outliers within a vendor', () => {
+    const expenses = [410, 395, 402, 420, 388, 405, 9800].map((amount, i) => ({
+      id: `exp_${i}`,
+      date: `2024-02-${String(i + 5).padStart(2, '0')}`,
+      amount,
+      vendor: 'Cloud Hosting'
+    }));
+
+    const outliers = byRule(detectAnomalies({ invoices: [], expenses }), 'vendor_outlier');
+    expect(outliers).toHaveLength(1);
+    expect(outliers[0]).toMatchObject({ entryId: 'exp_6', type: 'outlier', severity: 'high' });
+  });
+
+  test('flags payments split under an approval threshold', () => {
+    const anomalies = detectAnomalies({
+      invoices: [],
+      expenses: [],
+      payments: [
+        { id: 'pay_001', date: '2024-04-02', amount: 6000, type: 'outbound', description: 'Northwind Consulting' },
+        { id: 'pay_002', date: '2024-04-03', amount: 5500, type: 'outbound', description: 'Northwind Consulting' }
+      ]
+    });
+
+    expect(byRule(anomalies, 'split_payment')).toEqual([
+      expect.objectContaining({ entryId: 'pay_001', type: 'fraud_risk', entryIds: ['pay_001', 'pay_002'] })
+    ]);
+  });
+
+  test('flags weekend and holiday postings', () => {
+    const anomalies = detectAnomalies({
+      invoices: [],
+      expenses: [
+        { id: 'exp_sat', date: '2024-03-09', amount: 120 },
+        { id: 'exp_xmas', date: '2024-12-25', amount: 80 },
+        { id: 'exp_tue', date: '2024-03-12', amount: 95 }
+      ]
+    });
+
+    expect(byRule(anomalies, 'weekend_posting').map(a => a.entryId)).toEqual(['exp_sat']);
+    expect(byRule(anomalies, 'holiday_posting')[0].issue).toContain('Christmas Day');
+  });
+
+  test('flags datasets that deviate from Benford\'s law', () => {
+    const expenses = Array.from({ length: 120 }, (_, i) => ({
+      id: `exp_${i}`,
+      date: '2024-01-02',
+      amount: 7000 + i * 13
+    }));
+
+    const [finding] = byRule(detectAnomalies({ invoices: [], expenses }), 'benford_deviation');
+    expect(finding).toMatchObject({ entryId: null, type: 'fraud_risk', severity: 'high' });
+  });
+});
@@ -0,0 +1,207 @@
+import { parseOFX, parseCAMT053, parseMT940, parseBankStatement } from '../src/services/bankStatements.js';
+import { ingestFinancialData } from '../src/services/ingestion.js';
+import { validateFileUpload, isAllowedFileType } from '../src/utils/validation.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const ofxSgml = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKACCTFROM><BANKID>121000248<ACCTID>000123456<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20240101<DTEND>20240131
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240105120000[-5:EST]<TRNAMT>-1,250.00<FITID>T1<NAME>Acme Rent LLC<MEMO>January rent</STMTTRN>
+<STMTTRN><TRNTYPE>DIRECTDEP<DTPOSTED>20240110<TRNAMT>4800.00<FITID>T2<NAME>Globex Corp</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>10450.25<DTASOF>20240131</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const camt053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-1</Id>
+      <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><Dt>2024-02-01</Dt></Dt>
+      </Bal>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">1450.50</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><Dt>2024-02-29</Dt></Dt>
+      </Bal>
+      <Ntry>
+        <Amt Ccy="EUR">600.50</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2024-02-05</Dt></BookgDt>
+        <AcctSvcrRef>REF-1</AcctSvcrRef>
+        <BkTxCd><Domn><Cd>PMNT</Cd><Fmly><Cd>RCDT</Cd><SubFmlyCd>ESCT</SubFmlyCd></Fmly></Domn></BkTxCd>
+        <NtryDtls><TxDtls>
+          <AmtDtls><TxAmt><Amt Ccy="EUR">600.50</Amt></TxAmt></AmtDtls>
+          <RltdPties><Dbtr><Nm>Initech GmbH</Nm></Dbtr><Cdtr><Nm>Our Company</Nm></Cdtr></RltdPties>
+          <RmtInf><Ustrd>Invoice 2024-17 &amp; fees</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">150.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><DtTm>2024-02-12T09:30:00</DtTm></BookgDt>
+        <AcctSvcrRef>REF-2</AcctSvcrRef>
+        <BkTxCd><Domn><Cd>PMNT</Cd><Fmly><Cd>IDDT</Cd></Fmly></Domn></BkTxCd>
+        <NtryDtls><TxDtls><RltdPties><Cdtr><Nm>Telco AG</Nm></Cdtr></RltdPties></TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">99.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>PDNG</Sts>
+        <BookgDt><Dt>2024-02-28</Dt></BookgDt>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const mt940 = `{1:F01BANKDEFFAXXX0000000000}{2:O9400000000000BANKDEFFXXXX00000000000000000000N}{4:
+:20:STMT2403
+:25:10020030/1234567
+:28C:00003/001
+:60F:C240301EUR2500,00
+:61:2403040304D300,NTRFNONREF//B-778
+:86:166?00SEPA-UEBERWEISUNG?20Office lease?21March?32Landlord Properties
+:61:2403080308C1200,75NTRFINV-88//B-779
+:86:Payment from Umbrella Corp
+:62F:C240331EUR3400,75
+-}`;
+
+describe('Bank statement parsers', () => {
+  test('reads OFX SGML transactions and the ledger balance', () => {
+    const [statement] = parseOFX(ofxSgml);
+
+    expect(statement.account).toBe('Bank 000123456');
+    expect(statement.payments).toEqual([
+      {
+        id: 'T1',
+        amount: 1250,
+        date: '2024-01-05',
+        type: 'outbound',
+        description: 'Acme Rent LLC - January rent',
+        method: 'debit',
+        account: 'Bank 000123456',
+        currency: 'USD',
+        vendor: 'Acme Rent LLC'
+      },
+      {
+        id: 'T2',
+        amount: 4800,
+        date: '2024-01-10',
+        type: 'inbound',
+        description: 'Globex Corp',
+        method: 'direct_deposit',
+        account: 'Bank 000123456',
+        currency: 'USD',
+        customer: 'Globex Corp'
+      }
+    ]);
+    expect(statement.balances).toEqual([
+      { account: 'Bank 000123456', balance: 10450.25, date: '2024-01-31', currency: 'USD', kind: 'closing' }
+    ]);
+  });
+
+  test('reads booked CAMT.053 entries with counterparties and opening/closing balances', () => {
+    const [statement] = parseCAMT053(camt053);
+
+    expect(statement.balances.map(b => [b.kind, b.balance, b.date])).toEqual([
+      ['opening', 1000, '2024-02-01'],
+      ['closing', 1450.5, '2024-02-29']
+    ]);
+    expect(statement.payments).toHaveLength(2);
+    expect(statement.payments[0]).toMatchObject({
+      id: 'REF-1',
+      amount: 600.5,
+      type: 'inbound',
+      date: '2024-02-05',
+      customer: 'Initech GmbH',
+      description: 'Initech GmbH - Invoice 2024-17 & fees',
+      method: 'transfer',
+      currency: 'EUR'
+    });
+    expect(statement.payments[1]).toMatchObject({
+      amount: 150,
+      type: 'outbound',
+      date: '2024-02-12',
+      vendor: 'Telco AG',
+      method: 'direct_debit'
+    });
+  });
+
+  test('reads MT940 statement lines with :86: narratives and decimal commas', () => {
+    const [statement] = parseMT940(mt940);
+
+    expect(statement.account).toBe('Bank 10020030/1234567');
+    expect(statement.payments).toEqual([
+      expect.objectContaining({
+        id: 'B-778',
+        amount: 300,
+        date: '2024-03-04',
+        type: 'outbound',
+        method: 'transfer',
+        description: '166 SEPA-UEBERWEISUNG Office lease March Landlord Properties'
+      }),
+      expect.objectContaining({
+        id: 'B-779',
+        amount: 1200.75,
+        type: 'inbound',
+        reference: 'INV-88',
+        description: 'Payment from Umbrella Corp'
+      })
+    ]);
+    expect(statement.balances.map(b => [b.kind, b.balance, b.date, b.currency])).toEqual([
+      ['opening', 2500, '2024-03-01', 'EUR'],
+      ['closing', 3400.75, '2024-03-31', 'EUR']
+    ]);
+  });
+
+  test('rejects files without statements', () => {
+    expect(() => parseBankStatement('not a statement', 'mt940')).toThrow('Invalid MT940 statement: no statements found');
+  });
+
+  test('feeds payments and balances through the ingestion pipeline', () => {
+    const { data, validation, diagnostics } = ingestFinancialData(mt940, {
+      format: 'mt940',
+      fileName: 'march.sta',
+      reportingCurrency: 'EUR'
+    });
+
+    expect(validation.isValid).toBe(true);
+    expect(data.payments).toHaveLength(2);
+    expect(data.balances).toHaveLength(2);
+    expect(diagnostics[0]).toEqual({
+      category: 'payments',
+      reason: 'transaction in MT940 statement for Bank 10020030/1234567',
+      source: { file: 'march.sta', statement: 1, entry: 0 },
+      index: 0
+    });
+  });
+
+  test('accepts the statement MIME types the upload middleware accepts', () => {
+    expect(validateFileUpload({ mimetype: 'application/x-ofx', originalname: 'march.ofx', size: 2048 })).toEqual({ isValid: true, errors: [] });
+    expect(validateFileUpload({ mimetype: 'application/pdf', originalname: 'march.pdf', size: 11 * 1024 * 1024 }).errors).toEqual([
+      'File size exceeds 10MB limit',
+      expect.stringMatching(/^Invalid file type\. Allowed types: text\/csv, .*text\/xml$/)
+    ]);
+  });
+
+  test('accepts untyped uploads only with a statement extension', () => {
+    expect(isAllowedFileType({ mimetype: 'application/octet-stream', originalname: 'March.STA' })).toBe(true);
+    expect(isAllowedFileType({ mimetype: 'application/octet-stream', originalname: 'statement.940' })).toBe(true);
+    expect(isAllowedFileType({ mimetype: 'text/plain', originalname: 'expenses.csv' })).toBe(true);
+    expect(isAllowedFileType({ mimetype: 'application/octet-stream', originalname: 'expenses.csv' })).toBe(false);
+    expect(isAllowedFileType({ mimetype: 'application/octet-stream', originalname: 'setup.exe' })).toBe(false);
+    expect(isAllowedFileType({ mimetype: 'application/octet-stream', originalname: 'sta' })).toBe(false);
+    expect(isAllowedFileType({ mimetype: 'text/plain', originalname: 'notes.txt' })).toBe(false);
+  });
+});
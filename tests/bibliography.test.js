@@ -0,0 +1,157 @@
+import bibliography from '../src/research/bibliography.cjs';
+
+const { escapeLatex, toReference, assignCitationKeys, toBibTeX, exportPapers, parseLibrary, resolveEntries } = bibliography;
+
+const attention = {
+  paperId: 'p1',
+  title: 'Attention Is All You Need',
+  authors: [{ name: 'Ashish Vaswani' }, { name: 'Noam Shazeer' }],
+  year: 2017,
+  venue: 'Neural Information Processing Systems',
+  url: 'https://www.semanticscholar.org/paper/p1',
+  externalIds: { DOI: '10.5555/3295222', ArXiv: '1706.03762' }
+};
+
+describe('Bibliography', () => {
+  test('normalizes papers and assigns unique citation keys', () => {
+    const references = assignCitationKeys([
+      toReference(attention),
+      toReference({ paperId: 'p2', title: 'The Attention Mechanism', authors: [{ name: 'Müller Vaswani' }], year: 2017 }),
+      toReference({ paperId: 'p3', title: 'On Élan', authors: [], year: null })
+    ]);
+
+    expect(references[0]).toMatchObject({ authors: ['Ashish Vaswani', 'Noam Shazeer'], doi: '10.5555/3295222', arxivId: '1706.03762' });
+    expect(references.map(reference => reference.key)).toEqual(['vaswani2017attentiona', 'vaswani2017attentionb', 'anonndelan']);
+  });
+
+  test('renders BibTeX with escaped values', () => {
+    const [reference] = assignCitationKeys([toReference({ ...attention, title: 'Costs & Benefits of 100% Recall' })]);
+    const bibtex = toBibTeX([reference, { ...reference, key: 'misc1', venue: null, doi: null, arxivId: null }]);
+
+    expect(bibtex).toMatch(/^@article\{vaswani2017costs,\n {2}title = \{\{Costs \\& Benefits of 100\\% Recall\}\},/);
+    expect(bibtex).toMatch(/author = \{Ashish Vaswani and Noam Shazeer\}/);
+    expect(bibtex).toMatch(/doi = \{10\.5555\/3295222\},\n {2}eprint = \{1706\.03762\},\n {2}archivePrefix = \{arXiv\}/);
+    expect(bibtex).toMatch(/@misc\{misc1,/);
+    expect(escapeLatex('a_b {c} ~ ^')).toBe('a\\_b \\{c\\} \\textasciitilde{} \\textasciicircum{}');
+  });
+});
+
+describe('Bibliography export', () => {
+  test('keeps citation keys stable whatever the result order', () => {
+    const twin = { ...attention, paperId: 'p0', url: 'https://www.semanticscholar.org/paper/p0', externalIds: {} };
+    const forward = exportPapers([attention, twin], 'csl-json');
+    const backward = exportPapers([twin, attention], 'csl-json');
+
+    const keysById = items => Object.fromEntries(JSON.parse(items).map(item => [item.URL || item.id, item.id]));
+    expect(keysById(forward)).toEqual(keysById(backward));
+    expect(keysById(forward)['https://www.semanticscholar.org/paper/p0']).toBe('vaswani2017attentiona');
+  });
+
+  test('renders RIS and CSL-JSON', () => {
+    const ris = exportPapers([{ ...attention, abstract: 'The dominant sequence\ntransduction models...' }], 'ris');
+    expect(ris.split('\n')).toEqual([
+      'TY  - JOUR',
+      'ID  - vaswani2017attention',
+      'TI  - Attention Is All You Need',
+      'AU  - Vaswani, Ashish',
+      'AU  - Shazeer, Noam',
+      'PY  - 2017',
+      'JO  - Neural Information Processing Systems',
+      'DO  - 10.5555/3295222',
+      'UR  - https://www.semanticscholar.org/paper/p1',
+      'AB  - The dominant sequence transduction models...',
+      'ER  -'
+    ]);
+
+    const [item] = JSON.parse(exportPapers([attention], 'csl-json'));
+    expect(item).toEqual({
+      id: 'vaswani2017attention',
+      type: 'article-journal',
+      title: 'Attention Is All You Need',
+      author: [{ family: 'Vaswani', given: 'Ashish' }, { family: 'Shazeer', given: 'Noam' }],
+      issued: { 'date-parts': [[2017]] },
+      'container-title': 'Neural Information Processing Systems',
+      DOI: '10.5555/3295222',
+      URL: 'https://www.semanticscholar.org/paper/p1'
+    });
+    expect(() => exportPapers([attention], 'endnote')).toThrow(/Unknown bibliography format/);
+  });
+});
+
+describe('Bibliography import', () => {
+  test('parses BibTeX entries with nested braces, quotes and accents', () => {
+    const entries = parseLibrary(`
+      @string{nips = "NeurIPS"}
+      @inproceedings{vaswani2017,
+        title = {Attention Is {All} You Need},
+        author = {Vaswani, Ashish and Shazeer, Noam},
+        booktitle = "Advances in Neural Information Processing Systems",
+        year = 2017,
+        doi = {https://doi.org/10.5555/3295222},
+      }
+      @article{muller2020, title={{\\"U}ber \\& {\\'e}tudes}, author={J{\\"o}rg M{\\"u}ller}, year={2020},
+        eprint={2001.00001}, archivePrefix={arXiv}}
+    `, 'library.bib');
+
+    expect(entries).toEqual([
+      {
+        key: 'vaswani2017',
+        type: 'inproceedings',
+        title: 'Attention Is All You Need',
+        authors: ['Ashish Vaswani', 'Noam Shazeer'],
+        year: 2017,
+        venue: 'Advances in Neural Information Processing Systems',
+        doi: '10.5555/3295222',
+        arxivId: null,
+        url: null
+      },
+      expect.objectContaining({ key: 'muller2020', title: 'Über & études', authors: ['Jörg Müller'], arxivId: '2001.00001' })
+    ]);
+  });
+
+  test('parses RIS records and round-trips exported ones', () => {
+    const ris = exportPapers([attention], 'ris');
+    expect(parseLibrary(`${ris}\n\nTY  - GEN\nT1  - Untitled notes\nY1  - 2021/05/01\nER  - \n`, 'export.ris')).toEqual([
+      expect.objectContaining({
+        key: 'vaswani2017attention',
+        title: 'Attention Is All You Need',
+        authors: ['Ashish Vaswani', 'Noam Shazeer'],
+        year: 2017,
+        doi: '10.5555/3295222'
+      }),
+      expect.objectContaining({ type: 'GEN', title: 'Untitled notes', year: 2021, doi: null })
+    ]);
+  });
+
+  test('resolves entries by DOI, then arXiv id, then title', async () => {
+    const notFound = () => Object.assign(new Error('Not Found'), { response: { status: 404 } });
+    const api = {
+      getPaperDetails: jest.fn(async id => {
+        if (id === 'DOI:10.1/known') return { paperId: 'byDoi' };
+        if (id === 'ARXIV:2001.00001') return { paperId: 'byArxiv' };
+        throw notFound();
+      }),
+      matchTitle: jest.fn(async title => {
+        if (title === 'A Findable Title') return { paperId: 'byTitle' };
+        throw notFound();
+      })
+    };
+
+    const resolved = await resolveEntries(api, [
+      { key: 'a', doi: '10.1/known', title: 'Anything' },
+      { key: 'b', doi: '10.1/unknown', arxivId: '2001.00001', title: 'Anything' },
+      { key: 'c', doi: '10.1/unknown', title: 'A Findable Title' },
+      { key: 'd', title: 'Lost Paper' }
+    ]);
+
+    expect(resolved.map(item => [item.entry.key, item.paper && item.paper.paperId, item.resolvedBy])).toEqual([
+      ['a', 'byDoi', 'doi'],
+      ['b', 'byArxiv', 'arxiv'],
+      ['c', 'byTitle', 'title'],
+      ['d', null, null]
+    ]);
+
+    api.matchTitle.mockRejectedValueOnce(Object.assign(new Error('HTTP 503'), { response: { status: 503 } }));
+    await expect(resolveEntries(api, [{ key: 'e', title: 'Lost Paper' }])).rejects.toThrow('HTTP 503');
+  });
+});
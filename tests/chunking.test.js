@@ -0,0 +1,153 @@
+/** @jest-environment node */
+import request from 'supertest';
+import app from '../src/server.js';
+import { config } from '../src/config/index.js';
+import { estimateTokens, aggregateFinancialData, chunkRecords } from '../src/services/chunking.js';
+import { analyzeFinancialData } from '../src/services/llmClient.js';
+import { setProvider } from '../src/services/providers/index.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// 60 invoices and 60 expenses across three months and 60 vendors
+const largeData = () => ({
+  invoices: Array.from({ length: 60 }, (_, i) => ({
+    id: `inv_${i}`, customer: `Customer ${i % 3}`, amount: 1000 + i, date: `2024-0${1 + (i % 3)}-10`, status: 'paid'
+  })),
+  expenses: Array.from({ length: 60 }, (_, i) => ({
+    id: `exp_${i}`, vendor: `Vendor ${i}`, category: i % 2 ? 'rent' : 'software', amount: 100 + i, date: `2024-0${1 + (i % 3)}-20`
+  })),
+  payments: [],
+  balances: [{ account: 'Operating Cash', balance: 50000, date: '2024-03-31' }],
+  metadata: { source: 'test', reportingCurrency: 'USD' }
+});
+
+const analysis = {
+  cashFlowCommentary: 'Stable.',
+  anomalyExplanations: [],
+  procurementSuggestions: [],
+  dataQuality: { completeness: 100, accuracy: 100, issues: [], recommendations: [] },
+  summary: 'Merged from chunk findings.'
+};
+
+// Answers chunk reviews with findings naming the chunk, and the final prompt with an analysis
+const mapReduceProvider = () => {
+  const calls = [];
+  return {
+    name: 'fake',
+    model: 'fake-model',
+    calls,
+    async complete(req) {
+      calls.push(req);
+      const part = /reviewing part (\d+) of/.exec(req.messages[0].content);
+      const content = part
+        ? { observations: [`Observation from part ${part[1]}`], dataQualityIssues: [], procurementIdeas: [] }
+        : analysis;
+      return { content: JSON.stringify(content) };
+    }
+  };
+};
+
+describe('Chunking', () => {
+  test('estimates about four characters per token, rounding up', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(undefined)).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  test('splits records into chunks under the token budget, keeping categories and order', () => {
+    const data = largeData();
+    const chunks = chunkRecords(data, 500);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      const tokens = Object.values(chunk).flat().reduce((total, record) => total + estimateTokens(JSON.stringify(record)) + 1, 0);
+      expect(tokens).toBeLessThanOrEqual(500);
+    });
+    expect(chunks.flatMap(chunk => chunk.invoices)).toEqual(data.invoices);
+    expect(chunks.flatMap(chunk => chunk.expenses)).toEqual(data.expenses);
+  });
+
+  test('gives a record larger than the budget a chunk of its own', () => {
+    const big = { id: 'exp_big', description: 'x'.repeat(400), amount: 1 };
+    const chunks = chunkRecords({ expenses: [{ id: 'exp_1', amount: 1 }, big, { id: 'exp_2', amount: 2 }] }, 20);
+    expect(chunks.map(chunk => chunk.expenses.map(record => record.id))).toEqual([['exp_1'], ['exp_big'], ['exp_2']]);
+    expect(chunkRecords({}, 20)).toEqual([]);
+  });
+
+  test('aggregates by month and folds counterparties beyond the top 50 into "(other)"', () => {
+    const aggregates = aggregateFinancialData(largeData());
+
+    expect(aggregates.counts).toEqual({ invoices: 60, expenses: 60, payments: 0, balances: 1 });
+    expect(Object.keys(aggregates.byMonth)).toEqual(['2024-01', '2024-02', '2024-03']);
+    expect(Object.keys(aggregates.byVendor)).toHaveLength(51);
+    expect(aggregates.byVendor['(other)'].count).toBe(10);
+    expect(aggregates.latestBalances['Operating Cash'].balance).toBe(50000);
+  });
+});
+
+describe('Token budget and map-reduce', () => {
+  const llm = { ...config.llm };
+
+  afterEach(() => {
+    Object.assign(config.llm, llm);
+    setProvider(null);
+  });
+
+  test('reviews chunks of a dataset too large for one prompt and merges their findings', async () => {
+    const provider = mapReduceProvider();
+    setProvider(provider);
+    Object.assign(config.llm, { contextWindow: 9500, maxTokens: 1000, chunkTokens: 1500 });
+    const progress = [];
+
+    const result = await analyzeFinancialData(largeData(), { onProgress: (stage, fraction) => progress.push([stage, fraction]) });
+
+    const chunkCalls = provider.calls.slice(0, -1);
+    const finalPrompt = provider.calls[provider.calls.length - 1].messages[0].content;
+    expect(result.promptStrategy).toBe('map-reduce');
+    expect(chunkCalls.length).toBeGreaterThan(1);
+    expect(finalPrompt).toContain('**Aggregated Financial Data**');
+    chunkCalls.forEach((call, index) => expect(finalPrompt).toContain(`Observation from part ${index + 1}`));
+    // Raw records only reach the model through the chunk reviews
+    expect(finalPrompt).not.toContain('"exp_59"');
+    expect(progress[progress.length - 1]).toEqual(['merge', 0]);
+    expect(result.summary).toBe('Merged from chunk findings.');
+  });
+
+  test('rejects a plan over the budget before calling the model', async () => {
+    const provider = mapReduceProvider();
+    setProvider(provider);
+    Object.assign(config.llm, { tokenBudget: 1000 });
+
+    await expect(analyzeFinancialData(largeData())).rejects.toMatchObject({
+      code: 'TOKEN_BUDGET_EXCEEDED',
+      details: { limit: 1000, chunks: 0 }
+    });
+    expect(provider.calls).toHaveLength(0);
+  });
+
+  test('rejects a dataset whose merged prompt cannot fit the context window', async () => {
+    setProvider(mapReduceProvider());
+    Object.assign(config.llm, { contextWindow: 6000, maxTokens: 1000, chunkTokens: 200 });
+
+    await expect(analyzeFinancialData(largeData())).rejects.toMatchObject({
+      code: 'TOKEN_BUDGET_EXCEEDED',
+      message: expect.stringMatching(/Split the data by period/)
+    });
+  });
+
+  test('POST /api/analyze - should return 413 when the analysis exceeds the token budget', async () => {
+    setProvider(mapReduceProvider());
+    Object.assign(config.llm, { tokenBudget: 1000 });
+
+    const response = await request(app)
+      .post('/api/analyze')
+      .send({ data: largeData() })
+      .expect(413);
+
+    expect(response.body).toMatchObject({ error: 'Dataset too large', details: { limit: 1000 } });
+    expect(response.body.message).toMatch(/exceeding the budget of 1000/);
+  });
+});
@@ -0,0 +1,104 @@
+import citationGraph from '../src/research/citationGraph.cjs';
+
+const { fetchPaperLinks, buildCitationGraph, rankNodes, exportGraph } = citationGraph;
+
+// A small field: S cites A and B; C and D cite S, A and B; E cites C
+const PAPERS = {
+  S: { paperId: 'S', title: 'Seed paper', year: 2020, externalIds: { DOI: '10.1/s' } },
+  A: { paperId: 'A', title: 'Foundations', year: 2010 },
+  B: { paperId: 'B', title: 'Methods <& tricks>', year: 2012 },
+  C: { paperId: 'C', title: 'Follow-up "one"', year: 2021 },
+  D: { paperId: 'D', title: 'Follow-up two', year: 2022 },
+  E: { paperId: 'E', title: 'Survey', year: 2023 }
+};
+const CITES = { S: ['A', 'B'], C: ['S', 'A', 'B'], D: ['S', 'A', 'B'], E: ['C'], A: [], B: [] };
+
+const api = () => ({
+  getPaperDetails: jest.fn(async id => (id === 'DOI:10.1/s' ? PAPERS.S : PAPERS[id])),
+  getReferences: jest.fn(async id => (CITES[id] || []).map(ref => PAPERS[ref])),
+  getCitations: jest.fn(async id => Object.keys(CITES).filter(citing => CITES[citing].includes(id)).map(citing => PAPERS[citing]))
+});
+
+describe('Citation graph', () => {
+  test('follows pages of citations and skips unresolved papers', async () => {
+    const pages = [
+      { offset: 0, next: 2, data: [{ citingPaper: PAPERS.C }, { citingPaper: { paperId: null, title: 'Unresolved' } }] },
+      { offset: 2, data: [{ citingPaper: PAPERS.D }] }
+    ];
+    const s2Get = jest.fn(async () => pages.shift());
+
+    const papers = await fetchPaperLinks(s2Get, 'S', 'citations', 10);
+
+    expect(papers.map(paper => paper.paperId)).toEqual(['C', null, 'D']);
+    expect(s2Get.mock.calls[0][0]).toBe('/paper/S/citations');
+    expect(s2Get.mock.calls[0][1].fields).toMatch(/^citingPaper\.paperId,citingPaper\.title/);
+    expect(s2Get.mock.calls[1][1]).toMatchObject({ offset: 2, limit: 8 });
+  });
+
+  test('snowballs both directions to N hops without duplicates', async () => {
+    const oneHop = await buildCitationGraph(api(), ['DOI:10.1/s'], { hops: 1 });
+    expect(oneHop.seeds).toEqual(['S']);
+    expect(oneHop.nodes.map(node => node.paperId).sort()).toEqual(['A', 'B', 'C', 'D', 'S']);
+    expect(oneHop.nodes.find(node => node.paperId === 'S')).toMatchObject({ seed: true, hop: 0 });
+
+    const twoHops = await buildCitationGraph(api(), ['S'], { hops: 2 });
+    expect(twoHops.nodes.map(node => node.paperId).sort()).toEqual(['A', 'B', 'C', 'D', 'E', 'S']);
+    expect(twoHops.nodes.find(node => node.paperId === 'E').hop).toBe(2);
+    // C -> A is found again from A's side; it is kept once
+    const keys = twoHops.edges.map(({ source, target }) => `${source}>${target}`);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(keys).toEqual(expect.arrayContaining(['S>A', 'C>S', 'C>A', 'E>C']));
+
+    const backward = await buildCitationGraph(api(), ['S'], { hops: 2, direction: 'backward' });
+    expect(backward.nodes.map(node => node.paperId).sort()).toEqual(['A', 'B', 'S']);
+  });
+
+  test('stops adding papers at maxNodes and validates options', async () => {
+    const capped = await buildCitationGraph(api(), ['S'], { hops: 2, maxNodes: 3 });
+    expect(capped.nodes).toHaveLength(3);
+    const ids = new Set(capped.nodes.map(node => node.paperId));
+    expect(capped.edges.every(({ source, target }) => ids.has(source) && ids.has(target))).toBe(true);
+
+    await expect(buildCitationGraph(api(), [], {})).rejects.toMatchObject({ code: 'INVALID_GRAPH_REQUEST' });
+    await expect(buildCitationGraph(api(), ['S'], { direction: 'sideways' })).rejects.toThrow(/Unknown direction/);
+    await expect(buildCitationGraph(api(), ['missing'], {})).rejects.toThrow(/was not found/);
+  });
+
+  test('ranks papers by in-graph citations, co-citation and PageRank', async () => {
+    const graph = await buildCitationGraph(api(), ['S'], { hops: 2 });
+
+    const byCoCitation = rankNodes(graph, { by: 'co-citation' });
+    // C and D cite both S and A (and B), so A and B are co-cited with the seed twice
+    expect(byCoCitation.slice(0, 2).map(node => [node.paperId, node.coCitation]).sort()).toEqual([['A', 2], ['B', 2]]);
+    expect(byCoCitation.map(node => node.paperId)).not.toContain('S');
+
+    const byInDegree = rankNodes(graph, { by: 'in-degree', includeSeeds: true, limit: 3 });
+    expect(byInDegree.map(node => node.inDegree)).toEqual([3, 3, 2]);
+
+    const byPageRank = rankNodes(graph, { includeSeeds: true });
+    expect(byPageRank.reduce((sum, node) => sum + node.pageRank, 0)).toBeCloseTo(1, 4);
+    expect(byPageRank[byPageRank.length - 1].paperId).toBe('E');
+    expect(() => rankNodes(graph, { by: 'vibes' })).toThrow(/Unknown ranking/);
+  });
+
+  test('exports JSON, GraphML and DOT', async () => {
+    const graph = await buildCitationGraph(api(), ['S'], { hops: 1 });
+
+    const json = JSON.parse(exportGraph(graph, 'json'));
+    // Only the seed was expanded, so C -> A is not known after one hop
+    expect(json.nodes.find(node => node.paperId === 'A')).toMatchObject({ inDegree: 1, coCitation: 0 });
+    expect(json.edges).toHaveLength(graph.edges.length);
+
+    const graphml = exportGraph(graph, 'graphml');
+    expect(graphml).toMatch(/<graph id="citations" edgedefault="directed">/);
+    expect(graphml).toMatch(/<data key="title">Methods &lt;&amp; tricks&gt;<\/data>/);
+    expect(graphml).toMatch(/<data key="doi">10\.1\/s<\/data>/);
+    expect(graphml.match(/<edge /g)).toHaveLength(graph.edges.length);
+
+    const dot = exportGraph(graph, 'dot');
+    expect(dot).toMatch(/^digraph citations \{/);
+    expect(dot).toMatch(/"C" \[label="Follow-up \\"one\\" \(2021\)"\];/);
+    expect(dot).toMatch(/"S" -> "A";/);
+    expect(() => exportGraph(graph, 'png')).toThrow(/Unknown graph format/);
+  });
+});
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  sniffColumns,
+  suggestMapping,
+  applyMapping,
+  validateMapping
+} from '../src/services/columnMapping.js';
+import { createMappingProfileStore } from '../src/services/mappingProfiles.js';
+import { ingestFinancialData } from '../src/services/ingestion.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const exportRows = [
+  { 'Txn Date': '03/01/2024', Amt: '$1,200.50', Supplier: 'Acme Corp', Memo: 'Office chairs', Ref: 'PO-1' },
+  { 'Txn Date': '03/04/2024', Amt: '$89.00', Supplier: 'Paper Co', Memo: 'Printer paper', Ref: 'PO-2' }
+];
+
+describe('Column mapping suggestions', () => {
+  test('infers column types from values', () => {
+    const columns = sniffColumns(exportRows);
+
+    expect(columns.map(c => [c.name, c.inferredType])).toEqual([
+      ['Txn Date', 'date'],
+      ['Amt', 'number'],
+      ['Supplier', 'string'],
+      ['Memo', 'string'],
+      ['Ref', 'string']
+    ]);
+    expect(columns[2].samples).toEqual(['Acme Corp', 'Paper Co']);
+  });
+
+  test('maps abbreviated export headers onto expense fields', () => {
+    const suggestion = suggestMapping(sniffColumns(exportRows));
+    const fields = Object.fromEntries(suggestion.columns.map(c => [c.column, c.field]));
+
+    expect(suggestion.category.value).toBe('expenses');
+    expect(fields).toEqual({
+      'Txn Date': 'date',
+      Amt: 'amount',
+      Supplier: 'vendor',
+      Memo: 'description',
+      Ref: 'id'
+    });
+    expect(suggestion.columns.find(c => c.column === 'Amt').confidence).toBeGreaterThan(0.9);
+    expect(suggestion.columns.find(c => c.column === 'Supplier').reason).toBe('header "Supplier" is a known name for vendor');
+  });
+
+  test('lowers confidence when values do not fit the field', () => {
+    const suggestion = suggestMapping(sniffColumns([
+      { Date: 'soon', Amount: 'n/a', Client: 'Globex' },
+      { Date: 'later', Amount: 'tbd', Client: 'Initech' }
+    ]));
+
+    expect(suggestion.category.value).toBe('invoices');
+    expect(suggestion.columns.find(c => c.column === 'Amount')).toMatchObject({
+      field: 'amount',
+      confidence: 0.38
+    });
+  });
+});
+
+describe('Applying a mapping', () => {
+  test('renames columns and converts values', () => {
+    const mapping = { category: 'expenses', columns: { 'Txn Date': 'date', Amt: 'amount', Supplier: 'vendor', Memo: null, Ref: 'id' } };
+
+    expect(applyMapping(exportRows[0], mapping)).toEqual({
+      date: '2024-03-01',
+      amount: 1200.5,
+      vendor: 'Acme Corp',
+      id: 'PO-1'
+    });
+  });
+
+  test('derives payment direction from signed amounts and normalizes type values', () => {
+    const signed = { category: 'payments', columns: { Date: 'date', Amount: 'amount' } };
+    const typed = { category: 'payments', columns: { Date: 'date', Amount: 'amount', 'Dr/Cr': 'type' } };
+
+    expect(applyMapping({ Date: '2024-03-02', Amount: -250 }, signed))
+      .toEqual({ date: '2024-03-02', amount: 250, type: 'outbound' });
+    expect(applyMapping({ Date: '2024-03-02', Amount: 250, 'Dr/Cr': 'CR' }, typed))
+      .toEqual({ date: '2024-03-02', amount: 250, type: 'inbound' });
+  });
+
+  test('rejects mappings that miss required fields or map a field twice', () => {
+    expect(() => validateMapping({ category: 'expenses', columns: { Amt: 'amount', Other: 'amount' } }))
+      .toThrow('Invalid column mapping: "amount" is mapped more than once; required field "date" is not mapped');
+    expect(() => validateMapping({ category: 'ledger', columns: {} })).toThrow(/category must be one of/);
+  });
+
+  test('confirmed mappings replace keyword detection in the pipeline', () => {
+    const csv = 'Txn Date,Amt,Supplier\n2024-03-01,"$1,200.50",Acme Corp\n';
+    const { data, validation, diagnostics } = ingestFinancialData(csv, {
+      format: 'csv',
+      mappings: [{ category: 'expenses', columns: { 'Txn Date': 'date', Amt: 'amount', Supplier: 'vendor' } }]
+    });
+
+    expect(validation.isValid).toBe(true);
+    expect(data.expenses).toEqual([{ date: '2024-03-01', amount: 1200.5, vendor: 'Acme Corp', currency: 'USD' }]);
+    expect(diagnostics[0].reason).toBe('column mapping confirmed by user');
+  });
+});
+
+describe('Mapping profiles', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-profiles-'));
+    store = createMappingProfileStore(path.join(dir, 'profiles.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('saves profiles by name and matches exports with the same columns', () => {
+    store.save({ name: 'QuickBooks expenses', category: 'expenses', columns: { 'Txn Date': 'date', Amt: 'amount', Memo: null } });
+    store.save({ name: 'QuickBooks expenses', category: 'expenses', columns: { 'Txn Date': 'date', Amt: 'amount', Supplier: 'vendor' } });
+
+    expect(store.list()).toHaveLength(1);
+    expect(store.match(['Txn Date', 'Amt', 'Supplier', 'Ref'])).toMatchObject({
+      profile: { name: 'QuickBooks expenses' },
+      coverage: 0.75
+    });
+    expect(store.match(['Date', 'Amount'])).toBeNull();
+    expect(store.remove('QuickBooks expenses')).toBe(true);
+    expect(store.remove('QuickBooks expenses')).toBe(false);
+  });
+});
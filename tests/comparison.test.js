@@ -0,0 +1,79 @@
+import { compareFinancialData } from '../src/services/comparison.js';
+
+const data = {
+  invoices: [
+    { id: 'inv_1', customer: 'Globex', amount: 5000, date: '2024-03-05', status: 'paid' },
+    { id: 'inv_2', customer: 'Initech', amount: 3000, date: '2024-03-20', status: 'paid' },
+    { id: 'inv_3', customer: 'Globex', amount: 9000, date: '2024-04-04', status: 'paid' },
+    { id: 'inv_4', customer: 'Initech', amount: 2500, date: '2024-04-18', status: 'paid' },
+    { id: 'inv_5', customer: 'Umbrella', amount: 4000, date: '2024-04-22', status: 'cancelled' }
+  ],
+  expenses: [
+    { id: 'exp_1', vendor: 'Acme Rent', category: 'rent', amount: 2000, date: '2024-03-01', status: 'paid' },
+    { id: 'exp_2', vendor: 'Cloudco', category: 'software', amount: 400, date: '2024-03-12', status: 'paid' },
+    { id: 'exp_3', vendor: 'Acme Rent', category: 'rent', amount: 2000, date: '2024-04-01', status: 'paid' },
+    { id: 'exp_4', vendor: 'Cloudco', category: 'software', amount: 1600, date: '2024-04-12', status: 'paid' },
+    { id: 'exp_5', vendor: 'Cloudco', category: 'software', amount: 1600, date: '2024-04-12', status: 'paid' }
+  ],
+  payments: [],
+  balances: [{ account: 'Operating Cash', balance: 20000, date: '2024-02-29' }],
+  metadata: { source: 'test', reportingCurrency: 'USD' }
+};
+
+const march = { data, period: { start: '2024-03-01', end: '2024-03-31' }, label: 'March' };
+const april = { data, period: { start: '2024-04-01', end: '2024-04-30' }, label: 'April' };
+
+describe('Period-over-period comparison', () => {
+  test('diffs KPI inputs and KPIs with improvement direction', () => {
+    const comparison = compareFinancialData(march, april);
+
+    expect(comparison.base).toMatchObject({ label: 'March', period: { start: '2024-03-01', end: '2024-03-31' } });
+    expect(comparison.inputs.find(input => input.metric === 'revenue')).toEqual({
+      metric: 'revenue',
+      base: 8000,
+      current: 11500,
+      change: 3500,
+      changePct: 43.8
+    });
+    expect(comparison.inputs.find(input => input.metric === 'totalExpenses')).toMatchObject({
+      base: 2400,
+      current: 5200,
+      change: 2800
+    });
+
+    // More cash generated per month: a falling burn rate is an improvement
+    const burnRate = comparison.kpis.find(kpi => kpi.kpi === 'burnRate');
+    expect(burnRate.current).toBeLessThan(burnRate.base);
+    expect(burnRate.direction).toBe('improved');
+    expect(comparison.kpis.find(kpi => kpi.kpi === 'grossMargin').direction).toBe('unchanged');
+  });
+
+  test('names the customers, vendors and categories behind the change', () => {
+    const { drivers, highlights } = compareFinancialData(march, april);
+
+    expect(drivers.find(d => d.dimension === 'customer').items).toEqual([
+      { key: 'Globex', base: 5000, current: 9000, change: 4000, share: 1.1429 },
+      { key: 'Initech', base: 3000, current: 2500, change: -500, share: -0.1429 }
+    ]);
+    expect(drivers.find(d => d.dimension === 'vendor').items).toEqual([
+      { key: 'Cloudco', base: 400, current: 3200, change: 2800, share: 1 }
+    ]);
+    expect(highlights[0]).toBe('Revenue up +3,500 USD (+43.8%), largest customer change "Globex" +4,000 USD');
+  });
+
+  test('reports new and resolved anomalies', () => {
+    const { anomalies } = compareFinancialData(march, april);
+
+    expect(anomalies.resolved).toEqual([]);
+    expect(anomalies.new).toEqual(expect.arrayContaining([
+      expect.objectContaining({ rule: 'exact_duplicate', entryId: 'exp_5' })
+    ]));
+    expect(anomalies.byRule.find(rule => rule.rule === 'exact_duplicate')).toMatchObject({ base: 0, current: 1 });
+  });
+
+  test('refuses to compare different reporting currencies', () => {
+    const eur = { ...april, data: { ...data, metadata: { reportingCurrency: 'EUR' } } };
+
+    expect(() => compareFinancialData(march, eur)).toThrow(expect.objectContaining({ code: 'CURRENCY_MISMATCH' }));
+  });
+});
@@ -0,0 +1,246 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { flushSync } from 'react-dom';
+import KPICards from '../src/config/components/KPICards.js';
+import CashFlowForecast from '../src/config/components/CashFlowForecast.js';
+import AnomalyTable from '../src/config/components/AnomalyTable.js';
+import DataQualityGauge from '../src/config/components/DataQualityGauge.js';
+import ProcurementSuggestions from '../src/config/components/ProcurementSuggestions.js';
+import {
+  formatNumber,
+  formatCurrency,
+  formatKPI,
+  labelFromKey,
+  severityColor
+} from '../src/config/components/formatting.js';
+
+// recharts' ResponsiveContainer measures itself with ResizeObserver, which jsdom lacks
+global.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+let container;
+let root;
+
+// Renders and clicks synchronously so assertions see the committed DOM
+const render = (element) => {
+  flushSync(() => root.render(element));
+  return container;
+};
+
+const click = (element) => flushSync(() => {
+  element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+});
+
+// Element whose own text is `text`, ignoring icons and ripples rendered beside it
+const byText = (text) => [...document.body.querySelectorAll('*')]
+  .find(element => [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent === text));
+
+beforeEach(() => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  root.unmount();
+  container.remove();
+});
+
+describe('Dashboard formatting', () => {
+  test('formats missing values as a dash', () => {
+    expect(formatNumber(null)).toBe('—');
+    expect(formatNumber(undefined)).toBe('—');
+    expect(formatCurrency(null, 'USD')).toBe('—');
+    expect(formatKPI('grossMargin', null)).toBe('—');
+  });
+
+  test('formats currencies, falling back to a plain number for unknown codes', () => {
+    expect(formatCurrency(1200, 'USD')).toBe('$1,200');
+    expect(formatCurrency(1200.456, 'not-a-code')).toBe('1,200.46');
+    expect(formatCurrency(1200, undefined)).toBe('1,200');
+  });
+
+  test('formats gross margin as a percentage and other KPIs as numbers', () => {
+    expect(formatKPI('grossMargin', 0.3456)).toBe('34.6%');
+    expect(formatKPI('DSO', 45.678)).toBe('45.68');
+  });
+
+  test('labels keys and maps severities to colors', () => {
+    expect(labelFromKey('cashFlowCommentary')).toBe('Cash Flow Commentary');
+    expect(severityColor('HIGH')).toBe('error');
+    expect(severityColor('medium')).toBe('warning');
+    expect(severityColor('low')).toBe('success');
+    expect(severityColor(undefined)).toBe('default');
+  });
+});
+
+describe('KPICards', () => {
+  test('renders nothing without KPIs', () => {
+    expect(render(<KPICards />).innerHTML).toBe('');
+  });
+
+  test('shows n/a for KPIs that could not be computed and lists the notes', () => {
+    const text = render(
+      <KPICards
+        kpis={{ grossMargin: 0.45, DSO: null }}
+        period={{ start: '2024-01-01', end: '2024-03-31' }}
+        notes={['DSO needs invoices with payment dates.']}
+      />
+    ).textContent;
+
+    expect(text).toContain('Period 2024-01-01 to 2024-03-31');
+    expect(text).toContain('45.0%');
+    expect(text).toContain('Healthy');
+    expect(container.querySelectorAll('h5')).toHaveLength(6);
+    expect([...container.querySelectorAll('h5')].filter(value => value.textContent === 'n/a')).toHaveLength(5);
+    expect(text).toContain('DSO needs invoices with payment dates.');
+  });
+
+  test('formats burn rate in the reporting currency and reports model discrepancies', () => {
+    const text = render(
+      <KPICards
+        kpis={{ burnRate: 8500 }}
+        currency="USD"
+        discrepancies={[{ kpi: 'DSO', computed: 45, reported: 60 }]}
+      />
+    ).textContent;
+
+    expect(text).toContain('$8,500');
+    expect(text).toContain('DSO (days) 60 (computed 45)');
+  });
+});
+
+describe('CashFlowForecast', () => {
+  test('renders nothing without a forecast', () => {
+    expect(render(<CashFlowForecast />).innerHTML).toBe('');
+  });
+
+  test('explains an empty forecast with its first note', () => {
+    expect(render(<CashFlowForecast forecast={{ monthly: [], notes: ['No dated records.'] }} />).textContent)
+      .toBe('No dated records.');
+    expect(render(<CashFlowForecast forecast={{}} />).textContent)
+      .toBe('Not enough dated records to forecast cash flow.');
+  });
+
+  test('tabulates legacy month1..month3 totals without a range', () => {
+    render(
+      <CashFlowForecast
+        currency="USD"
+        forecast={{
+          month1: { inflow: 10000, outflow: 8000, netFlow: 2000, cumulativeBalance: 12000 },
+          month2: { inflow: 12000, outflow: 9000, netFlow: 3000, cumulativeBalance: 15000 }
+        }}
+      />
+    );
+
+    const rows = [...container.querySelectorAll('tbody tr')].map(row => [...row.cells].map(cell => cell.textContent));
+    expect(rows).toEqual([
+      ['Month 1', '$10,000', '$8,000', '$2,000', '$12,000', '—'],
+      ['Month 2', '$12,000', '$9,000', '$3,000', '$15,000', '—']
+    ]);
+    expect(container.textContent).toContain('Projected balance');
+  });
+
+  test('offers the daily view only when a daily series exists', () => {
+    const forecast = {
+      asOf: '2024-03-31',
+      openingBalance: 20000,
+      monthly: [{ month: 1, start: '2024-04-01', end: '2024-04-30', inflow: 1, outflow: 1, netFlow: 0, cumulativeBalance: 20000, low: 18000, high: 22000 }],
+      weekly: [{ end: '2024-04-07', cumulativeBalance: 20000 }]
+    };
+
+    render(<CashFlowForecast forecast={forecast} currency="USD" />);
+    expect(container.textContent).toContain('From 2024-03-31 with an opening balance of $20,000');
+    expect(container.textContent).toContain('$18,000 – $22,000');
+    expect(byText('Daily')).toBeUndefined();
+
+    render(<CashFlowForecast forecast={{ ...forecast, daily: [{ date: '2024-04-01', cumulativeBalance: 20000 }] }} />);
+    expect(byText('Daily')).toBeDefined();
+  });
+});
+
+describe('AnomalyTable', () => {
+  const anomalies = [
+    { anomalyId: 'A1', type: 'outlier', severity: 'low', entryId: 'exp_2', issue: 'Unusually large expense' },
+    { anomalyId: 'A2', type: 'duplicate', severity: 'high', entryId: 'exp_1', relatedEntryId: 'exp_3', issue: 'Rent booked twice', explanation: 'Same amount and date' }
+  ];
+  const issues = () => [...container.querySelectorAll('tbody tr')].map(row => row.cells[3].querySelector('p').textContent);
+
+  test('says so when there are no anomalies', () => {
+    expect(render(<AnomalyTable />).textContent).toBe('No anomalies detected.');
+    expect(render(<AnomalyTable anomalies={[]} />).textContent).toBe('No anomalies detected.');
+  });
+
+  test('sorts by severity and toggles the direction from the column header', () => {
+    render(<AnomalyTable anomalies={anomalies} />);
+    expect(issues()).toEqual(['Rent booked twice', 'Unusually large expense']);
+    expect(container.textContent).toContain('Same amount and date');
+    expect(byText('exp_3')).toBeDefined();
+
+    click(byText('Severity'));
+    expect(issues()).toEqual(['Unusually large expense', 'Rent booked twice']);
+  });
+
+  test('opens the source record behind a record chip', () => {
+    render(<AnomalyTable anomalies={anomalies} records={{ expenses: [{ id: 'exp_1', vendor: 'Acme Rent', amount: 2000, memo: null }] }} />);
+
+    click(byText('exp_1'));
+
+    const dialog = document.body.querySelector('[role="dialog"]');
+    expect(dialog.textContent).toContain('From expenses');
+    expect(dialog.textContent).toContain('Acme Rent');
+    expect(dialog.textContent).toContain('memo—');
+  });
+});
+
+describe('DataQualityGauge', () => {
+  test('renders nothing without data quality', () => {
+    expect(render(<DataQualityGauge />).innerHTML).toBe('');
+  });
+
+  test('defaults missing scores to zero and omits empty lists', () => {
+    const text = render(<DataQualityGauge dataQuality={{}} />).textContent;
+
+    expect(text).toBe('0%Completeness0%Accuracy');
+  });
+
+  test('lists issues and recommendations', () => {
+    const text = render(
+      <DataQualityGauge dataQuality={{ completeness: 92.4, accuracy: 71, issues: ['3 expenses lack a date'], recommendations: ['Export with dates'] }} />
+    ).textContent;
+
+    expect(text).toContain('92%Completeness71%Accuracy');
+    expect(text).toContain('Issues3 expenses lack a date');
+    expect(text).toContain('RecommendationsExport with dates');
+  });
+});
+
+describe('ProcurementSuggestions', () => {
+  test('says so when there are no suggestions', () => {
+    expect(render(<ProcurementSuggestions />).textContent).toBe('No savings suggestions.');
+    expect(render(<ProcurementSuggestions suggestions={[]} />).textContent).toBe('No savings suggestions.');
+  });
+
+  test('totals the savings and lists the largest first', () => {
+    render(
+      <ProcurementSuggestions
+        currency="USD"
+        suggestions={[
+          { category: 'software', suggestion: 'Drop unused seats', potentialSavings: 1200 },
+          { suggestion: 'Renegotiate rent' },
+          { category: 'office', suggestion: 'Buy in bulk', potentialSavings: 3000, implementation: 'Quarterly orders' }
+        ]}
+      />
+    );
+
+    expect(container.textContent).toContain('Total potential savings: $4,200');
+    expect([...container.querySelectorAll('li')].map(item => item.textContent)).toEqual([
+      'Buy in bulkoffice · Quarterly orders$3,000',
+      'Drop unused seatssoftware$1,200',
+      'Renegotiate rent—'
+    ]);
+  });
+});
@@ -0,0 +1,19 @@
+import { minOf, maxOf } from '../src/utils/extremes.js';
+
+describe('minOf and maxOf', () => {
+  test('compare numbers and dates, and return null for empty lists', () => {
+    expect(minOf([3, -1, 2])).toBe(-1);
+    expect(maxOf([3, -1, 2])).toBe(3);
+    expect(minOf([new Date('2024-03-01'), new Date('2024-01-01')])).toEqual(new Date('2024-01-01'));
+    expect(maxOf([new Date('2024-03-01'), new Date('2024-01-01')])).toEqual(new Date('2024-03-01'));
+    expect(minOf([])).toBeNull();
+    expect(maxOf([])).toBeNull();
+  });
+
+  test('handle lists too large to spread into Math.min/max', () => {
+    const values = Array.from({ length: 200000 }, (_, i) => (i * 7919) % 200000);
+    expect(() => Math.min(...values)).toThrow(RangeError);
+    expect(minOf(values)).toBe(0);
+    expect(maxOf(values)).toBe(199999);
+  });
+});
@@ -0,0 +1,71 @@
+import { forecastCashFlow, detectRecurring } from '../src/services/forecast.js';
+
+describe('Cash-flow forecaster', () => {
+  const rent = [1, 2, 3, 4, 5, 6].map(month => ({
+    id: `rent_${month}`,
+    date: `2024-0${month}-01`,
+    amount: 2000,
+    vendor: 'Landlord'
+  }));
+
+  const data = {
+    invoices: [
+      { id: 'inv_001', date: '2024-06-01', amount: 5000, status: 'pending' },
+      { id: 'inv_002', date: '2024-04-01', amount: 1000, status: 'overdue' },
+      { id: 'inv_003', date: '2024-05-01', amount: 3000, status: 'paid' }
+    ],
+    expenses: [...rent, { id: 'exp_001', date: '2024-05-20', amount: 900, vendor: 'Office Supplies Co' }],
+    payments: [],
+    balances: [
+      { account: 'Operating Checking', balance: 8000, date: '2024-05-01' },
+      { account: 'Operating Checking', balance: 10000, date: '2024-06-01' }
+    ]
+  };
+
+  test('builds a 90-day projection seeded from the latest balance', () => {
+    const forecast = forecastCashFlow(data);
+
+    expect(forecast.asOf).toBe('2024-06-01');
+    expect(forecast.openingBalance).toBe(10000);
+    expect(forecast.daily).toHaveLength(90);
+    expect(forecast.weekly).toHaveLength(13);
+    expect(forecast.monthly).toHaveLength(3);
+    expect(forecast.month3.cumulativeBalance).toBe(forecast.daily[89].cumulativeBalance);
+
+    const last = forecast.daily[89];
+    expect(last.low).toBeLessThanOrEqual(last.cumulativeBalance);
+    expect(last.high).toBeGreaterThanOrEqual(last.cumulativeBalance);
+  });
+
+  test('schedules open invoices weighted by collection probability', () => {
+    const { scheduledReceivables } = forecastCashFlow(data);
+
+    expect(scheduledReceivables).toEqual([
+      { invoiceId: 'inv_001', date: '2024-07-01', amount: 5000, probability: 0.95, expected: 4750 },
+      { invoiceId: 'inv_002', date: '2024-06-15', amount: 1000, probability: 0.7, expected: 700 }
+    ]);
+  });
+
+  test('detects monthly recurring expenses and projects them forward', () => {
+    const forecast = forecastCashFlow(data);
+
+    expect(forecast.recurringExpenses).toHaveLength(1);
+    expect(forecast.recurringExpenses[0]).toMatchObject({ key: 'landlord', cadence: 'monthly', amount: 2000 });
+    expect(forecast.daily.find(day => day.date === '2024-07-01').outflow).toBeGreaterThanOrEqual(2000);
+  });
+
+  test('ignores irregular expenses when detecting recurrence', () => {
+    const flows = ['2024-01-01', '2024-01-04', '2024-03-20'].map((date, i) => ({
+      id: `x_${i}`,
+      date: new Date(`${date}T00:00:00Z`),
+      amount: 100,
+      key: 'vendor'
+    }));
+
+    expect(detectRecurring(flows, new Date('2024-04-01T00:00:00Z'))).toEqual([]);
+  });
+
+  test('is reproducible for the same input', () => {
+    expect(forecastCashFlow(data)).toEqual(forecastCashFlow(data));
+  });
+});
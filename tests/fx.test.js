@@ -0,0 +1,94 @@
+import { createRateTable, convertToReportingCurrency, normalizeCurrency } from '../src/services/fx.js';
+import { computeKPIs } from '../src/services/kpis.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const rates = createRateTable([
+  { date: '2024-03-01', base: 'EUR', quote: 'USD', rate: 1.08 },
+  { date: '2024-03-15', base: 'EUR', quote: 'USD', rate: 1.10 },
+  { date: '2024-03-01', base: 'GBP', quote: 'USD', rate: 1.25 }
+]);
+const rateSource = { name: 'test', getRate: rates.getRate };
+
+describe('FX rate table', () => {
+  test('uses the latest rate on or before the date, inverse pairs and cross rates', () => {
+    expect(rates.getRate('EUR', 'USD', '2024-03-06')).toBe(1.08);
+    expect(rates.getRate('EUR', 'USD', '2024-03-16')).toBe(1.10);
+    expect(rates.getRate('USD', 'EUR', '2024-03-16')).toBeCloseTo(1 / 1.10, 10);
+    expect(rates.getRate('GBP', 'EUR', '2024-03-04')).toBeCloseTo(1.25 / 1.08, 10);
+  });
+
+  test('rejects rates older than the staleness limit and dates before the table', () => {
+    expect(rates.getRate('GBP', 'USD', '2024-03-20')).toBeNull();
+    expect(rates.getRate('EUR', 'USD', '2024-02-28')).toBeNull();
+  });
+
+  test('normalizes codes and common symbols', () => {
+    expect(normalizeCurrency(' eur ')).toBe('EUR');
+    expect(normalizeCurrency('£')).toBe('GBP');
+    expect(normalizeCurrency('euro')).toBeNull();
+  });
+});
+
+describe('Reporting currency conversion', () => {
+  const data = {
+    invoices: [{ id: 'inv_1', amount: 1000, date: '2024-03-04', currency: 'EUR' }],
+    expenses: [
+      { id: 'exp_1', amount: 500, date: '2024-03-05', currency: 'gbp' },
+      { id: 'exp_2', amount: 200, date: '2024-03-05' }
+    ],
+    payments: [],
+    balances: [{ account: 'Bank EU', balance: 2000, date: '2024-03-20', currency: 'EUR' }],
+    metadata: { source: 'test' }
+  };
+
+  test('converts amounts and balances and keeps the original values', () => {
+    const converted = convertToReportingCurrency(data, { reportingCurrency: 'USD', defaultCurrency: 'USD', rateSource });
+
+    expect(converted.invoices[0]).toEqual({
+      id: 'inv_1',
+      amount: 1080,
+      date: '2024-03-04',
+      currency: 'USD',
+      originalAmount: 1000,
+      originalCurrency: 'EUR',
+      fxRate: 1.08
+    });
+    expect(converted.expenses[0]).toMatchObject({ amount: 625, originalCurrency: 'GBP' });
+    expect(converted.expenses[1]).toEqual({ id: 'exp_2', amount: 200, date: '2024-03-05', currency: 'USD' });
+    expect(converted.balances[0]).toMatchObject({ balance: 2200, originalBalance: 2000, currency: 'USD' });
+    expect(converted.metadata).toEqual({
+      source: 'test',
+      reportingCurrency: 'USD',
+      fx: { source: 'test', convertedRecords: 3, currencies: ['EUR', 'GBP', 'USD'] }
+    });
+  });
+
+  test('reconverts from original values when the reporting currency changes', () => {
+    const usd = convertToReportingCurrency(data, { reportingCurrency: 'USD', defaultCurrency: 'USD', rateSource });
+    const eur = convertToReportingCurrency(usd, { reportingCurrency: 'EUR', defaultCurrency: 'USD', rateSource });
+
+    expect(eur.invoices[0]).toEqual({ id: 'inv_1', amount: 1000, date: '2024-03-04', currency: 'EUR' });
+    expect(eur.expenses[1]).toMatchObject({ amount: 185.19, originalAmount: 200, originalCurrency: 'USD' });
+  });
+
+  test('lists every missing rate instead of mixing currencies', () => {
+    const jpy = { ...data, payments: [{ amount: 5000, date: '2024-03-06', type: 'outbound', currency: 'JPY' }] };
+
+    expect(() => convertToReportingCurrency(jpy, { reportingCurrency: 'USD', rateSource }))
+      .toThrow(expect.objectContaining({
+        code: 'FX_RATE_MISSING',
+        details: [{ from: 'JPY', to: 'USD', date: '2024-03-06' }]
+      }));
+  });
+
+  test('KPIs of mixed-currency data are computed in the reporting currency', () => {
+    const converted = convertToReportingCurrency(data, { reportingCurrency: 'USD', defaultCurrency: 'USD', rateSource });
+    const { inputs } = computeKPIs(converted, { start: '2024-03-01', end: '2024-03-31' });
+
+    expect(inputs.revenue).toBe(1080);
+    expect(inputs.totalExpenses).toBe(825);
+  });
+});
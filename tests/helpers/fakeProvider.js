@@ -0,0 +1,18 @@
+/**
+ * LLM provider for tests: records every request and answers with the given
+ * responses in turn, repeating the last one
+ * @param {Array<Object>} responses - Response bodies, serialized as JSON
+ * @returns {Object} Provider exposing name, model, calls and complete()
+ */
+export const fakeProvider = responses => {
+  const calls = [];
+  return {
+    name: 'fake',
+    model: 'fake-model',
+    calls,
+    async complete(request) {
+      calls.push(request);
+      return { content: JSON.stringify(responses[Math.min(calls.length - 1, responses.length - 1)]) };
+    }
+  };
+};
@@ -0,0 +1,46 @@
+import { createJsonObjectStream } from '../src/utils/jsonStream.js';
+
+// Feeds `text` in pieces of `size` characters and collects the events
+const streamIn = (text, size) => {
+  const fields = [];
+  const texts = {};
+  const parser = createJsonObjectStream({
+    onField: (key, value) => fields.push([key, value]),
+    onText: (key, delta) => { texts[key] = (texts[key] || '') + delta; }
+  });
+  for (let start = 0; start < text.length; start += size) {
+    parser.push(text.slice(start, start + size));
+  }
+  return { fields, texts, parser };
+};
+
+const response = '```json\n{"cashFlowCommentary": "Cash is \\"tight\\"\\nin \\u00e9t\\u00e9", ' +
+  '"anomalyExplanations": [{"anomalyId": "A1", "explanation": "Duplicate, see {exp_5}"}], ' +
+  '"kpis": {"DSO": 41.5}, "summary": "Stable."}\n```';
+
+describe('Incremental JSON parsing', () => {
+  test.each([1, 5, 64, response.length])('reports complete fields in order with chunks of %i characters', size => {
+    const { fields, texts, parser } = streamIn(response, size);
+
+    expect(fields).toEqual([
+      ['cashFlowCommentary', 'Cash is "tight"\nin été'],
+      ['anomalyExplanations', [{ anomalyId: 'A1', explanation: 'Duplicate, see {exp_5}' }]],
+      ['kpis', { DSO: 41.5 }],
+      ['summary', 'Stable.']
+    ]);
+    expect(texts).toEqual({ cashFlowCommentary: 'Cash is "tight"\nin été', summary: 'Stable.' });
+    expect(parser.end().complete).toBe(true);
+  });
+
+  test('streams a string before it is complete and keeps what arrived when the stream stops', () => {
+    const texts = [];
+    const parser = createJsonObjectStream({ onText: (key, delta) => texts.push([key, delta]) });
+
+    parser.push('{"kpis": {"DSO": 4}, "summary": "Revenue gr');
+    parser.push('ew 12% \\');
+    parser.push('u00e9');
+
+    expect(texts).toEqual([['summary', 'Revenue gr'], ['summary', 'ew 12% '], ['summary', 'é']]);
+    expect(parser.end()).toEqual({ complete: false, fields: { kpis: { DSO: 4 } } });
+  });
+});
@@ -0,0 +1,66 @@
+import { computeKPIs, findKPIDiscrepancies, selectPeriod } from '../src/services/kpis.js';
+
+describe('KPI engine', () => {
+  const data = {
+    invoices: [
+      { id: 'inv_001', date: '2024-01-05', amount: 6000, status: 'paid' },
+      { id: 'inv_002', date: '2024-01-20', amount: 4000, status: 'pending' },
+      { id: 'inv_003', date: '2024-01-25', amount: 9999, status: 'cancelled' }
+    ],
+    expenses: [
+      { id: 'exp_001', date: '2024-01-10', amount: 3000, category: 'Materials' },
+      { id: 'exp_002', date: '2024-01-15', amount: 2000, category: 'facilities', status: 'unpaid' }
+    ],
+    payments: [
+      { id: 'pay_001', date: '2024-01-06', amount: 6000, type: 'inbound' },
+      { id: 'pay_002', date: '2024-01-11', amount: 3000, type: 'outbound' }
+    ],
+    balances: [
+      { account: 'Operating Checking', balance: 10000, date: '2023-12-31' },
+      { account: 'Operating Checking', balance: 13000, date: '2024-01-30' },
+      { account: 'Inventory', balance: 1000, date: '2024-01-30' },
+      { account: 'Accounts Payable', balance: -2000, date: '2024-01-30' },
+      { account: 'Operating Checking', balance: 99999, date: '2024-03-01' }
+    ]
+  };
+
+  test('selects the period spanned by dated records', () => {
+    const period = selectPeriod(data);
+    expect(period.start).toBe('2024-01-05');
+    expect(period.end).toBe('2024-01-25');
+    expect(period.days).toBe(21);
+  });
+
+  test('computes KPIs from the documented formulas', () => {
+    const { kpis, inputs } = computeKPIs(data, { start: '2024-01-01', end: '2024-01-30' });
+
+    expect(inputs.revenue).toBe(10000);
+    expect(inputs.cogs).toBe(3000);
+    expect(kpis.grossMargin).toBe(0.7);
+    // Net cash generated: (3000 - 6000) over 30 days
+    expect(kpis.burnRate).toBeCloseTo(-3043.75, 2);
+    // Receivables fall back to the pending invoice
+    expect(kpis.DSO).toBe(12);
+    expect(kpis.DPO).toBe(12);
+    expect(inputs.cash).toBe(13000);
+    expect(kpis.currentRatio).toBe(9);
+    expect(kpis.quickRatio).toBe(8.5);
+  });
+
+  test('returns null KPIs with notes when inputs are missing', () => {
+    const result = computeKPIs({ invoices: [], expenses: [] });
+    expect(result.period).toBeNull();
+    expect(result.kpis.DSO).toBeNull();
+    expect(result.notes).toHaveLength(1);
+  });
+
+  test('flags KPIs the model contradicts', () => {
+    const computed = { grossMargin: 0.7, DSO: 12, DPO: null };
+    const reported = { grossMargin: 0.701, DSO: 45, DPO: 30 };
+
+    expect(findKPIDiscrepancies(computed, reported)).toEqual([
+      { kpi: 'DSO', computed: 12, reported: 45 },
+      { kpi: 'DPO', computed: null, reported: 30 }
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { analyzeFinancialData } from '../src/services/llmClient.js';
+import { setProvider } from '../src/services/providers/index.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const data = {
+  invoices: [{ id: 'inv_1', customer: 'Globex', amount: 5000, date: '2024-03-05', status: 'paid' }],
+  expenses: [
+    { id: 'exp_1', vendor: 'Acme Rent', category: 'rent', amount: 2000, date: '2024-03-01' },
+    { id: 'exp_2', vendor: 'Acme Rent', category: 'rent', amount: 2000, date: '2024-03-01' }
+  ],
+  payments: [],
+  balances: [{ account: 'Operating Cash', balance: 20000, date: '2024-02-29' }],
+  metadata: { source: 'test', reportingCurrency: 'USD' }
+};
+
+const response = JSON.stringify({
+  cashFlowCommentary: 'Rent dominates outflows.',
+  anomalyExplanations: [{ anomalyId: 'A1', explanation: 'Rent booked twice' }],
+  procurementSuggestions: [],
+  kpis: { DSO: 999 },
+  dataQuality: { completeness: 100, accuracy: 90, issues: [], recommendations: [] },
+  summary: 'Healthy cash position with one duplicate rent payment.'
+});
+
+// Streams `content` in 10-character pieces, optionally breaking off after `failAfter` characters
+const streamingProvider = (content, { failAfter } = {}) => ({
+  name: 'fake',
+  model: 'fake-model',
+  async complete({ onDelta }) {
+    let sent = '';
+    for (let start = 0; start < content.length; start += 10) {
+      if (failAfter !== undefined && start >= failAfter) {
+        const error = new Error('socket hang up');
+        error.partialContent = sent;
+        throw error;
+      }
+      sent += content.slice(start, start + 10);
+      onDelta?.(content.slice(start, start + 10), sent);
+    }
+    return { content, model: 'fake-model', usage: null };
+  }
+});
+
+describe('Streamed analysis', () => {
+  test('publishes computed sections first, then model sections and summary text as they arrive', async () => {
+    setProvider(streamingProvider(response));
+    const events = [];
+
+    const result = await analyzeFinancialData(data, { onPartial: event => events.push(event) });
+
+    const sections = events.filter(event => event.type === 'section').map(event => event.key);
+    expect(sections).toEqual([
+      'analysisType', 'reportingCurrency', 'kpis', 'kpiPeriod', 'cashFlowForecast', 'anomalies',
+      'cashFlowCommentary', 'anomalies', 'procurementSuggestions', 'dataQuality', 'summary'
+    ]);
+
+    // The model's KPIs never reach the client; its explanations land on the computed anomalies
+    expect(events.find(event => event.key === 'kpis').value.DSO).not.toBe(999);
+    const explained = events.filter(event => event.key === 'anomalies').pop().value;
+    expect(explained[0]).toMatchObject({ anomalyId: 'A1', explanation: 'Rent booked twice' });
+
+    const summaryText = events.filter(event => event.type === 'text' && event.key === 'summary');
+    expect(summaryText.length).toBeGreaterThan(1);
+    expect(summaryText.map(event => event.delta).join('')).toBe(result.summary);
+  });
+
+  test('fails with STREAM_INTERRUPTED after publishing the sections that completed', async () => {
+    setProvider(streamingProvider(response, { failAfter: 120 }));
+    const events = [];
+
+    await expect(analyzeFinancialData(data, { onPartial: event => events.push(event) }))
+      .rejects.toMatchObject({ code: 'STREAM_INTERRUPTED', details: { receivedCharacters: 120 } });
+    expect(events.some(event => event.key === 'cashFlowCommentary' && event.type === 'section')).toBe(true);
+    expect(events.some(event => event.key === 'summary')).toBe(false);
+  });
+
+  test('resets the published result when the response starts over', async () => {
+    const invalid = JSON.stringify({ cashFlowCommentary: 'First try', summary: '' });
+    let calls = 0;
+    setProvider({
+      name: 'fake',
+      model: 'fake-model',
+      async complete(request) {
+        calls++;
+        return streamingProvider(calls === 1 ? invalid : response).complete(request);
+      }
+    });
+    const events = [];
+
+    await analyzeFinancialData(data, { onPartial: event => events.push(event) });
+
+    const reset = events.findIndex(event => event.type === 'reset');
+    expect(reset).toBeGreaterThan(0);
+    expect(events[reset + 1]).toMatchObject({ type: 'section', key: 'analysisType' });
+  });
+});
@@ -0,0 +1,114 @@
+/** @jest-environment node */
+import paperChat from '../src/research/paperChat.cjs';
+
+const { isPaperId, extractPdfPages, splitSections, chunkSections, createBM25Index, answerFromPaper } = paperChat;
+
+const PAGES = [
+  {
+    page: 1,
+    text: 'Sparse Attention at Scale\nAda Lovelace\nAbstract\nWe make attention sparse and cheap.\n1 Introduction\n' +
+      'Transformers are slow on long inputs because atten-\ntion is quadratic in sequence length.'
+  },
+  {
+    page: 2,
+    text: '2 Method\nEach token attends to a local window and a few global tokens.\n3 Experiments\n' +
+      '3.1 Datasets\nWe evaluate on WikiText-103 and the PG-19 datasets.\nResults improve perplexity by 2 points.'
+  },
+  {
+    page: 3,
+    text: 'Results continue on this page with ablations of the window size.\nReferences\n' +
+      '[1] A. Author. Datasets for long documents. 2019.'
+  }
+];
+
+// Minimal PDF with one Helvetica text line per entry of each page
+function pdfBuffer(pages) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', `<< /Type /Pages /Kids [${pages.map((_, i) => `${3 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`];
+  const font = 3 + pages.length * 2;
+  pages.forEach((lines, i) => {
+    const content = `BT /F1 12 Tf 72 720 Td ${lines.map(line => `(${line}) Tj 0 -20 Td`).join(' ')} ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${4 + i * 2} 0 R /Resources << /Font << /F1 ${font} 0 R >> >> >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  });
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('Paper chat', () => {
+  test('recognizes paper ids but not free text', () => {
+    expect(isPaperId('649def34f8be52c8b66281af98ae884c09aef38b')).toBe(true);
+    expect(isPaperId('DOI:10.1000/xyz')).toBe(true);
+    expect(isPaperId('arXiv:1706.03762')).toBe(true);
+    expect(isPaperId('We study attention.')).toBe(false);
+  });
+
+  test('extracts PDF text page by page with line breaks', async () => {
+    const pages = await extractPdfPages(pdfBuffer([['1 Introduction', 'Attention is quadratic.'], ['2 Method', 'Local windows.']]));
+    expect(pages).toEqual([
+      { page: 1, text: '1 Introduction\nAttention is quadratic.' },
+      { page: 2, text: '2 Method\nLocal windows.' }
+    ]);
+
+    await expect(extractPdfPages(pdfBuffer([[]]))).rejects.toMatchObject({ code: 'PDF_NO_TEXT' });
+  });
+
+  test('splits text at headings and keeps pages and hyphenated words', () => {
+    const sections = splitSections(PAGES);
+    expect(sections.map(section => section.title)).toEqual([
+      'Front matter', 'Abstract', '1 Introduction', '2 Method', '3.1 Datasets', 'References'
+    ]);
+
+    const passages = chunkSections(sections);
+    expect(passages.map(passage => passage.section)).not.toContain('References');
+    expect(passages.find(passage => passage.section === '1 Introduction').text).toContain('because attention is quadratic');
+    expect(passages.find(passage => passage.section === '3.1 Datasets')).toMatchObject({ pageStart: 2, pageEnd: 3 });
+  });
+
+  test('cuts long sections into overlapping passages', () => {
+    const text = Array.from({ length: 25 }, (_, i) => `word${i}`).join(' ');
+    const passages = chunkSections([{ title: 'Long', lines: [{ page: 4, text }] }], { words: 10, overlap: 2 });
+    expect(passages.map(passage => passage.text.split(' ')[0])).toEqual(['word0', 'word8', 'word16']);
+    expect(passages[2].text.split(' ')).toHaveLength(9);
+  });
+
+  test('ranks passages by BM25 with section titles as text', () => {
+    const index = createBM25Index(chunkSections(splitSections(PAGES)));
+    const [best] = index.search('Which datasets are used?', 2);
+    expect(best.section).toBe('3.1 Datasets');
+    expect(index.search('the of and')).toEqual([]);
+  });
+
+  test('answers from retrieved passages and maps citations to sections and pages', async () => {
+    const chat = jest.fn(async () => 'They use WikiText-103 and PG-19 [1]; see also [9].');
+    const result = await answerFromPaper(chat, { title: 'Sparse Attention at Scale', pages: PAGES }, 'Which datasets are used?', { topK: 2 });
+
+    const [[messages, maxTokens]] = chat.mock.calls;
+    expect(maxTokens).toBe(400);
+    expect(messages[1].content).toContain('[1] (3.1 Datasets, pp. 2-3)');
+    expect(result).toMatchObject({
+      source: 'pdf',
+      answer: 'They use WikiText-103 and PG-19 [1]; see also [9].',
+      citations: [{ ref: 1, section: '3.1 Datasets', pageStart: 2, pageEnd: 3, location: '3.1 Datasets, pp. 2-3' }]
+    });
+  });
+
+  test('falls back to the abstract without full text', async () => {
+    const chat = jest.fn(async () => 'It is cheap [1].');
+    const result = await answerFromPaper(chat, { abstract: 'We make attention cheap.' }, 'Is it cheap?');
+    expect(result.source).toBe('abstract');
+    expect(result.citations).toEqual([{ ref: 1, section: 'Abstract', pageStart: null, pageEnd: null, location: 'Abstract' }]);
+
+    await expect(answerFromPaper(chat, {}, 'Is it cheap?')).rejects.toMatchObject({ code: 'NO_PAPER_TEXT' });
+    await expect(answerFromPaper(chat, { abstract: 'x' }, ' ')).rejects.toMatchObject({ code: 'INVALID_QUESTION' });
+  });
+});
@@ -0,0 +1,85 @@
+import paperSearch from '../src/research/paperSearch.cjs';
+
+const { buildSearchParams, searchPapers, formatPapers } = paperSearch;
+
+const paper = n => ({ paperId: `p${n}`, title: `Paper ${n}` });
+
+// Serves `total` results in pages like the relevance search endpoint
+const relevanceApi = total => jest.fn(async (path, { offset, limit }) => {
+  const end = Math.min(total, offset + limit);
+  const data = Array.from({ length: end - offset }, (_, i) => paper(offset + i));
+  return { total, offset, data, ...(end < total ? { next: end } : {}) };
+});
+
+describe('Paper search', () => {
+  test('translates filters into query parameters', () => {
+    expect(buildSearchParams({
+      year: '2019-2023',
+      fieldsOfStudy: 'Computer Science, Medicine',
+      venue: ['Nature', 'Science'],
+      openAccess: true,
+      minCitations: '10'
+    })).toEqual({
+      year: '2019-2023',
+      fieldsOfStudy: 'Computer Science,Medicine',
+      venue: 'Nature,Science',
+      openAccessPdf: '',
+      minCitationCount: 10
+    });
+    expect(buildSearchParams({ year: '2019-' })).toEqual({ year: '2019-' });
+  });
+
+  test('rejects malformed filters', () => {
+    expect(() => buildSearchParams({ year: '2023-2019' })).toThrow(/Invalid year range/);
+    expect(() => buildSearchParams({ year: 'recent' })).toThrow(/Invalid year range/);
+    expect(() => buildSearchParams({ minCitations: -1 })).toThrow(/minimum citation count/);
+  });
+
+  test('pages through relevance results by offset', async () => {
+    const s2Get = relevanceApi(250);
+
+    const papers = await searchPapers(s2Get, 'graph neural networks', 230, { offset: 10, year: '2020' });
+
+    expect(papers).toHaveLength(230);
+    expect(papers[0].paperId).toBe('p10');
+    expect(s2Get.mock.calls.map(([, params]) => [params.offset, params.limit])).toEqual([[10, 100], [110, 100], [210, 30]]);
+    expect(s2Get.mock.calls[0][1]).toMatchObject({ query: 'graph neural networks', year: '2020' });
+    expect(s2Get.mock.calls[0][1].fields).toMatch(/year,venue,citationCount,externalIds/);
+
+    // Stops when the results run out
+    await expect(searchPapers(relevanceApi(3), 'rare topic', 50)).resolves.toHaveLength(3);
+  });
+
+  test('switches to token pagination past the relevance window', async () => {
+    const pages = [
+      { token: 't1', data: Array.from({ length: 1000 }, (_, i) => paper(i)) },
+      { token: null, data: Array.from({ length: 500 }, (_, i) => paper(1000 + i)) }
+    ];
+    const s2Get = jest.fn(async () => pages.shift());
+
+    const papers = await searchPapers(s2Get, 'llm', 600, { offset: 800 });
+
+    expect(papers).toHaveLength(600);
+    expect(papers[0].paperId).toBe('p800');
+    expect(papers[599].paperId).toBe('p1399');
+    expect(s2Get.mock.calls.map(([path, params]) => [path, params.token])).toEqual([
+      ['/paper/search/bulk', undefined],
+      ['/paper/search/bulk', 't1']
+    ]);
+  });
+
+  test('formats results as JSON lines or a table', () => {
+    const papers = [
+      { title: 'Attention Is All You Need', year: 2017, venue: 'NeurIPS', citationCount: 90000, externalIds: { DOI: '10.5555/3295222' } },
+      { title: 'Untitled draft', year: null }
+    ];
+
+    expect(formatPapers(papers, 'jsonl').split('\n').map(line => JSON.parse(line).title))
+      .toEqual(['Attention Is All You Need', 'Untitled draft']);
+
+    const table = formatPapers(papers, 'table').split('\n');
+    expect(table[0]).toMatch(/^Year\s+Cited\s+Venue\s+Title\s+DOI$/);
+    expect(table[2]).toMatch(/^2017\s+90000\s+NeurIPS\s+Attention Is All You Need\s+10\.5555\/3295222$/);
+    expect(() => formatPapers(papers, 'xml')).toThrow(/Unknown output format/);
+  });
+});
@@ -0,0 +1,129 @@
+import XLSX from 'xlsx';
+import { parseWorkbook } from '../src/services/parser.js';
+import { ingestFinancialData } from '../src/services/ingestion.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+function workbookBuffer(sheets) {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, { rows, merges }]) => {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    if (merges) sheet['!merges'] = merges;
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  });
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+describe('Spreadsheet parser', () => {
+  test('maps sheet names to categories and finds offset header rows', () => {
+    const buffer = workbookBuffer({
+      'Invoices Q1': {
+        rows: [
+          ['ACME Corp - Accounts Receivable'],
+          [],
+          [null, 'Invoice ID', 'Date', 'Customer', 'Amount', 'Status'],
+          [null, 'INV-1', 45306, 'Globex', 5000, 'paid'],
+          [null, 'INV-2', 45322, 'Initech', 1250.5, 'pending'],
+          [null, 'Total', null, null, 6250.5, null]
+        ]
+      },
+      Expenses: {
+        rows: [
+          ['Expense Date', 'Vendor', 'Category', 'Amount'],
+          [45300, 'Landlord LLC', 'facilities', 2000],
+          [45331, null, null, 2000]
+        ],
+        // Vendor and category merged down over both expense rows
+        merges: [{ s: { r: 1, c: 1 }, e: { r: 2, c: 1 } }, { s: { r: 1, c: 2 }, e: { r: 2, c: 2 } }]
+      }
+    });
+
+    const { data: parsed, diagnostics } = ingestFinancialData(buffer, { format: 'xlsx', fileName: 'q1.xlsx' });
+
+    expect(parsed.invoices).toEqual([
+      { invoiceId: 'INV-1', date: '2024-01-15', customer: 'Globex', amount: 5000, status: 'paid', currency: 'USD' },
+      { invoiceId: 'INV-2', date: '2024-01-31', customer: 'Initech', amount: 1250.5, status: 'pending', currency: 'USD' }
+    ]);
+    expect(parsed.expenses).toEqual([
+      { expenseDate: '2024-01-09', vendor: 'Landlord LLC', category: 'facilities', amount: 2000, currency: 'USD' },
+      { expenseDate: '2024-02-09', vendor: 'Landlord LLC', category: 'facilities', amount: 2000, currency: 'USD' }
+    ]);
+    expect(diagnostics[0]).toEqual({
+      category: 'invoices',
+      reason: 'sheet name "Invoices Q1" identifies invoices',
+      source: { file: 'q1.xlsx', sheet: 'Invoices Q1', row: 4 },
+      index: 0
+    });
+  });
+
+  test('prefers specific sheet-name words over broad ones', () => {
+    const rows = [['Reference', 'Date', 'Amount'], ['R-1', 45306, 100]];
+    const buffer = workbookBuffer({
+      'Accounts Payable': { rows },
+      'Cost of Sales': { rows },
+      'Bank Balances': { rows },
+      'Accounts Receivable': { rows },
+      'Bank Transactions': { rows },
+      'Chart of Accounts': { rows },
+      Bills: { rows }
+    });
+
+    expect(parseWorkbook(buffer).map(({ sheetName, category }) => [sheetName, category])).toEqual([
+      ['Accounts Payable', 'expenses'],
+      ['Cost of Sales', 'expenses'],
+      ['Bank Balances', 'balances'],
+      ['Accounts Receivable', 'invoices'],
+      ['Bank Transactions', 'payments'],
+      ['Chart of Accounts', 'balances'],
+      ['Bills', 'expenses']
+    ]);
+  });
+
+  test('categorizes rows of unrecognised sheets by their columns', () => {
+    const buffer = workbookBuffer({
+      Sheet1: { rows: [['Payment Ref', 'Date', 'Amount'], ['P-1', 45306, 300]] }
+    });
+
+    const { data, diagnostics } = ingestFinancialData(buffer, { format: 'xlsx', fileName: 'q1.xlsx' });
+    expect(data.payments).toEqual([{ paymentRef: 'P-1', date: '2024-01-15', amount: 300, currency: 'USD' }]);
+    expect(diagnostics[0]).toMatchObject({
+      category: 'payments',
+      reason: 'column "paymentRef" contains "payment"',
+      source: { file: 'q1.xlsx', sheet: 'Sheet1', row: 2 }
+    });
+  });
+});
+
+describe('Ingestion pipeline', () => {
+  test('categorizes, cleans, normalizes and validates CSV rows with diagnostics', () => {
+    const { data, validation, diagnostics } = ingestFinancialData(
+      'invoice_number,amount,date,status\nINV-9,1200,2024-03-01,paid\n',
+      { format: 'csv', fileName: 'march.csv' }
+    );
+
+    expect(data.invoices).toEqual([{ invoice_number: 'INV-9', amount: 1200, date: '2024-03-01', status: 'paid', currency: 'USD' }]);
+    expect(validation.isValid).toBe(true);
+    expect(diagnostics).toEqual([{
+      category: 'invoices',
+      reason: 'column "invoice_number" contains "invoice"',
+      source: { file: 'march.csv', row: 2 },
+      index: 0
+    }]);
+  });
+
+  test('attaches schema errors to the offending record', () => {
+    const { validation, diagnostics } = ingestFinancialData({
+      invoices: [{ id: 'inv_1', amount: 'n/a', date: '2024-01-01' }],
+      expenses: []
+    });
+
+    expect(validation.isValid).toBe(false);
+    expect(diagnostics[0]).toMatchObject({
+      category: 'invoices',
+      reason: 'provided under the "invoices" key',
+      errors: ['amount must be number']
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/** @jest-environment node */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProvider } from '../src/services/providers/index.js';
+import { createOpenRouterProvider } from '../src/services/providers/openRouterProvider.js';
+import { createFixtureProvider, createRecordingProvider, fixtureKey } from '../src/services/providers/fixtureProvider.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// Stands in for the live OpenRouter client so recording mode runs without the network
+jest.mock('../src/services/providers/openRouterProvider.js', () => ({
+  createOpenRouterProvider: jest.fn()
+}));
+
+const messages = [{ role: 'user', content: 'Summarize Q1 cash flow.' }];
+
+describe('LLM providers', () => {
+  let fixturesDir;
+
+  // react-scripts resets mocks before every test
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    createOpenRouterProvider.mockImplementation(({ model }) => ({
+      name: 'openrouter',
+      model,
+      complete: async () => ({ content: '{"summary":"Live answer."}', model, usage: { total_tokens: 12 } })
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('createProvider selects the configured provider', () => {
+    const fixture = createProvider({ provider: 'fixture', model: 'gpt-test', fixturesDir });
+    expect(fixture).toMatchObject({ name: 'fixture', model: 'gpt-test' });
+
+    const openrouter = createProvider({ provider: 'openrouter', model: 'openai/gpt-4o-mini' });
+    expect(openrouter).toMatchObject({ name: 'openrouter', model: 'openai/gpt-4o-mini' });
+    expect(createOpenRouterProvider).toHaveBeenCalledWith(expect.objectContaining({ model: 'openai/gpt-4o-mini' }));
+  });
+
+  test('createProvider rejects unknown providers, listing the known ones', () => {
+    expect(() => createProvider({ provider: 'nope', model: 'x' }))
+      .toThrow('Unknown LLM provider "nope". Expected one of: openrouter, openai-compatible, fixture');
+  });
+
+  test('fixture provider replays the response recorded under the request key', async () => {
+    fs.writeFileSync(
+      path.join(fixturesDir, `${fixtureKey('gpt-test', messages)}.json`),
+      JSON.stringify({ content: '{"summary":"Recorded."}', model: 'gpt-test-0613', usage: { total_tokens: 5 } })
+    );
+    const provider = createFixtureProvider({ fixturesDir, model: 'gpt-test' });
+
+    await expect(provider.complete({ messages })).resolves.toEqual({
+      content: '{"summary":"Recorded."}', model: 'gpt-test-0613', usage: { total_tokens: 5 }
+    });
+  });
+
+  test('fixture provider falls back to the mock analysis when no fixture matches', async () => {
+    const provider = createFixtureProvider({ fixturesDir, model: 'gpt-test' });
+
+    const result = await provider.complete({ messages });
+
+    expect(result).toMatchObject({ model: 'gpt-test', usage: null });
+    expect(JSON.parse(result.content).summary).toMatch(/no recorded fixture matched/);
+
+    const custom = createFixtureProvider({ fixturesDir, fallback: requestMessages => `missed ${requestMessages.length}` });
+    await expect(custom.complete({ messages })).resolves.toMatchObject({ content: 'missed 1', model: 'fixture' });
+  });
+
+  test('fixture provider streams a replayed response in 64-character pieces', async () => {
+    const content = 'x'.repeat(150);
+    const provider = createFixtureProvider({ fixturesDir, fallback: () => content });
+    const deltas = [];
+
+    await provider.complete({ messages, onDelta: (delta, text) => deltas.push([delta.length, text.length]) });
+
+    expect(deltas).toEqual([[64, 64], [64, 128], [22, 150]]);
+  });
+
+  test('recording provider writes fixtures the fixture provider replays', async () => {
+    const live = createOpenRouterProvider({ model: 'gpt-test' });
+    const recorder = createRecordingProvider(live, path.join(fixturesDir, 'nested'));
+
+    const recorded = await recorder.complete({ messages });
+    const replayed = await createFixtureProvider({ fixturesDir: path.join(fixturesDir, 'nested'), model: 'gpt-test' })
+      .complete({ messages });
+
+    expect(recorder).toMatchObject({ name: 'openrouter', model: 'gpt-test' });
+    expect(replayed).toEqual(recorded);
+  });
+
+  test('createProvider records live providers only', async () => {
+    const recording = createProvider({ provider: 'openrouter', model: 'gpt-test', recordFixtures: true, fixturesDir });
+    await recording.complete({ messages });
+    expect(fs.readdirSync(fixturesDir)).toEqual([`${fixtureKey('gpt-test', messages)}.json`]);
+
+    const otherMessages = [{ role: 'user', content: 'Something else' }];
+    const replaying = createProvider({ provider: 'fixture', model: 'gpt-test', recordFixtures: true, fixturesDir });
+    await replaying.complete({ messages: otherMessages });
+    expect(fs.readdirSync(fixturesDir)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,80 @@
+import resilience from '../src/utils/resilience.cjs';
+
+const { retry, retryAfterMs, createCircuitBreaker, createLimiter } = resilience;
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function httpError(status, headers) {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, headers: headers || {} };
+  return error;
+}
+
+describe('Resilience layer', () => {
+  test('retries retryable errors up to the cap', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(retry(fn, { retries: 2, baseDelayMs: 1, logger: silentLogger })).rejects.toThrow('HTTP 503');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry client errors', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(401));
+
+    await expect(retry(fn, { retries: 3, baseDelayMs: 1, logger: silentLogger })).rejects.toThrow('HTTP 401');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('honours Retry-After headers', async () => {
+    expect(retryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+      .mockResolvedValue('ok');
+    await expect(retry(fn, { baseDelayMs: 60000, logger: silentLogger })).resolves.toBe('ok');
+  });
+
+  test('opens the circuit after consecutive failures and fails fast', async () => {
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeoutMs: 60000, logger: silentLogger });
+    const failing = jest.fn().mockRejectedValue(httpError(500));
+
+    await expect(breaker.exec(failing)).rejects.toThrow('HTTP 500');
+    await expect(breaker.exec(failing)).rejects.toThrow('HTTP 500');
+    await expect(breaker.exec(failing)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(failing).toHaveBeenCalledTimes(2);
+    expect(breaker.getState().state).toBe('open');
+  });
+
+  test('lets a single trial call through while half-open', async () => {
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMs: 0, logger: silentLogger });
+    await expect(breaker.exec(() => Promise.reject(httpError(500)))).rejects.toThrow('HTTP 500');
+
+    let finishTrial;
+    const trial = breaker.exec(() => new Promise(resolve => { finishTrial = resolve; }));
+    const concurrent = jest.fn().mockResolvedValue('ok');
+    await expect(breaker.exec(concurrent)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(concurrent).not.toHaveBeenCalled();
+    expect(breaker.getState().state).toBe('half-open');
+
+    finishTrial('recovered');
+    await expect(trial).resolves.toBe('recovered');
+    await expect(breaker.exec(concurrent)).resolves.toBe('ok');
+    expect(breaker.getState()).toEqual({ state: 'closed', failures: 0 });
+  });
+
+  test('limits concurrent calls', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+
+    const task = () => limit(async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active -= 1;
+    });
+
+    await Promise.all([task(), task(), task(), task(), task()]);
+    expect(peak).toBe(2);
+  });
+});
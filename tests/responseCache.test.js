@@ -0,0 +1,81 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import responseCache from '../src/utils/responseCache.cjs';
+
+const { cacheKey, createResponseCache } = responseCache;
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('Response cache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keys requests by content, not property order', () => {
+    expect(cacheKey('s2', { endpoint: '/paper/search', params: { query: 'llm', limit: 5 } }))
+      .toBe(cacheKey('s2', { params: { limit: 5, query: 'llm' }, endpoint: '/paper/search' }));
+    expect(cacheKey('s2', { endpoint: '/paper/search', params: { query: 'llm' } }))
+      .not.toBe(cacheKey('openrouter', { endpoint: '/paper/search', params: { query: 'llm' } }));
+  });
+
+  test('serves fresh entries and calls again once the TTL has passed', async () => {
+    let clock = 0;
+    const cache = createResponseCache({ dir, ttlMs: { s2: 1000 }, logger: silentLogger, now: () => clock });
+    const fetch = jest.fn().mockResolvedValueOnce({ data: [1] }).mockResolvedValueOnce({ data: [2] });
+    const request = { endpoint: '/paper/search', params: { query: 'llm' } };
+
+    await expect(cache.wrap('s2', request, fetch)).resolves.toEqual({ data: [1] });
+    clock = 500;
+    await expect(cache.wrap('s2', request, fetch)).resolves.toEqual({ data: [1] });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    clock = 1501;
+    await expect(cache.wrap('s2', request, fetch)).resolves.toEqual({ data: [2] });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('refresh overwrites entries and off bypasses the cache', async () => {
+    const request = { model: 'gpt-3.5-turbo', messages: [{ role: 'user', content: 'Summarize' }] };
+    await createResponseCache({ dir, logger: silentLogger }).wrap('openrouter', request, async () => 'old');
+
+    const refreshed = await createResponseCache({ dir, mode: 'refresh', logger: silentLogger })
+      .wrap('openrouter', request, async () => 'new');
+    expect(refreshed).toBe('new');
+    expect(createResponseCache({ dir, logger: silentLogger }).get('openrouter', request)).toBe('new');
+
+    const bypass = jest.fn().mockResolvedValue('live');
+    await createResponseCache({ dir, mode: 'off', logger: silentLogger }).wrap('openrouter', request, bypass);
+    expect(bypass).toHaveBeenCalledTimes(1);
+    expect(createResponseCache({ dir, logger: silentLogger }).get('openrouter', request)).toBe('new');
+  });
+
+  test('replays recorded responses offline regardless of age', async () => {
+    const request = { endpoint: '/paper/abc', params: { fields: 'title' } };
+    await createResponseCache({ dir, mode: 'refresh', logger: silentLogger, now: () => 0 })
+      .wrap('s2', request, async () => ({ title: 'A' }));
+
+    const replay = createResponseCache({ dir, mode: 'replay', logger: silentLogger, now: () => 10 ** 12 });
+    const fetch = jest.fn();
+    await expect(replay.wrap('s2', request, fetch)).resolves.toEqual({ title: 'A' });
+    await expect(replay.wrap('s2', { endpoint: '/paper/xyz' }, fetch)).rejects.toMatchObject({ code: 'CACHE_MISS' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('treats unreadable entries as misses and rejects unknown modes', async () => {
+    const cache = createResponseCache({ dir, logger: silentLogger });
+    const request = { endpoint: '/paper/search', params: { query: 'llm' } };
+    const key = cacheKey('s2', request);
+    fs.mkdirSync(path.join(dir, 's2', key.slice(0, 2)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 's2', key.slice(0, 2), `${key}.json`), '{"trunc');
+
+    await expect(cache.wrap('s2', request, async () => 'fresh')).resolves.toBe('fresh');
+    expect(() => createResponseCache({ dir, mode: 'sometimes' })).toThrow(/Unknown cache mode/);
+  });
+});
@@ -0,0 +1,118 @@
+import literatureReview from '../src/research/review.cjs';
+import reviewRenderers from '../src/research/reviewRenderers.cjs';
+
+const { parseJsonReply, buildReview } = literatureReview;
+const { renderReview: toDocument, registerRenderer } = reviewRenderers;
+
+const PAPERS = [
+  { paperId: 'a', title: 'Sparse Attention', abstract: 'We sparsify attention.', authors: [{ name: 'Ada Lovelace' }], year: 2021, venue: 'ICML' },
+  { paperId: 'b', title: 'Linear Transformers', abstract: 'Attention in linear time.', authors: [{ name: 'Alan Turing' }], year: 2020 },
+  { paperId: 'c', title: 'No Abstract Here', authors: [], year: 2019 }
+];
+const CRITIQUE = { paperId: 'x', title: 'Attention Is Not Explanation', authors: [{ name: 'Sarthak Jain' }], year: 2019, venue: 'NAACL' };
+
+// Answers each review step by what its prompt asks for
+const deps = replies => ({
+  searchPapers: jest.fn(async (query, limit) => (limit === 1 ? (query === 'attention explanation' ? [CRITIQUE] : [PAPERS[1]]) : PAPERS)),
+  summarizeAbstract: jest.fn(async abstract => `Summary of: ${abstract}`),
+  chat: jest.fn(async ([{ content }]) => {
+    if (content.startsWith('Group these papers')) return replies.themes;
+    if (content.startsWith('Identify 3 open research gaps')) return replies.gaps;
+    return replies.opposing;
+  })
+});
+
+const now = () => new Date('2024-05-01T12:00:00Z');
+
+describe('Literature review', () => {
+  test('parses JSON from fenced or chatty replies', () => {
+    expect(parseJsonReply('Sure!\n```json\n[{"gap": "x"}]\n```')).toEqual([{ gap: 'x' }]);
+    expect(() => parseJsonReply('No gaps found.')).toThrow(expect.objectContaining({ code: 'INVALID_MODEL_RESPONSE' }));
+  });
+
+  test('builds a review whose sections reference papers by id', async () => {
+    const api = deps({
+      themes: JSON.stringify([{ name: 'Efficient attention', description: 'Cheaper attention.', papers: ['P1', 'P2'] }, { name: 'Empty', papers: ['P9'] }]),
+      gaps: JSON.stringify([{ gap: 'Long-context evaluation', papers: ['[P2]', 'p1'] }, { gap: 'Unsupported claim', papers: [] }]),
+      opposing: JSON.stringify([
+        { viewpoint: 'Attention weights do not explain predictions', query: 'attention explanation' },
+        { viewpoint: 'Linear attention loses accuracy', query: 'linear attention accuracy' }
+      ])
+    });
+
+    const review = await buildReview(api, 'efficient attention', { limit: 3, now });
+
+    expect(review.generatedAt).toBe('2024-05-01T12:00:00.000Z');
+    expect(review.papers.map(paper => [paper.paperId, paper.role])).toEqual([['a', 'reviewed'], ['b', 'reviewed'], ['c', 'reviewed'], ['x', 'opposing']]);
+    expect(review.papers[0]).toMatchObject({ key: 'lovelace2021sparse', summary: 'Summary of: We sparsify attention.' });
+    expect(review.papers[2].summary).toBeNull();
+    expect(api.summarizeAbstract).toHaveBeenCalledTimes(2);
+    expect(review.themes).toEqual([{ name: 'Efficient attention', description: 'Cheaper attention.', paperIds: ['a', 'b'] }]);
+    expect(review.gaps).toEqual([{ gap: 'Long-context evaluation', paperIds: ['b', 'a'] }]);
+    // An opposing work that is already reviewed is cited, not listed twice
+    expect(review.opposing).toEqual([
+      { paperId: 'x', reason: 'Attention weights do not explain predictions', query: 'attention explanation' },
+      { paperId: 'b', reason: 'Linear attention loses accuracy', query: 'linear attention accuracy' }
+    ]);
+    expect(review.warnings).toEqual(['Research gaps: 1 gap(s) cited no reviewed paper and were left out']);
+  });
+
+  test('leaves a section empty with a warning when the model reply is unusable', async () => {
+    const review = await buildReview(deps({ themes: 'Sorry, I cannot.', gaps: '[]', opposing: '[]' }), 'attention', { now });
+
+    expect(review.themes).toEqual([]);
+    expect(review.warnings[0]).toMatch(/^Themes: The model reply contains no JSON/);
+
+    const failing = deps({});
+    failing.chat.mockRejectedValue(Object.assign(new Error('No cached openrouter response'), { code: 'CACHE_MISS' }));
+    await expect(buildReview(failing, 'attention', { now })).rejects.toMatchObject({ code: 'CACHE_MISS' });
+  });
+});
+
+describe('Review renderers', () => {
+  let review;
+
+  beforeAll(async () => {
+    review = await buildReview(deps({
+      themes: JSON.stringify([{ name: 'Efficient <attention>', description: 'Cheaper & faster.', papers: ['P1', 'P2'] }]),
+      gaps: JSON.stringify([{ gap: 'Costs at 100% scale', papers: ['P1'] }]),
+      opposing: JSON.stringify([{ viewpoint: 'Attention is not explanation', query: 'attention explanation' }])
+    }), 'efficient attention', { now });
+  });
+
+  test('renders Markdown with citation keys and references', () => {
+    const markdown = toDocument(review, 'markdown');
+
+    expect(markdown).toMatch(/^# Literature Review: efficient attention\n/);
+    expect(markdown).toMatch(/Papers: \[lovelace2021sparse; turing2020linear\]/);
+    expect(markdown).toMatch(/1\. Costs at 100% scale \[lovelace2021sparse\]/);
+    expect(markdown).toMatch(/- \*\*Attention Is Not Explanation\*\* \[jain2019attention\]: Attention is not explanation/);
+    expect(markdown).toMatch(/- \[jain2019attention\] Sarthak Jain \(2019\)\. \*Attention Is Not Explanation\*\. NAACL\./);
+  });
+
+  test('renders escaped HTML with linked citations', () => {
+    const html = toDocument(review, 'html');
+
+    expect(html).toMatch(/<h3>Efficient &lt;attention&gt;<\/h3>/);
+    expect(html).toMatch(/<p>Cheaper &amp; faster\.<\/p>/);
+    expect(html).toMatch(/<li id="ref-lovelace2021sparse">/);
+    expect(html).toMatch(/<a href="#ref-jain2019attention">\[jain2019attention\]<\/a>: Attention is not explanation/);
+  });
+
+  test('renders LaTeX with an embedded BibTeX bibliography', () => {
+    const latex = toDocument(review, 'latex');
+
+    expect(latex).toMatch(/\\begin\{filecontents\*\}\[overwrite\]\{\\jobname\.bib\}\n@article\{lovelace2021sparse,/);
+    expect(latex).toMatch(/\\subsection\{Efficient <attention>\}\nCheaper \\& faster\. Papers~\\cite\{lovelace2021sparse,turing2020linear\}\./);
+    expect(latex).toMatch(/\\item Costs at 100\\% scale~\\cite\{lovelace2021sparse\}/);
+    expect(latex).toMatch(/\\bibliography\{\\jobname\}\n\\end\{document\}\n$/);
+  });
+
+  test('renders JSON and accepts custom renderers', () => {
+    expect(JSON.parse(toDocument(review, 'json'))).toEqual(review);
+
+    registerRenderer('titles', data => data.papers.map(paper => paper.title).join('\n'));
+    expect(toDocument(review, 'titles').split('\n')).toHaveLength(4);
+    expect(() => toDocument(review, 'docx')).toThrow(/Unknown review format "docx"/);
+  });
+});